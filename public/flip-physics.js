@@ -0,0 +1,136 @@
+// Deterministic flip physics shared by the overlay (index.html) and the replay page.
+// Every random launch value comes from a PRNG seeded by the server's flip ticket,
+// so the same seed on the same viewport reproduces the same flip.
+(function (global) {
+  // mulberry32 - tiny, fast and good enough for game randomness
+  function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  const FlipPhysics = {
+    GRAVITY_Y: 2,
+    CONE_SCALE: 0.24,
+    TIMESTEP: 1000 / 60,
+    CONE_SPAWN_OFFSET: 85,
+    CONE_BODY_OPTIONS: {
+      restitution: 0.2,
+      density: 0.0011,
+      friction: 0.2,
+      frictionAir: 0.02
+    },
+
+    // Skin art and hitbox points are in this box, CONE_SCALE turns it into arena pixels
+    CONE_ART: { width: 488, height: 645 },
+    // Where the art's centre sits from the default hitbox's centre of mass, lined up by hand
+    DEFAULT_ART_OFFSET: { x: -1, y: -17 },
+    SKIN_SCALE_RANGE: { min: 0.5, max: 1.5 },
+
+    // The hitbox a skin defines in skins/config.json in arena pixels, null if it uses the default
+    skinVertices(skin) {
+      if (!skin || !Array.isArray(skin.hitbox) || skin.hitbox.length < 3) return null;
+      return skin.hitbox.map(([x, y]) => ({ x: x * this.CONE_SCALE, y: y * this.CONE_SCALE }));
+    },
+
+    // Cosmetic scale of a skin's art, the body keeps its size
+    skinScale(skin) {
+      const scale = skin ? Number(skin.scale) : NaN;
+      if (!Number.isFinite(scale)) return 1;
+      return Math.min(Math.max(scale, this.SKIN_SCALE_RANGE.min), this.SKIN_SCALE_RANGE.max);
+    },
+
+    // Everything the overlay and the replay need to build and draw a skin's cone
+    skinShape(skin, defaultVertices) {
+      const vertices = this.skinVertices(skin);
+      if (!vertices) {
+        return { vertices: defaultVertices, offset: this.DEFAULT_ART_OFFSET, scale: this.skinScale(skin), custom: false };
+      }
+
+      // A body is centred on its centre of mass, the art is centred on its box
+      const centre = Matter.Vertices.centre(vertices);
+      return {
+        vertices,
+        offset: {
+          x: (this.CONE_ART.width * this.CONE_SCALE) / 2 - centre.x,
+          y: (this.CONE_ART.height * this.CONE_SCALE) / 2 - centre.y
+        },
+        scale: this.skinScale(skin),
+        custom: true
+      };
+    },
+
+    // Mass of a cone with the default hitbox, every skin is given it
+    defaultMass(defaultVertices) {
+      return Matter.Bodies.fromVertices(0, 0, defaultVertices, { ...this.CONE_BODY_OPTIONS }, true).mass;
+    },
+
+    // Build a cone body. A custom hitbox only changes the shape the cone lands on: the mass is
+    // set back to the default cone's, so the same launch force throws every skin the same way
+    createConeBody(x, y, shape, mass, options = {}) {
+      const body = Matter.Bodies.fromVertices(x, y, shape.vertices, { ...this.CONE_BODY_OPTIONS, ...options }, true);
+      if (shape.custom) {
+        Matter.Body.setMass(body, mass);
+      }
+      return body;
+    },
+
+    // Games without a seed (old clients, local tests) fall back to Math.random
+    createRandom(seed) {
+      return Number.isInteger(seed) ? createSeededRandom(seed) : Math.random;
+    },
+
+    // Regular coneflip launch
+    coneLaunch(random) {
+      const base = 1.63;
+      const total = base + random() * 0.2;
+      const xforce = (random() - 0.5) * 0.4;
+      const spin = 0.2 + random() * 0.8;
+      const dir = random() > 0.5 ? 1 : -1;
+      return {
+        force: { x: xforce, y: -total },
+        angularVelocity: spin * dir
+      };
+    },
+
+    // Duel launch, cones start at ratio 0.35 / 0.65 and fly towards each other
+    duelLaunch(random, ratio) {
+      const dir = ratio < 0.5 ? 1 : -1;
+      const spinVelocity = 0.1;
+      const spinDir = random() > 0.5 ? 1 : -1;
+      return {
+        force: { x: 0.5 * dir, y: -1.6 },
+        angularVelocity: spinVelocity * spinDir
+      };
+    },
+
+    // Push and spin applied when the two duel cones collide
+    duelCollision(random) {
+      const pushStrength = 4 + random() * 5;
+      const pushStrength2 = 4 + random() * 5;
+      const baseSpin = random() * 0.3;
+      const baseSpin2 = random() * 0.3;
+      return {
+        pushStrength,
+        pushStrength2,
+        spinA: baseSpin * (random() > 0.5 ? 1 : -1) * pushStrength,
+        spinB: baseSpin2 * (random() > 0.5 ? 1 : -1) * pushStrength2
+      };
+    },
+
+    // Spin for the relaunch when both duel cones land on their side
+    duelRelaunchSpin(random) {
+      return {
+        a: random() * (0.2 - 0.5) + 0.05,
+        b: random() * (0.2 - 0.5) + 0.05
+      };
+    }
+  };
+
+  global.FlipPhysics = FlipPhysics;
+})(window);
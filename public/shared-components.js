@@ -1,4 +1,19 @@
 // Shared components for ConeFlip V2 pages
+
+// Pages opened with ?channel= show that channel's leaderboard and inventories
+(() => {
+    const channel = new URLSearchParams(window.location.search).get('channel');
+    if (!channel) return;
+
+    const baseFetch = window.fetch.bind(window);
+    window.fetch = (url, options = {}) => {
+        if (typeof url === 'string' && url.startsWith('/api/')) {
+            options = { ...options, headers: { ...(options.headers || {}), 'X-ConeFlip-Channel': channel } };
+        }
+        return baseFetch(url, options);
+    };
+})();
+
 class SharedComponents {
     constructor() {
         this.announcement = null;
@@ -0,0 +1,1219 @@
+// Trail particles and lines drawn behind the cones. Used by the overlay (index.html) and by the
+// trail previews of the admin trail editor, the submissions page and the review queues, so a
+// preview looks like the real thing.
+(function (global) {
+  // Particle animations the trail types use, added to the page once
+  const KEYFRAMES = `
+    @keyframes fire-flicker {
+      0% {
+        transform: scaleY(1.4) scaleX(1);
+        opacity: 0.9;
+        filter: brightness(1);
+      }
+      25% {
+        transform: scaleY(1.5) scaleX(0.95);
+        opacity: 1;
+        filter: brightness(1.3);
+      }
+      50% {
+        transform: scaleY(1.35) scaleX(1.05);
+        opacity: 0.85;
+        filter: brightness(1.1);
+      }
+      75% {
+        transform: scaleY(1.55) scaleX(0.9);
+        opacity: 1;
+        filter: brightness(1.4);
+      }
+      100% {
+        transform: scaleY(1.4) scaleX(1);
+        opacity: 0.9;
+        filter: brightness(1);
+      }
+    }
+
+    @keyframes ice-shimmer {
+      0%, 100% {
+        transform: scale(1);
+        filter: brightness(1);
+      }
+      50% {
+        transform: scale(1.05);
+        filter: brightness(1.3);
+      }
+    }
+
+    @keyframes rainbow-cycle {
+      0% { filter: hue-rotate(0deg) saturate(1.5); }
+      16.66% { filter: hue-rotate(60deg) saturate(1.5); }
+      33.33% { filter: hue-rotate(120deg) saturate(1.5); }
+      50% { filter: hue-rotate(180deg) saturate(1.5); }
+      66.66% { filter: hue-rotate(240deg) saturate(1.5); }
+      83.33% { filter: hue-rotate(300deg) saturate(1.5); }
+      100% { filter: hue-rotate(360deg) saturate(1.5); }
+    }
+
+    @keyframes shadow-wisp {
+      0% { 
+        transform: scale(0.5) rotate(0deg); 
+        opacity: 0.3; 
+      }
+      50% { 
+        transform: scale(1.2) rotate(180deg); 
+        opacity: 0.7; 
+      }
+      100% { 
+        transform: scale(2) rotate(360deg); 
+        opacity: 0; 
+      }
+    }
+
+    @keyframes sparkle-twinkle {
+      0%, 100% { 
+        opacity: 0.4; 
+        transform: scale(0.8); 
+      }
+      50% { 
+        opacity: 1; 
+        transform: scale(1.2); 
+      }
+    }
+  `;
+
+  function injectKeyframes() {
+    if (document.getElementById('trail-keyframes')) return;
+    const style = document.createElement('style');
+    style.id = 'trail-keyframes';
+    style.textContent = KEYFRAMES;
+    document.head.appendChild(style);
+  }
+
+  class TrailManager {
+    // options.container draws the trails inside an element instead of over the whole page,
+    // options.loadConfigs = false skips fetching the trail configs (previews bring their own)
+    constructor(options = {}) {
+      this.activeTrails = new Map(); // Map of cone ID to trail data
+      this.trailConfigs = {};
+      this.playerTrails = {};
+      this.container = options.container || document.body;
+      this.particleContainer = null;
+      this.lineContainer = null;
+      this.initialized = false;
+      
+      if (options.loadConfigs !== false) {
+        this.loadTrailConfigs();
+      }
+      this.initializeParticles();
+    }
+
+    async loadTrailConfigs() {
+      try {
+        console.log('🔄 TrailManager: Loading trail configs...');
+        const response = await fetch('/api/trails/config');
+        const configs = await response.json();
+        
+        this.trailConfigs = {};
+        for (const config of configs) {
+          this.trailConfigs[config.name] = config;
+        }
+        
+        console.log('✅ Loaded', Object.keys(this.trailConfigs).length, 'trail configurations');
+      } catch (error) {
+        console.error('❌ Failed to load trail configurations:', error);
+        this.trailConfigs = {
+          'default': { name: 'default', type: 'none', visuals: { type: 'none' } }
+        };
+      }
+    }
+
+    async updatePlayerTrails() {
+      try {
+        const response = await fetch('/api/trails/users');
+        const userData = await response.json();
+        
+        this.playerTrails = {};
+        if (Array.isArray(userData)) {
+          userData.forEach(user => {
+            this.playerTrails[user.name] = user.trail || 'default';
+          });
+        } else if (userData.data && Array.isArray(userData.data)) {
+          userData.data.forEach(user => {
+            this.playerTrails[user.name] = user.trail || 'default';
+          });
+        }
+        
+        console.log('✅ Updated player trails for', Object.keys(this.playerTrails).length, 'players');
+      } catch (error) {
+        console.error('❌ Failed to update player trails:', error);
+      }
+    }
+
+    initializeParticles() {
+      if (this.initialized) return;
+      injectKeyframes();
+      const position = this.container === document.body ? 'fixed' : 'absolute';
+      
+      // Create simple particle container
+      this.particleContainer = document.createElement('div');
+      this.particleContainer.id = 'trail-particles';
+      this.particleContainer.style.cssText = `
+        position: ${position};
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        z-index: 0;
+        pointer-events: none;
+        overflow: hidden;
+      `;
+      this.container.appendChild(this.particleContainer);
+      
+      // Create line trail container
+      this.lineContainer = document.createElement('div');
+      this.lineContainer.id = 'trail-lines';
+      this.lineContainer.style.cssText = `
+        position: ${position};
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        z-index: 0;
+        pointer-events: none;
+        overflow: hidden;
+      `;
+      this.container.appendChild(this.lineContainer);
+      
+      this.initialized = true;
+      console.log('✅ Particle and line trail systems initialized');
+    }
+
+    getPlayerTrail(playerName) {
+      const trail = this.playerTrails[playerName] || 'default';
+      console.log(`🎯 Getting trail for ${playerName}: ${trail}`);
+      return trail;
+    }
+
+    createTrailForCone(cone) {
+      const playerName = cone.name;
+      const trailName = this.getPlayerTrail(playerName);
+      const trailConfig = this.trailConfigs[trailName];
+      
+      console.log(`🎪 Creating trail for ${playerName}:`);
+      console.log(`   - Trail name: ${trailName}`);
+      console.log(`   - Trail config:`, trailConfig);
+      
+      if (!trailConfig || !trailConfig.visuals || trailConfig.visuals.type === 'none' || trailName === 'default') {
+        console.log(`🚫 No trail effect for ${playerName}`);
+        return null;
+      }
+      
+      return this.createTrail(cone, trailConfig);
+    }
+
+    // Start a trail behind anything shaped like a cone: { name, body: { position, velocity, angle }, hasLaunched, isRemoved }
+    createTrail(cone, trailConfig) {
+      const playerName = cone.name;
+      const trailName = trailConfig.name;
+      const trailId = `trail_${cone.name}_${Date.now()}`;
+      
+      const trail = {
+        id: trailId,
+        cone: cone,
+        config: trailConfig,
+        visualConfig: trailConfig.visuals,
+        lastPosition: this.getConeBottomPosition(cone),
+        updateCounter: 0,
+        lastEmission: 0,
+        // Line trail specific properties
+        positionHistory: [],
+        lineElement: null,
+        lastMoving: false
+      };
+      
+      this.activeTrails.set(trailId, trail);
+      console.log(`✨ SUCCESS: Created ${trailConfig.displayName || trailName} trail for ${playerName}!`);
+      
+      return trail;
+    }
+
+    updateTrails() {
+      if (!this.initialized || this.activeTrails.size === 0) return;
+      
+      for (const [trailId, trail] of this.activeTrails) {
+        if (trail.cone.isRemoved) {
+          this.removeTrail(trailId);
+          continue;
+        }
+        
+        this.updateTrailParticles(trail);
+      }
+    }
+
+    updateTrailParticles(trail) {
+      const cone = trail.cone;
+      const visualConfig = trail.visualConfig;
+      
+      // Check if this is a line trail
+      if (visualConfig.shape === 'line' || visualConfig.type === 'line') {
+        this.updateLineTrail(trail);
+        return;
+      }
+      
+      // Only emit particles if cone is moving
+      const velocity = Math.sqrt(cone.body.velocity.x ** 2 + cone.body.velocity.y ** 2);
+      if (velocity < 1.5 || !cone.hasLaunched) return;
+      
+      // Get position from bottom of cone
+      const currentPos = this.getConeBottomPosition(cone);
+      
+      trail.updateCounter++;
+      
+      // Frequent emission with slight randomness
+      const emissionRate = Math.random() > 0.5 ? 2 : 3; // Vary between 2-3 frames
+      const now = Date.now();
+      
+      if (trail.updateCounter % emissionRate === 0 && now - (trail.lastEmission || 0) > 25) {
+        this.emitParticles(trail, currentPos, visualConfig);
+        trail.lastEmission = now;
+      }
+    }
+
+    getConeBottomPosition(cone) {
+      const pos = cone.body.position;
+      const angle = cone.body.angle;
+      
+      // Cone dimensions - standard cone height in your game
+      const coneHeight = 50; // More accurate cone height
+      
+      // Calculate bottom position considering rotation
+      // Use -cos for Y because screen Y increases downward
+      const bottomX = pos.x + Math.sin(angle) * (coneHeight / 2);
+      const bottomY = pos.y - Math.cos(angle) * (coneHeight / 2);
+      
+      return { x: bottomX, y: bottomY };
+    }
+
+    emitParticles(trail, position, visualConfig) {
+      if (!visualConfig || visualConfig.type === 'none' || !this.particleContainer) return;
+
+      const particleCount = Math.min(visualConfig.particleCount || 3, 6);
+      const colors = visualConfig.colors || ['#FFD700'];
+      const lifetime = visualConfig.lifetime || 1200;
+      const trailType = visualConfig.type || 'default';
+
+      for (let i = 0; i < particleCount; i++) {
+        const offsetX = (Math.random() - 0.5) * 18;
+        const offsetY = (Math.random() - 0.5) * 14;
+        const color = colors[Math.floor(Math.random() * colors.length)];
+
+        let size;
+        if (visualConfig.size && typeof visualConfig.size === 'object') {
+          size = visualConfig.size.min + Math.random() * (visualConfig.size.max - visualConfig.size.min);
+          // Electric stays small, others get scaled up
+          if (trailType !== 'electric') {
+            size = size * 1.3;
+          }
+        } else {
+          size = 10 + Math.random() * 8;
+        }
+
+        this.createParticle(
+          position.x + offsetX,
+          position.y + offsetY,
+          color,
+          size,
+          lifetime,
+          visualConfig,
+          trail,
+          i
+        );
+      }
+    }
+
+    updateLineTrail(trail) {
+      const cone = trail.cone;
+      const visualConfig = trail.visualConfig;
+      
+      // Get current position
+      const currentPos = this.getConeBottomPosition(cone);
+      
+      // Check if cone is moving
+      const velocity = Math.sqrt(cone.body.velocity.x ** 2 + cone.body.velocity.y ** 2);
+      const isMoving = velocity > 0.5 && cone.hasLaunched;
+      
+      // Always add position if cone is moving, or add final position when it stops
+      if (isMoving || (!trail.lastMoving && trail.positionHistory.length > 0)) {
+        trail.positionHistory.push({
+          x: currentPos.x,
+          y: currentPos.y,
+          timestamp: Date.now()
+        });
+      }
+      
+      // Store previous moving state
+      trail.lastMoving = isMoving;
+      
+      // Limit history length based on trail configuration
+      const maxHistory = visualConfig.lineLength || 50;
+      if (trail.positionHistory.length > maxHistory) {
+        trail.positionHistory.shift();
+      }
+      
+      // Remove old positions based on lifetime
+      const maxAge = visualConfig.lifetime || 2000;
+      const now = Date.now();
+      trail.positionHistory = trail.positionHistory.filter(pos => 
+        now - pos.timestamp < maxAge
+      );
+      
+      // Update line visual
+      this.updateLineVisual(trail);
+      
+      // If cone stopped and line is old enough, start fading it out
+      if (!isMoving && trail.positionHistory.length > 0) {
+        const oldestTime = trail.positionHistory[0].timestamp;
+        const age = now - oldestTime;
+        if (age > (maxAge * 0.7)) { // Start fading at 70% of lifetime
+          this.fadeOutLineTrail(trail);
+        }
+      }
+    }
+
+    updateLineVisual(trail) {
+      const visualConfig = trail.visualConfig;
+      
+      if (trail.positionHistory.length < 2) return;
+      
+      // Create SVG line if it doesn't exist
+      if (!trail.lineElement) {
+        trail.lineElement = this.createLineElement(trail);
+      }
+      
+      // Update the SVG path
+      this.updateLinePath(trail);
+    }
+
+    createLineElement(trail) {
+      const visualConfig = trail.visualConfig;
+      const colors = visualConfig.colors || ['#00ffff'];
+      const lineWidth = visualConfig.lineWidth || 3;
+      const neonIntensity = visualConfig.neonIntensity || 1;
+      const rainbowEffect = visualConfig.rainbowEffect || false;
+      
+      // Create SVG element
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        pointer-events: none;
+        z-index: 0;
+      `;
+      
+      // Create path element
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      let color = colors[0];
+      
+      // Rainbow effect setup
+      if (rainbowEffect) {
+        // Create a gradient for rainbow effect
+        const gradient = document.createElementNS('http://www.w3.org/2000/svg', 'linearGradient');
+        // Sanitize trail ID for SVG use (remove special characters)
+        const sanitizedId = trail.id.replace(/[^a-zA-Z0-9]/g, '');
+        gradient.id = `rainbow-gradient-${sanitizedId}`;
+        gradient.setAttribute('gradientUnits', 'userSpaceOnUse');
+        
+        // Rainbow colors
+        const rainbowColors = ['#ff0080', '#ff8000', '#ffff00', '#80ff00', '#00ff80', '#0080ff', '#8000ff'];
+        rainbowColors.forEach((c, i) => {
+          const stop = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
+          stop.setAttribute('offset', `${(i / (rainbowColors.length - 1)) * 100}%`);
+          stop.setAttribute('stop-color', c);
+          gradient.appendChild(stop);
+        });
+        
+        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        defs.appendChild(gradient);
+        svg.appendChild(defs);
+        
+        color = `url(#rainbow-gradient-${sanitizedId})`;
+        
+        // Add rainbow animation
+        const animateGradient = document.createElementNS('http://www.w3.org/2000/svg', 'animateTransform');
+        animateGradient.setAttribute('attributeName', 'gradientTransform');
+        animateGradient.setAttribute('type', 'rotate');
+        animateGradient.setAttribute('values', '0;360;0');
+        animateGradient.setAttribute('dur', '3s');
+        animateGradient.setAttribute('repeatCount', 'indefinite');
+        gradient.appendChild(animateGradient);
+      }
+      
+      // Neon glow effect with multiple shadow layers
+      const glowFilter = `
+        drop-shadow(0 0 ${2 * neonIntensity}px ${colors[0]})
+        drop-shadow(0 0 ${4 * neonIntensity}px ${colors[0]})
+        drop-shadow(0 0 ${8 * neonIntensity}px ${colors[0]})
+        drop-shadow(0 0 ${16 * neonIntensity}px ${colors[0]}66)
+      `;
+      
+      path.style.cssText = `
+        fill: none;
+        stroke: ${color};
+        stroke-width: ${lineWidth}px;
+        stroke-linecap: round;
+        stroke-linejoin: round;
+        filter: ${glowFilter};
+        opacity: 1;
+      `;
+      
+      svg.appendChild(path);
+      trail.lineElement = { svg, path, gradient: rainbowEffect ? gradient : null };
+      
+      this.lineContainer.appendChild(svg);
+      return trail.lineElement;
+    }
+
+    updateLinePath(trail) {
+      if (!trail.lineElement || trail.positionHistory.length < 2) return;
+      
+      const visualConfig = trail.visualConfig;
+      const fadeEffect = visualConfig.fadeEffect !== false; // Default to true
+      
+      // Create smooth curve through all points
+      let pathData = `M ${trail.positionHistory[0].x} ${trail.positionHistory[0].y}`;
+      
+      if (trail.positionHistory.length === 2) {
+        // Simple line for 2 points
+        pathData += ` L ${trail.positionHistory[1].x} ${trail.positionHistory[1].y}`;
+      } else {
+        // Smooth curve for multiple points
+        for (let i = 1; i < trail.positionHistory.length; i++) {
+          const curr = trail.positionHistory[i];
+          const prev = trail.positionHistory[i - 1];
+          
+          if (i === 1) {
+            pathData += ` Q ${prev.x} ${prev.y} ${curr.x} ${curr.y}`;
+          } else {
+            const next = trail.positionHistory[i + 1];
+            if (next) {
+              // Control point calculation for smooth curves
+              const cpX = curr.x + (prev.x - next.x) * 0.1;
+              const cpY = curr.y + (prev.y - next.y) * 0.1;
+              pathData += ` Q ${cpX} ${cpY} ${curr.x} ${curr.y}`;
+            } else {
+              pathData += ` L ${curr.x} ${curr.y}`;
+            }
+          }
+        }
+      }
+      
+      trail.lineElement.path.setAttribute('d', pathData);
+      
+      // Apply fade effect based on age
+      if (fadeEffect && trail.positionHistory.length > 0) {
+        const oldestTime = trail.positionHistory[0].timestamp;
+        const newestTime = trail.positionHistory[trail.positionHistory.length - 1].timestamp;
+        const age = Date.now() - oldestTime;
+        const maxAge = visualConfig.lifetime || 2000;
+        const opacity = Math.max(0.1, 1 - (age / maxAge));
+        trail.lineElement.path.style.opacity = opacity;
+      }
+    }
+
+    fadeOutLineTrail(trail) {
+      if (!trail.lineElement) return;
+      
+      // Accelerated fade out when cone stops
+      const path = trail.lineElement.path;
+      const currentOpacity = parseFloat(path.style.opacity) || 1;
+      const newOpacity = Math.max(0, currentOpacity - 0.05);
+      
+      path.style.opacity = newOpacity;
+      
+      // Remove line when fully faded
+      if (newOpacity <= 0) {
+        this.removeTrail(trail.id);
+      }
+    }
+
+    createParticle(x, y, color, size, lifetime, visualConfig, trail, particleIndex = 0) {
+      const particle = document.createElement('div');
+      
+      // Get shape/image for this trail type
+      const shape = this.getParticleShape(visualConfig, size, color, particleIndex);
+      
+      // Basic positioning
+      particle.style.cssText = `
+        position: absolute;
+        left: ${x - size/2}px;
+        top: ${y - size/2}px;
+        width: ${size}px;
+        height: ${size}px;
+        pointer-events: none;
+        z-index: 0;
+        ${shape.styles}
+      `;
+      
+      // Apply random initial rotation if effects.rotate is set
+      // rotate: true = fully random, rotate: 90 = random multiple of 90 (0, 90, 180, 270)
+      const effects = visualConfig.effects || {};
+      if (effects.rotate) {
+        const step = typeof effects.rotate === 'number' ? effects.rotate : 360;
+        const steps = Math.floor(360 / step);
+        const angle = Math.floor(Math.random() * steps) * step;
+        particle.style.transform = `rotate(${angle}deg)`;
+      }
+
+      // Add shape content (SVG, emoji, or styled div)
+      if (shape.content) {
+        particle.innerHTML = shape.content;
+      }
+
+      // Add to container
+      this.particleContainer.appendChild(particle);
+      
+      // Track for cleanup
+      if (!trail.activeParticles) trail.activeParticles = new Set();
+      trail.activeParticles.add(particle);
+      
+      // Physics from config with more variety
+      const physics = visualConfig.physics || {};
+      const velX = physics.velocityX ? 
+        physics.velocityX.min + Math.random() * (physics.velocityX.max - physics.velocityX.min) :
+        (Math.random() - 0.5) * 35;
+      const velY = physics.velocityY ? 
+        physics.velocityY.min + Math.random() * (physics.velocityY.max - physics.velocityY.min) :
+        Math.random() * 25 + 10;
+      const gravity = physics.gravity || 0.12;
+      
+      // Enhanced animations based on trail type
+      const trailType = visualConfig.type || 'default';
+      this.applyTrailSpecificAnimation(particle, trailType, visualConfig, lifetime, velX, velY, gravity, particleIndex);
+      
+      // Remove particle after animation
+      setTimeout(() => {
+        if (particle.parentNode) {
+          particle.parentNode.removeChild(particle);
+        }
+        if (trail.activeParticles) {
+          trail.activeParticles.delete(particle);
+        }
+      }, lifetime + 300);
+    }
+
+    applyTrailSpecificAnimation(particle, trailType, visualConfig, lifetime, velX, velY, gravity, particleIndex) {
+      const animationDelay = particleIndex * 50; // Stagger animations
+      
+      switch (trailType) {
+        case 'sparkle':
+          // Twinkling sparkle effect
+          particle.style.transition = `transform ${lifetime}ms ease-out, opacity ${lifetime}ms ease-in-out, filter ${lifetime/3}ms ease-in-out`;
+          particle.style.animation = `sparkle-twinkle ${lifetime/4}ms infinite alternate`;
+          setTimeout(() => {
+            const finalY = velY + (gravity * lifetime / 10);
+            const rotation = 360 + Math.random() * 720; // Multiple rotations
+            particle.style.transform = `translate(${velX}px, ${finalY}px) rotate(${rotation}deg) scale(0.3)`;
+            particle.style.opacity = '0';
+            particle.style.filter = 'brightness(2) blur(1px)';
+          }, animationDelay);
+          break;
+          
+        case 'fire':
+          // Flickering upward fire effect
+          particle.style.transition = `transform ${lifetime}ms cubic-bezier(0.68, -0.55, 0.265, 1.55), opacity ${lifetime}ms ease-out`;
+          particle.style.animation = `fire-flicker ${lifetime/6}ms infinite`;
+          setTimeout(() => {
+            const finalY = velY + (gravity * lifetime / 15); // Upward motion
+            const wobble = Math.sin(Date.now() * 0.01) * 10;
+            particle.style.transform = `translate(${velX + wobble}px, ${-finalY}px) scale(0.1)`;
+            particle.style.opacity = '0';
+          }, animationDelay);
+          break;
+        case 'glue':
+          // Dripping glue/cum effect - falls and stretches
+          particle.style.transition = `transform ${lifetime}ms ease-in, opacity ${lifetime}ms ease-out`;
+          setTimeout(() => {
+            const finalY = velY + (gravity * lifetime / 8); // Falls faster
+            const stretch = 1.5 + Math.random() * 1.5; // Stretches as it falls
+            particle.style.transform = `translate(${velX * 0.3}px, ${finalY}px) scaleY(${stretch}) scaleX(${1/stretch})`;
+            particle.style.opacity = '0';
+          }, animationDelay);
+          break;
+
+
+          
+        case 'electric':
+          // Lightning bolt shoots out and fades
+          particle.style.transition = `transform ${lifetime}ms linear, opacity ${lifetime * 0.8}ms ease-out`;
+          const randomRotation = Math.random() * 360;
+          particle.style.transform = `rotate(${randomRotation}deg)`;
+          setTimeout(() => {
+            const shootX = velX * 1.5;
+            const shootY = velY * 1.5;
+            particle.style.transform = `translate(${shootX}px, ${shootY}px) rotate(${randomRotation + (Math.random() - 0.5) * 90}deg) scale(0.3)`;
+            particle.style.opacity = '0';
+          }, animationDelay);
+          break;
+          
+        case 'ice':
+          // Slow, crystalline falling effect
+          particle.style.transition = `transform ${lifetime}ms linear, opacity ${lifetime}ms ease-in-out`;
+          particle.style.animation = `ice-shimmer ${lifetime/3}ms infinite`;
+          setTimeout(() => {
+            const finalY = velY + (gravity * lifetime / 8);
+            const drift = Math.sin(Date.now() * 0.005) * 15;
+            particle.style.transform = `translate(${velX + drift}px, ${finalY}px) rotate(${Math.random() * 180}deg)`;
+            particle.style.opacity = '0';
+          }, animationDelay);
+          break;
+          
+        case 'smoke':
+          // Smoke rises, expands and fades
+          particle.style.transition = `transform ${lifetime}ms ease-out, opacity ${lifetime}ms ease-out`;
+          setTimeout(() => {
+            const riseY = -Math.abs(velY) - 40; // Always rise up
+            const drift = (Math.random() - 0.5) * 30;
+            const expand = 1.5 + Math.random() * 0.8;
+            particle.style.transform = `translate(${drift}px, ${riseY}px) scale(${expand})`;
+            particle.style.opacity = '0';
+          }, animationDelay);
+          break;
+
+        case 'cosmic':
+          // Cosmic floats and pulses with rotation
+          particle.style.transition = `transform ${lifetime}ms ease-out, opacity ${lifetime}ms ease-out`;
+          setTimeout(() => {
+            const floatX = velX * 0.8;
+            const floatY = velY * 0.8;
+            const rotation = 180 + Math.random() * 360;
+            const scale = 0.3 + Math.random() * 0.4;
+            particle.style.transform = `translate(${floatX}px, ${floatY}px) rotate(${rotation}deg) scale(${scale})`;
+            particle.style.opacity = '0';
+          }, animationDelay);
+          break;
+           
+         case 'rainbow':
+           // Color-cycling rainbow effect
+           particle.style.transition = `transform ${lifetime}ms ease-out, opacity ${lifetime}ms ease-in-out`;
+           particle.style.animation = `rainbow-cycle ${lifetime/4}ms infinite linear`;
+           setTimeout(() => {
+             const finalY = velY + (gravity * lifetime / 12);
+             const bounce = Math.sin(Date.now() * 0.01) * 8;
+             particle.style.transform = `translate(${velX}px, ${finalY + bounce}px) scale(0.4)`;
+             particle.style.opacity = '0';
+           }, animationDelay);
+           break;
+           
+         case 'shadow':
+           // Mysterious shadow wisps
+           particle.style.transition = `transform ${lifetime}ms ease-in-out, opacity ${lifetime}ms ease-in-out`;
+           particle.style.animation = `shadow-wisp ${lifetime/4}ms infinite ease-in-out`;
+           setTimeout(() => {
+             const finalY = velY + (gravity * lifetime / 20);
+             const spiral = Math.sin(Date.now() * 0.008) * 20;
+             particle.style.transform = `translate(${velX + spiral}px, ${finalY}px) scale(0.2)`;
+             particle.style.opacity = '0';
+           }, animationDelay);
+           break;
+          
+        default:
+          // Standard animation - preserve any initial rotation
+          const initialRotation = particle.style.transform || '';
+          particle.style.transition = `transform ${lifetime}ms ease-out, opacity ${lifetime}ms ease-in-out`;
+          setTimeout(() => {
+            const finalY = velY + (gravity * lifetime / 12);
+            particle.style.transform = `translate(${velX}px, ${finalY}px) ${initialRotation}`;
+            particle.style.opacity = '0';
+          }, animationDelay);
+      }
+    }
+
+    createElectricPath(velX, velY, lifetime) {
+      const points = [];
+      const steps = 8;
+      for (let i = 0; i <= steps; i++) {
+        const progress = i / steps;
+        const x = velX * progress + (Math.random() - 0.5) * 30;
+        const y = velY * progress + (Math.random() - 0.5) * 20;
+        points.push({ x, y, time: (lifetime / steps) * i });
+      }
+      return points;
+    }
+
+    animateElectricParticle(particle, path, lifetime, delay) {
+      setTimeout(() => {
+        let currentPoint = 0;
+        const animateStep = () => {
+          if (currentPoint >= path.length) {
+            particle.style.opacity = '0';
+            return;
+          }
+          
+          const point = path[currentPoint];
+          particle.style.transform = `translate(${point.x}px, ${point.y}px)`;
+          particle.style.filter = `brightness(${2 + Math.random()}) blur(${Math.random()}px)`;
+          
+          currentPoint++;
+          setTimeout(animateStep, 60); // Erratic timing
+        };
+        animateStep();
+      }, delay);
+    }
+
+    getParticleShape(visualConfig, size, color, particleIndex = 0) {
+      const shape = visualConfig.shape || 'circle';
+      const trailType = visualConfig.type || 'default';
+      
+      // Check for custom image first
+      if (visualConfig.image) {
+        const images = Array.isArray(visualConfig.image) ? visualConfig.image : [visualConfig.image];
+        const imageUrl = images[particleIndex % images.length];
+        const effects = visualConfig.effects || {};
+        const hasGlow = effects.glow !== false;
+        const glowIntensity = effects.glowIntensity || (size/3);
+
+        return {
+          styles: `
+            background-image: url('${imageUrl}');
+            background-size: contain;
+            background-repeat: no-repeat;
+            background-position: center;
+            background-color: transparent;
+            ${hasGlow ? `filter: drop-shadow(0 0 ${glowIntensity}px ${color});` : ''}
+          `,
+          content: ''
+        };
+      }
+      
+      // Add variety within same trail type
+      const variation = particleIndex % 3;
+      
+      switch (trailType) {
+        case 'sparkle':
+          const sparkleVariations = [
+            // 4-pointed star
+            `<svg width="100%" height="100%" viewBox="0 0 24 24" fill="${color}">
+               <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
+             </svg>`,
+            // 6-pointed star
+            `<svg width="100%" height="100%" viewBox="0 0 24 24" fill="${color}">
+               <path d="M12,2 L15,9 L22,9 L17,14 L19,21 L12,17 L5,21 L7,14 L2,9 L9,9 Z"/>
+               <path d="M12,6 L10,10 L6,10 L9,13 L8,17 L12,15 L16,17 L15,13 L18,10 L14,10 Z" fill="${color}88"/>
+             </svg>`,
+            // Plus sparkle
+            `<svg width="100%" height="100%" viewBox="0 0 24 24" fill="${color}">
+               <path d="M12 1L12 23 M1 12L23 12" stroke="${color}" stroke-width="3" stroke-linecap="round"/>
+               <path d="M6 6L18 18 M18 6L6 18" stroke="${color}" stroke-width="2" stroke-linecap="round"/>
+             </svg>`
+          ];
+          return {
+            styles: `
+              background: transparent;
+              filter: drop-shadow(0 0 ${size}px ${color}) drop-shadow(0 0 ${size/2}px white);
+            `,
+            content: sparkleVariations[variation]
+          };
+          
+        case 'fire':
+          const fireVariations = [
+            // Bright flame core
+            `background: radial-gradient(ellipse at 50% 80%, #ffff80 0%, #ffcc00 15%, #ff8800 35%, ${color} 55%, #ff4400 75%, transparent 100%);
+             border-radius: 50% 50% 50% 50% / 60% 60% 35% 35%;
+             transform: scaleY(1.4);`,
+            // Hot ember
+            `background: radial-gradient(circle at 50% 60%, #ffffaa 0%, #ffdd00 20%, ${color} 45%, #ff3300 70%, transparent 100%);
+             border-radius: 50%;`,
+            // Flame tongue
+            `background: radial-gradient(ellipse at 50% 90%, #ffff66 0%, #ffaa00 25%, ${color} 50%, #ff2200 80%, transparent 100%);
+             border-radius: 45% 45% 50% 50% / 55% 55% 30% 30%;
+             transform: scaleY(1.6);`
+          ];
+          return {
+            styles: `
+              ${fireVariations[particleIndex % 3]}
+              box-shadow: 0 0 ${size*2}px ${color}, 0 0 ${size*3}px #ff6600aa, 0 0 ${size}px #ffcc00;
+              animation: fire-flicker 100ms infinite;
+            `,
+            content: ''
+          };
+          
+        case 'electric': {
+          // Lightning bolt SVGs
+          const boltSize = size * 1.8;
+          const electricVariations = [
+            // Classic lightning bolt
+            `<svg width="${boltSize}" height="${boltSize * 1.5}" viewBox="0 0 24 36" style="filter: drop-shadow(0 0 8px #00ffff) drop-shadow(0 0 16px #00bfff) drop-shadow(0 0 24px #0088ff);">
+              <path d="M13 1L5 15h6l-3 20 11-18h-7l6-16z" fill="#ffffff" stroke="${color}" stroke-width="0.5"/>
+              <path d="M12 3L6 14h5l-2 16 8-14h-5l5-13z" fill="${color}" opacity="0.8"/>
+            </svg>`,
+            // Jagged bolt
+            `<svg width="${boltSize}" height="${boltSize * 1.5}" viewBox="0 0 24 36" style="filter: drop-shadow(0 0 10px #00ffff) drop-shadow(0 0 20px #00bfff);">
+              <path d="M14 0L8 10l4 2-6 12 4 2-4 10 12-14-5-1 5-10-4-1z" fill="#ffffff" stroke="${color}" stroke-width="0.5"/>
+              <path d="M13 2L8 10l3 2-5 10 3 1-3 8 9-11-4-1 4-8-3-1z" fill="${color}" opacity="0.7"/>
+            </svg>`,
+            // Branching lightning
+            `<svg width="${boltSize * 1.3}" height="${boltSize * 1.5}" viewBox="0 0 30 36" style="filter: drop-shadow(0 0 8px #00ffff) drop-shadow(0 0 16px #00bfff);">
+              <path d="M15 0L10 12l5 1-8 23 10-16-4-1 4-8 6 4-3-10z" fill="#ffffff" stroke="${color}" stroke-width="0.5"/>
+              <path d="M20 8l6 10-4 8" fill="none" stroke="#ffffff" stroke-width="2.5"/>
+              <path d="M8 15l-5 8 3 6" fill="none" stroke="#ffffff" stroke-width="2"/>
+            </svg>`,
+            // Electric arc
+            `<svg width="${boltSize * 1.2}" height="${boltSize}" viewBox="0 0 30 24" style="filter: drop-shadow(0 0 10px #00ffff) drop-shadow(0 0 20px ${color});">
+              <path d="M0 12 Q5 4 10 12 T20 12 T30 12" fill="none" stroke="#ffffff" stroke-width="4" stroke-linecap="round"/>
+              <path d="M0 12 Q5 4 10 12 T20 12 T30 12" fill="none" stroke="${color}" stroke-width="2.5" stroke-linecap="round"/>
+              <circle cx="15" cy="12" r="3" fill="#ffffff"/>
+            </svg>`
+          ];
+          return {
+            styles: `
+              background: transparent;
+              animation: electric-flicker 60ms infinite;
+            `,
+            content: electricVariations[particleIndex % 4]
+          };
+        }
+          
+        case 'ice':
+          const iceVariations = [
+            // Snowflake
+            `<svg width="100%" height="100%" viewBox="0 0 24 24" fill="${color}">
+               <path d="M12 2v20M4.93 6.07l14.14 11.86M19.07 6.07L4.93 17.93M7 12h10M9.5 7.5l5 9M14.5 7.5l-5 9"/>
+             </svg>`,
+            // Ice crystal
+            `<svg width="100%" height="100%" viewBox="0 0 24 24" fill="${color}">
+               <path d="M12 2L8 8L12 12L16 8L12 2ZM12 12L8 16L12 22L16 16L12 12Z"/>
+             </svg>`,
+            // Hexagon ice
+            `<div style="width: 100%; height: 100%; background: ${color}; clip-path: polygon(30% 0%, 70% 0%, 100% 50%, 70% 100%, 30% 100%, 0% 50%);"></div>`
+          ];
+          return {
+            styles: `
+              background: transparent;
+              filter: drop-shadow(0 0 ${size/2}px ${color}) drop-shadow(0 0 ${size/4}px #FFFFFF);
+            `,
+            content: iceVariations[variation]
+          };
+          
+        case 'shadow':
+          const shadowVariations = [
+            // Wispy shadow
+            `background: radial-gradient(ellipse, ${color} 30%, transparent 70%);
+             border-radius: 60% 40% 40% 60%;`,
+            // Shadow orb
+            `background: radial-gradient(circle, ${color} 50%, transparent 80%);
+             border-radius: 50%;`,
+            // Flowing shadow
+            `background: linear-gradient(135deg, ${color} 0%, transparent 40%, ${color} 100%);
+             border-radius: 40% 60% 60% 40%;`
+          ];
+          return {
+            styles: `
+              ${shadowVariations[variation]}
+              box-shadow: 0 0 ${size*2}px ${color}66;
+            `,
+            content: ''
+          };
+          
+        case 'smoke': {
+          // Smoke cloud SVGs
+          const smokeSize = size * 1.8;
+          const smokeVariations = [
+            // Fluffy cloud
+            `<svg width="${smokeSize}" height="${smokeSize}" viewBox="0 0 50 50" style="filter: blur(2px);">
+              <ellipse cx="25" cy="30" rx="20" ry="15" fill="${color}" opacity="0.6"/>
+              <ellipse cx="18" cy="25" rx="12" ry="10" fill="${color}" opacity="0.5"/>
+              <ellipse cx="32" cy="22" rx="14" ry="11" fill="${color}" opacity="0.55"/>
+              <ellipse cx="25" cy="18" rx="10" ry="8" fill="${color}" opacity="0.4"/>
+            </svg>`,
+            // Wispy smoke
+            `<svg width="${smokeSize}" height="${smokeSize * 1.2}" viewBox="0 0 40 50" style="filter: blur(1.5px);">
+              <path d="M20 45 Q10 35 15 25 Q8 20 12 12 Q18 5 22 10 Q28 5 32 12 Q38 18 30 25 Q35 35 20 45" fill="${color}" opacity="0.5"/>
+              <ellipse cx="20" cy="35" rx="12" ry="8" fill="${color}" opacity="0.4"/>
+            </svg>`,
+            // Puff cloud
+            `<svg width="${smokeSize}" height="${smokeSize}" viewBox="0 0 50 50" style="filter: blur(2.5px);">
+              <circle cx="25" cy="28" r="15" fill="${color}" opacity="0.5"/>
+              <circle cx="18" cy="22" r="10" fill="${color}" opacity="0.45"/>
+              <circle cx="32" cy="20" r="11" fill="${color}" opacity="0.4"/>
+              <circle cx="25" cy="15" r="8" fill="${color}" opacity="0.35"/>
+            </svg>`
+          ];
+          return {
+            styles: `
+              background: transparent;
+              opacity: 0.7;
+            `,
+            content: smokeVariations[particleIndex % 3]
+          };
+        }
+
+        case 'cosmic': {
+          // Nebula/galaxy effect with stars
+          const cosmicSize = size * 1.5;
+          const cosmicVariations = [
+            // Spiral galaxy
+            `<svg width="${cosmicSize}" height="${cosmicSize}" viewBox="0 0 50 50" style="filter: drop-shadow(0 0 8px ${color}) drop-shadow(0 0 15px #9b59b6);">
+              <defs>
+                <radialGradient id="nebula1" cx="50%" cy="50%" r="50%">
+                  <stop offset="0%" stop-color="#ffffff"/>
+                  <stop offset="20%" stop-color="${color}"/>
+                  <stop offset="50%" stop-color="#9b59b6"/>
+                  <stop offset="80%" stop-color="#3498db"/>
+                  <stop offset="100%" stop-color="transparent"/>
+                </radialGradient>
+              </defs>
+              <circle cx="25" cy="25" r="20" fill="url(#nebula1)"/>
+              <circle cx="25" cy="25" r="3" fill="#ffffff"/>
+              <circle cx="18" cy="15" r="1.5" fill="#ffffff" opacity="0.9"/>
+              <circle cx="35" cy="20" r="1" fill="#ffffff" opacity="0.8"/>
+              <circle cx="30" cy="35" r="1.2" fill="#ffffff" opacity="0.85"/>
+            </svg>`,
+            // Colorful nebula cloud
+            `<svg width="${cosmicSize}" height="${cosmicSize}" viewBox="0 0 50 50" style="filter: drop-shadow(0 0 10px ${color}) blur(0.5px);">
+              <ellipse cx="25" cy="25" rx="18" ry="15" fill="${color}" opacity="0.7"/>
+              <ellipse cx="20" cy="20" rx="12" ry="10" fill="#e74c3c" opacity="0.5"/>
+              <ellipse cx="30" cy="28" rx="10" ry="8" fill="#3498db" opacity="0.5"/>
+              <ellipse cx="25" cy="22" rx="8" ry="6" fill="#f39c12" opacity="0.4"/>
+              <circle cx="25" cy="25" r="2" fill="#ffffff"/>
+              <circle cx="18" cy="18" r="1" fill="#ffffff" opacity="0.8"/>
+              <circle cx="32" cy="22" r="1" fill="#ffffff" opacity="0.7"/>
+            </svg>`,
+            // Starburst
+            `<svg width="${cosmicSize}" height="${cosmicSize}" viewBox="0 0 50 50" style="filter: drop-shadow(0 0 12px ${color});">
+              <defs>
+                <radialGradient id="star1" cx="50%" cy="50%" r="50%">
+                  <stop offset="0%" stop-color="#ffffff"/>
+                  <stop offset="30%" stop-color="${color}"/>
+                  <stop offset="100%" stop-color="transparent"/>
+                </radialGradient>
+              </defs>
+              <circle cx="25" cy="25" r="18" fill="url(#star1)"/>
+              <path d="M25 5 L25 45 M5 25 L45 25 M10 10 L40 40 M40 10 L10 40" stroke="${color}" stroke-width="1" opacity="0.4"/>
+              <circle cx="25" cy="25" r="4" fill="#ffffff"/>
+            </svg>`
+          ];
+          return {
+            styles: `
+              background: transparent;
+              animation: cosmic-pulse 2s ease-in-out infinite alternate;
+            `,
+            content: cosmicVariations[particleIndex % 3]
+          };
+        }
+           
+         case 'rainbow':
+           const rainbowVariations = [
+             // Rainbow gradient orb
+             `background: radial-gradient(circle, ${color} 30%, transparent 70%);
+              border-radius: 50%;`,
+             // Prism effect
+             `background: linear-gradient(45deg, #FF0000, #FF7F00, #FFFF00, #00FF00, #0000FF, #4B0082, #9400D3);
+              border-radius: 50%;`,
+             // Rainbow stripe
+             `background: linear-gradient(90deg, 
+                #FF0000 0%, #FF7F00 14%, #FFFF00 28%, #00FF00 42%, 
+                #0000FF 57%, #4B0082 71%, #9400D3 85%, #FF1493 100%);
+              border-radius: 20%;`
+           ];
+           return {
+             styles: `
+               ${rainbowVariations[variation]}
+               box-shadow: 0 0 ${size}px ${color}66, 0 0 ${size/2}px #FFFFFF;
+             `,
+             content: ''
+           };
+           
+         case 'golden':
+           return {
+             styles: `
+               background: radial-gradient(circle, ${color} 30%, #FFD700 60%, #FFA500 100%);
+               border-radius: 50%;
+               box-shadow: 0 0 ${size*1.5}px ${color}aa, 0 0 ${size/2}px #FFD700, inset 0 0 ${size/4}px rgba(255,255,255,0.6);
+             `,
+             content: ''
+           };
+
+        case 'glue': {
+          // Dripping glue effect with teardrop SVG shapes
+          const height = size * 2.2;
+          const width = size * 0.9;
+          const glueVariations = [
+            // Teardrop drip
+            `<svg width="${width}" height="${height}" viewBox="0 0 20 50" style="filter: drop-shadow(0 0 3px rgba(255,255,255,0.8));">
+              <defs>
+                <radialGradient id="glue1" cx="40%" cy="30%" r="60%">
+                  <stop offset="0%" stop-color="#ffffff"/>
+                  <stop offset="50%" stop-color="#f5f5f5"/>
+                  <stop offset="100%" stop-color="#e8e8e8"/>
+                </radialGradient>
+              </defs>
+              <ellipse cx="10" cy="38" rx="8" ry="10" fill="url(#glue1)"/>
+              <path d="M10 5 Q6 20 4 30 Q2 38 10 38 Q18 38 16 30 Q14 20 10 5" fill="url(#glue1)"/>
+            </svg>`,
+            // Fat drip blob
+            `<svg width="${width}" height="${height}" viewBox="0 0 20 50" style="filter: drop-shadow(0 0 4px rgba(255,255,255,0.9));">
+              <defs>
+                <radialGradient id="glue2" cx="35%" cy="35%" r="65%">
+                  <stop offset="0%" stop-color="#ffffff"/>
+                  <stop offset="60%" stop-color="#fafafa"/>
+                  <stop offset="100%" stop-color="#eeeeee"/>
+                </radialGradient>
+              </defs>
+              <ellipse cx="10" cy="35" rx="9" ry="12" fill="url(#glue2)"/>
+              <path d="M10 3 Q5 15 3 28 Q2 35 10 35 Q18 35 17 28 Q15 15 10 3" fill="url(#glue2)"/>
+            </svg>`,
+            // Long thin drip
+            `<svg width="${width * 0.7}" height="${height * 1.2}" viewBox="0 0 14 60" style="filter: drop-shadow(0 0 3px rgba(255,255,255,0.7));">
+              <defs>
+                <radialGradient id="glue3" cx="40%" cy="30%" r="60%">
+                  <stop offset="0%" stop-color="#ffffff"/>
+                  <stop offset="40%" stop-color="#f8f8f8"/>
+                  <stop offset="100%" stop-color="#e5e5e5"/>
+                </radialGradient>
+              </defs>
+              <ellipse cx="7" cy="50" rx="6" ry="8" fill="url(#glue3)"/>
+              <path d="M7 2 Q4 20 3 35 Q2 50 7 50 Q12 50 11 35 Q10 20 7 2" fill="url(#glue3)"/>
+            </svg>`
+          ];
+          return {
+            styles: `
+              background: transparent;
+              display: flex;
+              align-items: flex-start;
+              justify-content: center;
+              width: ${width}px !important;
+              height: ${height}px !important;
+            `,
+            content: glueVariations[particleIndex % 3]
+          };
+        }
+
+          
+        default:
+          return {
+            styles: `
+              background: radial-gradient(circle, ${color}, ${color}88);
+              border-radius: 50%;
+              box-shadow: 0 0 ${size*1.5}px ${color}77, inset 0 0 ${size/4}px rgba(255,255,255,0.4);
+            `,
+            content: ''
+          };
+      }
+    }
+
+
+
+    removeTrail(trailId) {
+      const trail = this.activeTrails.get(trailId);
+      if (trail) {
+        // Clean up any remaining particles
+        if (trail.activeParticles) {
+          trail.activeParticles.forEach(particle => {
+            if (particle.parentNode) {
+              particle.parentNode.removeChild(particle);
+            }
+          });
+          trail.activeParticles.clear();
+        }
+        
+        // Clean up line element
+        if (trail.lineElement && trail.lineElement.svg) {
+          if (trail.lineElement.svg.parentNode) {
+            trail.lineElement.svg.parentNode.removeChild(trail.lineElement.svg);
+          }
+        }
+      }
+      this.activeTrails.delete(trailId);
+    }
+
+    removeAllTrails() {
+      // Clean up all particles and lines
+      for (const [trailId, trail] of this.activeTrails) {
+        if (trail.activeParticles) {
+          trail.activeParticles.forEach(particle => {
+            if (particle.parentNode) {
+              particle.parentNode.removeChild(particle);
+            }
+          });
+        }
+        
+        // Clean up line elements
+        if (trail.lineElement && trail.lineElement.svg) {
+          if (trail.lineElement.svg.parentNode) {
+            trail.lineElement.svg.parentNode.removeChild(trail.lineElement.svg);
+          }
+        }
+      }
+      this.activeTrails.clear();
+      
+      // Clear containers
+      if (this.particleContainer) {
+        this.particleContainer.innerHTML = '';
+      }
+      if (this.lineContainer) {
+        this.lineContainer.innerHTML = '';
+      }
+    }
+  }
+
+  /**
+   * Live preview of a trail: a stand-in cone loops around the container and a TrailManager
+   * draws the trail behind it. Runs while the container is visible.
+   * @param {HTMLElement} container - Positioned element to draw in
+   * @param {Object} options - { onError(error) } when a half-typed trail can't be drawn
+   * @returns {Object} { show(trailConfig) }, show(null) clears the trail
+   */
+  TrailManager.createPreview = function (container, options = {}) {
+    const manager = new TrailManager({ container, loadConfigs: false });
+    const cone = { name: 'preview', hasLaunched: true, isRemoved: false, body: { position: { x: 0, y: 0 }, velocity: { x: 0, y: 0 }, angle: 0 } };
+    const coneImage = document.createElement('img');
+    coneImage.src = '/skins/cone_default.png';
+    coneImage.alt = '';
+    coneImage.style.cssText = 'position: absolute; width: 30px; pointer-events: none; z-index: 1;';
+    container.appendChild(coneImage);
+    let time = 0;
+
+    function animate() {
+      // Stops for good once the container leaves the page
+      if (!container.isConnected) return;
+      if (container.offsetParent !== null) {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        time += 0.02;
+
+        const x = width / 2 + (width / 2 - 40) * Math.sin(time * 1.3);
+        const y = height / 2 + (height / 2 - 40) * Math.sin(time * 2.1);
+        cone.body.velocity = { x: x - cone.body.position.x, y: y - cone.body.position.y };
+        cone.body.position = { x, y };
+        // Point the cone's base, where the trail starts, away from where it flies
+        cone.body.angle = Math.atan2(-cone.body.velocity.x, cone.body.velocity.y);
+
+        coneImage.style.left = `${x - coneImage.offsetWidth / 2}px`;
+        coneImage.style.top = `${y - coneImage.offsetHeight / 2}px`;
+        coneImage.style.transform = `rotate(${cone.body.angle}rad)`;
+
+        try {
+          manager.updateTrails();
+        } catch (error) {
+          manager.removeAllTrails();
+          if (options.onError) options.onError(error);
+        }
+      }
+      requestAnimationFrame(animate);
+    }
+    requestAnimationFrame(animate);
+
+    return {
+      show(trailConfig) {
+        manager.removeAllTrails();
+        if (trailConfig && trailConfig.visuals && trailConfig.visuals.type !== 'none') {
+          manager.createTrail(cone, trailConfig);
+        }
+      }
+    };
+  };
+
+  global.TrailManager = TrailManager;
+})(window);
@@ -74,6 +74,19 @@ const config = {
     // Level up chat messages (default: disabled)
     LEVEL_UP_CHAT_ENABLED: setupConfig.LEVEL_UP_CHAT_ENABLED === true || setupConfig.LEVEL_UP_CHAT_ENABLED === 'true',
 
+    // how long the overlay has to report a flip result before its ticket is rejected
+    FLIP_TICKET_TTL: parseInt(process.env.FLIP_TICKET_TTL || '600000'),
+
+    // queued flips are re-sent if the overlay doesn't report a result in time, then dropped after max attempts
+    QUEUE_ACK_TIMEOUT: parseInt(process.env.QUEUE_ACK_TIMEOUT || '120000'),
+    QUEUE_MAX_ATTEMPTS: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5'),
+
+    // channel point flips with no recorded result are refunded after this long
+    REDEMPTION_REFUND_TIMEOUT: parseInt(process.env.REDEMPTION_REFUND_TIMEOUT || '900000'),
+
+    // use the in-memory Helix client instead of calling Twitch (offline testing)
+    HELIX_MOCK: process.env.HELIX_MOCK === 'true',
+
     // rate limits
     RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW || '60000'),
     RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX || '10'),
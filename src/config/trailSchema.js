@@ -0,0 +1,232 @@
+// Schema of the trail files in public/trails. TrailService checks every file against it when
+// trails load and when the admin trail editor saves one, so a typo can't break the overlay.
+//
+// A field is { type, required, ...rules }:
+//   string  - pattern, maxLength, enum
+//   number  - min, max, integer
+//   boolean
+//   range   - { min, max } object with min <= max, both between min and max
+//   array   - items (a field), minItems, maxItems
+//   object  - properties (fields), unknown keys are errors
+//   anyOf   - options (fields), the value has to match one of them
+
+const TRAIL_TIERS = ['default', 'gold', 'covert', 'classified', 'restricted', 'mil-spec'];
+
+// visuals.type values TrailManager (public/trail-manager.js) knows how to draw. Image trails
+// such as custom and hearts are drawn from their images with the default animation
+const PARTICLE_TYPES = ['sparkle', 'fire', 'glue', 'electric', 'ice', 'smoke', 'cosmic', 'rainbow', 'shadow', 'golden', 'custom', 'hearts'];
+const VISUAL_TYPES = ['none', 'line', ...PARTICLE_TYPES];
+
+const COLOR = { type: 'string', pattern: /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i };
+// Images in public/trails/content or inline data URLs
+const IMAGE = { type: 'string', pattern: /^((\.\.)?\/trails\/content\/[a-z0-9_.-]+\.(png|jpe?g|webp|gif|avif|svg)|data:image\/(png|jpeg|webp|gif|avif|svg\+xml);base64,[a-z0-9+/=]+)$/i };
+const VELOCITY = { type: 'range', min: -500, max: 500 };
+
+const TRAIL_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', required: true, pattern: /^[a-z0-9-]{1,32}$/ },
+        displayName: { type: 'string', required: true, maxLength: 50 },
+        type: { type: 'string', required: true, enum: ['particle', 'none'] },
+        author: { type: 'string', maxLength: 50 },
+        description: { type: 'string', maxLength: 200 },
+        canUnbox: { type: 'boolean' },
+        tier: { type: 'string', enum: TRAIL_TIERS },
+        unboxWeight: { type: 'number', min: 0, max: 1000 },
+        visuals: {
+            type: 'object',
+            required: true,
+            properties: {
+                type: { type: 'string', required: true, enum: VISUAL_TYPES },
+                shape: { type: 'string', enum: ['circle', 'image', ...VISUAL_TYPES] },
+                image: {
+                    type: 'anyOf',
+                    options: [IMAGE, { type: 'array', items: IMAGE, minItems: 1, maxItems: 12 }]
+                },
+                colors: { type: 'array', items: COLOR, maxItems: 12 },
+                particleCount: { type: 'number', min: 0.1, max: 6 },
+                size: { type: 'range', min: 1, max: 100 },
+                lifetime: { type: 'number', min: 100, max: 10000, integer: true },
+                emissionRate: { type: 'number', min: 0.1, max: 60 },
+                lineWidth: { type: 'number', min: 0.5, max: 20 },
+                lineLength: { type: 'number', min: 2, max: 500, integer: true },
+                neonIntensity: { type: 'number', min: 0, max: 10 },
+                fadeEffect: { type: 'boolean' },
+                rainbowEffect: { type: 'boolean' },
+                physics: {
+                    type: 'object',
+                    properties: {
+                        gravity: { type: 'number', min: -5, max: 5 },
+                        velocityX: VELOCITY,
+                        velocityY: VELOCITY
+                    }
+                },
+                effects: {
+                    type: 'object',
+                    properties: {
+                        glow: { type: 'boolean' },
+                        glowIntensity: { type: 'number', min: 0, max: 10 },
+                        fadeOut: { type: 'boolean' },
+                        // true for any angle, a number for multiples of it
+                        rotate: { type: 'anyOf', options: [{ type: 'boolean' }, { type: 'number', min: 1, max: 360 }] },
+                        spin: { type: 'boolean' },
+                        flicker: { type: 'boolean' },
+                        expand: { type: 'boolean' },
+                        twinkle: { type: 'boolean' },
+                        laser: { type: 'boolean' },
+                        neon: { type: 'boolean' },
+                        bright: { type: 'boolean' },
+                        smooth: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+function describe(value) {
+    if (Array.isArray(value)) return 'a list';
+    if (value === null) return 'null';
+    return typeof value === 'object' ? 'an object' : JSON.stringify(value);
+}
+
+// Errors of a value against a field, as "path: message"
+function check(field, value, path, errors) {
+    switch (field.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(`${path}: must be text, not ${describe(value)}`);
+            } else if (field.enum && !field.enum.includes(value)) {
+                errors.push(`${path}: must be one of ${field.enum.join(', ')}`);
+            } else if (field.pattern && !field.pattern.test(value)) {
+                errors.push(`${path}: ${describe(value.length > 60 ? `${value.slice(0, 60)}...` : value)} is not allowed here`);
+            } else if (field.maxLength && value.length > field.maxLength) {
+                errors.push(`${path}: must be ${field.maxLength} characters or less`);
+            }
+            break;
+
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${path}: must be a number, not ${describe(value)}`);
+            } else if (value < field.min || value > field.max) {
+                errors.push(`${path}: must be between ${field.min} and ${field.max}`);
+            } else if (field.integer && !Number.isInteger(value)) {
+                errors.push(`${path}: must be a whole number`);
+            }
+            break;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push(`${path}: must be true or false, not ${describe(value)}`);
+            }
+            break;
+
+        case 'range': {
+            const bound = { type: 'number', min: field.min, max: field.max };
+            check({ type: 'object', properties: { min: { ...bound, required: true }, max: { ...bound, required: true } } }, value, path, errors);
+            if (value && typeof value.min === 'number' && typeof value.max === 'number' && value.min > value.max) {
+                errors.push(`${path}: min must not be above max`);
+            }
+            break;
+        }
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: must be a list, not ${describe(value)}`);
+            } else if (value.length < (field.minItems || 0) || value.length > field.maxItems) {
+                errors.push(`${path}: must have ${field.minItems || 0} to ${field.maxItems} items`);
+            } else {
+                value.forEach((item, index) => check(field.items, item, `${path}[${index}]`, errors));
+            }
+            break;
+
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path}: must be an object, not ${describe(value)}`);
+                break;
+            }
+            for (const [key, property] of Object.entries(field.properties)) {
+                if (value[key] === undefined) {
+                    if (property.required) errors.push(`${path}.${key}: is required`);
+                } else {
+                    check(property, value[key], `${path}.${key}`, errors);
+                }
+            }
+            for (const key of Object.keys(value)) {
+                if (!field.properties[key]) {
+                    errors.push(`${path}.${key}: is not a trail setting`);
+                }
+            }
+            break;
+
+        case 'anyOf': {
+            const results = field.options.map(option => {
+                const optionErrors = [];
+                check(option, value, path, optionErrors);
+                return optionErrors;
+            });
+            if (results.every(result => result.length > 0)) {
+                // The closest option explains it best
+                errors.push(...results.reduce((best, result) => result.length < best.length ? result : best));
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Check a trail against the schema and the rules between its settings
+ * @param {Object} trail - Parsed trail file
+ * @returns {string[]} Errors as "path: message", empty if the trail is valid
+ */
+function validateTrail(trail) {
+    const errors = [];
+    check(TRAIL_SCHEMA, trail, 'trail', errors);
+    if (errors.length > 0) return errors;
+
+    const visuals = trail.visuals;
+    if ((trail.type === 'none') !== (visuals.type === 'none')) {
+        errors.push('trail.type: must be none exactly when visuals.type is none');
+    }
+    if (visuals.type === 'line') {
+        if (!visuals.colors || visuals.colors.length === 0) {
+            errors.push('trail.visuals.colors: a line needs a color');
+        }
+    } else if (visuals.type !== 'none') {
+        for (const key of ['size', 'lifetime', 'particleCount']) {
+            if (visuals[key] === undefined) {
+                errors.push(`trail.visuals.${key}: is required for ${visuals.type} particles`);
+            }
+        }
+        if (!visuals.image && (!visuals.colors || visuals.colors.length === 0)) {
+            errors.push('trail.visuals.colors: particles need a color or an image');
+        }
+        if (visuals.shape === 'image' && !visuals.image) {
+            errors.push('trail.visuals.image: is required for the image shape');
+        }
+    }
+    if (trail.canUnbox && (!trail.tier || trail.tier === 'default')) {
+        errors.push('trail.tier: a trail that can be unboxed needs a grade');
+    }
+    return errors;
+}
+
+// The schema for the admin panel, patterns as strings
+function describeSchema(field = TRAIL_SCHEMA) {
+    return Object.fromEntries(Object.entries(field).map(([key, value]) => {
+        if (value instanceof RegExp) return [key, value.source];
+        if (key === 'properties') {
+            return [key, Object.fromEntries(Object.entries(value).map(([name, property]) => [name, describeSchema(property)]))];
+        }
+        if (key === 'items') return [key, describeSchema(value)];
+        if (key === 'options') return [key, value.map(option => describeSchema(option))];
+        return [key, value];
+    }));
+}
+
+module.exports = {
+    TRAIL_SCHEMA,
+    VISUAL_TYPES,
+    validateTrail,
+    describeSchema
+};
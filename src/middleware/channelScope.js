@@ -0,0 +1,20 @@
+const ChannelService = require('../services/channelService');
+const { NotFoundError } = require('./errorHandler');
+
+// Scope the rest of the request to a channel picked with ?channel= or the X-ConeFlip-Channel header.
+// Requests without either use the primary channel, so single-channel setups need no changes.
+const channelScope = (req, res, next) => {
+    const requested = req.query.channel || req.get('X-ConeFlip-Channel');
+    const channel = requested ? ChannelService.normalize(requested) : ChannelService.getPrimary();
+
+    if (!ChannelService.has(channel)) {
+        throw new NotFoundError(`Unknown channel: ${requested}`);
+    }
+
+    req.channel = channel;
+    ChannelService.run(channel, next);
+};
+
+module.exports = {
+    channelScope
+};
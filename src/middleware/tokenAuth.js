@@ -57,18 +57,20 @@ const requireToken = (req, res, next) => {
 };
 
 // Middleware to check Twitch OAuth for admin routes (replaces password auth)
+// Admin access is per channel: the streamer and admins of the request's channel, plus server admins
 const requireDebugAuth = (req, res, next) => {
     // Check if user is authenticated via session
     if (!req.session.user || !req.session.user.id) {
         throw new AuthenticationError('Twitch authentication required');
     }
 
-    // Check if user is admin
-    if (!req.session.user.is_admin) {
+    // Check admin status LIVE for the channel this request is scoped to
+    const AuthService = require('../services/authService');
+    if (!AuthService.isAdmin(req.session.user)) {
         throw new AuthenticationError('Admin access required');
     }
 
-    logger.info(`Admin access granted to: ${req.session.user.login}`);
+    logger.info(`Admin access granted to: ${req.session.user.login} (${req.channel})`);
     next();
 };
 
@@ -84,23 +86,59 @@ const requireModeratorAuth = (req, res, next) => {
     const AuthService = require('../services/authService');
     const isModerator = AuthService.isModerator(req.session.user);
 
-    // Update session if moderator status changed
-    if (isModerator !== req.session.user.is_moderator) {
-        req.session.user.is_moderator = isModerator;
-        logger.info(`Updated moderator status for ${req.session.user.login}: ${isModerator}`);
+    // Check if user is admin or moderator of this channel
+    if (!isModerator) {
+        throw new AuthenticationError('Moderator access required');
     }
 
-    // Check if user is admin or moderator
-    if (!req.session.user.is_admin && !isModerator) {
-        throw new AuthenticationError('Moderator access required');
+    logger.info(`Moderator access granted to: ${req.session.user.login} (${req.channel})`);
+    next();
+};
+
+// Middleware for managing channels and for settings every channel shares (settings files, skin catalog,
+// unbox odds), only whoever runs the server may change those
+const requireServerAdminAuth = (req, res, next) => {
+    if (!req.session.user || !req.session.user.id) {
+        throw new AuthenticationError('Twitch authentication required');
+    }
+
+    const AuthService = require('../services/authService');
+    if (!AuthService.isServerAdmin(req.session.user)) {
+        throw new AuthenticationError('Server admin access required');
     }
 
-    logger.info(`Moderator access granted to: ${req.session.user.login}`);
+    next();
+};
+
+// Middleware for moderating the shared skin and trail catalog: server admins and moderators of the primary channel
+const requireServerModeratorAuth = (req, res, next) => {
+    if (!req.session.user || !req.session.user.id) {
+        throw new AuthenticationError('Twitch authentication required');
+    }
+
+    const AuthService = require('../services/authService');
+    const ChannelService = require('../services/channelService');
+    if (!AuthService.isModerator(req.session.user, ChannelService.getPrimary())) {
+        throw new AuthenticationError('Moderator access to the main channel required');
+    }
+
+    logger.info(`Catalog moderator access granted to: ${req.session.user.login}`);
+    next();
+};
+
+// Middleware for viewers acting on their own profile, any Twitch login will do
+const requireTwitchAuth = (req, res, next) => {
+    if (!req.session.user || !req.session.user.id) {
+        throw new AuthenticationError('Twitch authentication required');
+    }
     next();
 };
 
 module.exports = {
     requireToken,
+    requireTwitchAuth,
     requireDebugAuth,
-    requireModeratorAuth
+    requireModeratorAuth,
+    requireServerAdminAuth,
+    requireServerModeratorAuth
 }; 
\ No newline at end of file
@@ -211,6 +211,44 @@ const validateLeaderboardQuery = (req, res, next) => {
     }
 };
 
+const validateMatchHistoryQuery = (req, res, next) => {
+    try {
+        const { page, limit, gameType, outcome, upsideDown } = req.query;
+
+        const validatedData = {
+            name: validateUsername(req.params.name),
+            page: page ? validateInteger(page, 'page', 1) : 1,
+            limit: limit ? validateInteger(limit, 'limit', 1, 100) : 20,
+            gameType: null,
+            outcome: null,
+            upsideDown: null
+        };
+
+        if (gameType) {
+            if (!['coneflip', 'duel'].includes(gameType)) {
+                throw validationError('gameType must be coneflip or duel', 'gameType');
+            }
+            validatedData.gameType = gameType;
+        }
+
+        if (outcome) {
+            if (!['win', 'loss'].includes(outcome)) {
+                throw validationError('outcome must be win or loss', 'outcome');
+            }
+            validatedData.outcome = outcome;
+        }
+
+        if (upsideDown !== undefined) {
+            validatedData.upsideDown = validateBoolean(upsideDown, 'upsideDown');
+        }
+
+        req.validatedData = validatedData;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 // debug auth
 const validateDebugAuth = (req, res, next) => {
     try {
@@ -309,6 +347,7 @@ module.exports = {
     validateDuel,
     validateSetSkin,
     validateLeaderboardQuery,
+    validateMatchHistoryQuery,
     validateDebugAuth,
     validateDebugAction,
     createRateLimiter
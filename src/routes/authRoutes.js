@@ -3,6 +3,7 @@ const router = express.Router();
 const { asyncHandler } = require('../middleware/errorHandler');
 const { config } = require('../config/environment');
 const AuthService = require('../services/authService');
+const ChannelService = require('../services/channelService');
 const logger = require('../utils/logger');
 
 // Authentication middleware
@@ -136,7 +137,14 @@ router.get('/user', (req, res) => {
         const { access_token, ...safeUser } = req.session.user;
         res.json({
             status: 'success',
-            data: safeUser
+            data: {
+                ...safeUser,
+                // Channels this user can open in the admin and mod panels
+                admin_channels: AuthService.getAdminChannels(req.session.user),
+                moderator_channels: AuthService.getModeratorChannels(req.session.user),
+                server_admin: AuthService.isServerAdmin(req.session.user),
+                primary_channel: ChannelService.getPrimary()
+            }
         });
     } else {
         res.json({
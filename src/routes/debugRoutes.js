@@ -1,7 +1,8 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const { asyncHandler } = require('../middleware/errorHandler');
-const { requireDebugAuth, requireModeratorAuth } = require('../middleware/tokenAuth');
+const { asyncHandler, ValidationError, NotFoundError, AuthenticationError } = require('../middleware/errorHandler');
+const { requireDebugAuth, requireModeratorAuth, requireServerAdminAuth, requireServerModeratorAuth } = require('../middleware/tokenAuth');
 const { createRateLimiter } = require('../middleware/validation');
 const GameService = require('../services/gameService');
 const LeaderboardService = require('../services/leaderboardService');
@@ -10,6 +11,19 @@ const DatabaseService = require('../services/databaseService');
 const TwitchService = require('../services/twitchService');
 const TokenService = require('../services/tokenService');
 const SubmissionService = require('../services/submissionService');
+const CommandService = require('../services/commandService');
+const MessageService = require('../services/messageService');
+const CoinService = require('../services/coinService');
+const PityService = require('../services/pityService');
+const RatingService = require('../services/ratingService');
+const UnboxLogService = require('../services/unboxLogService');
+const CaseService = require('../services/caseService');
+const SeasonService = require('../services/seasonService');
+const ChannelService = require('../services/channelService');
+const AuthService = require('../services/authService');
+const SkinPackService = require('../services/skinPackService');
+const TrailService = require('../services/trailService');
+const { describeSchema } = require('../config/trailSchema');
 const logger = require('../utils/logger');
 
 // Standalone browser info parser
@@ -191,7 +205,8 @@ router.post('/simulate/unbox',
         const { 
             name = 'debug_user',
             forceSkin = null,
-            count = 1
+            count = 1,
+            caseId = null
         } = req.body;
 
         const results = [];
@@ -207,7 +222,7 @@ router.post('/simulate/unbox',
                 await SkinService.addSkinToInventory(name, forceSkin, null, 1);
                 result.forced = true;
             } else {
-                result = await SkinService.setRandomSkin(name);
+                result = await SkinService.setRandomSkin(name, null, null, caseId);
             }
             
             results.push(result);
@@ -221,13 +236,15 @@ router.post('/simulate/unbox',
                 await GameService.triggerUnboxAnimation(
                     name,
                     '__trail__',
-                    chatMessage
+                    chatMessage,
+                    result.caseId
                 );
             } else if (result.success && result.skin) {
                 await GameService.triggerUnboxAnimation(
                     name,
                     result.skin,
-                    chatMessage
+                    chatMessage,
+                    result.caseId
                 );
 
                 // BACKUP: Emit user skin update directly from here
@@ -251,7 +268,7 @@ router.post('/simulate/unbox',
             }
         }
         
-        logger.info('Debug unbox simulation', { name, count, forceSkin, results });
+        logger.info('Debug unbox simulation', { name, count, forceSkin, caseId, results });
         
         res.json({
             status: 'success',
@@ -278,8 +295,9 @@ router.post('/simulate/buycone',
         }
 
         // Set pending state like a real redeem would, then process
-        TwitchService.pendingBuyCone.set(username, { skin: null, timestamp: Date.now() });
-        setTimeout(() => TwitchService.pendingBuyCone.delete(username), 60000);
+        const pendingKey = TwitchService.pendingKey(username);
+        TwitchService.pendingBuyCone.set(pendingKey, { skin: null, timestamp: Date.now() });
+        setTimeout(() => TwitchService.pendingBuyCone.delete(pendingKey), 60000);
         await TwitchService._processBuyConeInput(username, input.trim());
 
         logger.info('Debug buy cone simulation', { username, input });
@@ -367,8 +385,8 @@ router.post('/reset/all-players',
 
         // Emit a refresh event to update leaderboards
         if (socketHandler && socketHandler.io) {
-            socketHandler.io.emit('leaderboardUpdate');
-            socketHandler.io.emit('statsUpdate');
+            socketHandler.io.to(ChannelService.room()).emit('leaderboardUpdate');
+            socketHandler.io.to(ChannelService.room()).emit('statsUpdate');
         }
 
         res.json({
@@ -764,7 +782,9 @@ router.get('/skins/list',
                 canUnbox: configData.canUnbox || false,
                 unboxWeight: configData.unboxWeight || 0,
                 rarity: SkinService.calculateRarity(configData.unboxWeight || 0),
-                effect: SkinService.calculateEffect(configData)
+                effect: SkinService.calculateEffect(configData),
+                hitbox: configData.hitbox || null,
+                scale: configData.scale || 1
             };
         });
         
@@ -776,7 +796,7 @@ router.get('/skins/list',
 );
 
 router.post('/skins/toggle',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         const { name, enabled } = req.body;
         
@@ -799,7 +819,7 @@ router.post('/skins/toggle',
 );
 
 router.post('/skins/delete',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         const { name } = req.body;
         
@@ -908,7 +928,7 @@ router.get('/skins/submissions',
 );
 
 router.post('/skins/submissions/approve',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         const { id, canUnbox, unboxWeight } = req.body;
         
@@ -969,7 +989,7 @@ router.post('/skins/submissions/approve',
 
 // Update submission name
 router.post('/skins/submissions/update-name',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         const { id, newName } = req.body;
         
@@ -1007,7 +1027,7 @@ router.post('/skins/submissions/update-name',
 
 // Rename a skin
 router.post('/skins/rename',
-    requireDebugAuth,
+    requireServerAdminAuth,
     asyncHandler(async (req, res) => {
         const { oldName, newName } = req.body;
         
@@ -1118,7 +1138,7 @@ router.post('/emit-refresh',
 );
 
 router.post('/skins/submissions/reject',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         const { id, reason } = req.body;
         
@@ -1169,6 +1189,43 @@ router.post('/skins/submissions/reject',
     })
 );
 
+// Trail submission queue, approved trails are written to public/trails
+router.get('/trails/submissions',
+    requireModeratorAuth,
+    asyncHandler(async (req, res) => {
+        res.json({
+            status: 'success',
+            data: SubmissionService.getSubmissions('pending', 'trail')
+        });
+    })
+);
+
+router.post('/trails/submissions/approve',
+    requireServerModeratorAuth,
+    asyncHandler(async (req, res) => {
+        if (!req.body.id) {
+            throw new ValidationError('Submission ID is required', 'id');
+        }
+
+        const result = await SubmissionService.approveTrailSubmission(req.body.id);
+        res.status(result.success ? 200 : 400).json(result);
+    })
+);
+
+router.post('/trails/submissions/reject',
+    requireServerModeratorAuth,
+    asyncHandler(async (req, res) => {
+        const { id, reason } = req.body;
+        const submission = SubmissionService.getSubmissionById(id);
+        if (!submission || submission.kind !== 'trail') {
+            throw new NotFoundError('Trail submission not found');
+        }
+
+        const result = await SubmissionService.rejectSubmission(id, reason);
+        res.status(result.success ? 200 : 400).json(result);
+    })
+);
+
 // Get skin configuration
 router.get('/skins/config',
     requireModeratorAuth,
@@ -1185,7 +1242,7 @@ router.get('/skins/config',
 
 // Update skin configuration
 router.post('/skins/config/update',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         const { name, canUnbox, unboxWeight } = req.body;
         
@@ -1247,9 +1304,108 @@ router.post('/skins/config/update',
     })
 );
 
+// Hitbox polygon and cosmetic scale of a skin, null resets either to the default
+router.post('/skins/shape',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const { name, hitbox, scale } = req.body;
+        if (!name) {
+            throw new ValidationError('Skin name is required', 'name');
+        }
+
+        const shape = await SkinService.updateSkinShape(name, { hitbox, scale });
+
+        logger.info(`Skin ${name} shape updated by ${req.session.user.login}`);
+        res.json({ status: 'success', data: shape });
+    })
+);
+
+// Skin packs are read in memory, nothing is written before the import is checked
+const packUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 50 * 1024 * 1024 // 50MB
+    }
+});
+
+// Download skins as a .conepack, every skin if no names are given
+router.get('/skins/pack',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        const names = String(req.query.names || '').split(',').map(name => name.trim()).filter(Boolean);
+        const pack = await SkinPackService.exportPack(names);
+
+        const filename = names.length === 1 ? names[0].toLowerCase().replace(/[^a-z0-9_-]+/g, '_') : 'skins';
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.conepack"`);
+        res.send(pack);
+    })
+);
+
+// Check a skin pack (dryRun, the default) or import it, overwrite=true replaces skins that already exist
+router.post('/skins/pack/import',
+    requireServerAdminAuth,
+    packUpload.single('pack'),
+    asyncHandler(async (req, res) => {
+        if (!req.file) {
+            throw new ValidationError('Pack file is required', 'pack');
+        }
+
+        const dryRun = req.query.dryRun !== 'false';
+        const overwrite = req.query.overwrite === 'true';
+        const result = await SkinPackService.importPack(req.file.buffer, { dryRun, overwrite });
+
+        if (!dryRun) {
+            logger.info(`Skin pack imported by ${req.session.user.login}: ${result.imported.length} skins`);
+        }
+        res.json({ status: 'success', data: result });
+    })
+);
+
+// Trail files for the trail editor, with the files that failed the trail schema
+router.get('/trails',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({
+            status: 'success',
+            data: {
+                trails: TrailService.getAllTrails().map(trail => ({ ...trail, file: TrailService.trailFiles[trail.name] || null })),
+                invalid: TrailService.invalidTrails
+            }
+        });
+    })
+);
+
+router.get('/trails/schema',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({ status: 'success', data: describeSchema() });
+    })
+);
+
+// Check a trail without saving it
+router.post('/trails/validate',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        const errors = await TrailService.validateTrail(req.body.trail);
+        res.json({ status: 'success', data: { valid: errors.length === 0, errors } });
+    })
+);
+
+// Create or update a trail file
+router.post('/trails',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const result = await TrailService.saveTrail(req.body.trail);
+
+        logger.info(`Trail ${result.trail.name} saved by ${req.session.user.login}`);
+        res.json({ status: 'success', data: result });
+    })
+);
+
 // Reload skin system
 router.post('/skins/reload',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         try {
             await SkinService.loadSkinConfiguration();
@@ -1288,7 +1444,7 @@ router.get('/skins/seasonal',
 
 // Set seasonal skin
 router.post('/skins/seasonal',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         const { skinName } = req.body;
 
@@ -1316,7 +1472,7 @@ router.post('/skins/seasonal',
 
 // Clear seasonal skin
 router.delete('/skins/seasonal',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         try {
             const result = await SkinService.setSeasonalSkin(null);
@@ -1361,7 +1517,7 @@ router.get('/announcement',
 );
 
 router.post('/announcement',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         try {
             const { enabled, content } = req.body;
@@ -1439,7 +1595,7 @@ router.get('/settings/volume',
 );
 
 router.post('/settings/volume',
-    requireDebugAuth,
+    requireServerAdminAuth,
     asyncHandler(async (req, res) => {
         try {
             const { volume } = req.body;
@@ -1493,7 +1649,328 @@ router.get('/settings/volume/public',
     })
 );
 
-// Contest management endpoints (moderators can access)
+// Chat command settings (names, aliases, permissions, cooldowns)
+router.get('/commands',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({
+            status: 'success',
+            data: {
+                commands: CommandService.list(),
+                permissionLevels: CommandService.PERMISSION_LEVELS
+            }
+        });
+    })
+);
+
+router.post('/commands/:id',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const { name, aliases, permission, userCooldown, globalCooldown, enabled } = req.body;
+        const command = await CommandService.update(req.params.id, { name, aliases, permission, userCooldown, globalCooldown, enabled });
+
+        logger.info(`Chat command ${req.params.id} updated by ${req.session.user.login}`);
+        res.json({ status: 'success', data: command });
+    })
+);
+
+router.post('/commands/:id/reset',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const command = await CommandService.reset(req.params.id);
+        res.json({ status: 'success', data: command });
+    })
+);
+
+// Chat message catalog and locales
+router.get('/messages',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        const settings = MessageService.getSettings();
+        const locale = req.query.locale || settings.defaultLocale;
+        res.json({
+            status: 'success',
+            data: {
+                ...settings,
+                locale,
+                messages: MessageService.getCatalog(locale)
+            }
+        });
+    })
+);
+
+// Channel admins pick the locale of their own channel, the default and new locales are for server admins
+router.post('/messages/settings',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        const { defaultLocale, locale, addLocale } = req.body;
+        const changesShared = addLocale || (defaultLocale !== undefined && defaultLocale !== MessageService.getSettings().defaultLocale);
+        if (changesShared && !AuthService.isServerAdmin(req.session.user)) {
+            throw new AuthenticationError('Server admin access required to change the default or add locales');
+        }
+
+        const settings = await MessageService.updateSettings({ defaultLocale, locale, addLocale });
+        res.json({ status: 'success', data: settings });
+    })
+);
+
+router.post('/messages/:locale/:key',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const message = await MessageService.setMessage(req.params.locale, req.params.key, req.body.template);
+        res.json({ status: 'success', data: message });
+    })
+);
+
+router.post('/messages/:locale/:key/reset',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const message = await MessageService.resetMessage(req.params.locale, req.params.key);
+        res.json({ status: 'success', data: message });
+    })
+);
+
+// Cone coin earnings, shop prices and balances
+router.get('/coins',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({ status: 'success', data: CoinService.getSettings() });
+    })
+);
+
+router.post('/coins/settings',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const { earnings, prices } = req.body;
+        const settings = await CoinService.updateSettings({ earnings, prices });
+
+        logger.info(`Coin settings updated by ${req.session.user.login}`);
+        res.json({ status: 'success', data: settings });
+    })
+);
+
+router.get('/coins/player/:name',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        const player = req.params.name.toLowerCase();
+        const [balance, ledger] = await Promise.all([
+            CoinService.getBalance(player),
+            CoinService.getLedger(player, 20)
+        ]);
+        res.json({ status: 'success', data: { player, balance, ledger } });
+    })
+);
+
+router.post('/coins/adjust',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        const { player, amount, reason } = req.body;
+        if (!player || !String(player).trim()) {
+            throw new ValidationError('Player name is required', 'player');
+        }
+
+        const name = String(player).replace(/^@/, '').trim().toLowerCase();
+        const balance = await CoinService.change(name, Number(amount), 'admin', String(reason || req.session.user.login).slice(0, 100));
+
+        logger.info(`Coins ${amount} for ${name} by ${req.session.user.login}`);
+        res.json({ status: 'success', data: { player: name, balance } });
+    })
+);
+
+// Unbox bad-luck protection
+router.get('/pity',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({ status: 'success', data: PityService.getSettings() });
+    })
+);
+
+router.post('/pity/settings',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const { enabled, tiers } = req.body;
+        const settings = await PityService.updateSettings({ enabled, tiers });
+
+        logger.info(`Pity settings updated by ${req.session.user.login}`);
+        res.json({ status: 'success', data: settings });
+    })
+);
+
+// Duel rating rules and matchmaking
+router.get('/rating',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({ status: 'success', data: RatingService.getSettings() });
+    })
+);
+
+router.post('/rating/settings',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const { kFactor, provisionalKFactor, provisionalDuels, matchmaking, matchmakingDays } = req.body;
+        const settings = await RatingService.updateSettings({ kFactor, provisionalKFactor, provisionalDuels, matchmaking, matchmakingDays });
+
+        logger.info(`Rating settings updated by ${req.session.user.login}`);
+        res.json({ status: 'success', data: settings });
+    })
+);
+
+// Reveal the unbox server seed and start a new one
+router.post('/unbox-seed/rotate',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const seeds = await UnboxLogService.rotateSeed();
+
+        logger.info(`Unbox server seed rotated by ${req.session.user.login}`);
+        res.json({ status: 'success', data: seeds });
+    })
+);
+
+// Unbox cases other than the default one
+// Grade odds and rarity thresholds of the default case
+router.get('/tiers',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({ status: 'success', data: SkinService.getTierSettings() });
+    })
+);
+
+router.post('/tiers/preview',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({ status: 'success', data: SkinService.previewTierSettings(req.body) });
+    })
+);
+
+router.post('/tiers',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const settings = await SkinService.updateTierSettings(req.body);
+
+        logger.info(`Tier settings updated by ${req.session.user.login}`);
+        res.json({ status: 'success', data: settings });
+    })
+);
+
+router.get('/cases',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({ status: 'success', data: CaseService.getStoredCases() });
+    })
+);
+
+router.post('/cases',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const unboxCase = await CaseService.saveCase(req.body);
+
+        logger.info(`Unbox case ${unboxCase.id} saved by ${req.session.user.login}`);
+        res.json({ status: 'success', data: unboxCase });
+    })
+);
+
+router.delete('/cases/:id',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        await CaseService.deleteCase(req.params.id);
+
+        logger.info(`Unbox case ${req.params.id} deleted by ${req.session.user.login}`);
+        res.json({ status: 'success', message: `Case ${req.params.id} deleted` });
+    })
+);
+
+// Seasons of the channel in scope
+router.get('/seasons',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        res.json({ status: 'success', data: await SeasonService.listSeasons() });
+    })
+);
+
+router.post('/seasons',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        const season = req.body.id
+            ? await SeasonService.updateSeason(req.body.id, req.body)
+            : await SeasonService.createSeason(req.body);
+
+        logger.info(`Season ${season.name} saved by ${req.session.user.login}`);
+        res.json({ status: 'success', data: season });
+    })
+);
+
+router.delete('/seasons/:id',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        await SeasonService.deleteSeason(req.params.id);
+
+        logger.info(`Season ${req.params.id} deleted by ${req.session.user.login}`);
+        res.json({ status: 'success', message: `Season ${req.params.id} deleted` });
+    })
+);
+
+// End the season now instead of at its end date
+router.post('/seasons/:id/end',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        const result = await SeasonService.endSeason(req.params.id);
+
+        logger.info(`Season ${result.season.name} ended by ${req.session.user.login}`);
+        res.json({ status: 'success', data: result });
+    })
+);
+
+// Channel management, adding and removing channels is reserved to server admins
+router.get('/channels',
+    requireDebugAuth,
+    asyncHandler(async (req, res) => {
+        const channels = AuthService.isServerAdmin(req.session.user)
+            ? ChannelService.list()
+            : AuthService.getAdminChannels(req.session.user);
+
+        res.json({
+            status: 'success',
+            data: {
+                primary: ChannelService.getPrimary(),
+                channels: channels.map(channel => ChannelService.describe(channel))
+            }
+        });
+    })
+);
+
+router.post('/channels',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const { name, userId, streamerAccessToken, admins, moderators, shareSkins } = req.body;
+        const channel = await ChannelService.addChannel({ name, userId, streamerAccessToken, admins, moderators, shareSkins });
+
+        logger.info(`Channel ${channel.name} added by ${req.session.user.login}`);
+        res.json({ status: 'success', data: channel });
+    })
+);
+
+router.post('/channels/:name',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const { userId, streamerAccessToken, admins, moderators, shareSkins } = req.body;
+        const channel = await ChannelService.updateChannel(req.params.name, { userId, streamerAccessToken, admins, moderators, shareSkins });
+
+        logger.info(`Channel ${channel.name} updated by ${req.session.user.login}`);
+        res.json({ status: 'success', data: channel });
+    })
+);
+
+router.delete('/channels/:name',
+    requireServerAdminAuth,
+    asyncHandler(async (req, res) => {
+        const result = await ChannelService.removeChannel(req.params.name);
+
+        logger.warn(`Channel ${result.name} removed by ${req.session.user.login}`);
+        res.json({ status: 'success', data: result });
+    })
+);
+
+// Contest management endpoints (moderators can access), there is one contest for every channel
 router.get('/contest',
     requireModeratorAuth,
     asyncHandler(async (req, res) => {
@@ -1516,7 +1993,7 @@ router.get('/contest',
 );
 
 router.post('/contest',
-    requireModeratorAuth,
+    requireServerModeratorAuth,
     asyncHandler(async (req, res) => {
         try {
             const { enabled, prize, description, allowSubmissions } = req.body;
@@ -1572,7 +2049,7 @@ router.get('/contest/public',
 
 // Remove submission from contest
 router.post('/contest/remove',
-    requireDebugAuth,
+    requireServerAdminAuth,
     asyncHandler(async (req, res) => {
         try {
             const { submissionId } = req.body;
@@ -1609,7 +2086,7 @@ router.post('/contest/remove',
 
 // Reset contest database
 router.post('/contest/reset',
-    requireDebugAuth,
+    requireServerAdminAuth,
     asyncHandler(async (req, res) => {
         try {
             const databaseService = require('../services/databaseService');
@@ -1632,6 +2109,14 @@ router.get('/follow-reward',
     requireModeratorAuth,
     asyncHandler(async (req, res) => {
         try {
+            if (!ChannelService.isPrimary()) {
+                const { FOLLOW_REWARD } = ChannelService.getSettings();
+                return res.json({
+                    status: 'success',
+                    data: { enabled: FOLLOW_REWARD.ENABLED, chatEnabled: FOLLOW_REWARD.CHAT_MESSAGE_ENABLED, message: FOLLOW_REWARD.CHAT_MESSAGE }
+                });
+            }
+
             const fs = require('fs');
             const path = require('path');
             const setupPath = path.join(process.cwd(), 'data', 'setup.json');
@@ -1664,6 +2149,23 @@ router.post('/follow-reward',
     asyncHandler(async (req, res) => {
         try {
             const { enabled, chatEnabled, message } = req.body;
+
+            // Other channels keep their settings in data/channels.json
+            if (!ChannelService.isPrimary()) {
+                const { FOLLOW_REWARD } = await ChannelService.updateSettings(ChannelService.current(), {
+                    FOLLOW_REWARD: {
+                        ENABLED: Boolean(enabled),
+                        CHAT_MESSAGE_ENABLED: Boolean(chatEnabled),
+                        CHAT_MESSAGE: String(message || '@{user} thanks for following! Enjoy a free coneflip!')
+                    }
+                });
+                logger.info(`Follow reward settings updated for ${ChannelService.current()}:`, { enabled, chatEnabled });
+                return res.json({
+                    status: 'success',
+                    data: { enabled: FOLLOW_REWARD.ENABLED, chatEnabled: FOLLOW_REWARD.CHAT_MESSAGE_ENABLED, message: FOLLOW_REWARD.CHAT_MESSAGE }
+                });
+            }
+
             const fs = require('fs');
             const path = require('path');
             const { reloadConfig } = require('../config/environment');
@@ -1708,6 +2210,10 @@ router.get('/level-up-chat',
     requireModeratorAuth,
     asyncHandler(async (req, res) => {
         try {
+            if (!ChannelService.isPrimary()) {
+                return res.json({ status: 'success', data: { enabled: ChannelService.getSettings().LEVEL_UP_CHAT_ENABLED } });
+            }
+
             const fs = require('fs');
             const path = require('path');
             const setupPath = path.join(process.cwd(), 'data', 'setup.json');
@@ -1732,6 +2238,15 @@ router.post('/level-up-chat',
     asyncHandler(async (req, res) => {
         try {
             const { enabled } = req.body;
+
+            if (!ChannelService.isPrimary()) {
+                const settings = await ChannelService.updateSettings(ChannelService.current(), {
+                    LEVEL_UP_CHAT_ENABLED: enabled === true || enabled === 'true'
+                });
+                logger.info(`Level up chat settings updated for ${ChannelService.current()}:`, { enabled: settings.LEVEL_UP_CHAT_ENABLED });
+                return res.json({ status: 'success', data: { enabled: settings.LEVEL_UP_CHAT_ENABLED } });
+            }
+
             const fs = require('fs');
             const path = require('path');
             const { reloadConfig } = require('../config/environment');
@@ -1828,8 +2343,8 @@ router.post('/players/edit',
 
             // Emit leaderboard update to all clients
             if (socketHandler && socketHandler.io) {
-                socketHandler.io.emit('leaderboardUpdate');
-                socketHandler.io.emit('statsUpdate');
+                socketHandler.io.to(ChannelService.room()).emit('leaderboardUpdate');
+                socketHandler.io.to(ChannelService.room()).emit('statsUpdate');
             }
 
             logger.info(`Player stats edited via mod panel: ${name}`, stats);
@@ -1867,8 +2382,8 @@ router.post('/players/delete',
 
             // Emit leaderboard update to all clients
             if (socketHandler && socketHandler.io) {
-                socketHandler.io.emit('leaderboardUpdate');
-                socketHandler.io.emit('statsUpdate');
+                socketHandler.io.to(ChannelService.room()).emit('leaderboardUpdate');
+                socketHandler.io.to(ChannelService.room()).emit('statsUpdate');
             }
 
             logger.info(`Player deleted via mod panel: ${name}`);
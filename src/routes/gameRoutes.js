@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
 const { requireDebugAuth, requireModeratorAuth } = require('../middleware/tokenAuth');
 const { validateAddCone, validateDuel, createRateLimiter } = require('../middleware/validation');
 const GameService = require('../services/gameService');
+const MatchService = require('../services/matchService');
 const logger = require('../utils/logger');
 
 // Rate limiting for game actions
@@ -73,6 +74,25 @@ router.get('/stats', asyncHandler(async (req, res) => {
     });
 }));
 
+// Get the seed and arena info needed to re-simulate a game - PUBLIC
+router.get('/replay/:coneId', asyncHandler(async (req, res) => {
+    const { coneId } = req.params;
+
+    if (!/^(cone|duel)_\d+_[0-9a-f]{8}$/.test(coneId)) {
+        throw new ValidationError('Invalid cone ID', 'coneId');
+    }
+
+    const replay = await MatchService.getReplay(coneId);
+    if (!replay) {
+        throw new NotFoundError(`No replay found for ${coneId}`);
+    }
+
+    res.json({
+        status: 'success',
+        data: replay
+    });
+}));
+
 // Restart/reset endpoint - ADMIN ONLY
 router.post('/restart', 
     requireDebugAuth,
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../middleware/errorHandler');
-const { validateLeaderboardQuery, createRateLimiter } = require('../middleware/validation');
+const { validateLeaderboardQuery, validateMatchHistoryQuery, createRateLimiter } = require('../middleware/validation');
 const LeaderboardService = require('../services/leaderboardService');
+const MatchService = require('../services/matchService');
+const SeasonService = require('../services/seasonService');
 const GameService = require('../services/gameService');
 const logger = require('../utils/logger');
 
@@ -15,8 +17,8 @@ router.get('/',
     validateLeaderboardQuery,
     asyncHandler(async (req, res) => {
         const { name, show, page = 1, limit = 50 } = req.validatedData;
-        // Get sortBy from query params (not validated, defaults to 'points')
-        const sortBy = req.query.sortBy === 'level' ? 'level' : 'points';
+        // Get sortBy from query params (points, level or rating, defaults to 'points')
+        const sortBy = ['level', 'rating'].includes(req.query.sortBy) ? req.query.sortBy : 'points';
 
         // Handle show leaderboard request
         if (show) {
@@ -96,4 +98,64 @@ router.get('/player/:name', asyncHandler(async (req, res) => {
     });
 }));
 
+// Get a player's final standing in past seasons
+router.get('/player/:name/seasons',
+    leaderboardRateLimit,
+    asyncHandler(async (req, res) => {
+        const seasons = await SeasonService.getPlayerSeasons(req.params.name.trim());
+
+        res.json({
+            status: 'success',
+            data: seasons
+        });
+    })
+);
+
+// Get a player's match history (newest first)
+router.get('/player/:name/history',
+    leaderboardRateLimit,
+    validateMatchHistoryQuery,
+    asyncHandler(async (req, res) => {
+        const { name, ...options } = req.validatedData;
+        const history = await MatchService.getPlayerHistory(name, options);
+
+        res.json({
+            status: 'success',
+            data: history.data,
+            pagination: history.pagination
+        });
+    })
+);
+
+// List seasons, newest first, with the one running now
+router.get('/seasons',
+    leaderboardRateLimit,
+    asyncHandler(async (req, res) => {
+        const seasons = await SeasonService.listSeasons();
+
+        res.json({
+            status: 'success',
+            data: seasons,
+            current: seasons.find(season => season.status === 'active') || null
+        });
+    })
+);
+
+// Get the archived standings of a past season
+router.get('/seasons/:id',
+    leaderboardRateLimit,
+    asyncHandler(async (req, res) => {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+        const standings = await SeasonService.getStandings(parseInt(req.params.id), page, limit);
+
+        res.json({
+            status: 'success',
+            data: standings.data,
+            season: standings.season,
+            pagination: standings.pagination
+        });
+    })
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -5,6 +5,7 @@ const { config } = require('../config/environment');
 const LeaderboardService = require('../services/leaderboardService');
 const SkinService = require('../services/skinService');
 const TwitchService = require('../services/twitchService');
+const ChannelService = require('../services/channelService');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
@@ -23,7 +24,7 @@ router.use((req, res, next) => {
 // Returns channel name, 7TV cosmetics, and aggregate stats for this instance
 router.get('/info', asyncHandler(async (req, res) => {
     try {
-        const channel = config.TWITCH.CHANNEL || 'unknown';
+        const channel = ChannelService.isPrimary() ? (config.TWITCH.CHANNEL || 'unknown') : ChannelService.current();
 
         // Fetch stats + 7TV data in parallel
         const [leaderboardStats, skinStats, paintData, isLive] = await Promise.all([
@@ -3,6 +3,7 @@ const router = express.Router();
 const { asyncHandler } = require('../middleware/errorHandler');
 const { requireDebugAuth } = require('../middleware/tokenAuth');
 const ConfigService = require('../services/configService');
+const RewardService = require('../services/rewardService');
 const { reloadConfig } = require('../config/environment');
 const logger = require('../utils/logger');
 
@@ -108,4 +109,48 @@ router.post('/test', requireDebugAuth, asyncHandler(async (req, res) => {
     res.json(result);
 }));
 
+// channel point rewards - live status from Twitch plus saved settings - REQUIRE AUTH
+router.get('/rewards', requireDebugAuth, asyncHandler(async (req, res) => {
+    const { rewards, error } = await RewardService.getRewards();
+    res.json({
+        success: !error,
+        rewards,
+        error
+    });
+}));
+
+// create or update every reward, body: { rewards: { TWITCH_CONE_REWARD: { title, cost, ... } } } - REQUIRE AUTH
+router.post('/rewards/sync', requireDebugAuth, asyncHandler(async (req, res) => {
+    const results = await RewardService.syncAll((req.body && req.body.rewards) || {});
+    const failed = results.filter(result => result.error);
+
+    logger.info(`Channel point rewards synced (${results.length - failed.length}/${results.length} ok)`);
+
+    res.json({
+        success: failed.length === 0,
+        results
+    });
+}));
+
+// create or update a single reward - REQUIRE AUTH
+router.post('/rewards/:key', requireDebugAuth, asyncHandler(async (req, res) => {
+    const result = await RewardService.syncReward(req.params.key, req.body || {});
+    res.json({
+        success: true,
+        message: `${result.created ? 'Created' : 'Updated'} reward ${result.id}`,
+        result
+    });
+}));
+
+// pause or resume a reward, body: { paused: true|false } - REQUIRE AUTH
+router.post('/rewards/:key/pause', requireDebugAuth, asyncHandler(async (req, res) => {
+    const paused = req.body && (req.body.paused === true || req.body.paused === 'true');
+    const result = await RewardService.setPaused(req.params.key, paused);
+    res.json({
+        success: true,
+        message: `Reward ${paused ? 'paused' : 'resumed'}`,
+        result
+    });
+}));
+
 module.exports = router; 
\ No newline at end of file
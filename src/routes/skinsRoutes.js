@@ -4,12 +4,18 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
-const { asyncHandler } = require('../middleware/errorHandler');
-const { requireDebugAuth, requireModeratorAuth } = require('../middleware/tokenAuth');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const { requireDebugAuth, requireModeratorAuth, requireTwitchAuth } = require('../middleware/tokenAuth');
 const { validateSetSkin, validateAddCone, createRateLimiter } = require('../middleware/validation');
 const SkinService = require('../services/skinService');
 const TwitchService = require('../services/twitchService');
 const SubmissionService = require('../services/submissionService');
+const TradeService = require('../services/tradeService');
+const TradeUpService = require('../services/tradeUpService');
+const PityService = require('../services/pityService');
+const UnboxLogService = require('../services/unboxLogService');
+const CaseService = require('../services/caseService');
+const StatTrakService = require('../services/statTrakService');
 const { config } = require('../config/environment');
 const logger = require('../utils/logger');
 
@@ -88,13 +94,84 @@ router.get('/available', asyncHandler(async (req, res) => {
     }
 }));
 
-// Get skin odds for unboxing
+// Get skin odds for unboxing, ?player= gives that player's odds with their pity counters,
+// ?case= the odds of a case other than the default one
 router.get('/odds', asyncHandler(async (req, res) => {
-    const odds = SkinService.getSkinOdds();
+    const unboxCase = CaseService.getCase(req.query.case);
+    const caseOdds = CaseService.getTierOdds(unboxCase);
+    const skinsByTier = CaseService.getSkinsByTier(unboxCase);
+
+    if (!req.query.player) {
+        return res.json({ status: 'success', data: SkinService.getSkinOdds(caseOdds, skinsByTier) });
+    }
+
+    const player = String(req.query.player).replace(/^@/, '').trim();
+    const [pity, tierOdds] = await Promise.all([
+        PityService.getPity(player),
+        PityService.getTierOdds(player, caseOdds)
+    ]);
+
+    // Per grade as well, gold has no skins of its own so it only shows up here
+    pity.tierOdds = Object.fromEntries(Object.entries(tierOdds).map(([tier, odds]) => [tier, Math.round(odds * 100) / 100]));
+
     res.json({
         status: 'success',
-        data: odds
+        data: SkinService.getSkinOdds(tierOdds, skinsByTier),
+        pity
+    });
+}));
+
+// Grade odds and the unbox weight each grade starts at, for the overlays and /skins-all
+router.get('/tiers', asyncHandler(async (req, res) => {
+    const { tierOdds, thresholds } = SkinService.getTierSettings();
+    res.json({ status: 'success', data: { tierOdds, thresholds } });
+}));
+
+// Cases that can be opened right now with their contents and odds
+router.get('/cases', asyncHandler(async (req, res) => {
+    res.json({ status: 'success', data: CaseService.listCases() });
+}));
+
+router.get('/cases/:id', asyncHandler(async (req, res) => {
+    res.json({ status: 'success', data: CaseService.describe(CaseService.getCase(req.params.id)) });
+}));
+
+// Skins with the most wins over all players, ?sortBy=wins|flips|upsideDowns|winRate|players
+router.get('/stattrak', asyncHandler(async (req, res) => {
+    const { sortBy, limit } = req.query;
+    res.json({ status: 'success', data: await StatTrakService.getLeaderboard({ sortBy, limit }) });
+}));
+
+// A player's StatTrak counters per skin, ?skin= for one skin
+router.get('/stattrak/:name', asyncHandler(async (req, res) => {
+    const name = req.params.name.replace(/^@/, '').toLowerCase().trim();
+    const data = req.query.skin
+        ? await StatTrakService.getSkinStats(name, String(req.query.skin))
+        : await StatTrakService.getPlayerStats(name);
+
+    res.json({ status: 'success', data });
+}));
+
+// Public log of unbox rolls, ?player= for one viewer's drops
+router.get('/unbox-history', asyncHandler(async (req, res) => {
+    const { player, page, limit } = req.query;
+    const { entries, pagination } = await UnboxLogService.getHistory({
+        player: player ? String(player).replace(/^@/, '').trim() : null,
+        page,
+        limit
     });
+
+    res.json({ status: 'success', data: entries, pagination });
+}));
+
+// Hash of the seed rolls come from now, and the seeds already revealed
+router.get('/unbox-history/seeds', asyncHandler(async (req, res) => {
+    res.json({ status: 'success', data: await UnboxLogService.getSeeds() });
+}));
+
+router.get('/unbox-history/:id/verify', asyncHandler(async (req, res) => {
+    const result = await UnboxLogService.verify(parseInt(req.params.id));
+    res.json({ status: 'success', data: result });
 }));
 
 // Get current seasonal skin (public endpoint)
@@ -178,7 +255,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
     });
 }));
 
-// Unbox a random skin (for admin use) - ADMIN ONLY
+// Unbox a random skin (for admin use), ?case= opens another case - ADMIN ONLY
 router.get('/unbox/:name',
     requireDebugAuth,
     skinsRateLimit,
@@ -188,7 +265,7 @@ router.get('/unbox/:name',
         // Get Twitch ID if possible
         const twitchId = await TwitchService.getTwitchId(name);
         
-        const result = await SkinService.setRandomSkin(name, twitchId);
+        const result = await SkinService.setRandomSkin(name, twitchId, null, req.query.case);
         
         // Import GameService to trigger skin refresh
         const GameService = require('../services/gameService');
@@ -348,16 +425,13 @@ router.post('/submit',
         
         // Notify the streamer about the new submission
         try {
-            if (TwitchService.sendChatMessage) {
+            if (TwitchService.sendMessage) {
                 const modUrl = config.BASE_URL ? `${config.BASE_URL}/mod` : '/mod';
-                const notificationMessage = `Alarm ${submission.author} submitted a new cone "${submission.name}" - approve or reject in ${modUrl}`;
-
-                await TwitchService.sendChatMessage(notificationMessage);
+                await TwitchService.sendMessage('submission.new', { author: submission.author, skin: submission.name, url: modUrl });
 
                 logger.info('Streamer notified about new skin submission', {
                     skinName: submission.name,
-                    author: submission.author,
-                    message: notificationMessage
+                    author: submission.author
                 });
             }
         } catch (error) {
@@ -495,4 +569,81 @@ router.post('/select',
     })
 );
 
+// Skin trades of the logged in viewer: open offers both ways, recent history and what they can offer
+router.get('/trades',
+    skinsRateLimit,
+    requireTwitchAuth,
+    asyncHandler(async (req, res) => {
+        const player = req.session.user.login;
+        const [open, history, tradeable] = await Promise.all([
+            TradeService.getOpenTrades(player),
+            TradeService.getHistory(player, 20),
+            TradeService.getTradeableSkins(player)
+        ]);
+
+        res.json({ status: 'success', data: { ...open, history, tradeable } });
+    })
+);
+
+// Tradeable skins another viewer owns, to pick what to ask for
+router.get('/trades/tradeable/:name',
+    skinsRateLimit,
+    requireTwitchAuth,
+    asyncHandler(async (req, res) => {
+        const tradeable = await TradeService.getTradeableSkins(req.params.name.replace(/^@/, '').trim());
+        res.json({ status: 'success', data: tradeable });
+    })
+);
+
+router.post('/trades',
+    skinsRateLimit,
+    requireTwitchAuth,
+    asyncHandler(async (req, res) => {
+        const { to, offer, request } = req.body;
+        const trade = await TradeService.propose(req.session.user.login, to, offer, request);
+
+        res.json({ status: 'success', data: trade });
+    })
+);
+
+router.post('/trades/:id/:action',
+    skinsRateLimit,
+    requireTwitchAuth,
+    asyncHandler(async (req, res) => {
+        const { id, action } = req.params;
+        if (!['accept', 'decline', 'cancel'].includes(action)) {
+            throw new NotFoundError(`Unknown trade action: ${action}`);
+        }
+
+        const trade = await TradeService[action](req.session.user.login, Number(id));
+        res.json({ status: 'success', data: trade });
+    })
+);
+
+// Trade-up contracts and what each one can pay out, public so the odds are out in the open
+router.get('/tradeup/odds', asyncHandler(async (req, res) => {
+    res.json({ status: 'success', data: TradeUpService.getOdds() });
+}));
+
+// Duplicate skins the logged in viewer could turn in, per grade
+router.get('/tradeup',
+    skinsRateLimit,
+    requireTwitchAuth,
+    asyncHandler(async (req, res) => {
+        const contracts = await TradeUpService.getSpares(req.session.user.login);
+        res.json({ status: 'success', data: contracts });
+    })
+);
+
+router.post('/tradeup',
+    skinsRateLimit,
+    requireTwitchAuth,
+    asyncHandler(async (req, res) => {
+        const { login, id } = req.session.user;
+        const result = await TradeUpService.tradeUp(login, req.body.tier, id);
+
+        res.json({ status: 'success', data: result });
+    })
+);
+
 module.exports = router; 
\ No newline at end of file
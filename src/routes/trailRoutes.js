@@ -1,15 +1,49 @@
 const express = require('express');
+const path = require('path');
+const fsSync = require('fs');
+const multer = require('multer');
 const router = express.Router();
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 const { requireDebugAuth, requireModeratorAuth } = require('../middleware/tokenAuth');
 const { validateSetSkin, createRateLimiter } = require('../middleware/validation');
 const TrailService = require('../services/trailService');
+const SubmissionService = require('../services/submissionService');
 const TwitchService = require('../services/twitchService');
+const { validateTrail } = require('../config/trailSchema');
 const { config } = require('../config/environment');
 const logger = require('../utils/logger');
 
 // Rate limiting
 const trailsRateLimit = createRateLimiter(60 * 1000, 60); // 60 requests per minute
+const submissionRateLimit = createRateLimiter(60 * 60 * 1000, 5); // 5 submissions per hour
+
+// Optional particle texture of a trail submission, next to the skin submissions
+const textureUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            const uploadDir = path.join(__dirname, '../../uploads/submissions');
+            fsSync.mkdirSync(uploadDir, { recursive: true });
+            cb(null, uploadDir);
+        },
+        filename: (req, file, cb) => {
+            const uniqueId = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            cb(null, `trail-texture-${uniqueId}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    }),
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = /png|webp/;
+        if (allowedTypes.test(file.mimetype) && allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+            return cb(null, true);
+        }
+        cb(new ValidationError('Only PNG and WebP textures are allowed', 'textureFile'));
+    }
+});
+
+// Stands in for the texture while the trail is checked, it gets its real path on approval
+const TEXTURE_PLACEHOLDER = '../trails/content/submission.png';
 
 // Get all trail configurations
 router.get('/config', asyncHandler(async (req, res) => {
@@ -126,6 +160,93 @@ router.get('/users', asyncHandler(async (req, res) => {
 
 // Trail unboxing removed - trails will be purchasable in the future
 
+// Submit a new trail, it is added to public/trails once a moderator approves it
+router.post('/submit',
+    submissionRateLimit,
+    textureUpload.single('textureFile'),
+    asyncHandler(async (req, res) => {
+        const removeTexture = () => req.file && fsSync.promises.unlink(req.file.path).catch(() => {});
+        try {
+            const { trailName, authorName, description } = req.body;
+
+            if (!trailName || !authorName) {
+                throw new ValidationError('Trail name and author name are required', 'trailName');
+            }
+            if (trailName.length > 32 || !/^[a-zA-Z0-9 -]+$/.test(trailName)) {
+                throw new ValidationError('Trail name must be 32 characters or less of letters, numbers, spaces and hyphens', 'trailName');
+            }
+            if (authorName.length > 25 || !/^[a-zA-Z0-9_-]+$/.test(authorName)) {
+                throw new ValidationError('Author name must be 25 characters or less of letters, numbers, hyphens, and underscores', 'authorName');
+            }
+            // Shown on the trails page and in the review queues
+            if (description && (description.length > 200 || /[<>]/.test(description))) {
+                throw new ValidationError('Description must be 200 characters or less, without < or >', 'description');
+            }
+
+            let visuals;
+            try {
+                visuals = JSON.parse(req.body.visuals || '');
+            } catch (error) {
+                throw new ValidationError('Visuals must be valid JSON', 'visuals');
+            }
+
+            const name = trailName.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const trail = {
+                name,
+                displayName: trailName.trim(),
+                type: 'particle',
+                author: authorName.trim(),
+                description: (description || '').trim() || `Submitted by ${authorName.trim()}`,
+                visuals
+            };
+
+            // Same checks as the trail files, with the texture in place of its final path
+            const errors = req.file
+                ? validateTrail({ ...trail, visuals: { ...visuals, image: TEXTURE_PLACEHOLDER, shape: visuals && visuals.shape || 'image' } })
+                : await TrailService.validateTrail(trail);
+            if (errors.length > 0) {
+                throw new ValidationError(errors.join('\n'), 'visuals');
+            }
+
+            if (TrailService.isValidTrail(name) || SubmissionService.checkDuplicateName(name, 'trail')) {
+                throw new ValidationError('A trail with this name already exists or is waiting for review', 'trailName');
+            }
+
+            const submission = await SubmissionService.addSubmission({
+                kind: 'trail',
+                name,
+                author: trail.author,
+                trail,
+                filename: req.file ? req.file.filename : null,
+                originalName: req.file ? req.file.originalname : null
+            });
+
+            // Notify the streamer about the new submission
+            try {
+                if (TwitchService.sendMessage) {
+                    const modUrl = config.BASE_URL ? `${config.BASE_URL}/mod` : '/mod';
+                    await TwitchService.sendMessage('submission.newTrail', { author: submission.author, trail: trail.displayName, url: modUrl });
+                }
+            } catch (error) {
+                // Don't fail the submission if notification fails
+                logger.warn('Failed to notify streamer about trail submission:', error);
+            }
+
+            res.json({
+                status: 'success',
+                message: 'Trail submitted successfully! It will be reviewed by moderators.',
+                data: {
+                    id: submission.id,
+                    name: submission.name
+                }
+            });
+        } catch (error) {
+            await removeTexture();
+            throw error;
+        }
+    })
+);
+
 // Select trail for authenticated user (from profile)
 router.post('/select',
     asyncHandler(async (req, res) => {
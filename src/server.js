@@ -16,6 +16,7 @@ const { config, validateEnvironment } = require('./config/environment');
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
 const { requireToken } = require('./middleware/tokenAuth');
+const { channelScope } = require('./middleware/channelScope');
 
 // Route imports
 const gameRoutes = require('./routes/gameRoutes');
@@ -29,14 +30,26 @@ const authRoutes = require('./routes/authRoutes');
 const publicRoutes = require('./routes/publicRoutes');
 
 // Service imports
+const ChannelService = require('./services/channelService');
 const DatabaseService = require('./services/databaseService');
 const ConfigService = require('./services/configService');
 const TokenService = require('./services/tokenService');
 const SkinService = require('./services/skinService');
 const TrailService = require('./services/trailService');
 const LeaderboardService = require('./services/leaderboardService');
+const CoinService = require('./services/coinService');
+const PityService = require('./services/pityService');
+const RatingService = require('./services/ratingService');
+const CaseService = require('./services/caseService');
+const SeasonService = require('./services/seasonService');
 const TwitchService = require('./services/twitchService');
 const GameService = require('./services/gameService');
+const QueueService = require('./services/queueService');
+const RedemptionService = require('./services/redemptionService');
+const WagerService = require('./services/wagerService');
+const UnboxLogService = require('./services/unboxLogService');
+const CommandService = require('./services/commandService');
+const MessageService = require('./services/messageService');
 
 // WebSocket handler
 const SocketHandler = require('./websocket/socketHandler');
@@ -82,6 +95,10 @@ class Server {
             // Validate environment first
             await validateEnvironment();
             
+            // Load the channels this server plays in, databases and tokens are opened per channel
+            await ChannelService.initialize();
+            logger.info('✓ Channel service initialized');
+
             // Initialize database
             await DatabaseService.initialize();
             logger.info('✓ Database service initialized');
@@ -106,6 +123,30 @@ class Server {
             await LeaderboardService.initialize(); 
             logger.info('✓ Leaderboard service initialized');
 
+            // Load cone coin earnings and prices
+            await CoinService.initialize();
+            logger.info('✓ Coin service initialized');
+
+            // Load unbox bad-luck protection rules
+            await PityService.initialize();
+            logger.info('✓ Pity service initialized');
+
+            // Load duel rating rules
+            await RatingService.initialize();
+            logger.info('✓ Rating service initialized');
+
+            // Load the unbox cases besides the default one
+            await CaseService.initialize();
+            logger.info('✓ Case service initialized');
+
+            // Load chat command overrides before chat connects
+            await CommandService.initialize();
+            logger.info('✓ Command service initialized');
+
+            // Load the chat message catalog and locale choices
+            await MessageService.initialize();
+            logger.info('✓ Message service initialized');
+
             // Initialize Twitch service
             await TwitchService.initialize();
             logger.info('✓ Twitch service initialized');
@@ -114,6 +155,26 @@ class Server {
             await GameService.initialize();
             logger.info('✓ Game service initialized');
 
+            // Restore games that were still queued when the server stopped
+            await QueueService.initialize();
+            logger.info('✓ Queue service initialized');
+
+            // Refund channel point flips that never got a result
+            await RedemptionService.initialize();
+            logger.info('✓ Redemption service initialized');
+
+            // Return duel wagers whose duel never got a result
+            await WagerService.initialize();
+            logger.info('✓ Wager service initialized');
+
+            // Make sure every skins database has an unbox server seed to roll from
+            await UnboxLogService.initialize();
+            logger.info('✓ Unbox log service initialized');
+
+            // Close seasons whose end date passed while the server was down
+            await SeasonService.initialize();
+            logger.info('✓ Season service initialized');
+
             // Connect services to TwitchService for chat commands
             TwitchService.setServices(GameService, LeaderboardService, SkinService, TrailService);
             logger.info('✓ TwitchService connected to other services');
@@ -126,11 +187,13 @@ class Server {
             // Connect services to socket handler
             debugRoutes.setSocketHandler(this.socketHandler);
             GameService.setSocketHandler(this.socketHandler);
+            QueueService.setSocketHandler(this.socketHandler);
             TwitchService.setSocketHandler(this.socketHandler);
             TokenService.setSocketHandler(this.socketHandler);
             SkinService.setSocketHandler(this.socketHandler);
             SkinService.trailService = TrailService;
             TrailService.setSocketHandler(this.socketHandler);
+            SeasonService.setSocketHandler(this.socketHandler);
 
             this.setupMiddleware();
             this.cacheHTMLTemplates();
@@ -244,6 +307,9 @@ class Server {
             });
             next();
         });
+
+        // Everything below runs against the channel picked with ?channel= (primary channel by default)
+        this.app.use(channelScope);
     }
 
     cacheHTMLTemplates() {
@@ -350,6 +416,11 @@ class Server {
             res.sendFile(path.join(__dirname, '../public/mod.html'));
         });
 
+        // Re-simulate a recorded flip from its seed
+        this.app.get('/replay/:coneId', (req, res) => {
+            res.sendFile(path.join(__dirname, '../public/replay.html'));
+        });
+
         this.app.get('/skins/submissions', (req, res) => {
             res.sendFile(path.join(__dirname, '../public/skins-submissions.html'));
         });
@@ -412,7 +483,7 @@ class Server {
             try {
                 // Get skin statistics for metadata
                 const SkinService = require('./services/skinService');
-                const skinStats = SkinService.getSkinStats();
+                const skinStats = await SkinService.getSkinStats();
                 
                 if (skinStats) {
                     // Generate dynamic HTML with skin stats
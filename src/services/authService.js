@@ -1,6 +1,7 @@
 const axios = require('axios');
 const { config } = require('../config/environment');
 const logger = require('../utils/logger');
+const ChannelService = require('./channelService');
 
 class AuthService {
     constructor() {
@@ -98,11 +99,11 @@ class AuthService {
     }
 
     /**
-     * Check if user is admin (streamer or in ADMINS list)
+     * Check if user runs this server (primary streamer or in ADMINS list), they can manage every channel
      * @param {Object} user - User object with login property
-     * @returns {boolean} True if user is admin
+     * @returns {boolean} True if user is a server admin
      */
-    isAdmin(user) {
+    isServerAdmin(user) {
         if (!user || !user.login) return false;
 
         const username = user.login.toLowerCase();
@@ -118,20 +119,52 @@ class AuthService {
     }
 
     /**
-     * Check if user is moderator (admin, streamer, or in MODERATORS list)
+     * Check if user is admin of a channel (its streamer, its admins, or a server admin)
      * @param {Object} user - User object with login property
+     * @param {string} channel - Channel name, defaults to the current channel
+     * @returns {boolean} True if user is admin
+     */
+    isAdmin(user, channel = ChannelService.current()) {
+        if (!user || !user.login) return false;
+        if (this.isServerAdmin(user)) return true;
+
+        const record = ChannelService.get(channel);
+        if (!record) return false;
+
+        const username = user.login.toLowerCase();
+        return username === record.name || record.admins.includes(username);
+    }
+
+    /**
+     * Check if user is moderator of a channel (admin, or in its MODERATORS list)
+     * @param {Object} user - User object with login property
+     * @param {string} channel - Channel name, defaults to the current channel
      * @returns {boolean} True if user is moderator
      */
-    isModerator(user) {
+    isModerator(user, channel = ChannelService.current()) {
         if (!user || !user.login) return false;
 
         // Admins are automatically moderators
-        if (this.isAdmin(user)) return true;
+        if (this.isAdmin(user, channel)) return true;
 
-        const username = user.login.toLowerCase();
+        const record = ChannelService.get(channel);
+        if (!record) return false;
+
+        // Check if user is in the channel's MODERATORS list
+        return record.moderators.includes(user.login.toLowerCase());
+    }
+
+    /**
+     * Channels a user can open the admin panel for
+     * @param {Object} user - User object with login property
+     * @returns {string[]} Channel names
+     */
+    getAdminChannels(user) {
+        return ChannelService.list().filter(channel => this.isAdmin(user, channel));
+    }
 
-        // Check if user is in MODERATORS list
-        return config.MODERATORS.includes(username);
+    getModeratorChannels(user) {
+        return ChannelService.list().filter(channel => this.isModerator(user, channel));
     }
 
     /**
@@ -147,8 +180,8 @@ class AuthService {
             display_name: user.display_name,
             profile_image_url: user.profile_image_url,
             email: user.email,
-            is_admin: this.isAdmin(user),
-            is_moderator: this.isModerator(user),
+            is_admin: this.getAdminChannels(user).length > 0,
+            is_moderator: this.getModeratorChannels(user).length > 0,
             access_token: accessToken,
             authenticated_at: new Date().toISOString()
         };
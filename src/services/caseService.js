@@ -0,0 +1,300 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SkinService = require('./skinService');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// The case every unbox used before there were cases: all canUnbox skins, the global tier odds
+// and the UNBOX_CONE reward of every channel. It is built from the skin config, never stored
+const DEFAULT_CASE = 'default';
+
+// Skin grades a case can roll, gold is the trail chance
+const SKIN_TIERS = ['covert', 'classified', 'restricted', 'mil-spec'];
+
+const CASE_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Named cases with their own loot table, such as a seasonal, an artist or a trail-only case.
+// A case lists its skins (a skin can get its own weight, so skins that don't drop from the
+// default case can be graded), the odds of each grade, the chance of a trail instead of a skin,
+// an optional date range and the channel point rewards that open it. Cases are shared by all
+// channels and stored in data/cases.json.
+class CaseService {
+    constructor() {
+        this.cases = new Map(); // id -> stored case, never contains the default case
+        this.casesPath = path.join(process.cwd(), 'data', 'cases.json');
+        this.defaultCase = DEFAULT_CASE;
+    }
+
+    async initialize() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.casesPath, 'utf8'));
+            for (const unboxCase of data.cases || []) {
+                this.cases.set(unboxCase.id, unboxCase);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load unbox cases:', error);
+            }
+        }
+
+        logger.info(`CaseService initialized with ${this.cases.size} custom cases`);
+    }
+
+    async save() {
+        await fs.writeFile(this.casesPath, JSON.stringify({ cases: [...this.cases.values()] }, null, 2));
+    }
+
+    /**
+     * A case with its default values filled in
+     * @param {string} id - Case id, the default case if empty
+     * @returns {Object} { id, name, description, skins, tierOdds, trailChance, startsAt, endsAt, rewardIds }
+     */
+    getCase(id = DEFAULT_CASE) {
+        id = String(id || DEFAULT_CASE).toLowerCase();
+        if (id === DEFAULT_CASE) {
+            const { gold, ...tierOdds } = SkinService.tierOdds;
+            return {
+                id: DEFAULT_CASE,
+                name: 'Cone Case',
+                description: 'Every skin that can be unboxed',
+                skins: SkinService.getSkinsAvailableToUnbox().map(skin => skin.name),
+                tierOdds,
+                trailChance: gold,
+                startsAt: null,
+                endsAt: null,
+                rewardIds: []
+            };
+        }
+
+        const unboxCase = this.cases.get(id);
+        if (!unboxCase) {
+            throw new NotFoundError(`Unknown case: ${id}`);
+        }
+        return unboxCase;
+    }
+
+    /**
+     * The custom case a channel point reward opens
+     * @param {string} rewardId - Twitch reward id
+     * @returns {Object|null} Case, null if no case uses the reward
+     */
+    getCaseForReward(rewardId) {
+        if (!rewardId) return null;
+        return [...this.cases.values()].find(unboxCase => unboxCase.rewardIds.includes(rewardId)) || null;
+    }
+
+    isActive(unboxCase, now = new Date()) {
+        if (unboxCase.startsAt && now < new Date(unboxCase.startsAt)) return false;
+        if (unboxCase.endsAt && now > new Date(unboxCase.endsAt)) return false;
+        return true;
+    }
+
+    /**
+     * A case's skins grouped by grade, shaped like SkinService.getSkinsByTier()
+     * Skins keep their config entry, with the case's weight if it sets one
+     */
+    getSkinsByTier(unboxCase) {
+        if (unboxCase.id === DEFAULT_CASE) {
+            return SkinService.getSkinsByTier();
+        }
+
+        const skinsByTier = Object.fromEntries(SKIN_TIERS.map(tier => [tier, []]));
+        for (const entry of unboxCase.skins) {
+            const config = SkinService.skinConfig.find(skin => skin.name === entry.skin);
+            if (!config) continue;
+
+            const skin = entry.weight !== undefined ? { ...config, unboxWeight: entry.weight } : config;
+            const tier = SkinService.getSkinTier(skin);
+            if (skinsByTier[tier]) {
+                skinsByTier[tier].push(skin);
+            }
+        }
+        return skinsByTier;
+    }
+
+    // Odds of every grade with the trail chance as gold, in the order SkinService rolls them
+    getTierOdds(unboxCase) {
+        return {
+            gold: unboxCase.trailChance,
+            ...Object.fromEntries(SKIN_TIERS.map(tier => [tier, unboxCase.tierOdds[tier] || 0]))
+        };
+    }
+
+    /**
+     * What a case contains and the odds of every drop, for /skins-all and the unbox overlay
+     * @param {Object} unboxCase - From getCase()
+     * @returns {Object} { id, name, description, active, startsAt, endsAt, trailChance, tierOdds, skins: [{ name, visuals, weight, tier, rarity, probability }] }
+     */
+    describe(unboxCase) {
+        const skinsByTier = this.getSkinsByTier(unboxCase);
+        const odds = SkinService.getSkinOdds(this.getTierOdds(unboxCase), skinsByTier);
+
+        const skins = SKIN_TIERS.flatMap(tier => skinsByTier[tier].map(skin => ({
+            name: skin.name,
+            visuals: skin.visuals,
+            weight: skin.unboxWeight || 0,
+            tier,
+            rarity: odds[skin.name].rarity,
+            probability: odds[skin.name].probability
+        })));
+
+        return {
+            id: unboxCase.id,
+            name: unboxCase.name,
+            description: unboxCase.description,
+            active: this.isActive(unboxCase),
+            startsAt: unboxCase.startsAt,
+            endsAt: unboxCase.endsAt,
+            trailChance: unboxCase.trailChance,
+            tierOdds: unboxCase.tierOdds,
+            skins
+        };
+    }
+
+    /**
+     * Every case described, the default first
+     * @param {Object} options - { includeInactive }
+     */
+    listCases({ includeInactive = false } = {}) {
+        return [this.getCase(DEFAULT_CASE), ...this.cases.values()]
+            .filter(unboxCase => includeInactive || this.isActive(unboxCase))
+            .map(unboxCase => this.describe(unboxCase));
+    }
+
+    // Custom cases as stored, reward ids included, for the admin panel
+    getStoredCases() {
+        return [...this.cases.values()];
+    }
+
+    /**
+     * Add or replace a custom case
+     * @param {Object} input - { id, name, description, skins, tierOdds, trailChance, startsAt, endsAt, rewardIds }
+     *                         skins are names or { skin, weight }
+     * @returns {Promise<Object>} The stored case
+     */
+    async saveCase(input = {}) {
+        const unboxCase = this.validate(input);
+        this.cases.set(unboxCase.id, unboxCase);
+        await this.save();
+
+        logger.info(`Unbox case ${unboxCase.id} saved with ${unboxCase.skins.length} skins`);
+        return unboxCase;
+    }
+
+    async deleteCase(id) {
+        id = String(id || '').toLowerCase();
+        if (id === DEFAULT_CASE) {
+            throw new ValidationError('The default case can\'t be deleted', 'id');
+        }
+        if (!this.cases.delete(id)) {
+            throw new NotFoundError(`Unknown case: ${id}`);
+        }
+        await this.save();
+
+        logger.info(`Unbox case ${id} deleted`);
+    }
+
+    validate(input) {
+        const id = String(input.id || '').trim().toLowerCase();
+        if (!CASE_ID_PATTERN.test(id)) {
+            throw new ValidationError('Case id must be 1-32 lowercase letters, digits, - or _', 'id');
+        }
+        if (id === DEFAULT_CASE) {
+            throw new ValidationError('The default case is made from the skin config and can\'t be edited', 'id');
+        }
+
+        const name = String(input.name || '').trim();
+        if (!name || name.length > 50) {
+            throw new ValidationError('Case name must be 1-50 characters', 'name');
+        }
+
+        const skins = [];
+        for (const entry of input.skins || []) {
+            const skin = typeof entry === 'string' ? { skin: entry } : { skin: entry.skin, weight: entry.weight };
+            const config = SkinService.skinConfig.find(item => item.name.toLowerCase() === String(skin.skin || '').toLowerCase());
+            if (!config) {
+                throw new ValidationError(`Unknown skin: ${skin.skin}`, 'skins');
+            }
+            if (skins.some(item => item.skin === config.name)) {
+                throw new ValidationError(`${config.name} is in the case twice`, 'skins');
+            }
+
+            const stored = { skin: config.name };
+            if (skin.weight !== undefined && skin.weight !== null && skin.weight !== '') {
+                stored.weight = Number(skin.weight);
+                const minimum = SkinService.tierThresholds.covert;
+                if (!Number.isFinite(stored.weight) || stored.weight < minimum) {
+                    throw new ValidationError(`${config.name} weight must be ${minimum} or more, lower weights are gold`, 'skins');
+                }
+            } else if (SkinService.getSkinTier(config) === 'gold') {
+                throw new ValidationError(`${config.name} has no unbox weight, give it one in the case`, 'skins');
+            }
+            skins.push(stored);
+        }
+
+        const trailChance = Number(input.trailChance || 0);
+        const tierOdds = {};
+        for (const tier of SKIN_TIERS) {
+            tierOdds[tier] = Number((input.tierOdds || {})[tier] || 0);
+        }
+        for (const [tier, odds] of Object.entries({ gold: trailChance, ...tierOdds })) {
+            if (!Number.isFinite(odds) || odds < 0) {
+                throw new ValidationError(`${tier} odds must be a number, 0 or more`, 'tierOdds');
+            }
+        }
+
+        const total = trailChance + SKIN_TIERS.reduce((sum, tier) => sum + tierOdds[tier], 0);
+        if (Math.abs(total - 100) > 0.01) {
+            throw new ValidationError(`Grade odds and trail chance add up to ${total}, not 100`, 'tierOdds');
+        }
+
+        // A grade that can be rolled needs a skin to land on
+        const unboxCase = { id, skins };
+        const skinsByTier = this.getSkinsByTier(unboxCase);
+        for (const tier of SKIN_TIERS) {
+            if (tierOdds[tier] > 0 && skinsByTier[tier].length === 0) {
+                throw new ValidationError(`The case has ${tierOdds[tier]}% ${tier} odds but no ${tier} skins`, 'tierOdds');
+            }
+        }
+
+        const startsAt = this.parseDate(input.startsAt, 'startsAt');
+        const endsAt = this.parseDate(input.endsAt, 'endsAt');
+        if (startsAt && endsAt && startsAt >= endsAt) {
+            throw new ValidationError('The case has to start before it ends', 'endsAt');
+        }
+
+        const rewardIds = [...new Set((input.rewardIds || []).map(rewardId => String(rewardId).trim()).filter(Boolean))];
+        for (const rewardId of rewardIds) {
+            const other = this.getCaseForReward(rewardId);
+            if (other && other.id !== id) {
+                throw new ValidationError(`Reward ${rewardId} already opens ${other.name}`, 'rewardIds');
+            }
+        }
+
+        return {
+            id,
+            name,
+            description: String(input.description || '').trim().slice(0, 200),
+            skins,
+            tierOdds,
+            trailChance,
+            startsAt,
+            endsAt,
+            rewardIds
+        };
+    }
+
+    parseDate(value, field) {
+        if (!value) return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new ValidationError(`${field} is not a date`, field);
+        }
+        return date.toISOString();
+    }
+}
+
+// Create singleton instance
+const caseService = new CaseService();
+
+module.exports = caseService;
@@ -0,0 +1,354 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utils/logger');
+const { config } = require('../config/environment');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Twitch login names: lowercase letters, digits and underscores
+const CHANNEL_PATTERN = /^[a-z0-9_]{1,25}$/;
+
+// Channel point reward ids, same keys as config.TWITCH
+const REWARD_KEYS = ['CONE_REWARD', 'DUEL_REWARD', 'UNBOX_CONE', 'BUY_CONE', 'BUY_TRAIL_REWARD'];
+
+const DEFAULT_SETTINGS = {
+    LEVEL_UP_CHAT_ENABLED: false,
+    FOLLOW_REWARD: {
+        ENABLED: false,
+        CHAT_MESSAGE_ENABLED: true,
+        CHAT_MESSAGE: '@{user} thanks for following! Enjoy a free coneflip!'
+    }
+};
+
+// The primary channel is the one from setup.json/.env and keeps its data in data/.
+// Every other channel is stored in data/channels.json and keeps its own leaderboard,
+// overlay token and settings in data/channels/<name>/.
+class ChannelService {
+    constructor() {
+        this.storage = new AsyncLocalStorage();
+        this.channels = new Map(); // name -> channel record, never contains the primary channel
+        this.channelsPath = path.join(process.cwd(), 'data', 'channels.json');
+    }
+
+    async initialize() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.channelsPath, 'utf8'));
+            for (const record of data.channels || []) {
+                this.channels.set(record.name, this.withDefaults(record));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load channels:', error);
+            }
+        }
+
+        logger.info(`ChannelService initialized with channels: ${this.list().join(', ')} (primary ${this.getPrimary()})`);
+    }
+
+    normalize(channel) {
+        return String(channel || '').replace(/^#/, '').trim().toLowerCase();
+    }
+
+    getPrimary() {
+        return this.normalize(config.TWITCH.CHANNEL) || 'default';
+    }
+
+    isPrimary(channel = this.current()) {
+        return this.normalize(channel) === this.getPrimary();
+    }
+
+    /**
+     * Channel the running request, socket event or chat message belongs to
+     * @returns {string} Channel name, the primary channel outside of any scope
+     */
+    current() {
+        return this.storage.getStore() || this.getPrimary();
+    }
+
+    /**
+     * Run a function with every service scoped to a channel
+     * @param {string} channel - Channel name
+     * @param {Function} fn - Work to run, its async continuations keep the scope
+     */
+    run(channel, fn) {
+        return this.storage.run(this.normalize(channel) || this.getPrimary(), fn);
+    }
+
+    list() {
+        return [this.getPrimary(), ...this.channels.keys()];
+    }
+
+    has(channel) {
+        return this.isPrimary(channel) || this.channels.has(this.normalize(channel));
+    }
+
+    get(channel = this.current()) {
+        const name = this.normalize(channel);
+        if (this.isPrimary(name)) {
+            return {
+                name,
+                primary: true,
+                admins: config.ADMINS,
+                moderators: config.MODERATORS,
+                shareSkins: true
+            };
+        }
+        return this.channels.get(name) || null;
+    }
+
+    getRecord(channel) {
+        const record = this.channels.get(this.normalize(channel));
+        if (!record) {
+            throw new NotFoundError(`Unknown channel: ${channel}`);
+        }
+        return record;
+    }
+
+    /**
+     * Twitch credentials and reward ids for a channel, shaped like config.TWITCH
+     * The bot account and app client id are shared by every channel
+     */
+    getTwitchConfig(channel = this.current()) {
+        if (this.isPrimary(channel)) {
+            return config.TWITCH;
+        }
+
+        const record = this.getRecord(channel);
+        const twitch = {
+            ...config.TWITCH,
+            CHANNEL: record.name,
+            USER_ID: record.userId,
+            STREAMER_ACCESS_TOKEN: record.streamerAccessToken
+        };
+        REWARD_KEYS.forEach(key => {
+            twitch[key] = record.rewards[key] || null;
+        });
+        return twitch;
+    }
+
+    // Level up and follow reward chat settings, shaped like config
+    getSettings(channel = this.current()) {
+        if (this.isPrimary(channel)) {
+            return {
+                LEVEL_UP_CHAT_ENABLED: config.LEVEL_UP_CHAT_ENABLED,
+                FOLLOW_REWARD: config.FOLLOW_REWARD
+            };
+        }
+        return this.getRecord(channel).settings;
+    }
+
+    getDataDir(channel = this.current()) {
+        if (this.isPrimary(channel)) {
+            return path.join(process.cwd(), 'data');
+        }
+        return path.join(process.cwd(), 'data', 'channels', this.normalize(channel));
+    }
+
+    sharesSkins(channel = this.current()) {
+        const record = this.get(channel);
+        return !record || record.shareSkins !== false;
+    }
+
+    // Socket.io room of a channel's overlays and pages
+    room(channel = this.current()) {
+        return `channel:${this.normalize(channel)}`;
+    }
+
+    withDefaults(record) {
+        const settings = record.settings || {};
+        return {
+            name: record.name,
+            userId: record.userId || '',
+            streamerAccessToken: record.streamerAccessToken || '',
+            admins: record.admins || [],
+            moderators: record.moderators || [],
+            shareSkins: record.shareSkins !== false,
+            rewards: record.rewards || {},
+            rewardSettings: record.rewardSettings || {},
+            settings: {
+                LEVEL_UP_CHAT_ENABLED: settings.LEVEL_UP_CHAT_ENABLED === true,
+                FOLLOW_REWARD: { ...DEFAULT_SETTINGS.FOLLOW_REWARD, ...(settings.FOLLOW_REWARD || {}) }
+            },
+            createdAt: record.createdAt || new Date().toISOString()
+        };
+    }
+
+    // What the admin panel sees, the streamer token never leaves the server
+    describe(channel) {
+        const record = this.get(channel);
+        if (record.primary) {
+            return {
+                name: record.name,
+                primary: true,
+                userId: config.TWITCH.USER_ID || '',
+                hasStreamerToken: !!config.TWITCH.STREAMER_ACCESS_TOKEN,
+                admins: record.admins,
+                moderators: record.moderators,
+                shareSkins: true
+            };
+        }
+        return {
+            name: record.name,
+            primary: false,
+            userId: record.userId,
+            hasStreamerToken: !!record.streamerAccessToken,
+            admins: record.admins,
+            moderators: record.moderators,
+            shareSkins: record.shareSkins,
+            createdAt: record.createdAt
+        };
+    }
+
+    parseUserList(value, field) {
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+        const names = list.map(name => this.normalize(name)).filter(Boolean);
+        const invalid = names.find(name => !CHANNEL_PATTERN.test(name));
+        if (invalid) {
+            throw new ValidationError(`"${invalid}" is not a valid Twitch username`, field);
+        }
+        return [...new Set(names)];
+    }
+
+    applyChanges(record, changes) {
+        if (changes.userId !== undefined) {
+            const userId = String(changes.userId || '').trim();
+            if (userId && !/^\d+$/.test(userId)) {
+                throw new ValidationError('Twitch user ID must be numeric', 'userId');
+            }
+            record.userId = userId;
+        }
+        // An empty token keeps the saved one, null clears it
+        if (changes.streamerAccessToken === null) {
+            record.streamerAccessToken = '';
+        } else if (changes.streamerAccessToken) {
+            record.streamerAccessToken = String(changes.streamerAccessToken).replace(/^oauth:/, '').trim();
+        }
+        if (changes.admins !== undefined) {
+            record.admins = this.parseUserList(changes.admins, 'admins');
+        }
+        if (changes.moderators !== undefined) {
+            record.moderators = this.parseUserList(changes.moderators, 'moderators');
+        }
+        if (changes.shareSkins !== undefined) {
+            record.shareSkins = changes.shareSkins === true || changes.shareSkins === 'true';
+        }
+    }
+
+    /**
+     * Start playing in another channel: join its chat, open its leaderboard and issue its overlay token
+     * @param {Object} input - { name, userId, streamerAccessToken, admins, moderators, shareSkins }
+     */
+    async addChannel(input = {}) {
+        const name = this.normalize(input.name);
+        if (!CHANNEL_PATTERN.test(name)) {
+            throw new ValidationError('Channel must be a Twitch username', 'name');
+        }
+        if (this.has(name)) {
+            throw new ValidationError(`Channel ${name} already exists`, 'name');
+        }
+
+        const record = this.withDefaults({ name });
+        this.applyChanges(record, input);
+        this.channels.set(name, record);
+        await this.saveChannels();
+
+        const DatabaseService = require('./databaseService');
+        const TokenService = require('./tokenService');
+        const TwitchService = require('./twitchService');
+        await DatabaseService.openChannel(name);
+        TokenService.initializeChannel(name);
+        await TwitchService.joinChannel(name);
+
+        logger.info(`Channel added: ${name}`);
+        return this.describe(name);
+    }
+
+    /**
+     * Change a channel's credentials, admins or skin sharing
+     * @param {string} channel - Channel name
+     * @param {Object} changes - Any of the addChannel fields except name
+     */
+    async updateChannel(channel, changes = {}) {
+        if (this.isPrimary(channel)) {
+            throw new ValidationError('The primary channel is configured in the setup wizard', 'name');
+        }
+
+        const record = this.getRecord(channel);
+        const before = { ...record };
+        this.applyChanges(record, changes);
+        await this.saveChannels();
+
+        if (record.shareSkins !== before.shareSkins) {
+            const DatabaseService = require('./databaseService');
+            await DatabaseService.openChannel(record.name);
+        }
+        if (record.userId !== before.userId || record.streamerAccessToken !== before.streamerAccessToken) {
+            const TwitchService = require('./twitchService');
+            await TwitchService.joinChannel(record.name);
+        }
+
+        logger.info(`Channel updated: ${record.name}`);
+        return this.describe(record.name);
+    }
+
+    /**
+     * Save level up or follow reward settings of a non-primary channel
+     * @param {Object} settings - { LEVEL_UP_CHAT_ENABLED, FOLLOW_REWARD: { ENABLED, CHAT_MESSAGE_ENABLED, CHAT_MESSAGE } }
+     */
+    async updateSettings(channel, settings = {}) {
+        const record = this.getRecord(channel);
+        if (settings.LEVEL_UP_CHAT_ENABLED !== undefined) {
+            record.settings.LEVEL_UP_CHAT_ENABLED = settings.LEVEL_UP_CHAT_ENABLED === true;
+        }
+        if (settings.FOLLOW_REWARD) {
+            record.settings.FOLLOW_REWARD = { ...record.settings.FOLLOW_REWARD, ...settings.FOLLOW_REWARD };
+        }
+        await this.saveChannels();
+        return record.settings;
+    }
+
+    /**
+     * Remember a reward created for a non-primary channel
+     * @param {string} channel - Channel name
+     * @param {string} rewardKey - Reward key, e.g. TWITCH_CONE_REWARD
+     * @param {string} configKey - config.TWITCH key, e.g. CONE_REWARD
+     * @param {string} rewardId - Twitch reward id
+     * @param {Object} settings - Settings the reward was synced with
+     */
+    async saveReward(channel, rewardKey, configKey, rewardId, settings) {
+        const record = this.getRecord(channel);
+        record.rewards[configKey] = rewardId;
+        record.rewardSettings[rewardKey] = settings;
+        await this.saveChannels();
+    }
+
+    async removeChannel(channel) {
+        if (this.isPrimary(channel)) {
+            throw new ValidationError('The primary channel cannot be removed', 'name');
+        }
+
+        const record = this.getRecord(channel);
+        this.channels.delete(record.name);
+        await this.saveChannels();
+
+        const DatabaseService = require('./databaseService');
+        const TokenService = require('./tokenService');
+        const TwitchService = require('./twitchService');
+        await TwitchService.partChannel(record.name);
+        TokenService.removeChannel(record.name);
+        await DatabaseService.closeChannel(record.name);
+
+        logger.info(`Channel removed: ${record.name} (data kept in ${this.getDataDir(record.name)})`);
+        return { name: record.name };
+    }
+
+    async saveChannels() {
+        const data = { channels: Array.from(this.channels.values()) };
+        await fs.writeFile(this.channelsPath, JSON.stringify(data, null, 2));
+    }
+}
+
+// Create singleton instance
+const channelService = new ChannelService();
+
+module.exports = channelService;
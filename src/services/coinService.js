@@ -0,0 +1,207 @@
+const fs = require('fs').promises;
+const path = require('path');
+const DatabaseService = require('./databaseService');
+const SkinService = require('./skinService');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Coins credited per event, 0 turns an event off
+const DEFAULT_EARNINGS = {
+    coneflip_win: 10,
+    coneflip_loss: 2,
+    duel_win: 20,
+    duel_loss: 5,
+    unbox: 5,
+    follow: 50
+};
+
+// Skin prices per rarity tier (the tiers of SkinService.getSkinTier), 0 keeps a tier out of the shop
+const DEFAULT_PRICES = {
+    'mil-spec': 100,
+    'restricted': 250,
+    'classified': 600,
+    'covert': 1500,
+    'gold': 0
+};
+
+// Cone coins are a spendable balance kept apart from leaderboard points, which double as rank.
+// Balances live in each channel's leaderboard database, earnings and prices are shared by all channels.
+class CoinService {
+    constructor() {
+        this.settings = {
+            earnings: { ...DEFAULT_EARNINGS },
+            prices: { ...DEFAULT_PRICES }
+        };
+        this.settingsPath = path.join(process.cwd(), 'data', 'coins.json');
+    }
+
+    async initialize() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+            this.settings = {
+                earnings: { ...DEFAULT_EARNINGS, ...(data.earnings || {}) },
+                prices: { ...DEFAULT_PRICES, ...(data.prices || {}) }
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load coin settings:', error);
+            }
+        }
+
+        logger.info('CoinService initialized');
+    }
+
+    async getBalance(player) {
+        const row = await DatabaseService.get('SELECT balance FROM coin_balances WHERE player = ?', [player.toLowerCase()]);
+        return row ? row.balance : 0;
+    }
+
+    /**
+     * Add or remove coins and record the change in the ledger
+     * @param {string} player - Player name
+     * @param {number} amount - Positive to credit, negative to debit
+     * @param {string} reason - What the change was for, e.g. 'duel_win', 'buy', 'admin'
+     * @param {string} reference - Optional detail, e.g. the skin bought
+     * @returns {Promise<number>} The new balance
+     */
+    async change(player, amount, reason, reference = null) {
+        return DatabaseService.transaction(() => this.applyChange(player, amount, reason, reference));
+    }
+
+    // Same as change() for callers that already opened a transaction
+    async applyChange(player, amount, reason, reference = null) {
+        player = player.toLowerCase();
+        if (!Number.isInteger(amount) || amount === 0) {
+            throw new ValidationError('Amount must be a whole number other than 0', 'amount');
+        }
+
+        await DatabaseService.run('INSERT OR IGNORE INTO coin_balances (player) VALUES (?)', [player]);
+        const row = await DatabaseService.get('SELECT balance FROM coin_balances WHERE player = ?', [player]);
+
+        const balance = row.balance + amount;
+        if (balance < 0) {
+            throw new ValidationError(`${player} only has ${row.balance} coins`, 'amount');
+        }
+
+        await DatabaseService.run(
+            'UPDATE coin_balances SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE player = ?',
+            [balance, player]
+        );
+        await DatabaseService.run(
+            'INSERT INTO coin_ledger (player, amount, balance_after, reason, reference) VALUES (?, ?, ?, ?, ?)',
+            [player, amount, balance, reason, reference]
+        );
+
+        logger.debug(`Coins ${amount > 0 ? '+' : ''}${amount} for ${player} (${reason}), balance ${balance}`);
+        return balance;
+    }
+
+    /**
+     * Credit the coins an event is worth, failures are logged so games and unboxes carry on
+     * @param {string} player - Player name
+     * @param {string} event - Key of the earnings table, e.g. 'coneflip_win'
+     * @param {string} reference - Optional detail for the ledger
+     * @returns {Promise<number>} Coins credited
+     */
+    async award(player, event, reference = null) {
+        const amount = this.settings.earnings[event] || 0;
+        if (amount <= 0) return 0;
+
+        try {
+            await this.change(player, amount, event, reference);
+            return amount;
+        } catch (error) {
+            logger.warn(`Failed to award ${amount} coins to ${player} for ${event}: ${error.message}`);
+            return 0;
+        }
+    }
+
+    async getLedger(player, limit = 20) {
+        return DatabaseService.all(
+            'SELECT amount, balance_after, reason, reference, created_at FROM coin_ledger WHERE player = ? ORDER BY id DESC LIMIT ?',
+            [player.toLowerCase(), limit]
+        );
+    }
+
+    /**
+     * Coin price of a skin, based on its rarity tier
+     * @param {string} skinName - Skin name
+     * @returns {number} Price, 0 if the skin can't be bought with coins
+     */
+    getPrice(skinName) {
+        const skin = SkinService.availableSkins[skinName];
+        if (!skin || !skin.canUnbox) return 0;
+        return this.settings.prices[SkinService.getSkinTier(skin)] || 0;
+    }
+
+    /**
+     * Spend coins on a skin, it is added to the inventory and equipped
+     * @param {string} player - Player name
+     * @param {string} skinName - Exact skin name
+     * @param {string} twitchId - Player's Twitch id if known
+     * @returns {Promise<Object>} { skin, price, balance }
+     */
+    async buySkin(player, skinName, twitchId = null) {
+        if (!SkinService.availableSkins[skinName]) {
+            throw new NotFoundError(`Unknown skin: ${skinName}`);
+        }
+        const price = this.getPrice(skinName);
+        if (price <= 0) {
+            throw new ValidationError(`${skinName} can't be bought with coins`, 'skin');
+        }
+
+        const balance = await this.change(player, -price, 'buy', skinName);
+        try {
+            await SkinService.addSkinToInventory(player, skinName, twitchId, 1);
+            await SkinService.setSkin(player, skinName, twitchId);
+        } catch (error) {
+            await this.change(player, price, 'refund', skinName);
+            throw error;
+        }
+
+        logger.info(`${player} bought ${skinName} for ${price} coins`);
+        return { skin: skinName, price, balance };
+    }
+
+    getSettings() {
+        return {
+            earnings: { ...this.settings.earnings },
+            prices: { ...this.settings.prices }
+        };
+    }
+
+    /**
+     * Change coin earnings and prices, unknown keys are rejected
+     * @param {Object} changes - { earnings: { event: coins }, prices: { tier: coins } }
+     */
+    async updateSettings({ earnings, prices } = {}) {
+        const validate = (values, defaults, field) => {
+            const result = {};
+            for (const [key, value] of Object.entries(values || {})) {
+                if (!(key in defaults)) {
+                    throw new ValidationError(`Unknown ${field} key: ${key}`, field);
+                }
+                const amount = Number(value);
+                if (!Number.isInteger(amount) || amount < 0) {
+                    throw new ValidationError(`${key} must be a whole number of coins, 0 or more`, field);
+                }
+                result[key] = amount;
+            }
+            return result;
+        };
+
+        const nextEarnings = validate(earnings, DEFAULT_EARNINGS, 'earnings');
+        const nextPrices = validate(prices, DEFAULT_PRICES, 'prices');
+        this.settings.earnings = { ...this.settings.earnings, ...nextEarnings };
+        this.settings.prices = { ...this.settings.prices, ...nextPrices };
+
+        await fs.writeFile(this.settingsPath, JSON.stringify(this.settings, null, 2));
+        logger.info('Coin settings updated');
+        return this.getSettings();
+    }
+}
+
+// Create singleton instance
+const coinService = new CoinService();
+
+module.exports = coinService;
@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const ChannelService = require('./channelService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Lowest to highest, a command is usable by its level and everything above it
+const PERMISSION_LEVELS = ['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster'];
+
+const COMMAND_NAME_PATTERN = /^![a-z0-9_]{1,30}$/;
+
+class CommandService {
+    constructor() {
+        this.commands = new Map(); // id -> { id, description, defaults, handler }
+        this.overrides = {}; // id -> admin changes, persisted to data/commands.json
+        this.triggers = new Map(); // '!name' or alias -> id
+        this.userCooldowns = new Map(); // `${channel}:${id}:${username}` -> last used
+        this.globalCooldowns = new Map(); // `${channel}:${id}` -> last used
+        this.configPath = path.join(process.cwd(), 'data', 'commands.json');
+
+        // Per-user cooldown entries are only useful for a few minutes
+        this._cleanupInterval = setInterval(() => this.cleanupCooldowns(), 15 * 60 * 1000);
+        this._cleanupInterval.unref();
+    }
+
+    async initialize() {
+        try {
+            const data = await fs.readFile(this.configPath, 'utf8');
+            this.overrides = JSON.parse(data);
+            logger.info(`Loaded chat command settings for ${Object.keys(this.overrides).length} command(s)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load chat command settings:', error);
+            }
+            this.overrides = {};
+        }
+
+        this.rebuildTriggers();
+    }
+
+    /**
+     * Register a chat command with its default settings
+     * @param {Object} command - { id, name, aliases, permission, userCooldown, globalCooldown, enabled, description, handler }
+     *   Cooldowns are in milliseconds, handler receives { username, userId, args, channel, tags, permission }
+     */
+    register({ id, name, aliases = [], permission = 'everyone', userCooldown = 2000, globalCooldown = 0, enabled = true, description = '', handler }) {
+        if (this.commands.has(id)) {
+            throw new Error(`Chat command ${id} is already registered`);
+        }
+
+        this.commands.set(id, {
+            id,
+            description,
+            handler,
+            defaults: { name, aliases, permission, userCooldown, globalCooldown, enabled }
+        });
+        this.rebuildTriggers();
+    }
+
+    getConfig(id) {
+        const command = this.commands.get(id);
+        if (!command) return null;
+        return { ...command.defaults, ...(this.overrides[id] || {}) };
+    }
+
+    rebuildTriggers() {
+        this.triggers.clear();
+        for (const id of this.commands.keys()) {
+            const settings = this.getConfig(id);
+            [settings.name, ...settings.aliases].forEach(trigger => {
+                if (this.triggers.has(trigger)) {
+                    logger.warn(`Chat command trigger ${trigger} is used by both ${this.triggers.get(trigger)} and ${id}, keeping ${this.triggers.get(trigger)}`);
+                    return;
+                }
+                this.triggers.set(trigger, id);
+            });
+        }
+    }
+
+    resolve(trigger) {
+        const id = this.triggers.get(trigger.toLowerCase());
+        return id ? { id, ...this.getConfig(id) } : null;
+    }
+
+    hasPermission(userLevel, requiredLevel) {
+        return PERMISSION_LEVELS.indexOf(userLevel) >= PERMISSION_LEVELS.indexOf(requiredLevel);
+    }
+
+    /**
+     * Run the command behind a chat trigger if the user may use it right now
+     * @param {string} trigger - First word of the chat message, e.g. '!coneflip'
+     * @param {Object} context - { username, userId, args, channel, tags, permission }
+     * @returns {boolean} true if a command ran
+     */
+    async execute(trigger, context) {
+        const command = this.resolve(trigger);
+        if (!command || !command.enabled) return false;
+
+        if (!this.hasPermission(context.permission, command.permission)) {
+            logger.debug(`${context.username} lacks ${command.permission} permission for ${trigger}`);
+            return false;
+        }
+
+        // Cooldowns are silent, same as before the registry existed, and each channel has its own
+        const now = Date.now();
+        const globalKey = `${ChannelService.current()}:${command.id}`;
+        const userKey = `${globalKey}:${context.username}`;
+        if (command.globalCooldown > 0 && now - (this.globalCooldowns.get(globalKey) || 0) < command.globalCooldown) {
+            return false;
+        }
+        if (command.userCooldown > 0 && now - (this.userCooldowns.get(userKey) || 0) < command.userCooldown) {
+            return false;
+        }
+
+        logger.info(`Chat command: ${trigger} (${command.id}) from ${context.username}`, { args: context.args, permission: context.permission });
+
+        await this.commands.get(command.id).handler(context);
+
+        if (command.globalCooldown > 0) this.globalCooldowns.set(globalKey, now);
+        if (command.userCooldown > 0) this.userCooldowns.set(userKey, now);
+        return true;
+    }
+
+    list() {
+        return Array.from(this.commands.values()).map(command => ({
+            id: command.id,
+            description: command.description,
+            ...this.getConfig(command.id),
+            defaults: command.defaults,
+            customized: Boolean(this.overrides[command.id])
+        }));
+    }
+
+    validateChanges(id, changes) {
+        const current = this.getConfig(id);
+        const next = { ...current };
+
+        if (changes.name !== undefined) {
+            next.name = String(changes.name).trim().toLowerCase();
+            if (!next.name.startsWith('!')) next.name = `!${next.name}`;
+            if (!COMMAND_NAME_PATTERN.test(next.name)) {
+                throw new ValidationError('Command name must be ! followed by up to 30 letters, numbers or underscores', 'name');
+            }
+        }
+
+        if (changes.aliases !== undefined) {
+            const aliases = Array.isArray(changes.aliases) ? changes.aliases : String(changes.aliases).split(',');
+            next.aliases = [...new Set(aliases
+                .map(alias => String(alias).trim().toLowerCase())
+                .filter(Boolean)
+                .map(alias => (alias.startsWith('!') ? alias : `!${alias}`)))];
+            const invalid = next.aliases.find(alias => !COMMAND_NAME_PATTERN.test(alias));
+            if (invalid) {
+                throw new ValidationError(`Invalid alias: ${invalid}`, 'aliases');
+            }
+        }
+
+        if (changes.permission !== undefined) {
+            if (!PERMISSION_LEVELS.includes(changes.permission)) {
+                throw new ValidationError(`Permission must be one of: ${PERMISSION_LEVELS.join(', ')}`, 'permission');
+            }
+            next.permission = changes.permission;
+        }
+
+        ['userCooldown', 'globalCooldown'].forEach(field => {
+            if (changes[field] === undefined) return;
+            const value = parseInt(changes[field]);
+            if (isNaN(value) || value < 0 || value > 24 * 60 * 60 * 1000) {
+                throw new ValidationError(`${field} must be between 0 and 86400000 ms`, field);
+            }
+            next[field] = value;
+        });
+
+        if (changes.enabled !== undefined) {
+            next.enabled = changes.enabled === true || changes.enabled === 'true';
+        }
+
+        // A trigger may only belong to one command
+        const triggers = [next.name, ...next.aliases.filter(alias => alias !== next.name)];
+        for (const trigger of triggers) {
+            const owner = this.triggers.get(trigger);
+            if (owner && owner !== id) {
+                throw new ValidationError(`${trigger} is already used by the ${owner} command`, 'name');
+            }
+        }
+        next.aliases = triggers.slice(1);
+
+        return next;
+    }
+
+    /**
+     * Change a command's name, aliases, permission, cooldowns or enabled flag
+     * @param {string} id - Command id
+     * @param {Object} changes - Fields to change
+     */
+    async update(id, changes) {
+        if (!this.commands.has(id)) {
+            throw new NotFoundError(`Unknown chat command: ${id}`);
+        }
+
+        const next = this.validateChanges(id, changes);
+        const defaults = this.commands.get(id).defaults;
+
+        // Only store what differs from the defaults, so code changes to defaults still apply
+        const override = {};
+        Object.keys(defaults).forEach(field => {
+            if (JSON.stringify(next[field]) !== JSON.stringify(defaults[field])) {
+                override[field] = next[field];
+            }
+        });
+
+        if (Object.keys(override).length > 0) {
+            this.overrides[id] = override;
+        } else {
+            delete this.overrides[id];
+        }
+
+        await this.saveOverrides();
+        this.rebuildTriggers();
+
+        logger.info(`Chat command ${id} updated`, override);
+        return { id, ...this.getConfig(id) };
+    }
+
+    async reset(id) {
+        if (!this.commands.has(id)) {
+            throw new NotFoundError(`Unknown chat command: ${id}`);
+        }
+
+        delete this.overrides[id];
+        await this.saveOverrides();
+        this.rebuildTriggers();
+
+        logger.info(`Chat command ${id} reset to defaults`);
+        return { id, ...this.getConfig(id) };
+    }
+
+    async saveOverrides() {
+        await fs.writeFile(this.configPath, JSON.stringify(this.overrides, null, 2));
+    }
+
+    cleanupCooldowns() {
+        const now = Date.now();
+        for (const [key, lastUsed] of this.userCooldowns) {
+            const id = key.split(':')[1];
+            const settings = this.getConfig(id);
+            if (!settings || now - lastUsed > settings.userCooldown) {
+                this.userCooldowns.delete(key);
+            }
+        }
+    }
+}
+
+// Create singleton instance
+const commandService = new CommandService();
+commandService.PERMISSION_LEVELS = PERMISSION_LEVELS;
+
+module.exports = commandService;
@@ -1,13 +1,60 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 const logger = require('../utils/logger');
+const ChannelService = require('./channelService');
+
+// Channel point redemptions that started a game or an unbox, resolved as fulfilled or refunded
+const createRedemptionsTableSQL = (table) => `
+    CREATE TABLE IF NOT EXISTS ${table} (
+        redemption_id TEXT PRIMARY KEY,
+        reward_id TEXT NOT NULL,
+        player TEXT NOT NULL,
+        game_type TEXT NOT NULL CHECK (game_type IN ('coneflip', 'duel', 'unbox')),
+        queue_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'fulfilled', 'canceled', 'error')),
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME
+    );
+`;
+
+const REDEMPTION_INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_redemptions_queue ON redemptions(queue_id);',
+    'CREATE INDEX IF NOT EXISTS idx_redemptions_status ON redemptions(status, created_at);'
+];
 
 class DatabaseService {
     constructor() {
-        this.leaderboardDb = null;
-        this.skinsDb = null;
+        this.primary = null; // { leaderboardDb, skinsDb } in data/
+        this.channels = new Map(); // channel -> { leaderboardDb, skinsDb } in data/channels/<name>/, skinsDb is null when sharing
         this.initialized = false;
+        this.transactionLocks = new Map(); // leaderboard db -> tail of its transaction chain
+        this.transactionScope = new AsyncLocalStorage(); // databases whose open transaction the current code belongs to
+    }
+
+    // Queries go to the databases of the channel the request, socket or chat message belongs to
+    get leaderboardDb() {
+        const connection = this.getConnection();
+        return connection ? connection.leaderboardDb : null;
+    }
+
+    get skinsDb() {
+        const connection = this.getConnection();
+        if (!connection) return null;
+        return connection.skinsDb || (this.primary ? this.primary.skinsDb : null);
+    }
+
+    getConnection(channel = ChannelService.current()) {
+        if (ChannelService.isPrimary(channel)) {
+            return this.primary;
+        }
+        const connection = this.channels.get(channel);
+        if (!connection) {
+            throw new Error(`No database open for channel ${channel}`);
+        }
+        return connection;
     }
 
     async initialize() {
@@ -25,11 +72,15 @@ class DatabaseService {
                 logger.info('Data directory exists');
             }
 
-            // Initialize leaderboard database
-            await this.initializeLeaderboardDb();
-            
-            // Initialize skins database  
-            await this.initializeSkinsDb();
+            this.primary = {
+                leaderboardDb: await this.initializeLeaderboardDb(path.join(dataDir, 'leaderboard.db')),
+                skinsDb: await this.initializeSkinsDb(path.join(dataDir, 'skins.db'))
+            };
+
+            // Every other channel the server plays in gets its own leaderboard
+            for (const channel of ChannelService.list().filter(name => !ChannelService.isPrimary(name))) {
+                await this.openChannel(channel);
+            }
             
             this.initialized = true;
             logger.info('Database service initialized successfully');
@@ -40,12 +91,43 @@ class DatabaseService {
         }
     }
 
-    async initializeLeaderboardDb() {
+    /**
+     * Open (or reopen) the databases of a non-primary channel
+     * @param {string} channel - Channel name
+     */
+    async openChannel(channel) {
+        await this.closeChannel(channel);
+
+        const dataDir = ChannelService.getDataDir(channel);
+        fs.mkdirSync(dataDir, { recursive: true });
+
+        const connection = {
+            leaderboardDb: await this.initializeLeaderboardDb(path.join(dataDir, 'leaderboard.db')),
+            skinsDb: null
+        };
+        if (!ChannelService.sharesSkins(channel)) {
+            connection.skinsDb = await this.initializeSkinsDb(path.join(dataDir, 'skins.db'));
+        }
+
+        this.channels.set(channel, connection);
+        logger.info(`Databases opened for channel ${channel}${connection.skinsDb ? '' : ' (shared skins)'}`);
+    }
+
+    async closeChannel(channel) {
+        const connection = this.channels.get(channel);
+        if (!connection) return;
+
+        this.channels.delete(channel);
+        for (const db of [connection.leaderboardDb, connection.skinsDb].filter(Boolean)) {
+            await new Promise((resolve) => db.close(resolve));
+        }
+    }
+
+    async initializeLeaderboardDb(dbPath) {
         return new Promise((resolve, reject) => {
-            const dbPath = path.join(process.cwd(), 'data', 'leaderboard.db');
             logger.info(`Creating leaderboard database at: ${dbPath}`);
             
-            this.leaderboardDb = new sqlite3.Database(dbPath, (err) => {
+            const db = new sqlite3.Database(dbPath, (err) => {
                 if (err) {
                     logger.error('Failed to create leaderboard database:', err);
                     reject(err);
@@ -53,7 +135,7 @@ class DatabaseService {
                 }
                 
                 logger.info('Setting database pragmas...');
-                this.leaderboardDb.serialize(() => {
+                db.serialize(() => {
                     // Set pragmas for performance
                     const pragmas = [
                         'PRAGMA journal_mode = WAL',
@@ -64,7 +146,7 @@ class DatabaseService {
                     
                     pragmas.forEach(pragma => {
                         logger.info(pragma);
-                        this.leaderboardDb.run(pragma);
+                        db.run(pragma);
                     });
 
                     logger.info('Creating leaderboard tables...');
@@ -85,6 +167,7 @@ class DatabaseService {
                             xp INTEGER DEFAULT 0,
                             level INTEGER DEFAULT 1,
                             winrate REAL DEFAULT 0.0,
+                            rating REAL DEFAULT 1000,
                             total_games INTEGER GENERATED ALWAYS AS (wins + fails) STORED,
                             total_duels INTEGER GENERATED ALWAYS AS (duel_wins + duel_losses) STORED,
                             total_coneflips INTEGER GENERATED ALWAYS AS (coneflip_wins + coneflip_losses) STORED,
@@ -94,7 +177,7 @@ class DatabaseService {
                         );
                     `;
                     logger.info(createTableSQL);
-                    this.leaderboardDb.run(createTableSQL);
+                    db.run(createTableSQL);
 
                     logger.info('Creating leaderboard indexes...');
                     const indexes = [
@@ -108,12 +191,12 @@ class DatabaseService {
                     
                     indexes.forEach(index => {
                         logger.info(index);
-                        this.leaderboardDb.run(index);
+                        db.run(index);
                     });
 
                     // Add missing columns if they don't exist (migration safety)
                     logger.info('Checking for missing streak columns...');
-                    this.leaderboardDb.run('ALTER TABLE leaderboard ADD COLUMN current_streak INTEGER DEFAULT 0', (err) => {
+                    db.run('ALTER TABLE leaderboard ADD COLUMN current_streak INTEGER DEFAULT 0', (err) => {
                         if (err && !err.message.includes('duplicate column name')) {
                             logger.warn('Warning adding current_streak column:', err.message);
                         } else if (!err) {
@@ -121,7 +204,7 @@ class DatabaseService {
                         }
                     });
                     
-                    this.leaderboardDb.run('ALTER TABLE leaderboard ADD COLUMN highest_streak INTEGER DEFAULT 0', (err) => {
+                    db.run('ALTER TABLE leaderboard ADD COLUMN highest_streak INTEGER DEFAULT 0', (err) => {
                         if (err && !err.message.includes('duplicate column name')) {
                             logger.warn('Warning adding highest_streak column:', err.message);
                         } else if (!err) {
@@ -130,7 +213,7 @@ class DatabaseService {
                     });
 
                     // Initialize streak values for existing players
-                    this.leaderboardDb.run(`
+                    db.run(`
                         UPDATE leaderboard
                         SET highest_streak = wins
                         WHERE highest_streak = 0 AND wins > 0
@@ -138,7 +221,7 @@ class DatabaseService {
 
                     // Add XP and Level columns if they don't exist (migration safety)
                     logger.info('Checking for XP/Level columns...');
-                    this.leaderboardDb.run('ALTER TABLE leaderboard ADD COLUMN xp INTEGER DEFAULT 0', (err) => {
+                    db.run('ALTER TABLE leaderboard ADD COLUMN xp INTEGER DEFAULT 0', (err) => {
                         if (err && !err.message.includes('duplicate column name')) {
                             logger.warn('Warning adding xp column:', err.message);
                         } else if (!err) {
@@ -146,7 +229,7 @@ class DatabaseService {
                         }
                     });
 
-                    this.leaderboardDb.run('ALTER TABLE leaderboard ADD COLUMN level INTEGER DEFAULT 1', (err) => {
+                    db.run('ALTER TABLE leaderboard ADD COLUMN level INTEGER DEFAULT 1', (err) => {
                         if (err && !err.message.includes('duplicate column name')) {
                             logger.warn('Warning adding level column:', err.message);
                         } else if (!err) {
@@ -154,9 +237,19 @@ class DatabaseService {
                         }
                     });
 
+                    // Duel rating column (migration safety), everyone starts at the default rating
+                    db.run('ALTER TABLE leaderboard ADD COLUMN rating REAL DEFAULT 1000', (err) => {
+                        if (err && !err.message.includes('duplicate column name')) {
+                            logger.warn('Warning adding rating column:', err.message);
+                        } else if (!err) {
+                            logger.info('Added rating column');
+                        }
+                    });
+                    db.run('CREATE INDEX IF NOT EXISTS idx_leaderboard_rating ON leaderboard(rating DESC);');
+
                     // Initialize XP for existing players based on their game history
                     // Formula: coneflip_wins*50 + coneflip_losses*20 + duel_wins*100 + duel_losses*20
-                    this.leaderboardDb.run(`
+                    db.run(`
                         UPDATE leaderboard
                         SET xp = (coneflip_wins * 50) + (coneflip_losses * 20) + (duel_wins * 100) + (duel_losses * 20)
                         WHERE xp = 0 AND (wins > 0 OR fails > 0)
@@ -192,7 +285,7 @@ class DatabaseService {
                         END;
                     `;
                     logger.info(triggerSQL);
-                    this.leaderboardDb.run(triggerSQL);
+                    db.run(triggerSQL);
 
                     logger.info('Creating records table...');
                     const createRecordsTableSQL = `
@@ -204,21 +297,229 @@ class DatabaseService {
                         );
                     `;
                     logger.info(createRecordsTableSQL);
-                    this.leaderboardDb.run(createRecordsTableSQL);
+                    db.run(createRecordsTableSQL);
+
+                    // One row per participant per game, so a duel writes two rows sharing the same game_id
+                    logger.info('Creating matches table...');
+                    const createMatchesTableSQL = `
+                        CREATE TABLE IF NOT EXISTS matches (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            game_id TEXT,
+                            game_type TEXT NOT NULL CHECK (game_type IN ('coneflip', 'duel')),
+                            player TEXT NOT NULL,
+                            opponent TEXT,
+                            outcome TEXT NOT NULL CHECK (outcome IN ('win', 'loss')),
+                            upside_down INTEGER DEFAULT 0,
+                            points_delta INTEGER DEFAULT 0,
+                            xp_delta INTEGER DEFAULT 0,
+                            seed INTEGER,
+                            replay_data TEXT,
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                        );
+                    `;
+                    logger.info(createMatchesTableSQL);
+                    db.run(createMatchesTableSQL);
+
+                    // Replay columns (migration safety for match tables created before replays)
+                    db.run('ALTER TABLE matches ADD COLUMN seed INTEGER', (err) => {
+                        if (err && !err.message.includes('duplicate column name')) {
+                            logger.warn('Warning adding seed column:', err.message);
+                        } else if (!err) {
+                            logger.info('Added seed column');
+                        }
+                    });
+
+                    db.run('ALTER TABLE matches ADD COLUMN replay_data TEXT', (err) => {
+                        if (err && !err.message.includes('duplicate column name')) {
+                            logger.warn('Warning adding replay_data column:', err.message);
+                        } else if (!err) {
+                            logger.info('Added replay_data column');
+                        }
+                    });
+
+                    const matchIndexes = [
+                        'CREATE INDEX IF NOT EXISTS idx_matches_player ON matches(player, created_at DESC);',
+                        'CREATE INDEX IF NOT EXISTS idx_matches_game_id ON matches(game_id);'
+                    ];
+
+                    matchIndexes.forEach(index => {
+                        logger.info(index);
+                        db.run(index);
+                    });
+
+                    // Paid flips waiting for the overlay, kept so reloads and restarts don't lose them
+                    logger.info('Creating game_queue table...');
+                    const createGameQueueTableSQL = `
+                        CREATE TABLE IF NOT EXISTS game_queue (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            game_type TEXT NOT NULL CHECK (game_type IN ('coneflip', 'duel')),
+                            players TEXT NOT NULL,
+                            status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'dispatched', 'done', 'failed', 'cancelled')),
+                            cone_id TEXT,
+                            attempts INTEGER DEFAULT 0,
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                            dispatched_at DATETIME,
+                            completed_at DATETIME
+                        );
+                    `;
+                    logger.info(createGameQueueTableSQL);
+                    db.run(createGameQueueTableSQL);
+
+                    const gameQueueIndex = 'CREATE INDEX IF NOT EXISTS idx_game_queue_status ON game_queue(status, id);';
+                    logger.info(gameQueueIndex);
+                    db.run(gameQueueIndex);
+
+                    logger.info('Creating redemptions table...');
+                    logger.info(createRedemptionsTableSQL('redemptions'));
+                    db.run(createRedemptionsTableSQL('redemptions'));
+
+                    REDEMPTION_INDEXES.forEach(index => {
+                        logger.info(index);
+                        db.run(index);
+                    });
+
+                    // Cone coins: spendable balance per player, every change is kept in the ledger
+                    logger.info('Creating coin tables...');
+                    const createCoinTablesSQL = [
+                        `CREATE TABLE IF NOT EXISTS coin_balances (
+                            player TEXT PRIMARY KEY,
+                            balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+                            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                        );`,
+                        `CREATE TABLE IF NOT EXISTS coin_ledger (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            player TEXT NOT NULL,
+                            amount INTEGER NOT NULL,
+                            balance_after INTEGER NOT NULL,
+                            reason TEXT NOT NULL,
+                            reference TEXT,
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                        );`,
+                        'CREATE INDEX IF NOT EXISTS idx_coin_ledger_player ON coin_ledger(player, id DESC);'
+                    ];
+
+                    createCoinTablesSQL.forEach(sql => {
+                        logger.info(sql);
+                        db.run(sql);
+                    });
 
-                    logger.info('Leaderboard database initialized successfully');
+                    // Duel wagers held in escrow until the duel is won or returned
+                    logger.info('Creating duel wagers table...');
+                    const createDuelWagersSQL = [
+                        `CREATE TABLE IF NOT EXISTS duel_wagers (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            queue_id INTEGER,
+                            challenger TEXT NOT NULL,
+                            target TEXT NOT NULL,
+                            currency TEXT NOT NULL CHECK (currency IN ('points', 'coins')),
+                            amount INTEGER NOT NULL CHECK (amount > 0),
+                            status TEXT NOT NULL DEFAULT 'escrowed' CHECK (status IN ('escrowed', 'paid', 'returned')),
+                            winner TEXT,
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                            resolved_at DATETIME
+                        );`,
+                        'CREATE INDEX IF NOT EXISTS idx_duel_wagers_queue ON duel_wagers(queue_id);',
+                        'CREATE INDEX IF NOT EXISTS idx_duel_wagers_status ON duel_wagers(status);'
+                    ];
+
+                    createDuelWagersSQL.forEach(sql => {
+                        logger.info(sql);
+                        db.run(sql);
+                    });
+
+                    // Seasons and the final standings of the ones that ended
+                    logger.info('Creating season tables...');
+                    const createSeasonTablesSQL = [
+                        `CREATE TABLE IF NOT EXISTS seasons (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            name TEXT NOT NULL,
+                            starts_at DATETIME NOT NULL,
+                            ends_at DATETIME NOT NULL,
+                            rewards TEXT NOT NULL DEFAULT '[]',
+                            status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'ended')),
+                            ended_at DATETIME,
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                        );`,
+                        `CREATE TABLE IF NOT EXISTS season_standings (
+                            season_id INTEGER NOT NULL,
+                            rank INTEGER NOT NULL,
+                            name TEXT NOT NULL,
+                            twitchid TEXT,
+                            points INTEGER DEFAULT 0,
+                            wins INTEGER DEFAULT 0,
+                            fails INTEGER DEFAULT 0,
+                            duel_wins INTEGER DEFAULT 0,
+                            duel_losses INTEGER DEFAULT 0,
+                            coneflip_wins INTEGER DEFAULT 0,
+                            coneflip_losses INTEGER DEFAULT 0,
+                            highest_streak INTEGER DEFAULT 0,
+                            level INTEGER DEFAULT 1,
+                            reward TEXT,
+                            PRIMARY KEY (season_id, name)
+                        );`,
+                        'CREATE INDEX IF NOT EXISTS idx_season_standings_name ON season_standings(name);'
+                    ];
+
+                    createSeasonTablesSQL.forEach(sql => {
+                        logger.info(sql);
+                        db.run(sql);
+                    });
+
+                    // Finished before the database is handed out, so no query lands mid-rebuild
+                    this.migrateRedemptionsTable(db).then(() => {
+                        logger.info('Leaderboard database initialized successfully');
+                        resolve(db);
+                    }, reject);
+                });
+            });
+        });
+    }
+
+    /**
+     * Rebuild a redemptions table created before unbox refunds were tracked. SQLite can't change
+     * a CHECK constraint in place, so the rows are copied to a table with the new one
+     * @param {sqlite3.Database} db - Leaderboard database
+     */
+    migrateRedemptionsTable(db) {
+        return new Promise((resolve, reject) => {
+            db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'redemptions'`, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                if (!row || row.sql.includes(`'unbox'`)) {
+                    resolve();
+                    return;
+                }
+
+                logger.info('Rebuilding redemptions table to allow unbox redemptions...');
+                const columns = 'redemption_id, reward_id, player, game_type, queue_id, status, error, created_at, resolved_at';
+                db.exec(`
+                    BEGIN IMMEDIATE;
+                    ${createRedemptionsTableSQL('redemptions_migrated')}
+                    INSERT INTO redemptions_migrated (${columns}) SELECT ${columns} FROM redemptions;
+                    DROP TABLE redemptions;
+                    ALTER TABLE redemptions_migrated RENAME TO redemptions;
+                    ${REDEMPTION_INDEXES.join('\n')}
+                    COMMIT;
+                `, (execErr) => {
+                    if (execErr) {
+                        logger.error('Failed to rebuild redemptions table:', execErr);
+                        db.run('ROLLBACK', () => reject(execErr));
+                        return;
+                    }
+                    logger.info('Rebuilt redemptions table');
                     resolve();
                 });
             });
         });
     }
 
-    async initializeSkinsDb() {
+    async initializeSkinsDb(dbPath) {
         return new Promise((resolve, reject) => {
-            const dbPath = path.join(process.cwd(), 'data', 'skins.db');
             logger.info(`Creating skins database at: ${dbPath}`);
             
-            this.skinsDb = new sqlite3.Database(dbPath, (err) => {
+            const db = new sqlite3.Database(dbPath, (err) => {
                 if (err) {
                     logger.error('Failed to create skins database:', err);
                     reject(err);
@@ -226,7 +527,7 @@ class DatabaseService {
                 }
                 
                 logger.info('Setting skins database pragmas...');
-                this.skinsDb.serialize(() => {
+                db.serialize(() => {
                     // Set pragmas for performance
                     const pragmas = [
                         'PRAGMA journal_mode = WAL',
@@ -237,7 +538,7 @@ class DatabaseService {
                     
                     pragmas.forEach(pragma => {
                         logger.info(pragma);
-                        this.skinsDb.run(pragma);
+                        db.run(pragma);
                     });
 
                     logger.info('Creating skins tables...');
@@ -285,12 +586,61 @@ class DatabaseService {
                             quantity INTEGER DEFAULT 1,
                             obtained_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                             UNIQUE(name, trail)
+                        );`,
+                        `CREATE TABLE IF NOT EXISTS skin_trades (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            from_player TEXT NOT NULL,
+                            to_player TEXT NOT NULL,
+                            offer_skin TEXT NOT NULL,
+                            request_skin TEXT NOT NULL,
+                            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'declined', 'cancelled', 'expired', 'failed')),
+                            channel TEXT,
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                            expires_at DATETIME NOT NULL,
+                            resolved_at DATETIME
+                        );`,
+                        `CREATE TABLE IF NOT EXISTS unbox_pity (
+                            player TEXT PRIMARY KEY,
+                            since_covert INTEGER NOT NULL DEFAULT 0,
+                            since_gold INTEGER NOT NULL DEFAULT 0,
+                            total_unboxes INTEGER NOT NULL DEFAULT 0,
+                            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                        );`,
+                        `CREATE TABLE IF NOT EXISTS unbox_seeds (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            seed TEXT NOT NULL,
+                            seed_hash TEXT NOT NULL,
+                            rolls INTEGER NOT NULL DEFAULT 0,
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                            revealed_at DATETIME
+                        );`,
+                        `CREATE TABLE IF NOT EXISTS unbox_log (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            player TEXT NOT NULL,
+                            channel TEXT,
+                            seed_id INTEGER NOT NULL,
+                            client_seed TEXT NOT NULL,
+                            nonce INTEGER NOT NULL,
+                            rolls TEXT NOT NULL,
+                            tier_odds TEXT NOT NULL,
+                            tier TEXT NOT NULL,
+                            reward TEXT NOT NULL,
+                            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                        );`,
+                        `CREATE TABLE IF NOT EXISTS skin_stattrak (
+                            player TEXT NOT NULL,
+                            skin TEXT NOT NULL,
+                            flips INTEGER NOT NULL DEFAULT 0,
+                            wins INTEGER NOT NULL DEFAULT 0,
+                            upside_downs INTEGER NOT NULL DEFAULT 0,
+                            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                            PRIMARY KEY (player, skin)
                         );`
                     ];
                     
                     tables.forEach(table => {
                         logger.info(table);
-                        this.skinsDb.run(table);
+                        db.run(table);
                     });
 
                     logger.info('Creating skins indexes...');
@@ -304,12 +654,16 @@ class DatabaseService {
                         'CREATE INDEX IF NOT EXISTS idx_user_trails_name ON user_trails(name);',
                         'CREATE INDEX IF NOT EXISTS idx_user_trails_twitchid ON user_trails(twitchid);',
                         'CREATE INDEX IF NOT EXISTS idx_trail_inventory_name ON trail_inventory(name);',
-                        'CREATE INDEX IF NOT EXISTS idx_trail_inventory_trail ON trail_inventory(trail);'
+                        'CREATE INDEX IF NOT EXISTS idx_trail_inventory_trail ON trail_inventory(trail);',
+                        'CREATE INDEX IF NOT EXISTS idx_skin_trades_from ON skin_trades(from_player, status);',
+                        'CREATE INDEX IF NOT EXISTS idx_skin_trades_to ON skin_trades(to_player, status);',
+                        'CREATE INDEX IF NOT EXISTS idx_unbox_log_player ON unbox_log(player, id DESC);',
+                        'CREATE INDEX IF NOT EXISTS idx_skin_stattrak_skin ON skin_stattrak(skin);'
                     ];
                     
                     indexes.forEach(index => {
                         logger.info(index);
-                        this.skinsDb.run(index);
+                        db.run(index);
                     });
 
                     logger.info('Creating skins triggers...');
@@ -321,10 +675,10 @@ class DatabaseService {
                         END;
                     `;
                     logger.info(triggerSQL);
-                    this.skinsDb.run(triggerSQL);
+                    db.run(triggerSQL);
 
                     // Add shuffle column if it doesn't exist (migration safety)
-                    this.skinsDb.run('ALTER TABLE user_skins ADD COLUMN shuffle INTEGER DEFAULT 0', (err) => {
+                    db.run('ALTER TABLE user_skins ADD COLUMN shuffle INTEGER DEFAULT 0', (err) => {
                         if (err && !err.message.includes('duplicate column name')) {
                             logger.warn('Warning adding shuffle column:', err.message);
                         } else if (!err) {
@@ -332,8 +686,18 @@ class DatabaseService {
                         }
                     });
 
-                    logger.info('Skins database initialized successfully');
-                    resolve();
+                    // Unboxes logged before there were cases came from the default case. It is the
+                    // last statement in line, so the database is handed out once every table exists
+                    db.run('ALTER TABLE unbox_log ADD COLUMN case_id TEXT', (err) => {
+                        if (err && !err.message.includes('duplicate column name')) {
+                            logger.warn('Warning adding case_id column:', err.message);
+                        } else if (!err) {
+                            logger.info('Added case_id column to unbox_log');
+                        }
+
+                        logger.info('Skins database initialized successfully');
+                        resolve(db);
+                    });
                 });
             });
         });
@@ -354,297 +718,312 @@ class DatabaseService {
         return this.skinsDb;
     }
 
-    // Async wrapper methods for compatibility with new code
-    async get(query, params = []) {
+    // Promise wrapper for a statement on either database. A statement from outside an open
+    // transaction waits for it to finish, or it would be committed or rolled back along with it
+    async execute(db, method, query, params = []) {
+        const held = this.transactionScope.getStore();
+        if (!held || !held.has(db)) {
+            while (this.transactionLocks.has(db)) {
+                await this.transactionLocks.get(db);
+            }
+        }
+
         return new Promise((resolve, reject) => {
-            this.leaderboardDb.get(query, params, (err, row) => {
+            db[method](query, params, function(err, result) {
                 if (err) reject(err);
-                else resolve(row);
+                else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
             });
         });
     }
 
+    // Async wrapper methods for compatibility with new code
+    async get(query, params = []) {
+        return this.execute(this.leaderboardDb, 'get', query, params);
+    }
+
     async all(query, params = []) {
-        return new Promise((resolve, reject) => {
-            this.leaderboardDb.all(query, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        return this.execute(this.leaderboardDb, 'all', query, params);
     }
 
     async run(query, params = []) {
-        return new Promise((resolve, reject) => {
-            this.leaderboardDb.run(query, params, function(err) {
-                if (err) reject(err);
-                else resolve({ lastID: this.lastID, changes: this.changes });
+        return this.execute(this.leaderboardDb, 'run', query, params);
+    }
+
+    /**
+     * Run several statements as one transaction, throwing inside fn rolls them all back
+     * Transactions on the same database wait for each other, and so do statements from outside
+     * fn that go through get/all/run/execute. On the leaderboard database fn uses get/all/run
+     * as usual, on the skins database it uses execute()
+     * @param {Function} fn - async () => result
+     * @param {Object} db - Database to lock, the channel's leaderboard database by default
+     */
+    async transaction(fn, db = this.leaderboardDb) {
+        const previous = this.transactionLocks.get(db) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        this.transactionLocks.set(db, tail);
+
+        await previous;
+        const held = this.transactionScope.getStore() || new Set();
+        try {
+            return await this.transactionScope.run(new Set([...held, db]), async () => {
+                await this.execute(db, 'run', 'BEGIN IMMEDIATE');
+                try {
+                    const result = await fn();
+                    await this.execute(db, 'run', 'COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.execute(db, 'run', 'ROLLBACK').catch(rollbackError => {
+                        logger.error('Failed to roll back transaction:', rollbackError);
+                    });
+                    throw error;
+                }
             });
-        });
+        } finally {
+            release();
+            if (this.transactionLocks.get(db) === tail) {
+                this.transactionLocks.delete(db);
+            }
+        }
     }
 
     // Skin-specific async methods
     async getPlayerSkin(username) {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.get('SELECT skin FROM user_skins WHERE name = ?', [username], (err, row) => {
-                if (err) reject(err);
-                else resolve(row ? row.skin : 'default');
-            });
-        });
+        const row = await this.execute(this.skinsDb, 'get', 'SELECT skin FROM user_skins WHERE name = ?', [username]);
+        return row ? row.skin : 'default';
     }
 
     async setPlayerSkin(username, skinName, twitchId = null) {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.run(
-                `INSERT INTO user_skins (name, twitchid, skin) VALUES (?, ?, ?)
-                 ON CONFLICT(name) DO UPDATE SET skin = excluded.skin, twitchid = COALESCE(excluded.twitchid, twitchid)`,
-                [username, twitchId, skinName],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ lastID: this.lastID, changes: this.changes });
-                }
-            );
-        });
+        return this.execute(this.skinsDb, 'run',
+            `INSERT INTO user_skins (name, twitchid, skin) VALUES (?, ?, ?)
+             ON CONFLICT(name) DO UPDATE SET skin = excluded.skin, twitchid = COALESCE(excluded.twitchid, twitchid)`,
+            [username, twitchId, skinName]
+        );
     }
 
     async getPlayerShuffle(username) {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.get('SELECT shuffle FROM user_skins WHERE name = ?', [username], (err, row) => {
-                if (err) reject(err);
-                else resolve(row ? row.shuffle === 1 : false);
-            });
-        });
+        const row = await this.execute(this.skinsDb, 'get', 'SELECT shuffle FROM user_skins WHERE name = ?', [username]);
+        return row ? row.shuffle === 1 : false;
     }
 
     async setPlayerShuffle(username, enabled) {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.run(
-                `UPDATE user_skins SET shuffle = ? WHERE name = ?`,
-                [enabled ? 1 : 0, username],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ changes: this.changes });
-                }
-            );
-        });
+        const result = await this.execute(this.skinsDb, 'run',
+            `UPDATE user_skins SET shuffle = ? WHERE name = ?`,
+            [enabled ? 1 : 0, username]
+        );
+        return { changes: result.changes };
     }
 
     async getPlayerInventory(username) {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.all(
-                'SELECT skin, quantity, obtained_at FROM skin_inventory WHERE name = ? ORDER BY obtained_at DESC',
-                [username],
-                (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows || []);
-                }
-            );
-        });
+        const rows = await this.execute(this.skinsDb, 'all',
+            'SELECT skin, quantity, obtained_at FROM skin_inventory WHERE name = ? ORDER BY obtained_at DESC',
+            [username]
+        );
+        return rows || [];
     }
 
     async getAllUserSkins() {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.all('SELECT name, skin FROM user_skins ORDER BY name', [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
+        const rows = await this.execute(this.skinsDb, 'all', 'SELECT name, skin FROM user_skins ORDER BY name');
+        return rows || [];
     }
 
     async addSkinToInventory(username, skinName, twitchId = null, quantity = 1) {
-        return new Promise((resolve, reject) => {
-            // Use INSERT OR REPLACE to handle duplicates properly
-            this.skinsDb.run(
-                `INSERT INTO skin_inventory (name, twitchid, skin, quantity) 
-                 VALUES (?, ?, ?, ?)
-                 ON CONFLICT(name, skin) DO UPDATE SET 
-                 quantity = quantity + excluded.quantity,
-                 obtained_at = CURRENT_TIMESTAMP`,
-                [username, twitchId, skinName, quantity],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ lastID: this.lastID, changes: this.changes });
+        return this.execute(this.skinsDb, 'run',
+            `INSERT INTO skin_inventory (name, twitchid, skin, quantity) 
+             VALUES (?, ?, ?, ?)
+             ON CONFLICT(name, skin) DO UPDATE SET 
+             quantity = quantity + excluded.quantity,
+             obtained_at = CURRENT_TIMESTAMP`,
+            [username, twitchId, skinName, quantity]
+        );
+    }
+
+    /**
+     * Swap one skin between two players as a single transaction and mark the trade completed
+     * Throws if either player no longer has their skin, nothing changes in that case
+     * @param {Object} trade - skin_trades row
+     */
+    async swapSkins(trade) {
+        const db = this.skinsDb;
+        return this.transaction(async () => {
+            const take = async (player, skin) => {
+                const taken = await this.execute(db, 'run',
+                    'UPDATE skin_inventory SET quantity = quantity - 1 WHERE name = ? AND skin = ? AND quantity >= 1',
+                    [player, skin]
+                );
+                if (taken.changes === 0) {
+                    throw new Error(`${player} no longer has ${skin}`);
                 }
+                await this.execute(db, 'run', 'DELETE FROM skin_inventory WHERE name = ? AND skin = ? AND quantity <= 0', [player, skin]);
+            };
+            const give = (player, skin) => this.execute(db, 'run',
+                `INSERT INTO skin_inventory (name, skin, quantity) VALUES (?, ?, 1)
+                 ON CONFLICT(name, skin) DO UPDATE SET quantity = quantity + 1, obtained_at = CURRENT_TIMESTAMP`,
+                [player, skin]
             );
-        });
+
+            await take(trade.from_player, trade.offer_skin);
+            await take(trade.to_player, trade.request_skin);
+            await give(trade.to_player, trade.offer_skin);
+            await give(trade.from_player, trade.request_skin);
+
+            const completed = await this.execute(db, 'run',
+                `UPDATE skin_trades SET status = 'completed', resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'`,
+                [trade.id]
+            );
+            if (completed.changes === 0) {
+                throw new Error(`Trade #${trade.id} is no longer open`);
+            }
+        }, db);
+    }
+
+    /**
+     * Turn in skins for a trade-up contract and add the reward, all or nothing
+     * @param {string} player - Player name
+     * @param {Object[]} turnIn - [{ skin, quantity }], a player always keeps one of each skin
+     * @param {string} reward - Skin the contract pays out
+     */
+    async tradeUpSkins(player, turnIn, reward) {
+        const db = this.skinsDb;
+        return this.transaction(async () => {
+            for (const { skin, quantity } of turnIn) {
+                const taken = await this.execute(db, 'run',
+                    'UPDATE skin_inventory SET quantity = quantity - ? WHERE name = ? AND skin = ? AND quantity - ? >= 1',
+                    [quantity, player, skin, quantity]
+                );
+                if (taken.changes === 0) {
+                    throw new Error(`${player} no longer has ${quantity} spare ${skin}`);
+                }
+            }
+
+            await this.execute(db, 'run',
+                `INSERT INTO skin_inventory (name, skin, quantity) VALUES (?, ?, 1)
+                 ON CONFLICT(name, skin) DO UPDATE SET quantity = quantity + 1, obtained_at = CURRENT_TIMESTAMP`,
+                [player, reward]
+            );
+        }, db);
     }
 
     // Trail-specific async methods
     async getPlayerTrail(username) {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.get('SELECT trail FROM user_trails WHERE name = ?', [username], (err, row) => {
-                if (err) reject(err);
-                else resolve(row ? row.trail : 'default');
-            });
-        });
+        const row = await this.execute(this.skinsDb, 'get', 'SELECT trail FROM user_trails WHERE name = ?', [username]);
+        return row ? row.trail : 'default';
     }
 
     async setPlayerTrail(username, trailName, twitchId = null) {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.run(
-                `INSERT OR REPLACE INTO user_trails (name, twitchid, trail) VALUES (?, ?, ?)`,
-                [username, twitchId, trailName],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ lastID: this.lastID, changes: this.changes });
-                }
-            );
-        });
+        return this.execute(this.skinsDb, 'run',
+            `INSERT OR REPLACE INTO user_trails (name, twitchid, trail) VALUES (?, ?, ?)`,
+            [username, twitchId, trailName]
+        );
     }
 
     async getPlayerTrailInventory(username) {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.all(
-                'SELECT trail, quantity, obtained_at FROM trail_inventory WHERE name = ? ORDER BY obtained_at DESC',
-                [username],
-                (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows || []);
-                }
-            );
-        });
+        const rows = await this.execute(this.skinsDb, 'all',
+            'SELECT trail, quantity, obtained_at FROM trail_inventory WHERE name = ? ORDER BY obtained_at DESC',
+            [username]
+        );
+        return rows || [];
     }
 
     async getAllUserTrails() {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.all('SELECT name, trail FROM user_trails ORDER BY name', [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
+        const rows = await this.execute(this.skinsDb, 'all', 'SELECT name, trail FROM user_trails ORDER BY name');
+        return rows || [];
     }
 
     async addTrailToInventory(username, trailName, twitchId = null, quantity = 1) {
-        return new Promise((resolve, reject) => {
-            // Use INSERT OR REPLACE to handle duplicates properly
-            this.skinsDb.run(
-                `INSERT INTO trail_inventory (name, twitchid, trail, quantity) 
-                 VALUES (?, ?, ?, ?)
-                 ON CONFLICT(name, trail) DO UPDATE SET 
-                 quantity = quantity + excluded.quantity,
-                 obtained_at = CURRENT_TIMESTAMP`,
-                [username, twitchId, trailName, quantity],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ lastID: this.lastID, changes: this.changes });
-                }
-            );
-        });
+        return this.execute(this.skinsDb, 'run',
+            `INSERT INTO trail_inventory (name, twitchid, trail, quantity) 
+             VALUES (?, ?, ?, ?)
+             ON CONFLICT(name, trail) DO UPDATE SET 
+             quantity = quantity + excluded.quantity,
+             obtained_at = CURRENT_TIMESTAMP`,
+            [username, twitchId, trailName, quantity]
+        );
     }
 
     // Contest voting methods
     async addContestVote(submissionId, ipAddress, twitchUserId = null, twitchUsername = null) {
-        return new Promise((resolve, reject) => {
-            const query = 'INSERT INTO contest_votes (submission_id, ip_address, twitch_user_id, twitch_username) VALUES (?, ?, ?, ?)';
-            const params = [submissionId, ipAddress, twitchUserId, twitchUsername];
-            
-            this.skinsDb.run(query, params, function(err) {
-                if (err) {
-                    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-                        if (twitchUserId) {
-                            reject(new Error('Twitch user has already voted for this submission'));
-                        } else {
-                            reject(new Error('IP address has already voted for this submission'));
-                        }
-                    } else {
-                        reject(err);
-                    }
-                } else {
-                    resolve({ lastID: this.lastID, changes: this.changes });
+        try {
+            return await this.execute(this.skinsDb, 'run',
+                'INSERT INTO contest_votes (submission_id, ip_address, twitch_user_id, twitch_username) VALUES (?, ?, ?, ?)',
+                [submissionId, ipAddress, twitchUserId, twitchUsername]
+            );
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                if (twitchUserId) {
+                    throw new Error('Twitch user has already voted for this submission');
                 }
-            });
-        });
+                throw new Error('IP address has already voted for this submission');
+            }
+            throw err;
+        }
     }
 
     async getContestVoteCount(submissionId) {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.get(
-                'SELECT COUNT(*) as count FROM contest_votes WHERE submission_id = ?',
-                [submissionId],
-                (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row ? row.count : 0);
-                }
-            );
-        });
+        const row = await this.execute(this.skinsDb, 'get',
+            'SELECT COUNT(*) as count FROM contest_votes WHERE submission_id = ?',
+            [submissionId]
+        );
+        return row ? row.count : 0;
     }
 
     async hasUserVoted(submissionId, ipAddress, twitchUserId = null) {
-        return new Promise((resolve, reject) => {
-            let query, params;
-            
-            // Check Twitch user first if available
-            if (twitchUserId) {
-                query = 'SELECT id FROM contest_votes WHERE submission_id = ? AND twitch_user_id = ?';
-                params = [submissionId, twitchUserId];
-            } else {
-                query = 'SELECT id FROM contest_votes WHERE submission_id = ? AND ip_address = ?';
-                params = [submissionId, ipAddress];
-            }
-            
-            this.skinsDb.get(query, params, (err, row) => {
-                if (err) reject(err);
-                else resolve(!!row);
-            });
-        });
+        let query, params;
+
+        // Check Twitch user first if available
+        if (twitchUserId) {
+            query = 'SELECT id FROM contest_votes WHERE submission_id = ? AND twitch_user_id = ?';
+            params = [submissionId, twitchUserId];
+        } else {
+            query = 'SELECT id FROM contest_votes WHERE submission_id = ? AND ip_address = ?';
+            params = [submissionId, ipAddress];
+        }
+
+        const row = await this.execute(this.skinsDb, 'get', query, params);
+        return !!row;
     }
 
     async getAllContestVotes() {
-        return new Promise((resolve, reject) => {
-            this.skinsDb.all(
-                `SELECT submission_id, COUNT(*) as vote_count 
-                 FROM contest_votes 
-                 GROUP BY submission_id 
-                 ORDER BY vote_count DESC`,
-                [],
-                (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows || []);
-                }
-            );
-        });
+        const rows = await this.execute(this.skinsDb, 'all',
+            `SELECT submission_id, COUNT(*) as vote_count 
+             FROM contest_votes 
+             GROUP BY submission_id 
+             ORDER BY vote_count DESC`
+        );
+        return rows || [];
     }
 
     async removeContestVote(submissionId, ipAddress, twitchUserId = null) {
-        return new Promise((resolve, reject) => {
-            let query, params;
-            
-            // Remove by Twitch user ID if available
-            if (twitchUserId) {
-                query = 'DELETE FROM contest_votes WHERE submission_id = ? AND twitch_user_id = ?';
-                params = [submissionId, twitchUserId];
-            } else {
-                query = 'DELETE FROM contest_votes WHERE submission_id = ? AND ip_address = ?';
-                params = [submissionId, ipAddress];
-            }
-            
-            this.skinsDb.run(query, params, function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({ changes: this.changes });
-                }
-            });
-        });
+        let query, params;
+
+        // Remove by Twitch user ID if available
+        if (twitchUserId) {
+            query = 'DELETE FROM contest_votes WHERE submission_id = ? AND twitch_user_id = ?';
+            params = [submissionId, twitchUserId];
+        } else {
+            query = 'DELETE FROM contest_votes WHERE submission_id = ? AND ip_address = ?';
+            params = [submissionId, ipAddress];
+        }
+
+        const result = await this.execute(this.skinsDb, 'run', query, params);
+        return { changes: result.changes };
     }
 
     async getUserVotes(ipAddress, twitchUserId = null) {
-        return new Promise((resolve, reject) => {
-            let query, params;
-            
-            // Get votes by Twitch user ID if available
-            if (twitchUserId) {
-                query = 'SELECT submission_id, voted_at FROM contest_votes WHERE twitch_user_id = ?';
-                params = [twitchUserId];
-            } else {
-                query = 'SELECT submission_id, voted_at FROM contest_votes WHERE ip_address = ?';
-                params = [ipAddress];
-            }
-            
-            this.skinsDb.all(query, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
+        let query, params;
+
+        // Get votes by Twitch user ID if available
+        if (twitchUserId) {
+            query = 'SELECT submission_id, voted_at FROM contest_votes WHERE twitch_user_id = ?';
+            params = [twitchUserId];
+        } else {
+            query = 'SELECT submission_id, voted_at FROM contest_votes WHERE ip_address = ?';
+            params = [ipAddress];
+        }
+
+        const rows = await this.execute(this.skinsDb, 'all', query, params);
+        return rows || [];
     }
 
     healthCheck() {
@@ -672,14 +1051,15 @@ class DatabaseService {
 
     async shutdown() {
         try {
-            if (this.leaderboardDb) {
+            for (const channel of Array.from(this.channels.keys())) {
+                await this.closeChannel(channel);
+            }
+            if (this.primary) {
                 await new Promise((resolve) => {
-                    this.leaderboardDb.close(resolve);
+                    this.primary.leaderboardDb.close(resolve);
                 });
-            }
-            if (this.skinsDb) {
                 await new Promise((resolve) => {
-                    this.skinsDb.close(resolve);
+                    this.primary.skinsDb.close(resolve);
                 });
             }
             logger.info('Database connections closed');
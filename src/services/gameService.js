@@ -2,33 +2,40 @@ const LeaderboardService = require('./leaderboardService');
 const SkinService = require('./skinService');
 const TwitchService = require('./twitchService');
 const XPService = require('./xpService');
+const TicketService = require('./ticketService');
+const QueueService = require('./queueService');
+const CoinService = require('./coinService');
+const WagerService = require('./wagerService');
+const ChannelService = require('./channelService');
 const logger = require('../utils/logger');
-const { config } = require('../config/environment');
 
 class GameService {
     constructor() {
         this.io = null;
         this.initialized = false;
         this.activeGames = new Map();
-        this.gameQueue = [];
-        this.duelQueue = [];
-        this.isProcessing = false;
-        this._previousTopLevelPlayer = null;
+        this.topLevelPlayers = new Map(); // channel -> Obsidian Cone holder
         this.pendingUnboxes = new Map(); // unboxId -> { message, playerName, skin, fallbackTimer }
     }
 
     async initialize() {
         // Seed the top level player so we don't announce on server restart
+        for (const channel of ChannelService.list()) {
+            await ChannelService.run(channel, () => this.seedTopLevelPlayer());
+        }
+
+        this.initialized = true;
+        logger.info('GameService initialized');
+    }
+
+    async seedTopLevelPlayer() {
         try {
             const topLevelPlayer = await LeaderboardService.getTopPlayerByLevel();
-            this._previousTopLevelPlayer = topLevelPlayer ? topLevelPlayer.name : null;
-            logger.info(`Seeded top level player: ${this._previousTopLevelPlayer || 'none'}`);
+            this.topLevelPlayers.set(ChannelService.current(), topLevelPlayer ? topLevelPlayer.name : null);
+            logger.info(`Seeded top level player for ${ChannelService.current()}: ${topLevelPlayer ? topLevelPlayer.name : 'none'}`);
         } catch (error) {
             logger.warn('Failed to seed top level player:', error.message);
         }
-
-        this.initialized = true;
-        logger.info('GameService initialized');
     }
 
     setSocketHandler(socketHandler) {
@@ -60,14 +67,16 @@ class GameService {
             // Apply skin shuffle if enabled (emits userSkinUpdate before addCone)
             await SkinService.applyShuffleIfEnabled(playerName);
 
-            // Emit to all clients
-            this.io.emit('addCone', playerName);
+            // The queue sends it to the overlay once the cones ahead of it have finished
+            const queued = await QueueService.enqueue('coneflip', [playerName]);
 
-            logger.gameEvent('cone_added', { player: playerName, twitchId });
+            logger.gameEvent('cone_added', { player: playerName, twitchId, queueId: queued.id });
 
             return {
                 player: playerName,
                 twitchId,
+                queueId: queued.id,
+                queuePosition: queued.position,
                 action: 'cone_added',
                 timestamp: new Date().toISOString()
             };
@@ -77,7 +86,13 @@ class GameService {
         }
     }
 
-    async addDuel(player1, player2) {
+    /**
+     * Queue a duel, with an optional wager both players put in escrow up front
+     * @param {string} player1 - Challenger
+     * @param {string} player2 - Opponent
+     * @param {Object} wager - Optional { amount, currency }, currency 'points' or 'coins'
+     */
+    async addDuel(player1, player2, wager = null) {
         try {
             if (!this.initialized) {
                 throw new Error('GameService not initialized');
@@ -112,16 +127,30 @@ class GameService {
                 SkinService.applyShuffleIfEnabled(player2)
             ]);
 
-            // Emit to all clients
-            this.io.emit('addConeDuel', player1, player2);
+            // Stakes are taken before the duel is queued, so it can't start without them
+            const wagerId = wager ? await WagerService.escrow(player1, player2, wager) : null;
+
+            // The queue sends it to the overlay once the duels ahead of it have finished
+            let queued;
+            try {
+                queued = await QueueService.enqueue('duel', [player1, player2], { wagerId });
+            } catch (error) {
+                if (wagerId) {
+                    await WagerService.cancel(wagerId, 'duel could not be queued');
+                }
+                throw error;
+            }
 
-            logger.gameEvent('duel_added', { player1, player2, twitchId1, twitchId2 });
+            logger.gameEvent('duel_added', { player1, player2, twitchId1, twitchId2, queueId: queued.id, wager });
 
             return {
                 player1,
                 player2,
                 twitchId1,
                 twitchId2,
+                queueId: queued.id,
+                queuePosition: queued.position,
+                wagerId,
                 action: 'duel_added',
                 timestamp: new Date().toISOString()
             };
@@ -146,7 +175,7 @@ class GameService {
 
             // Emit XP popup event to frontend
             if (xpResult && this.io) {
-                this.io.emit('xp_popup', {
+                this.io.to(ChannelService.room()).emit('xp_popup', {
                     playerName,
                     xpAwarded: xpResult.xpAwarded,
                     baseXP: xpResult.baseXP,
@@ -157,18 +186,16 @@ class GameService {
 
                 // Check for level up
                 if (xpResult.leveledUp) {
-                    this.io.emit('level_up', {
+                    this.io.to(ChannelService.room()).emit('level_up', {
                         playerName,
                         newLevel: xpResult.level,
                         previousLevel: xpResult.previousLevel
                     });
 
                     // Announce level up in Twitch chat (if enabled)
-                    if (config.LEVEL_UP_CHAT_ENABLED) {
+                    if (ChannelService.getSettings().LEVEL_UP_CHAT_ENABLED) {
                         try {
-                            await TwitchService.sendChatMessage(
-                                `${playerName} reached Cone Level ${xpResult.level}!`
-                            );
+                            await TwitchService.sendMessage('levelup.announce', { user: playerName, level: xpResult.level });
                         } catch (chatError) {
                             logger.warn(`Failed to send level up chat message: ${chatError.message}`);
                         }
@@ -176,6 +203,8 @@ class GameService {
                 }
             }
 
+            const coinsAwarded = await CoinService.award(playerName, eventType);
+
             // Check if #1 level player changed (obsidian skin)
             await this.checkObsidianSkin(playerName);
 
@@ -187,12 +216,12 @@ class GameService {
                 await this.triggerGoldCelebration(playerName);
 
                 // Emit goldSkin event to update frontend
-                this.io.emit('goldSkin', { name: playerName, rank: 1, points: updatedPlayer.points });
+                this.io.to(ChannelService.room()).emit('goldSkin', { name: playerName, rank: 1, points: updatedPlayer.points });
             }
 
-            logger.gameEvent('player_win', { player: playerName, gameType, stats: updatedPlayer, xpResult });
+            logger.gameEvent('player_win', { player: playerName, gameType, stats: updatedPlayer, xpResult, coinsAwarded });
 
-            return { ...updatedPlayer, xpResult };
+            return { ...updatedPlayer, xpResult, coinsAwarded };
         } catch (error) {
             logger.error(`Failed to handle win for ${playerName}:`, error);
             throw error;
@@ -210,7 +239,7 @@ class GameService {
 
             // Emit XP popup event to frontend
             if (xpResult && this.io) {
-                this.io.emit('xp_popup', {
+                this.io.to(ChannelService.room()).emit('xp_popup', {
                     playerName,
                     xpAwarded: xpResult.xpAwarded,
                     baseXP: xpResult.baseXP,
@@ -221,18 +250,16 @@ class GameService {
 
                 // Check for level up (rare but possible with loss XP)
                 if (xpResult.leveledUp) {
-                    this.io.emit('level_up', {
+                    this.io.to(ChannelService.room()).emit('level_up', {
                         playerName,
                         newLevel: xpResult.level,
                         previousLevel: xpResult.previousLevel
                     });
 
                     // Announce level up in Twitch chat (if enabled)
-                    if (config.LEVEL_UP_CHAT_ENABLED) {
+                    if (ChannelService.getSettings().LEVEL_UP_CHAT_ENABLED) {
                         try {
-                            await TwitchService.sendChatMessage(
-                                `${playerName} reached Cone Level ${xpResult.level}!`
-                            );
+                            await TwitchService.sendMessage('levelup.announce', { user: playerName, level: xpResult.level });
                         } catch (chatError) {
                             logger.warn(`Failed to send level up chat message: ${chatError.message}`);
                         }
@@ -240,12 +267,14 @@ class GameService {
                 }
             }
 
+            const coinsAwarded = await CoinService.award(playerName, eventType);
+
             // Check if #1 level player changed (obsidian skin)
             await this.checkObsidianSkin(playerName);
 
-            logger.gameEvent('player_loss', { player: playerName, gameType, stats: updatedPlayer, xpResult });
+            logger.gameEvent('player_loss', { player: playerName, gameType, stats: updatedPlayer, xpResult, coinsAwarded });
 
-            return { ...updatedPlayer, xpResult };
+            return { ...updatedPlayer, xpResult, coinsAwarded };
         } catch (error) {
             logger.error(`Failed to handle loss for ${playerName}:`, error);
             throw error;
@@ -261,13 +290,14 @@ class GameService {
             const currentTopPlayers = await LeaderboardService.getTopPlayers(1);
             const previousTopPlayer = currentTopPlayers.length > 0 ? currentTopPlayers[0].name : null;
 
-            // Add bonus points for upside down win
-            const updatedWinner = await LeaderboardService.updatePlayerPoints(playerName, winPoints);
+            // Add bonus points for upside down win, a duel still counts as one for both players
+            const duelType = gameType === 'duel' ? 'duel' : null;
+            const updatedWinner = await LeaderboardService.updatePlayerPoints(playerName, winPoints, duelType);
             
             // If there's a loser, penalize them -10 points
             let updatedLoser = null;
             if (loserName) {
-                updatedLoser = await LeaderboardService.updatePlayerPoints(loserName, -10);
+                updatedLoser = await LeaderboardService.updatePlayerPoints(loserName, -10, duelType);
                 logger.gameEvent('upside_down_penalty', { 
                     player: loserName, 
                     pointsChange: -10,
@@ -283,7 +313,7 @@ class GameService {
                 await this.triggerGoldCelebration(playerName);
                 
                 // Emit goldSkin event to update frontend
-                this.io.emit('goldSkin', { name: playerName, rank: 1, points: updatedWinner.points });
+                this.io.to(ChannelService.room()).emit('goldSkin', { name: playerName, rank: 1, points: updatedWinner.points });
             }
             
             // Check if #1 level player changed (obsidian skin)
@@ -314,10 +344,10 @@ class GameService {
             const leaderboardData = await LeaderboardService.getLeaderboard(1, 25);
             
             // First emit fresh data to update the leaderboard
-            this.io.emit('refreshLb', leaderboardData.data);
+            this.io.to(ChannelService.room()).emit('refreshLb', leaderboardData.data);
             
             // Then show the leaderboard with target highlighting
-            this.io.emit('showLb', targetPlayer);
+            this.io.to(ChannelService.room()).emit('showLb', targetPlayer);
 
             logger.gameEvent('leaderboard_shown', { target: targetPlayer });
 
@@ -334,7 +364,7 @@ class GameService {
                 throw new Error('GameService not initialized');
             }
 
-            this.io.emit('newGoldCelebration', playerName);
+            this.io.to(ChannelService.room()).emit('newGoldCelebration', playerName);
 
             logger.gameEvent('gold_celebration', { player: playerName });
 
@@ -352,27 +382,31 @@ class GameService {
 
             const currentTop = topLevelPlayer.name;
 
-            if (currentTop !== this._previousTopLevelPlayer) {
-                const previousHolder = this._previousTopLevelPlayer;
-                this._previousTopLevelPlayer = currentTop;
+            // Channels added while running are seeded on their first game instead of announcing
+            const channel = ChannelService.current();
+            if (!this.topLevelPlayers.has(channel)) {
+                this.topLevelPlayers.set(channel, currentTop);
+                return;
+            }
 
-                // Announce in Twitch chat
-                let message;
-                if (previousHolder) {
-                    message = `${currentTop} just overtook ${previousHolder} as the highest level player and earned the Obsidian Cone!`;
-                } else {
-                    message = `${currentTop} is the highest level player and earned the Obsidian Cone!`;
-                }
+            if (currentTop !== this.topLevelPlayers.get(channel)) {
+                const previousHolder = this.topLevelPlayers.get(channel);
+                this.topLevelPlayers.set(channel, currentTop);
 
+                // Announce in Twitch chat
                 try {
-                    await TwitchService.sendChatMessage(message);
+                    if (previousHolder) {
+                        await TwitchService.sendMessage('obsidian.overtook', { user: currentTop, previous: previousHolder });
+                    } else {
+                        await TwitchService.sendMessage('obsidian.earned', { user: currentTop });
+                    }
                 } catch (chatError) {
                     logger.warn(`Failed to send obsidian chat message: ${chatError.message}`);
                 }
 
                 // Emit socket event for frontend
                 if (this.io) {
-                    this.io.emit('obsidianSkin', { name: currentTop, previousHolder });
+                    this.io.to(ChannelService.room()).emit('obsidianSkin', { name: currentTop, previousHolder });
                 }
 
                 logger.info(`Obsidian Cone transferred: ${previousHolder || 'none'} -> ${currentTop}`);
@@ -388,7 +422,7 @@ class GameService {
                 throw new Error('GameService not initialized');
             }
 
-            this.io.emit('slowMotion');
+            this.io.to(ChannelService.room()).emit('slowMotion');
 
             logger.gameEvent('slow_motion_triggered');
 
@@ -405,7 +439,7 @@ class GameService {
                 throw new Error('GameService not initialized');
             }
 
-            this.io.emit('confetti', position);
+            this.io.to(ChannelService.room()).emit('confetti', position);
 
             logger.gameEvent('confetti_triggered', { position });
 
@@ -416,7 +450,8 @@ class GameService {
         }
     }
 
-    async triggerUnboxAnimation(playerName, skin, message) {
+    // caseId tells the overlay which case to fill the ribbon from, the default case if empty
+    async triggerUnboxAnimation(playerName, skin, message, caseId = null) {
         try {
             if (!this.initialized) {
                 throw new Error('GameService not initialized');
@@ -443,9 +478,9 @@ class GameService {
             this.pendingUnboxes.set(unboxId, { message, playerName, skin, fallbackTimer });
 
             // Emit animation event with unboxId (message is NOT sent to client)
-            this.io.emit('unboxSkinAnim', skin, playerName, unboxId);
+            this.io.to(ChannelService.room()).emit('unboxSkinAnim', skin, playerName, unboxId, caseId);
 
-            logger.gameEvent('unbox_animation', { player: playerName, skin, unboxId });
+            logger.gameEvent('unbox_animation', { player: playerName, skin, unboxId, caseId });
 
             return { action: 'unbox_animation', player: playerName, skin, unboxId };
         } catch (error) {
@@ -486,12 +521,10 @@ class GameService {
 
             // Clear any active games
             this.activeGames.clear();
-            this.gameQueue.length = 0;
-            this.duelQueue.length = 0;
-            this.isProcessing = false;
+            await QueueService.cancelAll();
 
-            // Emit restart to all clients
-            this.io.emit('restart');
+            // Emit restart to the channel's clients
+            this.io.to(ChannelService.room()).emit('restart');
 
             logger.gameEvent('game_restarted');
 
@@ -508,6 +541,7 @@ class GameService {
                 throw new Error('GameService not initialized');
             }
 
+            // The skin catalog is the same in every channel
             this.io.emit('skinRefresh');
             this.io.emit('unboxConfigRefresh'); // Also refresh unbox configuration
 
@@ -523,7 +557,15 @@ class GameService {
     // Debug/simulation methods
     async simulateCone(playerName, forceWin = null) {
         try {
-            await this.addCone(playerName);
+            if (!this.initialized) {
+                throw new Error('GameService not initialized');
+            }
+
+            await LeaderboardService.addPlayer(playerName);
+
+            // Skips the queue and goes out without a ticket: the result is decided here,
+            // so the overlay's own report for this cone must not count
+            this.io.to(ChannelService.room()).emit('addCone', playerName, null);
 
             // Simulate result after a short delay
             setTimeout(async () => {
@@ -531,10 +573,10 @@ class GameService {
                 
                 if (isWin) {
                     await this.handleWin(playerName);
-                    this.io.emit('win', playerName);
+                    this.io.to(ChannelService.room()).emit('win', playerName);
                 } else {
                     await this.handleLoss(playerName);
-                    this.io.emit('fail', playerName);
+                    this.io.to(ChannelService.room()).emit('fail', playerName);
                 }
             }, 2000);
 
@@ -573,9 +615,8 @@ class GameService {
         return {
             initialized: this.initialized,
             activeGames: this.activeGames.size,
-            queuedGames: this.gameQueue.length,
-            queuedDuels: this.duelQueue.length,
-            isProcessing: this.isProcessing,
+            ...QueueService.getStatus(),
+            pendingTickets: TicketService.getStatus().pendingTickets,
             connectedClients: this.io ? this.io.engine.clientsCount : 0,
             uptime: process.uptime(),
             timestamp: new Date().toISOString()
@@ -0,0 +1,203 @@
+const axios = require('axios');
+const { config } = require('../config/environment');
+const logger = require('../utils/logger');
+const ChannelService = require('./channelService');
+
+const HELIX_URL = 'https://api.twitch.tv/helix';
+
+// Thin wrapper around the Helix endpoints the game writes to.
+// Reads still go through TwitchService, this only covers calls that change channel state.
+// Calls use the broadcaster credentials of the channel currently in scope.
+class HelixClient {
+    isConfigured() {
+        const twitch = ChannelService.getTwitchConfig();
+        return Boolean(twitch.CLIENT_ID && twitch.STREAMER_ACCESS_TOKEN && twitch.USER_ID);
+    }
+
+    headers() {
+        const twitch = ChannelService.getTwitchConfig();
+        return {
+            'Client-ID': twitch.CLIENT_ID,
+            'Authorization': `Bearer ${twitch.STREAMER_ACCESS_TOKEN}`,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    /**
+     * Set a channel point redemption to FULFILLED or CANCELED (CANCELED refunds the viewer)
+     * Twitch only allows this for rewards created by our own client id
+     * @param {string} rewardId - Custom reward id
+     * @param {string} redemptionId - Redemption id from the EventSub event
+     * @param {string} status - 'FULFILLED' or 'CANCELED'
+     */
+    async updateRedemptionStatus(rewardId, redemptionId, status) {
+        if (!this.isConfigured()) {
+            throw new Error('Twitch API credentials not available for redemption update');
+        }
+
+        const response = await axios.patch(`${HELIX_URL}/channel_points/custom_rewards/redemptions`, { status }, {
+            params: {
+                broadcaster_id: ChannelService.getTwitchConfig().USER_ID,
+                reward_id: rewardId,
+                id: redemptionId
+            },
+            headers: this.headers()
+        });
+
+        return response.data.data ? response.data.data[0] : null;
+    }
+
+    /**
+     * List the channel's custom rewards
+     * @param {boolean} onlyManageable - Only rewards created by our client id (the ones we can edit)
+     */
+    async getCustomRewards(onlyManageable = false) {
+        if (!this.isConfigured()) {
+            throw new Error('Twitch API credentials not available for reward lookup');
+        }
+
+        const response = await axios.get(`${HELIX_URL}/channel_points/custom_rewards`, {
+            params: {
+                broadcaster_id: ChannelService.getTwitchConfig().USER_ID,
+                only_manageable_rewards: onlyManageable
+            },
+            headers: this.headers()
+        });
+
+        return response.data.data || [];
+    }
+
+    /**
+     * Create a custom reward owned by our client id
+     * @param {Object} settings - Helix reward body (title, cost, prompt, ...)
+     */
+    async createCustomReward(settings) {
+        if (!this.isConfigured()) {
+            throw new Error('Twitch API credentials not available for reward creation');
+        }
+
+        const response = await axios.post(`${HELIX_URL}/channel_points/custom_rewards`, settings, {
+            params: { broadcaster_id: ChannelService.getTwitchConfig().USER_ID },
+            headers: this.headers()
+        });
+
+        return response.data.data[0];
+    }
+
+    /**
+     * Update a custom reward, only fields present in settings are changed
+     * @param {string} rewardId - Custom reward id
+     * @param {Object} settings - Helix reward body
+     */
+    async updateCustomReward(rewardId, settings) {
+        if (!this.isConfigured()) {
+            throw new Error('Twitch API credentials not available for reward update');
+        }
+
+        const response = await axios.patch(`${HELIX_URL}/channel_points/custom_rewards`, settings, {
+            params: {
+                broadcaster_id: ChannelService.getTwitchConfig().USER_ID,
+                id: rewardId
+            },
+            headers: this.headers()
+        });
+
+        return response.data.data[0];
+    }
+}
+
+// Offline stand-in, enabled with HELIX_MOCK=true. Calls are kept so they can be inspected
+class MockHelixClient {
+    constructor() {
+        this.calls = [];
+        this.rewards = new Map(); // rewardId -> reward, all treated as manageable
+        this.nextRewardId = 1;
+        this.failNext = null; // set to an Error to make the next call reject
+    }
+
+    record(method, details) {
+        this.calls.push({ method, ...details, at: new Date().toISOString() });
+
+        if (this.failNext) {
+            const error = this.failNext;
+            this.failNext = null;
+            throw error;
+        }
+    }
+
+    toReward(id, settings) {
+        return {
+            id,
+            broadcaster_id: ChannelService.getTwitchConfig().USER_ID || 'mock_broadcaster',
+            title: settings.title,
+            prompt: settings.prompt || '',
+            cost: settings.cost,
+            is_enabled: settings.is_enabled !== false,
+            is_paused: settings.is_paused === true,
+            is_user_input_required: settings.is_user_input_required === true,
+            should_redemptions_skip_request_queue: settings.should_redemptions_skip_request_queue === true,
+            global_cooldown_setting: {
+                is_enabled: settings.is_global_cooldown_enabled === true,
+                global_cooldown_seconds: settings.global_cooldown_seconds || 0
+            }
+        };
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async updateRedemptionStatus(rewardId, redemptionId, status) {
+        logger.info(`[HELIX MOCK] Redemption ${redemptionId} (reward ${rewardId}) -> ${status}`);
+        this.record('updateRedemptionStatus', { rewardId, redemptionId, status });
+        return { id: redemptionId, reward: { id: rewardId }, status };
+    }
+
+    async getCustomRewards() {
+        this.record('getCustomRewards', {});
+        return Array.from(this.rewards.values());
+    }
+
+    async createCustomReward(settings) {
+        logger.info(`[HELIX MOCK] Creating reward "${settings.title}"`);
+        this.record('createCustomReward', { settings });
+        const reward = this.toReward(`mock_reward_${this.nextRewardId++}`, settings);
+        this.rewards.set(reward.id, reward);
+        return reward;
+    }
+
+    async updateCustomReward(rewardId, settings) {
+        logger.info(`[HELIX MOCK] Updating reward ${rewardId}`);
+        this.record('updateCustomReward', { rewardId, settings });
+        const existing = this.rewards.get(rewardId);
+        if (!existing) {
+            const error = new Error('Request failed with status code 404');
+            error.response = { status: 404, data: { message: 'Custom Reward Not Found' } };
+            throw error;
+        }
+
+        const reward = this.toReward(rewardId, { ...this.toSettings(existing), ...settings });
+        this.rewards.set(rewardId, reward);
+        return reward;
+    }
+
+    // Reverse of toReward, so partial updates keep the fields they don't touch
+    toSettings(reward) {
+        return {
+            title: reward.title,
+            prompt: reward.prompt,
+            cost: reward.cost,
+            is_enabled: reward.is_enabled,
+            is_paused: reward.is_paused,
+            is_user_input_required: reward.is_user_input_required,
+            should_redemptions_skip_request_queue: reward.should_redemptions_skip_request_queue,
+            is_global_cooldown_enabled: reward.global_cooldown_setting.is_enabled,
+            global_cooldown_seconds: reward.global_cooldown_setting.global_cooldown_seconds
+        };
+    }
+}
+
+// Create singleton instance
+const helixClient = config.HELIX_MOCK ? new MockHelixClient() : new HelixClient();
+
+module.exports = helixClient;
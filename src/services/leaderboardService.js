@@ -1,19 +1,28 @@
 const DatabaseService = require('./databaseService');
+const ChannelService = require('./channelService');
+const { PLACEHOLDER_PLAYERS } = require('./ratingService');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 
 class LeaderboardService {
     constructor() {
-        this.cache = {
-            leaderboard: null,
-            lastUpdated: 0,
-            stats: null,
-            statsLastUpdated: 0
-        };
+        this.caches = new Map(); // channel -> cached leaderboard and stats
         this.cacheDuration = 30000; // 30 seconds
     }
 
+    getCache(channel = ChannelService.current()) {
+        if (!this.caches.has(channel)) {
+            this.caches.set(channel, {
+                leaderboard: null,
+                lastUpdated: 0,
+                stats: null,
+                statsLastUpdated: 0
+            });
+        }
+        return this.caches.get(channel);
+    }
+
     async initialize() {
         // Just log that leaderboard service is ready
         logger.info('LeaderboardService initialized');
@@ -23,8 +32,16 @@ class LeaderboardService {
         try {
             // Determine ordering based on sortBy parameter
             let orderClause;
+            // Ratings only mean something once a player has duelled
+            let whereClause = 'WHERE total_games > 0 OR points > 0';
+            let whereParams = [];
             if (sortBy === 'level') {
                 orderClause = 'ORDER BY level DESC, xp DESC, name ASC';
+            } else if (sortBy === 'rating') {
+                orderClause = 'ORDER BY rating DESC, total_duels DESC, name ASC';
+                // Placeholder opponents collect duels too but aren't players
+                whereClause = `WHERE total_duels > 0 AND name NOT IN (${PLACEHOLDER_PLAYERS.map(() => '?').join(', ')})`;
+                whereParams = PLACEHOLDER_PLAYERS;
             } else {
                 orderClause = 'ORDER BY points DESC, wins DESC, winrate DESC, name ASC';
             }
@@ -50,20 +67,21 @@ class LeaderboardService {
                         winrate,
                         xp,
                         level,
+                        ROUND(rating) as rating,
                         last_played,
                         created_at
                     FROM leaderboard
-                    WHERE total_games > 0 OR points > 0
+                    ${whereClause}
                     ${orderClause}
                 ) ranked
                 LIMIT ? OFFSET ?
             `;
 
-            const results = await DatabaseService.all(query, [limit, offset]);
+            const results = await DatabaseService.all(query, [...whereParams, limit, offset]);
 
             // Get total count for pagination info
-            const countQuery = `SELECT COUNT(*) as total FROM leaderboard WHERE total_games > 0 OR points > 0`;
-            const countResult = await DatabaseService.get(countQuery);
+            const countQuery = `SELECT COUNT(*) as total FROM leaderboard ${whereClause}`;
+            const countResult = await DatabaseService.get(countQuery, whereParams);
             const total = countResult.total;
 
             logger.debug(`Leaderboard fetched: ${results.length} players for page ${page} (sorted by ${sortBy})`);
@@ -163,6 +181,7 @@ class LeaderboardService {
                 // XP and Level data
                 xp: player.xp || 0,
                 level: player.level || 1,
+                rating: Math.round(player.rating),
                 currentLevelXP: xpInfo.currentLevelXP,
                 xpToNextLevel: xpInfo.xpToNextLevel,
                 progressPercent: xpInfo.progressPercent
@@ -300,17 +319,26 @@ class LeaderboardService {
             const updatedPlayer = await this.getPlayer(name);
             await this.updateGlobalStreakRecord(updatedPlayer);
 
-            return updatedPlayer;
+            // Actual change after the MAX(0, ...) clamp, used for match history
+            const previousPoints = player.hasPlayed ? player.points : 0;
+            return { ...updatedPlayer, pointsChange: updatedPlayer.points - previousPoints };
         } catch (error) {
             logger.error(`Failed to update player ${name}:`, error);
             throw error;
         }
     }
 
-    async updatePlayerPoints(playerName, pointsChange) {
+    /**
+     * Add or take bonus points outside a regular result, e.g. an upside down win
+     * @param {string} playerName - Player name
+     * @param {number} pointsChange - Points to add, negative to take
+     * @param {string} gameType - 'duel' also counts a duel win or loss, so ratings see it
+     */
+    async updatePlayerPoints(playerName, pointsChange, gameType = null) {
         try {
             // Add the player if they don't exist
-            await this.addPlayer(playerName);
+            const existing = await this.addPlayer(playerName);
+            const previousPoints = existing ? existing.points || 0 : 0;
             
             let updateQuery;
             if (pointsChange > 0) {
@@ -318,6 +346,7 @@ class LeaderboardService {
                 updateQuery = `
                     UPDATE leaderboard 
                     SET points = points + ?,
+                        ${gameType === 'duel' ? 'duel_wins = duel_wins + 1,' : ''}
                         current_streak = current_streak + 1,
                         highest_streak = MAX(highest_streak, current_streak + 1),
                         last_played = CURRENT_TIMESTAMP
@@ -328,6 +357,7 @@ class LeaderboardService {
                 updateQuery = `
                     UPDATE leaderboard 
                     SET points = MAX(0, points + ?),
+                        ${gameType === 'duel' ? 'duel_losses = duel_losses + 1,' : ''}
                         current_streak = 0,
                         last_played = CURRENT_TIMESTAMP
                     WHERE name = ?
@@ -352,7 +382,7 @@ class LeaderboardService {
                 newTotal: player.points
             });
             
-            return player;
+            return { ...player, pointsChange: player.points - previousPoints };
         } catch (error) {
             logger.error(`Failed to update points for ${playerName}:`, error);
             throw error;
@@ -378,11 +408,12 @@ class LeaderboardService {
     async getStats() {
         try {
             const now = Date.now();
+            const cache = this.getCache();
             
             // Return cached stats if still valid
-            if (this.cache.stats && 
-                (now - this.cache.statsLastUpdated) < this.cacheDuration) {
-                return this.cache.stats;
+            if (cache.stats && 
+                (now - cache.statsLastUpdated) < this.cacheDuration) {
+                return cache.stats;
             }
 
             const statsQuery = await DatabaseService.get(`
@@ -433,8 +464,8 @@ class LeaderboardService {
             };
 
             // Update cache
-            this.cache.stats = stats;
-            this.cache.statsLastUpdated = now;
+            cache.stats = stats;
+            cache.statsLastUpdated = now;
 
             return stats;
         } catch (error) {
@@ -567,6 +598,7 @@ class LeaderboardService {
                     winrate = 0.0,
                     xp = 0,
                     level = 1,
+                    rating = 1000,
                     last_played = CURRENT_TIMESTAMP
             `);
 
@@ -701,10 +733,7 @@ class LeaderboardService {
     }
 
     clearCache() {
-        this.cache.leaderboard = null;
-        this.cache.lastUpdated = 0;
-        this.cache.stats = null;
-        this.cache.statsLastUpdated = 0;
+        this.caches.delete(ChannelService.current());
         logger.debug('Leaderboard cache cleared');
     }
 
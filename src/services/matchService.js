@@ -0,0 +1,201 @@
+const DatabaseService = require('./databaseService');
+const StatTrakService = require('./statTrakService');
+const logger = require('../utils/logger');
+
+class MatchService {
+    /**
+     * Record a single participant's result for a game
+     * Duels call this once per player with the same gameId
+     * @param {Object} match - { gameId, gameType, player, opponent, outcome, upsideDown, pointsDelta, xpDelta, seed, replay }
+     * @returns {Object} The inserted row id
+     */
+    async recordMatch({ gameId = null, gameType = 'coneflip', player, opponent = null, outcome, upsideDown = false, pointsDelta = 0, xpDelta = 0, seed = null, replay = null }) {
+        try {
+            const result = await DatabaseService.run(`
+                INSERT INTO matches (game_id, game_type, player, opponent, outcome, upside_down, points_delta, xp_delta, seed, replay_data)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                gameId,
+                gameType,
+                player.toLowerCase(),
+                opponent ? opponent.toLowerCase() : null,
+                outcome,
+                upsideDown ? 1 : 0,
+                pointsDelta || 0,
+                xpDelta || 0,
+                seed,
+                replay ? JSON.stringify(replay) : null
+            ]);
+
+            logger.debug(`Match recorded: ${player} ${outcome} (${gameType}${upsideDown ? ', upside down' : ''})`);
+            await StatTrakService.record(player, { outcome, upsideDown });
+            return { id: result.lastID };
+        } catch (error) {
+            // History is best-effort, stats have already been applied at this point
+            logger.error(`Failed to record match for ${player}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Paginated match history for a player, newest first
+     * @param {string} name - Player name
+     * @param {Object} options - { page, limit, gameType, outcome, upsideDown }
+     */
+    async getPlayerHistory(name, { page = 1, limit = 20, gameType = null, outcome = null, upsideDown = null } = {}) {
+        name = name.toLowerCase();
+        try {
+            const conditions = ['player = ?'];
+            const params = [name];
+
+            if (gameType) {
+                conditions.push('game_type = ?');
+                params.push(gameType);
+            }
+
+            if (outcome) {
+                conditions.push('outcome = ?');
+                params.push(outcome);
+            }
+
+            if (upsideDown !== null) {
+                conditions.push('upside_down = ?');
+                params.push(upsideDown ? 1 : 0);
+            }
+
+            const whereClause = `WHERE ${conditions.join(' AND ')}`;
+            const offset = (page - 1) * limit;
+
+            const rows = await DatabaseService.all(`
+                SELECT id, game_id, game_type, player, opponent, outcome, upside_down, points_delta, xp_delta, seed, created_at
+                FROM matches
+                ${whereClause}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]);
+
+            const countResult = await DatabaseService.get(`SELECT COUNT(*) as total FROM matches ${whereClause}`, params);
+            const total = countResult.total;
+
+            return {
+                data: rows.map(row => this.formatMatch(row)),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: (page * limit) < total,
+                    hasPrev: page > 1
+                }
+            };
+        } catch (error) {
+            logger.error(`Failed to get match history for ${name}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Combine the redeemed ticket with the arena info reported by the overlay
+     * Only numeric fields are kept from the client side
+     * @param {Object} ticket - Redeemed flip ticket
+     * @param {Object} clientReplay - { launchX, viewport: { width, height }, skins: { player: skin } } from the overlay
+     */
+    buildReplayData(ticket, clientReplay) {
+        const replay = { players: ticket.players };
+        if (!clientReplay || typeof clientReplay !== 'object') return replay;
+
+        if (Number.isFinite(clientReplay.launchX)) {
+            replay.launchX = clientReplay.launchX;
+        }
+
+        const viewport = clientReplay.viewport;
+        if (viewport && Number.isFinite(viewport.width) && Number.isFinite(viewport.height)) {
+            replay.viewport = { width: viewport.width, height: viewport.height };
+        }
+
+        // Skins can have their own hitbox, only known skins of the ticket's players are kept
+        if (clientReplay.skins && typeof clientReplay.skins === 'object') {
+            const SkinService = require('./skinService');
+            const skins = {};
+            for (const player of ticket.players) {
+                const skin = clientReplay.skins[player];
+                if (typeof skin === 'string' && SkinService.isValidSkin(skin)) {
+                    skins[player] = skin;
+                }
+            }
+            if (Object.keys(skins).length > 0) {
+                replay.skins = skins;
+            }
+        }
+
+        return replay;
+    }
+
+    /**
+     * Everything the replay page needs to re-simulate a game
+     * @param {string} gameId - coneId or duelId from the flip ticket
+     * @returns {Object|null} Replay info, or null if the game is unknown or has no seed
+     */
+    async getReplay(gameId) {
+        try {
+            const rows = await DatabaseService.all(`
+                SELECT game_id, game_type, player, opponent, outcome, upside_down, seed, replay_data, created_at
+                FROM matches
+                WHERE game_id = ?
+                ORDER BY id ASC
+            `, [gameId]);
+
+            const seeded = rows.find(row => row.seed !== null);
+            if (!seeded) return null;
+
+            const winner = rows.find(row => row.outcome === 'win');
+            const loser = rows.find(row => row.outcome === 'loss');
+
+            let replay = {};
+            try {
+                replay = seeded.replay_data ? JSON.parse(seeded.replay_data) : {};
+            } catch (parseError) {
+                logger.warn(`Corrupt replay data for ${gameId}: ${parseError.message}`);
+            }
+
+            return {
+                gameId,
+                gameType: seeded.game_type,
+                seed: seeded.seed,
+                // Ticket order: the duel challenger launches from the left
+                players: replay.players || rows.map(row => row.player),
+                winner: winner ? winner.player : null,
+                loser: loser ? loser.player : null,
+                upsideDown: seeded.upside_down === 1,
+                launchX: replay.launchX || null,
+                viewport: replay.viewport || null,
+                skins: replay.skins || {},
+                playedAt: seeded.created_at
+            };
+        } catch (error) {
+            logger.error(`Failed to get replay for ${gameId}:`, error);
+            throw error;
+        }
+    }
+
+    formatMatch(row) {
+        return {
+            id: row.id,
+            gameId: row.game_id,
+            gameType: row.game_type,
+            player: row.player,
+            opponent: row.opponent,
+            outcome: row.outcome,
+            upsideDown: row.upside_down === 1,
+            pointsDelta: row.points_delta,
+            xpDelta: row.xp_delta,
+            hasReplay: row.seed !== null && row.game_id !== null,
+            playedAt: row.created_at
+        };
+    }
+}
+
+// Create singleton instance
+const matchService = new MatchService();
+
+module.exports = matchService;
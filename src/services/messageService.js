@@ -0,0 +1,237 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const ChannelService = require('./channelService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// English is the reference catalog, every other locale falls back to it key by key
+const DEFAULT_LOCALE = 'en';
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Twitch drops chat messages longer than this
+const MAX_MESSAGE_LENGTH = 500;
+
+class MessageService {
+    constructor() {
+        this.builtin = {}; // locale -> { key: template } shipped in src/locales
+        this.settings = {
+            defaultLocale: DEFAULT_LOCALE,
+            channels: {}, // channel -> locale
+            overrides: {} // locale -> { key: template }, persisted to data/messages.json
+        };
+        this.settingsPath = path.join(process.cwd(), 'data', 'messages.json');
+    }
+
+    async initialize() {
+        const files = await fs.readdir(LOCALES_DIR);
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const locale = path.basename(file, '.json');
+            this.builtin[locale] = JSON.parse(await fs.readFile(path.join(LOCALES_DIR, file), 'utf8'));
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+            this.settings = {
+                defaultLocale: data.defaultLocale || DEFAULT_LOCALE,
+                channels: data.channels || {},
+                overrides: data.overrides || {}
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load chat message settings:', error);
+            }
+        }
+
+        logger.info(`MessageService initialized with locales: ${this.getLocales().join(', ')} (default ${this.settings.defaultLocale})`);
+    }
+
+    normalizeChannel(channel) {
+        return String(channel || '').replace(/^#/, '').toLowerCase();
+    }
+
+    // Built-in locales plus any an admin started from scratch
+    getLocales() {
+        return [...new Set([...Object.keys(this.builtin), ...Object.keys(this.settings.overrides)])].sort();
+    }
+
+    getLocaleForChannel(channel = ChannelService.current()) {
+        return this.settings.channels[this.normalizeChannel(channel)] || this.settings.defaultLocale;
+    }
+
+    getTemplate(locale, key) {
+        const overrides = this.settings.overrides[locale] || {};
+        const builtin = this.builtin[locale] || {};
+        if (overrides[key] !== undefined) return overrides[key];
+        if (builtin[key] !== undefined) return builtin[key];
+
+        if (locale !== DEFAULT_LOCALE) {
+            return this.getTemplate(DEFAULT_LOCALE, key);
+        }
+        return null;
+    }
+
+    /**
+     * Fill {placeholders} in a template, unknown placeholders are left as typed
+     * @param {string} template - Message template
+     * @param {Object} params - Placeholder values
+     */
+    render(template, params = {}) {
+        return template.replace(PLACEHOLDER_PATTERN, (match, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+        ));
+    }
+
+    /**
+     * Build a chat message from the catalog in the channel's locale
+     * @param {string} key - Catalog key, e.g. 'setskin.changed'
+     * @param {Object} params - Placeholder values, e.g. { user, skin }
+     * @param {string} channel - Channel the message goes to, defaults to the channel in scope
+     * @returns {string} The rendered message
+     */
+    format(key, params = {}, channel = ChannelService.current()) {
+        const template = this.getTemplate(this.getLocaleForChannel(channel), key);
+        if (template === null) {
+            logger.warn(`Missing chat message template: ${key}`);
+            return key;
+        }
+        return this.render(template, params);
+    }
+
+    getPlaceholders(template) {
+        return [...new Set(Array.from(template.matchAll(PLACEHOLDER_PATTERN), match => match[1]))];
+    }
+
+    /**
+     * Every catalog key for a locale with its shipped text and any admin override
+     * @param {string} locale - Locale code
+     */
+    getCatalog(locale) {
+        this.validateLocale(locale);
+        const reference = this.builtin[DEFAULT_LOCALE];
+        const builtin = this.builtin[locale] || {};
+        const overrides = this.settings.overrides[locale] || {};
+
+        return Object.keys(reference).map(key => ({
+            key,
+            placeholders: this.getPlaceholders(reference[key]),
+            default: builtin[key] !== undefined ? builtin[key] : reference[key],
+            override: overrides[key] !== undefined ? overrides[key] : null,
+            value: this.getTemplate(locale, key)
+        }));
+    }
+
+    getSettings() {
+        return {
+            defaultLocale: this.settings.defaultLocale,
+            channels: this.settings.channels,
+            channel: ChannelService.current(),
+            locales: this.getLocales()
+        };
+    }
+
+    validateLocale(locale) {
+        if (typeof locale !== 'string' || !LOCALE_PATTERN.test(locale)) {
+            throw new ValidationError('Locale must be a language code like "en" or "pt-br"', 'locale');
+        }
+    }
+
+    /**
+     * Override one message in a locale, creating the locale if it is new
+     * @param {string} locale - Locale code
+     * @param {string} key - Catalog key
+     * @param {string} template - New text, may only use the key's placeholders
+     */
+    async setMessage(locale, key, template) {
+        this.validateLocale(locale);
+        const reference = this.builtin[DEFAULT_LOCALE][key];
+        if (reference === undefined) {
+            throw new NotFoundError(`Unknown chat message: ${key}`);
+        }
+
+        template = String(template || '').trim();
+        if (!template) {
+            throw new ValidationError('Message cannot be empty', 'template');
+        }
+        if (template.length > MAX_MESSAGE_LENGTH) {
+            throw new ValidationError(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`, 'template');
+        }
+
+        const allowed = this.getPlaceholders(reference);
+        const unknown = this.getPlaceholders(template).filter(name => !allowed.includes(name));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown placeholder(s) {${unknown.join('}, {')}}. Available: ${allowed.length > 0 ? `{${allowed.join('}, {')}}` : 'none'}`, 'template');
+        }
+
+        this.settings.overrides[locale] = { ...(this.settings.overrides[locale] || {}), [key]: template };
+        await this.saveSettings();
+
+        logger.info(`Chat message ${locale}/${key} updated`);
+        return { locale, key, value: template };
+    }
+
+    async resetMessage(locale, key) {
+        this.validateLocale(locale);
+        const overrides = this.settings.overrides[locale];
+        if (overrides && overrides[key] !== undefined) {
+            delete overrides[key];
+            // Keep the (now empty) entry for custom locales so they stay selectable
+            if (Object.keys(overrides).length === 0 && this.builtin[locale]) {
+                delete this.settings.overrides[locale];
+            }
+            await this.saveSettings();
+            logger.info(`Chat message ${locale}/${key} reset`);
+        }
+
+        return { locale, key, value: this.getTemplate(locale, key) };
+    }
+
+    /**
+     * Pick the default locale and per-channel locales, or start a new locale
+     * @param {Object} changes - { defaultLocale, channels: { channel: locale|null }, addLocale }
+     */
+    /**
+     * Change the locale of the channel in scope, and the default and list of locales every channel shares
+     * @param {Object} changes - { defaultLocale, locale, addLocale }, locale null goes back to the default
+     */
+    async updateSettings({ defaultLocale, locale, addLocale } = {}) {
+        if (addLocale) {
+            this.validateLocale(addLocale);
+        }
+
+        if (defaultLocale !== undefined) {
+            this.validateLocale(defaultLocale);
+            this.settings.defaultLocale = defaultLocale;
+        }
+
+        if (locale !== undefined) {
+            const channel = ChannelService.current();
+            if (locale) {
+                this.validateLocale(locale);
+                this.settings.channels[channel] = locale;
+            } else {
+                delete this.settings.channels[channel];
+            }
+        }
+
+        // A locale picked here with no messages yet still needs to show up in the list
+        const used = [this.settings.defaultLocale, ...Object.values(this.settings.channels), addLocale].filter(Boolean);
+        used.filter(locale => !this.builtin[locale] && !this.settings.overrides[locale]).forEach(locale => {
+            this.settings.overrides[locale] = {};
+        });
+
+        await this.saveSettings();
+        logger.info(`Chat locale settings updated (default ${this.settings.defaultLocale})`);
+        return this.getSettings();
+    }
+
+    async saveSettings() {
+        await fs.writeFile(this.settingsPath, JSON.stringify(this.settings, null, 2));
+    }
+}
+
+// Create singleton instance
+const messageService = new MessageService();
+
+module.exports = messageService;
@@ -0,0 +1,208 @@
+const fs = require('fs').promises;
+const path = require('path');
+const DatabaseService = require('./databaseService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Grades with bad-luck protection, rarest first. A covert counter is reset by a covert or a gold,
+// a gold counter only by a gold
+const PITY_TIERS = ['gold', 'covert'];
+
+// softStart: unboxes without the grade before its odds go up by step percent per unbox
+// hardLimit: the unbox that guarantees it, 0 for no guarantee
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    tiers: {
+        gold: { softStart: 75, hardLimit: 150, step: 1 },
+        covert: { softStart: 40, hardLimit: 80, step: 1 }
+    }
+};
+
+// Unboxes roll every grade on its own, so a long dry streak is possible. Each player's unboxes
+// since their last covert and gold are counted in the skins database; past softStart the odds of
+// that grade climb, at hardLimit it is guaranteed. Settings are shared by all channels.
+class PityService {
+    constructor() {
+        this.settings = this.copySettings(DEFAULT_SETTINGS);
+        this.settingsPath = path.join(process.cwd(), 'data', 'pity.json');
+    }
+
+    async initialize() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+            this.settings = {
+                enabled: data.enabled !== undefined ? !!data.enabled : DEFAULT_SETTINGS.enabled,
+                tiers: Object.fromEntries(PITY_TIERS.map(tier => [
+                    tier,
+                    { ...DEFAULT_SETTINGS.tiers[tier], ...((data.tiers || {})[tier] || {}) }
+                ]))
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load pity settings:', error);
+            }
+        }
+
+        logger.info('PityService initialized');
+    }
+
+    copySettings(settings) {
+        return {
+            enabled: settings.enabled,
+            tiers: Object.fromEntries(PITY_TIERS.map(tier => [tier, { ...settings.tiers[tier] }]))
+        };
+    }
+
+    query(method, sql, params = []) {
+        return DatabaseService.execute(DatabaseService.getSkinsDb(), method, sql, params);
+    }
+
+    /**
+     * Unboxes a player has had since their last covert and gold
+     * @param {string} player - Player name
+     * @returns {Promise<Object>} { covert, gold, total }
+     */
+    async getCounters(player) {
+        const row = await this.query('get',
+            'SELECT since_covert, since_gold, total_unboxes FROM unbox_pity WHERE player = ?',
+            [player.toLowerCase()]
+        );
+        return {
+            covert: row ? row.since_covert : 0,
+            gold: row ? row.since_gold : 0,
+            total: row ? row.total_unboxes : 0
+        };
+    }
+
+    // Count an unbox, resetting the counters of the grade it hit
+    async recordUnbox(player, tier) {
+        const hitGold = tier === 'gold';
+        const hitCovert = hitGold || tier === 'covert';
+
+        await this.query('run', `
+            INSERT INTO unbox_pity (player, since_covert, since_gold, total_unboxes) VALUES (?, ?, ?, 1)
+            ON CONFLICT(player) DO UPDATE SET
+                since_covert = CASE WHEN ? THEN 0 ELSE since_covert + 1 END,
+                since_gold = CASE WHEN ? THEN 0 ELSE since_gold + 1 END,
+                total_unboxes = total_unboxes + 1,
+                updated_at = CURRENT_TIMESTAMP
+        `, [player.toLowerCase(), hitCovert ? 0 : 1, hitGold ? 0 : 1, hitCovert ? 1 : 0, hitGold ? 1 : 0]);
+    }
+
+    /**
+     * Tier odds for a player's next unbox
+     * @param {Object} baseOdds - Percent per tier, SkinService.tierOdds or a case's odds
+     * @param {Object} counters - From getCounters()
+     * @returns {Object} Percent per tier, adding up to 100
+     */
+    getEffectiveTierOdds(baseOdds, counters) {
+        if (!this.settings.enabled) {
+            return { ...baseOdds };
+        }
+
+        const odds = {};
+        let taken = 0;
+        for (const tier of PITY_TIERS) {
+            // A case without the grade can't be made to drop it
+            if (!baseOdds[tier]) {
+                odds[tier] = 0;
+                continue;
+            }
+
+            const { softStart, hardLimit, step } = this.settings.tiers[tier];
+            const unbox = counters[tier] + 1;
+
+            if (hardLimit > 0 && unbox >= hardLimit) {
+                // Guaranteed, the rarer grades keep the share they already had
+                for (const other of Object.keys(baseOdds)) {
+                    if (odds[other] === undefined) odds[other] = 0;
+                }
+                odds[tier] = 100 - taken;
+                return odds;
+            }
+
+            const bonus = softStart > 0 && unbox > softStart ? (unbox - softStart) * step : 0;
+            odds[tier] = Math.min((baseOdds[tier] || 0) + bonus, 100 - taken);
+            taken += odds[tier];
+        }
+
+        // Common grades give up whatever the protected grades gained, in proportion
+        const rest = Object.keys(baseOdds).filter(tier => !PITY_TIERS.includes(tier));
+        const restBase = rest.reduce((sum, tier) => sum + baseOdds[tier], 0);
+        for (const tier of rest) {
+            odds[tier] = restBase === 0 ? 0 : baseOdds[tier] * (100 - taken) / restBase;
+        }
+        return odds;
+    }
+
+    async getTierOdds(player, baseOdds) {
+        return this.getEffectiveTierOdds(baseOdds, await this.getCounters(player));
+    }
+
+    /**
+     * A player's counters with how far each grade is from its guarantee
+     * @param {string} player - Player name
+     * @returns {Promise<Object>} { player, enabled, totalUnboxes, tiers: { gold: { since, softStart, hardLimit, guaranteedIn } } }
+     */
+    async getPity(player) {
+        const counters = await this.getCounters(player);
+        const tiers = {};
+        for (const tier of PITY_TIERS) {
+            const { softStart, hardLimit } = this.settings.tiers[tier];
+            tiers[tier] = {
+                since: counters[tier],
+                softStart,
+                hardLimit,
+                guaranteedIn: this.settings.enabled && hardLimit > 0 ? Math.max(hardLimit - counters[tier], 1) : null
+            };
+        }
+
+        return { player: player.toLowerCase(), enabled: this.settings.enabled, totalUnboxes: counters.total, tiers };
+    }
+
+    getSettings() {
+        return this.copySettings(this.settings);
+    }
+
+    /**
+     * Change the pity rules, unknown tiers are rejected
+     * @param {Object} changes - { enabled, tiers: { covert: { softStart, hardLimit, step } } }
+     */
+    async updateSettings({ enabled, tiers } = {}) {
+        const next = this.copySettings(this.settings);
+        if (enabled !== undefined) {
+            next.enabled = !!enabled;
+        }
+
+        for (const [tier, rule] of Object.entries(tiers || {})) {
+            if (!PITY_TIERS.includes(tier)) {
+                throw new ValidationError(`Unknown pity tier: ${tier}`, 'tiers');
+            }
+            for (const [key, value] of Object.entries(rule || {})) {
+                if (!(key in DEFAULT_SETTINGS.tiers[tier])) {
+                    throw new ValidationError(`Unknown pity setting: ${key}`, 'tiers');
+                }
+                const number = Number(value);
+                if (!Number.isFinite(number) || number < 0 || (key !== 'step' && !Number.isInteger(number))) {
+                    throw new ValidationError(`${tier} ${key} must be a number, 0 or more`, 'tiers');
+                }
+                next.tiers[tier][key] = number;
+            }
+
+            const { softStart, hardLimit } = next.tiers[tier];
+            if (softStart > 0 && hardLimit > 0 && softStart >= hardLimit) {
+                throw new ValidationError(`${tier} odds have to start rising before the guarantee`, 'tiers');
+            }
+        }
+
+        this.settings = next;
+        await fs.writeFile(this.settingsPath, JSON.stringify(this.settings, null, 2));
+        logger.info('Pity settings updated');
+        return this.getSettings();
+    }
+}
+
+// Create singleton instance
+const pityService = new PityService();
+
+module.exports = pityService;
@@ -0,0 +1,324 @@
+const DatabaseService = require('./databaseService');
+const TicketService = require('./ticketService');
+const ChannelService = require('./channelService');
+const logger = require('../utils/logger');
+const { config } = require('../config/environment');
+
+// Cones and duels run side by side on the overlay, so each gets its own lane
+// with at most one item in flight at a time. Every channel has its own pair of lanes.
+const LANES = ['coneflip', 'duel'];
+
+class QueueService {
+    constructor() {
+        this.io = null;
+        this.socketHandler = null;
+        this.initialized = false;
+        this.ackTimeout = config.QUEUE_ACK_TIMEOUT;
+        this.maxAttempts = config.QUEUE_MAX_ATTEMPTS;
+        this.channelLanes = new Map(); // channel -> { coneflip, duel }
+    }
+
+    getLanes(channel = ChannelService.current()) {
+        if (!this.channelLanes.has(channel)) {
+            const lanes = {};
+            LANES.forEach(gameType => {
+                lanes[gameType] = { pending: [], inFlight: null, ackTimer: null };
+            });
+            this.channelLanes.set(channel, lanes);
+        }
+        return this.channelLanes.get(channel);
+    }
+
+    async initialize() {
+        for (const channel of ChannelService.list()) {
+            await ChannelService.run(channel, () => this.restore());
+        }
+
+        this.initialized = true;
+        logger.info('QueueService initialized');
+    }
+
+    async restore() {
+        try {
+            // Anything still queued or in flight when the server stopped goes back in line
+            const rows = await DatabaseService.all(`
+                SELECT id, game_type, players, attempts
+                FROM game_queue
+                WHERE status IN ('queued', 'dispatched')
+                ORDER BY id ASC
+            `);
+
+            const channel = ChannelService.current();
+            for (const row of rows) {
+                this.getLanes(channel)[row.game_type].pending.push({
+                    id: row.id,
+                    channel,
+                    gameType: row.game_type,
+                    players: JSON.parse(row.players),
+                    attempts: row.attempts,
+                    coneId: null
+                });
+            }
+
+            await DatabaseService.run(`UPDATE game_queue SET status = 'queued' WHERE status = 'dispatched'`);
+
+            if (rows.length > 0) {
+                logger.info(`Restored ${rows.length} queued game(s) for ${channel} from the database`);
+            }
+        } catch (error) {
+            logger.warn(`Failed to restore game queue for ${ChannelService.current()}:`, error.message);
+        }
+    }
+
+    setSocketHandler(socketHandler) {
+        this.socketHandler = socketHandler;
+        this.io = socketHandler.io;
+    }
+
+    hasOverlay(channel = ChannelService.current()) {
+        if (!this.socketHandler) return false;
+        for (const client of this.socketHandler.connectedClients.values()) {
+            if (client.tokenAssociated && client.channel === channel) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Persist a game and dispatch it once its lane is free
+     * @param {string} gameType - 'coneflip' or 'duel'
+     * @param {string[]} players - Player names, duel challenger first
+     * @param {Object} options - { wagerId } of an escrowed duel wager, linked to the row before it can be sent
+     * @returns {Object} { id, position } - queue id and how many items are ahead of it
+     */
+    async enqueue(gameType, players, { wagerId = null } = {}) {
+        const result = await DatabaseService.transaction(async () => {
+            const inserted = await DatabaseService.run(
+                'INSERT INTO game_queue (game_type, players) VALUES (?, ?)',
+                [gameType, JSON.stringify(players)]
+            );
+            if (wagerId) {
+                const WagerService = require('./wagerService');
+                await WagerService.attachQueueItem(wagerId, inserted.lastID);
+            }
+            return inserted;
+        });
+
+        const channel = ChannelService.current();
+        const lane = this.getLanes(channel)[gameType];
+        const item = { id: result.lastID, channel, gameType, players, attempts: 0, coneId: null };
+        const position = lane.pending.length + (lane.inFlight ? 1 : 0);
+        lane.pending.push(item);
+
+        logger.debug(`Queued ${gameType} #${item.id} for ${players.join(' vs ')} (position ${position})`);
+
+        this.dispatchNext(gameType);
+        return { id: item.id, position };
+    }
+
+    dispatchNext(gameType, channel = ChannelService.current()) {
+        const lane = this.getLanes(channel)[gameType];
+        if (lane.inFlight || lane.pending.length === 0) return;
+
+        // Leave items in the database until an overlay is around to play them
+        if (!this.io || !this.hasOverlay(channel)) return;
+
+        lane.inFlight = lane.pending.shift();
+        this.dispatch(lane.inFlight);
+    }
+
+    async dispatch(item) {
+        const lane = this.getLanes(item.channel)[item.gameType];
+
+        // Each send gets a fresh ticket, so a result for an earlier send can't count twice
+        if (item.coneId) {
+            TicketService.revokeTicket(item.coneId);
+        }
+
+        const ticket = TicketService.issueTicket(item.gameType, item.players);
+        item.coneId = ticket.coneId;
+        item.attempts++;
+
+        // Wagers are settled by the cone_id of the row, so it has to be stored before the overlay can answer
+        try {
+            await DatabaseService.run(`
+                UPDATE game_queue
+                SET status = 'dispatched', cone_id = ?, attempts = ?, dispatched_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [item.coneId, item.attempts, item.id]);
+        } catch (error) {
+            logger.error(`Failed to mark queue item #${item.id} dispatched:`, error);
+        }
+
+        // Cancelled or re-sent with a newer ticket while the write was pending
+        if (lane.inFlight !== item || item.coneId !== ticket.coneId) return;
+
+        const room = ChannelService.room(item.channel);
+        if (item.gameType === 'duel') {
+            this.io.to(room).emit('addConeDuel', item.players[0], item.players[1], ticket);
+        } else {
+            this.io.to(room).emit('addCone', item.players[0], ticket);
+        }
+
+        clearTimeout(lane.ackTimer);
+        lane.ackTimer = setTimeout(() => ChannelService.run(item.channel, () => this.handleAckTimeout(item)), this.ackTimeout);
+
+        logger.gameEvent('queue_dispatched', { queueId: item.id, gameType: item.gameType, players: item.players, coneId: item.coneId, attempt: item.attempts });
+    }
+
+    handleAckTimeout(item) {
+        const lane = this.getLanes(item.channel)[item.gameType];
+        if (lane.inFlight !== item) return;
+
+        // No overlay to blame, the item is re-sent when one reconnects
+        if (!this.hasOverlay(item.channel)) {
+            logger.warn(`No result for ${item.gameType} #${item.id} and no overlay connected, waiting for reconnect`);
+            return;
+        }
+
+        if (item.attempts >= this.maxAttempts) {
+            logger.warn(`Dropping ${item.gameType} #${item.id} for ${item.players.join(' vs ')} after ${item.attempts} attempts without a result`);
+            TicketService.revokeTicket(item.coneId);
+            this.finish(item, 'failed');
+            return;
+        }
+
+        logger.warn(`No result for ${item.gameType} #${item.id} (${item.coneId}), re-sending`);
+        this.dispatch(item);
+    }
+
+    /**
+     * Mark the in-flight item for a redeemed ticket as done and move its lane along
+     * @param {string} coneId - coneId of the redeemed ticket
+     * @returns {boolean} true if the ticket belonged to a queued game
+     */
+    acknowledge(coneId) {
+        const lanes = this.getLanes();
+        for (const gameType of LANES) {
+            const item = lanes[gameType].inFlight;
+            if (item && item.coneId === coneId) {
+                this.finish(item, 'done');
+                return true;
+            }
+        }
+        return false;
+    }
+
+    finish(item, status) {
+        const lane = this.getLanes(item.channel)[item.gameType];
+        clearTimeout(lane.ackTimer);
+        lane.ackTimer = null;
+        lane.inFlight = null;
+
+        DatabaseService.run(
+            'UPDATE game_queue SET status = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [status, item.id]
+        ).then(() => this.resolveQueueItem(item.id, status)).catch(error => {
+            logger.error(`Failed to mark queue item #${item.id} ${status}:`, error);
+        });
+
+        this.dispatchNext(item.gameType, item.channel);
+    }
+
+    // Channel point redemptions and duel wagers behind this game are settled to match
+    async resolveQueueItem(queueId, status) {
+        const RedemptionService = require('./redemptionService');
+        const WagerService = require('./wagerService');
+        await RedemptionService.resolveQueueItem(queueId, status);
+        await WagerService.resolveQueueItem(queueId, status);
+    }
+
+    /**
+     * Take a single game out of the queue, whether it is waiting or in flight
+     * @param {number} queueId - game_queue id
+     * @returns {boolean} true if the game was still queued
+     */
+    async cancelItem(queueId) {
+        const lanes = this.getLanes();
+        for (const gameType of LANES) {
+            const lane = lanes[gameType];
+
+            if (lane.inFlight && lane.inFlight.id === queueId) {
+                TicketService.revokeTicket(lane.inFlight.coneId);
+                this.finish(lane.inFlight, 'cancelled');
+                return true;
+            }
+
+            const index = lane.pending.findIndex(item => item.id === queueId);
+            if (index !== -1) {
+                lane.pending.splice(index, 1);
+                await DatabaseService.run(
+                    `UPDATE game_queue SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [queueId]
+                );
+                await this.resolveQueueItem(queueId, 'cancelled');
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // A freshly loaded overlay has nothing on screen, so whatever was in flight is sent again
+    onOverlayConnected() {
+        const lanes = this.getLanes();
+        for (const gameType of LANES) {
+            const lane = lanes[gameType];
+            if (lane.inFlight) {
+                logger.info(`Re-sending ${gameType} #${lane.inFlight.id} to reconnected overlay`);
+                this.dispatch(lane.inFlight);
+            } else {
+                this.dispatchNext(gameType);
+            }
+        }
+    }
+
+    // Drop everything still waiting, used when the game is restarted
+    async cancelAll() {
+        const cancelledIds = [];
+        const lanes = this.getLanes();
+        for (const gameType of LANES) {
+            const lane = lanes[gameType];
+            if (lane.inFlight) {
+                TicketService.revokeTicket(lane.inFlight.coneId);
+                cancelledIds.push(lane.inFlight.id);
+            }
+            lane.pending.forEach(item => cancelledIds.push(item.id));
+            clearTimeout(lane.ackTimer);
+            lane.ackTimer = null;
+            lane.inFlight = null;
+            lane.pending.length = 0;
+        }
+
+        const result = await DatabaseService.run(`
+            UPDATE game_queue
+            SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+            WHERE status IN ('queued', 'dispatched')
+        `);
+
+        if (result.changes > 0) {
+            logger.info(`Cancelled ${result.changes} queued game(s)`);
+        }
+
+        for (const queueId of cancelledIds) {
+            await this.resolveQueueItem(queueId, 'cancelled');
+        }
+        return result.changes;
+    }
+
+    getStatus() {
+        const { coneflip: coneLane, duel: duelLane } = this.getLanes();
+        return {
+            queuedGames: coneLane.pending.length,
+            queuedDuels: duelLane.pending.length,
+            inFlight: {
+                coneflip: coneLane.inFlight ? coneLane.inFlight.coneId : null,
+                duel: duelLane.inFlight ? duelLane.inFlight.coneId : null
+            },
+            overlayConnected: this.hasOverlay()
+        };
+    }
+}
+
+// Create singleton instance
+const queueService = new QueueService();
+
+module.exports = queueService;
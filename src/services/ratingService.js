@@ -0,0 +1,199 @@
+const fs = require('fs').promises;
+const path = require('path');
+const DatabaseService = require('./databaseService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Rating of a player who hasn't duelled yet
+const DEFAULT_RATING = 1000;
+
+// Placeholder opponents that aren't real players
+const PLACEHOLDER_PLAYERS = ['random_opponent', 'test_opponent'];
+
+// Random duels are drawn from this many players closest in rating
+const MATCHMAKING_POOL = 5;
+
+// kFactor: most a rating moves in one duel, provisionalKFactor for a player's first
+// provisionalDuels duels so new players find their level quickly
+// matchmaking: pick random_opponent duels by rating, among players who duelled in matchmakingDays
+const DEFAULT_SETTINGS = {
+    kFactor: 32,
+    provisionalKFactor: 64,
+    provisionalDuels: 10,
+    matchmaking: false,
+    matchmakingDays: 30
+};
+
+const LIMITS = {
+    kFactor: { min: 1, max: 100 },
+    provisionalKFactor: { min: 1, max: 200 },
+    provisionalDuels: { min: 0, max: 100 },
+    matchmakingDays: { min: 1, max: 365 }
+};
+
+// Duel skill rating (Elo). Beating a higher rated player is worth more than beating a lower
+// rated one, so farming weak opponents stops paying off. Ratings live in the leaderboard table
+// of each channel and survive season resets, settings are shared by all channels.
+class RatingService {
+    constructor() {
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.settingsPath = path.join(process.cwd(), 'data', 'rating.json');
+    }
+
+    async initialize() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+            this.settings = { ...DEFAULT_SETTINGS, ...data };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load rating settings:', error);
+            }
+        }
+
+        logger.info('RatingService initialized');
+    }
+
+    // Chance of a player with rating beating one with opponentRating
+    expectedScore(rating, opponentRating) {
+        return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+    }
+
+    getKFactor(duels) {
+        return duels <= this.settings.provisionalDuels ? this.settings.provisionalKFactor : this.settings.kFactor;
+    }
+
+    /**
+     * Update both ratings after a resolved duel. Call it after the duel was counted on the
+     * leaderboard, the players' duel counts decide whether they are still provisional
+     * @param {string} winner - Winner name
+     * @param {string} loser - Loser name
+     * @returns {Promise<Object>} { winner: { name, rating, change }, loser: { name, rating, change } }
+     */
+    async recordDuel(winner, loser) {
+        winner = winner.toLowerCase();
+        loser = loser.toLowerCase();
+
+        return DatabaseService.transaction(async () => {
+            const rows = await DatabaseService.all(
+                'SELECT name, rating, total_duels FROM leaderboard WHERE name IN (?, ?)',
+                [winner, loser]
+            );
+            const find = name => rows.find(row => row.name === name) || { name, rating: DEFAULT_RATING, total_duels: 0 };
+            const winnerRow = find(winner);
+            const loserRow = find(loser);
+
+            const expected = this.expectedScore(winnerRow.rating, loserRow.rating);
+            const winnerChange = this.getKFactor(winnerRow.total_duels) * (1 - expected);
+            const loserChange = -this.getKFactor(loserRow.total_duels) * (1 - expected);
+
+            const result = {};
+            for (const [key, row, change] of [['winner', winnerRow, winnerChange], ['loser', loserRow, loserChange]]) {
+                const rating = Math.max(row.rating + change, 0);
+                await DatabaseService.run('UPDATE leaderboard SET rating = ? WHERE name = ?', [rating, row.name]);
+                result[key] = { name: row.name, rating: Math.round(rating), change: Math.round(rating) - Math.round(row.rating) };
+            }
+
+            logger.info(`Duel ratings: ${winner} ${result.winner.rating} (${result.winner.change >= 0 ? '+' : ''}${result.winner.change}), ${loser} ${result.loser.rating} (${result.loser.change})`);
+            return result;
+        });
+    }
+
+    /**
+     * A player's rating and their place among players who have duelled
+     * @param {string} name - Player name
+     * @returns {Promise<Object>} { rating, duels, rank, provisional }, rank is null before the first duel
+     */
+    async getRating(name) {
+        const player = await DatabaseService.get(
+            'SELECT rating, total_duels FROM leaderboard WHERE name = ?',
+            [name.toLowerCase()]
+        );
+        if (!player || player.total_duels === 0) {
+            return { rating: DEFAULT_RATING, duels: 0, rank: null, provisional: true };
+        }
+
+        // Same players as the rating leaderboard, placeholder opponents don't take a place
+        const { rank } = await DatabaseService.get(`
+            SELECT COUNT(*) + 1 as rank FROM leaderboard
+            WHERE total_duels > 0 AND rating > ?
+              AND name NOT IN (${PLACEHOLDER_PLAYERS.map(() => '?').join(', ')})
+        `, [player.rating, ...PLACEHOLDER_PLAYERS]);
+        return {
+            rating: Math.round(player.rating),
+            duels: player.total_duels,
+            rank,
+            provisional: player.total_duels < this.settings.provisionalDuels
+        };
+    }
+
+    /**
+     * Pick an opponent close to a player's rating for a duel without a target
+     * @param {string} name - Challenger
+     * @returns {Promise<string|null>} Opponent name, null when matchmaking is off or nobody fits
+     */
+    async findOpponent(name) {
+        if (!this.settings.matchmaking) {
+            return null;
+        }
+
+        name = name.toLowerCase();
+        const player = await DatabaseService.get('SELECT rating FROM leaderboard WHERE name = ?', [name]);
+        const rating = player ? player.rating : DEFAULT_RATING;
+
+        const excluded = [name, ...PLACEHOLDER_PLAYERS];
+        const candidates = await DatabaseService.all(`
+            SELECT name FROM leaderboard
+            WHERE total_duels > 0
+              AND name NOT IN (${excluded.map(() => '?').join(', ')})
+              AND last_played >= datetime('now', ?)
+            ORDER BY ABS(rating - ?) ASC, last_played DESC
+            LIMIT ?
+        `, [...excluded, `-${this.settings.matchmakingDays} days`, rating, MATCHMAKING_POOL]);
+
+        if (candidates.length === 0) {
+            return null;
+        }
+        // A random one of the closest, so the same two players don't meet every time
+        return candidates[Math.floor(Math.random() * candidates.length)].name;
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change the rating rules
+     * @param {Object} changes - { kFactor, provisionalKFactor, provisionalDuels, matchmaking, matchmakingDays }
+     */
+    async updateSettings(changes = {}) {
+        const next = { ...this.settings };
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === undefined) continue;
+            if (key === 'matchmaking') {
+                next.matchmaking = !!value;
+                continue;
+            }
+            if (!LIMITS[key]) {
+                throw new ValidationError(`Unknown rating setting: ${key}`, key);
+            }
+
+            const number = Number(value);
+            const { min, max } = LIMITS[key];
+            if (!Number.isInteger(number) || number < min || number > max) {
+                throw new ValidationError(`${key} must be a whole number from ${min} to ${max}`, key);
+            }
+            next[key] = number;
+        }
+
+        this.settings = next;
+        await fs.writeFile(this.settingsPath, JSON.stringify(this.settings, null, 2));
+        logger.info('Rating settings updated');
+        return this.getSettings();
+    }
+}
+
+// Create singleton instance
+const ratingService = new RatingService();
+
+module.exports = ratingService;
+module.exports.PLACEHOLDER_PLAYERS = PLACEHOLDER_PLAYERS;
@@ -0,0 +1,155 @@
+const DatabaseService = require('./databaseService');
+const QueueService = require('./queueService');
+const HelixClient = require('./helixClient');
+const ChannelService = require('./channelService');
+const logger = require('../utils/logger');
+const { config } = require('../config/environment');
+
+class RedemptionService {
+    constructor() {
+        this.refundTimeout = config.REDEMPTION_REFUND_TIMEOUT;
+        this.sweepInterval = null;
+    }
+
+    async initialize() {
+        // Refunds are checked once a minute, and right away for anything left over from the last run
+        this.sweepInterval = setInterval(() => this.refundExpiredAllChannels(), 60 * 1000);
+        this.sweepInterval.unref();
+
+        await this.refundExpiredAllChannels();
+        logger.info('RedemptionService initialized');
+    }
+
+    /**
+     * Remember a channel point redemption that queued a game
+     * @param {Object} redemption - { redemptionId, rewardId, player, gameType, queueId }
+     */
+    async track({ redemptionId, rewardId, player, gameType, queueId = null }) {
+        await DatabaseService.run(`
+            INSERT OR IGNORE INTO redemptions (redemption_id, reward_id, player, game_type, queue_id)
+            VALUES (?, ?, ?, ?, ?)
+        `, [redemptionId, rewardId, player.toLowerCase(), gameType, queueId]);
+
+        logger.debug(`Tracking redemption ${redemptionId} for ${player} (${gameType}, queue #${queueId})`);
+
+        // The game may already be over if the overlay was quick
+        if (queueId !== null) {
+            const queued = await DatabaseService.get('SELECT status FROM game_queue WHERE id = ?', [queueId]);
+            if (queued && queued.status !== 'queued' && queued.status !== 'dispatched') {
+                await this.resolveQueueItem(queueId, queued.status);
+            }
+        }
+    }
+
+    /**
+     * Settle the redemptions behind a queue item once it leaves the queue
+     * @param {number} queueId - game_queue id
+     * @param {string} queueStatus - 'done' fulfills, anything else refunds
+     */
+    async resolveQueueItem(queueId, queueStatus) {
+        const rows = await DatabaseService.all(
+            `SELECT * FROM redemptions WHERE queue_id = ? AND status = 'pending'`,
+            [queueId]
+        );
+
+        for (const row of rows) {
+            if (queueStatus === 'done') {
+                await this.fulfill(row);
+            } else {
+                await this.refund(row, `game ${queueStatus}`);
+            }
+        }
+    }
+
+    async getRedemption(redemptionId) {
+        return DatabaseService.get('SELECT * FROM redemptions WHERE redemption_id = ?', [redemptionId]);
+    }
+
+    async fulfill(row) {
+        return this.setStatus(row, 'fulfilled', 'FULFILLED');
+    }
+
+    async refund(row, reason) {
+        logger.info(`Refunding redemption ${row.redemption_id} for ${row.player}: ${reason}`);
+        return this.setStatus(row, 'canceled', 'CANCELED', () => {
+            // A refunded game must not play later and count anyway
+            if (row.queue_id !== null) {
+                return QueueService.cancelItem(row.queue_id);
+            }
+        });
+    }
+
+    // Claims the row before talking to Twitch, so a redemption is never settled twice
+    async setStatus(row, status, helixStatus, beforeUpdate = null) {
+        const claimed = await DatabaseService.run(`
+            UPDATE redemptions SET status = ?, resolved_at = CURRENT_TIMESTAMP
+            WHERE redemption_id = ? AND status = 'pending'
+        `, [status, row.redemption_id]);
+
+        if (claimed.changes === 0) {
+            return false;
+        }
+
+        try {
+            if (beforeUpdate) {
+                await beforeUpdate();
+            }
+            await HelixClient.updateRedemptionStatus(row.reward_id, row.redemption_id, helixStatus);
+            logger.gameEvent(`redemption_${status}`, { redemptionId: row.redemption_id, player: row.player, gameType: row.game_type });
+            return true;
+        } catch (error) {
+            const message = error.response && error.response.data ? error.response.data.message : error.message;
+            logger.error(`Failed to mark redemption ${row.redemption_id} ${helixStatus}: ${message}`);
+            await DatabaseService.run(
+                `UPDATE redemptions SET status = 'error', error = ? WHERE redemption_id = ?`,
+                [message, row.redemption_id]
+            );
+            return false;
+        }
+    }
+
+    // Every channel keeps its redemptions in its own database
+    async refundExpiredAllChannels() {
+        for (const channel of ChannelService.list()) {
+            await ChannelService.run(channel, () => this.refundExpired());
+        }
+    }
+
+    // Refund redemptions whose game never produced a result within the timeout
+    async refundExpired() {
+        try {
+            const seconds = Math.floor(this.refundTimeout / 1000);
+            const rows = await DatabaseService.all(`
+                SELECT r.*, q.status AS queue_status
+                FROM redemptions r
+                LEFT JOIN game_queue q ON q.id = r.queue_id
+                WHERE r.status = 'pending' AND r.created_at <= datetime('now', ?)
+            `, [`-${seconds} seconds`]);
+
+            for (const row of rows) {
+                // Result recorded but the server stopped before it could fulfill
+                if (row.queue_status === 'done') {
+                    await this.fulfill(row);
+                } else {
+                    await this.refund(row, `no result after ${seconds}s`);
+                }
+            }
+        } catch (error) {
+            logger.error(`Failed to refund expired redemptions for ${ChannelService.current()}:`, error);
+        }
+    }
+
+    async getStatus() {
+        const rows = await DatabaseService.all('SELECT status, COUNT(*) as count FROM redemptions GROUP BY status');
+        const counts = { pending: 0, fulfilled: 0, canceled: 0, error: 0 };
+        rows.forEach(row => {
+            counts[row.status] = row.count;
+        });
+        return { ...counts, refundTimeout: this.refundTimeout };
+    }
+}
+
+// Create singleton instance
+const redemptionService = new RedemptionService();
+
+module.exports = redemptionService;
@@ -0,0 +1,265 @@
+const ConfigService = require('./configService');
+const HelixClient = require('./helixClient');
+const ChannelService = require('./channelService');
+const logger = require('../utils/logger');
+const { config } = require('../config/environment');
+const { ValidationError, TwitchError } = require('../middleware/errorHandler');
+
+// The channel point rewards ConeFlip reacts to, keyed by their setup.json id field.
+// Defaults are only used the first time a reward is created.
+const REWARD_DEFINITIONS = {
+    TWITCH_CONE_REWARD: {
+        configKey: 'CONE_REWARD',
+        label: 'Cone Flip',
+        defaults: { title: 'Cone Flip', cost: 500, prompt: 'Flip a cone and try to land it upright!', cooldown: 0, userInput: false }
+    },
+    TWITCH_DUEL_REWARD: {
+        configKey: 'DUEL_REWARD',
+        label: 'Cone Duel',
+        defaults: { title: 'Cone Duel', cost: 1000, prompt: 'Type the username you want to duel', cooldown: 0, userInput: true }
+    },
+    TWITCH_UNBOX_CONE: {
+        configKey: 'UNBOX_CONE',
+        label: 'Unbox Cone',
+        defaults: { title: 'Unbox a Cone', cost: 2000, prompt: 'Unbox a random cone skin!', cooldown: 0, userInput: false }
+    },
+    TWITCH_BUY_CONE: {
+        configKey: 'BUY_CONE',
+        label: 'Buy Cone',
+        defaults: { title: 'Buy a Cone', cost: 10000, prompt: 'Type the name of the cone skin you want', cooldown: 0, userInput: true }
+    },
+    TWITCH_BUY_TRAIL_REWARD: {
+        configKey: 'BUY_TRAIL_REWARD',
+        label: 'Buy Trail',
+        defaults: { title: 'Buy a Trail', cost: 5000, prompt: 'Type the name of the trail you want', cooldown: 0, userInput: true }
+    }
+};
+
+class RewardService {
+    getDefinition(key) {
+        const definition = REWARD_DEFINITIONS[key];
+        if (!definition) {
+            throw new ValidationError(`Unknown reward: ${key}`, 'key');
+        }
+        return definition;
+    }
+
+    getRewardId(key) {
+        return ChannelService.getTwitchConfig()[this.getDefinition(key).configKey] || null;
+    }
+
+    // Saved settings from setup.json (channels.json for other channels), falling back to the defaults
+    getSettings(key) {
+        const savedSettings = ChannelService.isPrimary()
+            ? ConfigService.get('REWARD_SETTINGS', {})
+            : ChannelService.get().rewardSettings;
+        const saved = savedSettings[key] || {};
+        return { ...this.getDefinition(key).defaults, ...saved };
+    }
+
+    /**
+     * Check admin-supplied settings, filling gaps from what is saved
+     * @param {string} key - Reward key, e.g. TWITCH_CONE_REWARD
+     * @param {Object} input - { title, cost, prompt, cooldown, userInput }
+     */
+    validateSettings(key, input = {}) {
+        const settings = { ...this.getSettings(key), ...input };
+
+        settings.title = String(settings.title || '').trim();
+        if (!settings.title || settings.title.length > 45) {
+            throw new ValidationError('Reward title must be 1-45 characters', 'title');
+        }
+
+        settings.prompt = String(settings.prompt || '').trim();
+        if (settings.prompt.length > 200) {
+            throw new ValidationError('Reward prompt must be at most 200 characters', 'prompt');
+        }
+
+        settings.cost = parseInt(settings.cost);
+        if (isNaN(settings.cost) || settings.cost < 1) {
+            throw new ValidationError('Reward cost must be at least 1', 'cost');
+        }
+
+        settings.cooldown = parseInt(settings.cooldown || 0);
+        if (isNaN(settings.cooldown) || settings.cooldown < 0 || settings.cooldown > 604800) {
+            throw new ValidationError('Cooldown must be between 0 and 604800 seconds', 'cooldown');
+        }
+
+        settings.userInput = settings.userInput === true || settings.userInput === 'true';
+
+        return {
+            title: settings.title,
+            cost: settings.cost,
+            prompt: settings.prompt,
+            cooldown: settings.cooldown,
+            userInput: settings.userInput
+        };
+    }
+
+    toHelixSettings(settings) {
+        return {
+            title: settings.title,
+            cost: settings.cost,
+            prompt: settings.prompt,
+            is_user_input_required: settings.userInput,
+            is_global_cooldown_enabled: settings.cooldown > 0,
+            global_cooldown_seconds: settings.cooldown > 0 ? settings.cooldown : undefined,
+            // Redemptions have to wait in the queue so unresolved flips can be refunded
+            should_redemptions_skip_request_queue: false
+        };
+    }
+
+    helixErrorMessage(error) {
+        return error.response && error.response.data && error.response.data.message
+            ? error.response.data.message
+            : error.message;
+    }
+
+    /**
+     * Live state of every reward: saved settings plus what Twitch currently has
+     * @returns {Object[]} One entry per reward definition
+     */
+    async getRewards() {
+        let liveRewards = [];
+        let manageableIds = new Set();
+        let error = null;
+
+        try {
+            const [all, manageable] = await Promise.all([
+                HelixClient.getCustomRewards(false),
+                HelixClient.getCustomRewards(true)
+            ]);
+            liveRewards = all;
+            manageableIds = new Set(manageable.map(reward => reward.id));
+        } catch (helixError) {
+            error = this.helixErrorMessage(helixError);
+            logger.warn(`Failed to fetch channel point rewards: ${error}`);
+        }
+
+        const rewards = Object.entries(REWARD_DEFINITIONS).map(([key, definition]) => {
+            const id = this.getRewardId(key);
+            const live = id ? liveRewards.find(reward => reward.id === id) : null;
+
+            let status = 'not_created';
+            if (id && error) {
+                status = 'unknown';
+            } else if (id && !live) {
+                status = 'missing';
+            } else if (live) {
+                status = !live.is_enabled ? 'disabled' : (live.is_paused ? 'paused' : 'live');
+            }
+
+            return {
+                key,
+                label: definition.label,
+                id,
+                status,
+                manageable: live ? manageableIds.has(live.id) : null,
+                settings: this.getSettings(key),
+                live: live ? {
+                    title: live.title,
+                    cost: live.cost,
+                    prompt: live.prompt,
+                    isEnabled: live.is_enabled,
+                    isPaused: live.is_paused,
+                    userInput: live.is_user_input_required,
+                    cooldown: live.global_cooldown_setting && live.global_cooldown_setting.is_enabled
+                        ? live.global_cooldown_setting.global_cooldown_seconds
+                        : 0,
+                    skipsQueue: live.should_redemptions_skip_request_queue
+                } : null
+            };
+        });
+
+        return { rewards, error };
+    }
+
+    /**
+     * Create the reward on Twitch, or update it if we already own it, and store the id
+     * @param {string} key - Reward key, e.g. TWITCH_CONE_REWARD
+     * @param {Object} input - Settings to apply, see validateSettings
+     */
+    async syncReward(key, input = {}) {
+        const definition = this.getDefinition(key);
+        const settings = this.validateSettings(key, input);
+        const helixSettings = this.toHelixSettings(settings);
+        const existingId = this.getRewardId(key);
+
+        let reward = null;
+        try {
+            if (existingId) {
+                reward = await HelixClient.updateCustomReward(existingId, helixSettings);
+            }
+        } catch (error) {
+            const status = error.response ? error.response.status : null;
+            if (status === 403) {
+                // Created by hand in the Twitch dashboard, only the app that created a reward may edit it
+                throw new ValidationError(`${definition.label} reward was not created by ConeFlip and can't be managed here. Delete it on Twitch or clear its ID to let ConeFlip create a new one.`, key);
+            }
+            if (status !== 404) {
+                throw new TwitchError(`Failed to update ${definition.label} reward: ${this.helixErrorMessage(error)}`);
+            }
+            logger.warn(`${definition.label} reward ${existingId} no longer exists, creating a new one`);
+        }
+
+        if (!reward) {
+            try {
+                reward = await HelixClient.createCustomReward(helixSettings);
+            } catch (error) {
+                throw new TwitchError(`Failed to create ${definition.label} reward: ${this.helixErrorMessage(error)}`);
+            }
+        }
+
+        if (ChannelService.isPrimary()) {
+            const rewardSettings = { ...ConfigService.get('REWARD_SETTINGS', {}), [key]: settings };
+            await ConfigService.saveConfig({ [key]: reward.id, REWARD_SETTINGS: rewardSettings });
+
+            // Redemption handling reads the id from config, so it applies without a reconnect
+            config.TWITCH[definition.configKey] = reward.id;
+        } else {
+            await ChannelService.saveReward(ChannelService.current(), key, definition.configKey, reward.id, settings);
+        }
+
+        logger.info(`${definition.label} reward synced: ${reward.id}${existingId && existingId !== reward.id ? ` (replaced ${existingId})` : ''}`);
+        return { key, id: reward.id, created: reward.id !== existingId };
+    }
+
+    async syncAll(inputs = {}) {
+        const results = [];
+        for (const key of Object.keys(REWARD_DEFINITIONS)) {
+            try {
+                results.push(await this.syncReward(key, inputs[key] || {}));
+            } catch (error) {
+                results.push({ key, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Pause or resume a reward on Twitch, viewers can't redeem a paused reward
+     * @param {string} key - Reward key
+     * @param {boolean} paused - true to pause
+     */
+    async setPaused(key, paused) {
+        const definition = this.getDefinition(key);
+        const id = this.getRewardId(key);
+        if (!id) {
+            throw new ValidationError(`${definition.label} reward has not been created yet`, key);
+        }
+
+        try {
+            await HelixClient.updateCustomReward(id, { is_paused: paused });
+        } catch (error) {
+            throw new TwitchError(`Failed to ${paused ? 'pause' : 'resume'} ${definition.label} reward: ${this.helixErrorMessage(error)}`);
+        }
+
+        logger.info(`${definition.label} reward ${paused ? 'paused' : 'resumed'}`);
+        return { key, id, paused };
+    }
+}
+
+// Create singleton instance
+const rewardService = new RewardService();
+
+module.exports = rewardService;
@@ -0,0 +1,445 @@
+const DatabaseService = require('./databaseService');
+const ChannelService = require('./channelService');
+const LeaderboardService = require('./leaderboardService');
+const CoinService = require('./coinService');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const CHECK_INTERVAL = 60 * 1000; // Seasons past their end date are closed within a minute
+const MAX_REWARD_RANK = 1000;
+
+// Named seasons with a start and end date, one at a time per channel. When a season ends its
+// final standings are archived in season_standings, the rewards for the ranks it lists go out
+// and points and current streaks reset. Wins, losses, best streaks, XP and levels are lifetime
+// stats and carry on.
+// Season wins and losses are counted from the match history between the season's dates.
+class SeasonService {
+    constructor() {
+        this.io = null;
+        this.checkTimer = null;
+    }
+
+    async initialize() {
+        this.checkTimer = setInterval(() => this.checkAllChannels(), CHECK_INTERVAL);
+        this.checkTimer.unref();
+        await this.checkAllChannels();
+        logger.info('SeasonService initialized');
+    }
+
+    setSocketHandler(socketHandler) {
+        this.io = socketHandler.io;
+    }
+
+    async checkAllChannels() {
+        for (const channel of ChannelService.list()) {
+            try {
+                await ChannelService.run(channel, () => this.endExpiredSeason());
+            } catch (error) {
+                logger.error(`Failed to check the season of ${channel}:`, error);
+            }
+        }
+    }
+
+    // Close the open season once its end date has passed
+    async endExpiredSeason() {
+        const season = await this.getOpenSeason();
+        if (season && new Date(season.endsAt) <= new Date()) {
+            await this.endSeason(season.id);
+        }
+    }
+
+    formatSeason(row, now = new Date()) {
+        if (!row) return null;
+        let status = 'ended';
+        if (row.status === 'open') {
+            status = new Date(row.starts_at) > now ? 'upcoming' : 'active';
+        }
+        return {
+            id: row.id,
+            name: row.name,
+            startsAt: row.starts_at,
+            endsAt: row.ends_at,
+            endedAt: row.ended_at,
+            status,
+            rewards: JSON.parse(row.rewards || '[]')
+        };
+    }
+
+    formatStanding(row) {
+        return {
+            rank: row.rank,
+            name: row.name,
+            points: row.points,
+            wins: row.wins,
+            fails: row.fails,
+            duelWins: row.duel_wins,
+            duelLosses: row.duel_losses,
+            coneflipWins: row.coneflip_wins,
+            coneflipLosses: row.coneflip_losses,
+            highestStreak: row.highest_streak,
+            level: row.level,
+            reward: row.reward ? JSON.parse(row.reward) : null
+        };
+    }
+
+    /**
+     * Every season of the channel, newest first
+     * @returns {Promise<Object[]>} [{ id, name, startsAt, endsAt, endedAt, status, rewards }]
+     *          status is upcoming, active or ended
+     */
+    async listSeasons() {
+        const rows = await DatabaseService.all('SELECT * FROM seasons ORDER BY starts_at DESC, id DESC');
+        return rows.map(row => this.formatSeason(row));
+    }
+
+    async getSeason(id) {
+        const row = await DatabaseService.get('SELECT * FROM seasons WHERE id = ?', [id]);
+        if (!row) {
+            throw new NotFoundError(`Season not found: ${id}`);
+        }
+        return this.formatSeason(row);
+    }
+
+    // The season that hasn't ended yet, running or upcoming
+    async getOpenSeason() {
+        const row = await DatabaseService.get(`SELECT * FROM seasons WHERE status = 'open' ORDER BY id DESC LIMIT 1`);
+        return this.formatSeason(row);
+    }
+
+    async getCurrentSeason() {
+        const season = await this.getOpenSeason();
+        return season && season.status === 'active' ? season : null;
+    }
+
+    /**
+     * Archived standings of an ended season
+     * @param {number} id - Season id
+     * @param {number} page - Page, from 1
+     * @param {number} limit - Players per page
+     * @returns {Promise<Object>} { season, data, pagination }
+     */
+    async getStandings(id, page = 1, limit = 50) {
+        const season = await this.getSeason(id);
+        const offset = (page - 1) * limit;
+        const rows = await DatabaseService.all(
+            'SELECT * FROM season_standings WHERE season_id = ? ORDER BY rank ASC LIMIT ? OFFSET ?',
+            [season.id, limit, offset]
+        );
+        const { total } = await DatabaseService.get('SELECT COUNT(*) as total FROM season_standings WHERE season_id = ?', [season.id]);
+
+        return {
+            season,
+            data: rows.map(row => this.formatStanding(row)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNext: (page * limit) < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * A player's final standing in every ended season they played, newest first
+     * @param {string} name - Player name
+     * @returns {Promise<Object[]>} [{ season: { id, name, startsAt, endedAt }, rank, points, ..., reward }]
+     */
+    async getPlayerSeasons(name) {
+        const rows = await DatabaseService.all(`
+            SELECT ss.*, s.name as season_name, s.starts_at, s.ended_at
+            FROM season_standings ss
+            JOIN seasons s ON s.id = ss.season_id
+            WHERE ss.name = ?
+            ORDER BY s.starts_at DESC, s.id DESC
+        `, [name.toLowerCase()]);
+
+        return rows.map(row => ({
+            season: { id: row.season_id, name: row.season_name, startsAt: row.starts_at, endedAt: row.ended_at },
+            ...this.formatStanding(row)
+        }));
+    }
+
+    /**
+     * Start a new season, or schedule one. Only one season can be open at a time
+     * @param {Object} input - { name, startsAt, endsAt, rewards: [{ from, to, skin, trail, coins }] }
+     * @returns {Promise<Object>} The season
+     */
+    async createSeason(input = {}) {
+        if (await this.getOpenSeason()) {
+            throw new ValidationError('End the current season before starting a new one', 'name');
+        }
+
+        const season = this.validate({ ...input, startsAt: input.startsAt || new Date().toISOString() });
+        const result = await DatabaseService.run(
+            `INSERT INTO seasons (name, starts_at, ends_at, rewards) VALUES (?, ?, ?, ?)`,
+            [season.name, season.startsAt, season.endsAt, JSON.stringify(season.rewards)]
+        );
+
+        logger.info(`Season ${season.name} created, ${season.startsAt} to ${season.endsAt}`);
+        return this.getSeason(result.lastID);
+    }
+
+    // Change the name, dates or rewards of the open season
+    async updateSeason(id, input = {}) {
+        const current = await this.getSeason(id);
+        if (current.status === 'ended') {
+            throw new ValidationError('An ended season can\'t be changed', 'id');
+        }
+
+        const season = this.validate({ ...current, ...input });
+        if (current.status === 'active' && season.startsAt !== current.startsAt) {
+            throw new ValidationError('The season has already started, its start date can\'t change', 'startsAt');
+        }
+
+        await DatabaseService.run(
+            'UPDATE seasons SET name = ?, starts_at = ?, ends_at = ?, rewards = ? WHERE id = ?',
+            [season.name, season.startsAt, season.endsAt, JSON.stringify(season.rewards), current.id]
+        );
+
+        logger.info(`Season ${season.name} updated`);
+        return this.getSeason(current.id);
+    }
+
+    // Only a season that hasn't started can be deleted, the others end
+    async deleteSeason(id) {
+        const season = await this.getSeason(id);
+        if (season.status !== 'upcoming') {
+            throw new ValidationError('Only an upcoming season can be deleted, end it instead', 'id');
+        }
+
+        await DatabaseService.run('DELETE FROM seasons WHERE id = ?', [season.id]);
+        logger.info(`Season ${season.name} deleted`);
+    }
+
+    validate(input) {
+        const name = String(input.name || '').trim();
+        if (!name || name.length > 50) {
+            throw new ValidationError('Season name must be 1-50 characters', 'name');
+        }
+
+        const startsAt = this.parseDate(input.startsAt, 'startsAt');
+        const endsAt = this.parseDate(input.endsAt, 'endsAt');
+        if (!startsAt || !endsAt) {
+            throw new ValidationError('The season needs a start and an end date', startsAt ? 'endsAt' : 'startsAt');
+        }
+        if (startsAt >= endsAt) {
+            throw new ValidationError('The season has to start before it ends', 'endsAt');
+        }
+        if (new Date(endsAt) <= new Date()) {
+            throw new ValidationError('The end date has to be in the future', 'endsAt');
+        }
+
+        return { name, startsAt, endsAt, rewards: this.validateRewards(input.rewards || []) };
+    }
+
+    // Rewards are given to a range of final ranks, e.g. { from: 1, to: 3, skin: 'Season 1' }
+    validateRewards(rewards) {
+        if (!Array.isArray(rewards)) {
+            throw new ValidationError('Rewards must be a list', 'rewards');
+        }
+
+        const SkinService = require('./skinService');
+        const TrailService = require('./trailService');
+        return rewards.map(reward => {
+            const from = Number(reward.from);
+            const to = Number(reward.to === undefined || reward.to === '' ? reward.from : reward.to);
+            if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from || to > MAX_REWARD_RANK) {
+                throw new ValidationError(`Reward ranks must be whole numbers from 1 to ${MAX_REWARD_RANK}, lowest first`, 'rewards');
+            }
+
+            const stored = { from, to };
+            if (reward.skin) {
+                if (!SkinService.isValidSkin(reward.skin)) {
+                    throw new ValidationError(`Unknown skin: ${reward.skin}`, 'rewards');
+                }
+                stored.skin = reward.skin;
+            }
+            if (reward.trail) {
+                if (!TrailService.isValidTrail(reward.trail)) {
+                    throw new ValidationError(`Unknown trail: ${reward.trail}`, 'rewards');
+                }
+                stored.trail = reward.trail;
+            }
+            if (reward.coins) {
+                const coins = Number(reward.coins);
+                if (!Number.isInteger(coins) || coins < 0) {
+                    throw new ValidationError('Reward coins must be a whole number, 0 or more', 'rewards');
+                }
+                if (coins > 0) stored.coins = coins;
+            }
+            if (!stored.skin && !stored.trail && !stored.coins) {
+                throw new ValidationError(`The reward for ranks ${from}-${to} gives nothing`, 'rewards');
+            }
+            return stored;
+        });
+    }
+
+    parseDate(value, field) {
+        if (!value) return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new ValidationError(`${field} is not a date`, field);
+        }
+        return date.toISOString();
+    }
+
+    // Every reward a final rank earns, overlapping ranges add up
+    getRewardForRank(rewards, rank) {
+        const earned = rewards.filter(reward => rank >= reward.from && rank <= reward.to);
+        if (earned.length === 0) return null;
+        return {
+            skins: earned.filter(reward => reward.skin).map(reward => reward.skin),
+            trails: earned.filter(reward => reward.trail).map(reward => reward.trail),
+            coins: earned.reduce((sum, reward) => sum + (reward.coins || 0), 0)
+        };
+    }
+
+    /**
+     * End a season now: archive the standings, give out the rewards and reset points and current streaks
+     * @param {number} id - Season id
+     * @returns {Promise<Object>} { season, players, rewarded: [{ name, rank, reward }] }
+     */
+    async endSeason(id) {
+        const season = await this.getSeason(id);
+        const endedAt = new Date().toISOString();
+
+        const standings = await DatabaseService.transaction(async () => {
+            // Checked again inside the transaction so a season can only end once
+            const row = this.formatSeason(await DatabaseService.get(`SELECT * FROM seasons WHERE id = ?`, [season.id]));
+            if (row.status === 'ended') {
+                throw new ValidationError(`${season.name} has already ended`, 'id');
+            }
+            // The points everyone holds were earned before it, there is nothing to archive or reset
+            if (row.status === 'upcoming') {
+                throw new ValidationError(`${season.name} hasn't started yet, delete it instead`, 'id');
+            }
+
+            // Stakes still held in points belong to this season, whatever happens to their duels
+            const WagerService = require('./wagerService');
+            const refunded = await WagerService.refundEscrowedPoints();
+            if (refunded.length > 0) {
+                logger.info(`Returned ${refunded.length} duel wager(s) in points before the end of ${season.name}`);
+            }
+
+            // Everyone with points or a game this season, ranked the same way as the leaderboard.
+            // The best streak is the longest run of wins in the season's matches, runs are numbered by
+            // how many of the player's matches came before that weren't the same outcome
+            const players = await DatabaseService.all(`
+                WITH season_games AS (
+                    SELECT id, player, outcome,
+                        ROW_NUMBER() OVER (PARTITION BY player ORDER BY id)
+                            - ROW_NUMBER() OVER (PARTITION BY player, outcome ORDER BY id) as run
+                    FROM matches
+                    WHERE created_at >= datetime(?) AND created_at <= datetime(?)
+                ),
+                season_streaks AS (
+                    SELECT player, MAX(length) as highest_streak
+                    FROM (
+                        SELECT player, COUNT(*) as length
+                        FROM season_games
+                        WHERE outcome = 'win'
+                        GROUP BY player, run
+                    )
+                    GROUP BY player
+                ),
+                season_matches AS (
+                    SELECT player,
+                        SUM(outcome = 'win') as wins,
+                        SUM(outcome = 'loss') as fails,
+                        SUM(game_type = 'duel' AND outcome = 'win') as duel_wins,
+                        SUM(game_type = 'duel' AND outcome = 'loss') as duel_losses,
+                        SUM(game_type = 'coneflip' AND outcome = 'win') as coneflip_wins,
+                        SUM(game_type = 'coneflip' AND outcome = 'loss') as coneflip_losses
+                    FROM matches
+                    WHERE created_at >= datetime(?) AND created_at <= datetime(?)
+                    GROUP BY player
+                )
+                SELECT
+                    ROW_NUMBER() OVER (ORDER BY l.points DESC, COALESCE(m.wins, 0) DESC, l.winrate DESC, l.name ASC) as rank,
+                    l.name,
+                    l.twitchid,
+                    l.points,
+                    COALESCE(m.wins, 0) as wins,
+                    COALESCE(m.fails, 0) as fails,
+                    COALESCE(m.duel_wins, 0) as duel_wins,
+                    COALESCE(m.duel_losses, 0) as duel_losses,
+                    COALESCE(m.coneflip_wins, 0) as coneflip_wins,
+                    COALESCE(m.coneflip_losses, 0) as coneflip_losses,
+                    COALESCE(st.highest_streak, 0) as highest_streak,
+                    l.level
+                FROM leaderboard l
+                LEFT JOIN season_matches m ON m.player = l.name
+                LEFT JOIN season_streaks st ON st.player = l.name
+                WHERE l.points > 0 OR m.player IS NOT NULL
+                ORDER BY rank ASC
+            `, [season.startsAt, endedAt, season.startsAt, endedAt]);
+
+            for (const player of players) {
+                player.reward = this.getRewardForRank(season.rewards, player.rank);
+                await DatabaseService.run(`
+                    INSERT INTO season_standings (season_id, rank, name, twitchid, points, wins, fails, duel_wins, duel_losses,
+                        coneflip_wins, coneflip_losses, highest_streak, level, reward)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [season.id, player.rank, player.name, player.twitchid, player.points, player.wins, player.fails,
+                    player.duel_wins, player.duel_losses, player.coneflip_wins, player.coneflip_losses,
+                    player.highest_streak, player.level, player.reward ? JSON.stringify(player.reward) : null]);
+
+                // Coins share the leaderboard database, they go out with the archive or not at all
+                if (player.reward && player.reward.coins > 0) {
+                    await CoinService.applyChange(player.name, player.reward.coins, 'season_reward', season.name);
+                }
+            }
+
+            await DatabaseService.run(`UPDATE seasons SET status = 'ended', ended_at = ? WHERE id = ?`, [endedAt, season.id]);
+            await DatabaseService.run('UPDATE leaderboard SET points = 0, current_streak = 0');
+            return players;
+        });
+
+        // Skins and trails live in the skins database, a failed grant is logged and the rest go out
+        const SkinService = require('./skinService');
+        const TrailService = require('./trailService');
+        const rewarded = standings.filter(player => player.reward);
+        for (const player of rewarded) {
+            for (const skin of player.reward.skins) {
+                await SkinService.addSkinToInventory(player.name, skin, player.twitchid).catch(error => {
+                    logger.warn(`Failed to give season skin ${skin} to ${player.name}: ${error.message}`);
+                });
+            }
+            for (const trail of player.reward.trails) {
+                await TrailService.giveTrail(player.name, trail, player.twitchid).catch(error => {
+                    logger.warn(`Failed to give season trail ${trail} to ${player.name}: ${error.message}`);
+                });
+            }
+        }
+
+        LeaderboardService.clearCache();
+        if (this.io) {
+            this.io.to(ChannelService.room()).emit('leaderboardUpdate');
+            this.io.to(ChannelService.room()).emit('statsUpdate');
+        }
+
+        const winner = standings[0];
+        try {
+            const TwitchService = require('./twitchService');
+            if (winner) {
+                await TwitchService.sendMessage('season.ended', { season: season.name, user: winner.name, points: winner.points });
+            }
+        } catch (error) {
+            logger.warn('Failed to announce the end of the season:', error);
+        }
+
+        logger.info(`Season ${season.name} ended with ${standings.length} players, ${rewarded.length} rewarded`);
+        return {
+            season: await this.getSeason(season.id),
+            players: standings.length,
+            rewarded: rewarded.map(player => ({ name: player.name, rank: player.rank, reward: player.reward }))
+        };
+    }
+}
+
+// Create singleton instance
+const seasonService = new SeasonService();
+
+module.exports = seasonService;
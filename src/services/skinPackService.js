@@ -0,0 +1,295 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const SkinService = require('./skinService');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const PACK_FORMAT = 'coneflip-skin-pack';
+const PACK_VERSION = 1;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // Same limit as skin submissions
+const MAX_PACK_SIZE = 100 * 1024 * 1024; // Unpacked, so a small archive can't blow up in memory
+const FILENAME_PATTERN = /^[a-z0-9_-]+(\.[a-z0-9]+)?$/i;
+const SKIN_NAME_PATTERN = /^[a-z0-9_ -]{1,50}$/i;
+
+// First bytes of the image types skins can use
+const IMAGE_SIGNATURES = {
+    '.png': buffer => buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    '.jpg': buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    '.jpeg': buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    '.webp': buffer => buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP'
+};
+
+// Config fields a pack carries, the rest of an entry is local to an instance
+const PACK_FIELDS = ['name', 'visuals', 'author', 'specialdesc', 'unboxWeight', 'hitbox', 'scale'];
+
+// Skin packs move skins between ConeFlip instances: one gzipped JSON file with the config
+// entry, author credit, hitbox and images of every skin. Imports are checked first, a dry run
+// lists what would be added or changed and nothing is written until the import is confirmed.
+class SkinPackService {
+    constructor() {
+        this.skinsDir = path.join(__dirname, '../../public/skins');
+        this.configPath = path.join(this.skinsDir, 'config.json');
+    }
+
+    /**
+     * Image files of a skin. Holo doppler style skins have no extension and one image per phase
+     * @param {string} visuals - visuals field of the config entry
+     * @returns {Promise<string[]>} File names in public/skins
+     */
+    async getSkinFiles(visuals) {
+        if (!visuals) return [];
+        const files = await fs.readdir(this.skinsDir);
+        if (path.extname(visuals)) {
+            return files.includes(visuals) ? [visuals] : [];
+        }
+        return files.filter(file => file.startsWith(`${visuals}_`) && IMAGE_SIGNATURES[path.extname(file).toLowerCase()]);
+    }
+
+    /**
+     * Bundle skins into a pack
+     * @param {string[]} names - Skin names, every skin if empty
+     * @returns {Promise<Buffer>} Gzipped pack
+     */
+    async exportPack(names = []) {
+        const config = SkinService.skinConfig;
+        const entries = names.length > 0
+            ? names.map(name => {
+                const entry = config.find(skin => skin.name === name);
+                if (!entry) {
+                    throw new NotFoundError(`Skin not found: ${name}`);
+                }
+                return entry;
+            })
+            : config;
+
+        const skins = [];
+        for (const entry of entries) {
+            const files = {};
+            for (const file of await this.getSkinFiles(entry.visuals)) {
+                files[file] = (await fs.readFile(path.join(this.skinsDir, file))).toString('base64');
+            }
+
+            const skin = Object.fromEntries(PACK_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]]));
+            skins.push({ ...skin, files });
+        }
+
+        const pack = { format: PACK_FORMAT, version: PACK_VERSION, exportedAt: new Date().toISOString(), skins };
+        logger.info(`Exported skin pack with ${skins.length} skins`);
+        return gzip(JSON.stringify(pack));
+    }
+
+    async readPack(buffer) {
+        let pack;
+        try {
+            const json = await gunzip(buffer, { maxOutputLength: MAX_PACK_SIZE });
+            pack = JSON.parse(json.toString('utf8'));
+        } catch (error) {
+            throw new ValidationError('Not a skin pack, it should be a .conepack file exported from ConeFlip', 'pack');
+        }
+
+        if (!pack || pack.format !== PACK_FORMAT || !Array.isArray(pack.skins)) {
+            throw new ValidationError('Not a skin pack, it should be a .conepack file exported from ConeFlip', 'pack');
+        }
+        if (pack.version > PACK_VERSION) {
+            throw new ValidationError(`The pack is version ${pack.version}, this ConeFlip reads up to version ${PACK_VERSION}`, 'pack');
+        }
+        return pack;
+    }
+
+    // Problems that keep a skin from being imported, an empty list if it can be
+    checkSkin(skin, files) {
+        const problems = [];
+        if (typeof skin.name !== 'string' || !SKIN_NAME_PATTERN.test(skin.name)) {
+            problems.push('name must be 1-50 letters, digits, spaces, - or _');
+        }
+        if (typeof skin.visuals !== 'string' || !FILENAME_PATTERN.test(skin.visuals)) {
+            problems.push('visuals must be a plain file name');
+        }
+        if (files.length === 0) {
+            problems.push('the pack has no image for it');
+        }
+
+        for (const { filename, data } of files) {
+            const ext = path.extname(filename).toLowerCase();
+            const belongs = filename === skin.visuals || filename.startsWith(`${skin.visuals}_`);
+            if (!FILENAME_PATTERN.test(filename) || !belongs) {
+                problems.push(`${filename} is not an image of this skin`);
+            } else if (!IMAGE_SIGNATURES[ext]) {
+                problems.push(`${filename} is not a PNG, JPEG or WebP file`);
+            } else if (data.length === 0 || data.length > MAX_IMAGE_SIZE) {
+                problems.push(`${filename} must be between 1 byte and 5MB`);
+            } else if (!IMAGE_SIGNATURES[ext](data)) {
+                problems.push(`${filename} is not a valid ${ext.slice(1).toUpperCase()} image`);
+            }
+        }
+
+        try {
+            SkinService.validateSkinShape({ hitbox: skin.hitbox, scale: skin.scale });
+        } catch (error) {
+            problems.push(error.message);
+        }
+        if (skin.unboxWeight !== undefined && (!Number.isFinite(skin.unboxWeight) || skin.unboxWeight < 0)) {
+            problems.push('unboxWeight must be a number, 0 or more');
+        }
+        return problems;
+    }
+
+    async readFileIfExists(file) {
+        try {
+            return await fs.readFile(path.join(this.skinsDir, file));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * What importing a pack would do, nothing is written
+     * @param {Buffer} buffer - Gzipped pack
+     * @param {Object} options - { overwrite } replaces skins and images that already exist
+     * @returns {Promise<Object>} { exportedAt, summary, skins: [{ name, action, problems, changes, files }] }
+     *          action is add, update, unchanged, conflict or invalid
+     */
+    async planImport(buffer, { overwrite = false } = {}) {
+        const pack = await this.readPack(buffer);
+        const config = SkinService.skinConfig;
+        const seen = new Set();
+        const plan = [];
+
+        for (const skin of pack.skins) {
+            const files = Object.entries(skin.files || {}).map(([filename, data]) => ({
+                filename,
+                data: Buffer.from(String(data), 'base64')
+            }));
+            const problems = this.checkSkin(skin, files);
+            const name = String(skin.name);
+            if (seen.has(name.toLowerCase())) {
+                problems.push('the pack has this skin twice');
+            }
+            seen.add(name.toLowerCase());
+
+            const entry = Object.fromEntries(PACK_FIELDS.filter(field => skin[field] !== undefined).map(field => [field, skin[field]]));
+            const item = { name, action: 'add', problems, changes: {}, files: [], entry, fileData: files };
+            plan.push(item);
+            if (problems.length > 0) {
+                item.action = 'invalid';
+                continue;
+            }
+
+            // Skin names are matched without case, the same as chat commands do
+            const existing = config.find(other => other.name.toLowerCase() === name.toLowerCase());
+            if (existing) {
+                for (const field of PACK_FIELDS) {
+                    if (JSON.stringify(existing[field]) !== JSON.stringify(skin[field])) {
+                        item.changes[field] = { from: existing[field], to: skin[field] };
+                    }
+                }
+            }
+
+            for (const { filename, data } of files) {
+                const current = await this.readFileIfExists(filename);
+                const action = !current ? 'add' : current.equals(data) ? 'unchanged' : 'replace';
+                item.files.push({ filename, bytes: data.length, action });
+            }
+
+            // An image of another skin would be replaced under it
+            const otherOwner = config.find(other => other.name.toLowerCase() !== name.toLowerCase() &&
+                item.files.some(file => file.action === 'replace' && (file.filename === other.visuals || file.filename.startsWith(`${other.visuals}_`))));
+
+            const changed = Object.keys(item.changes).length > 0 || item.files.some(file => file.action !== 'unchanged');
+            if (!existing && !item.files.some(file => file.action === 'replace')) {
+                item.action = 'add';
+            } else if (!changed) {
+                item.action = 'unchanged';
+            } else if (!overwrite) {
+                item.action = 'conflict';
+                problems.push(existing
+                    ? `${existing.name} already exists, import with overwrite to replace it`
+                    : 'its images would replace images already in public/skins, import with overwrite to replace them');
+            } else if (otherOwner) {
+                item.action = 'conflict';
+                problems.push(`its images belong to ${otherOwner.name}`);
+            } else {
+                item.action = existing ? 'update' : 'add';
+            }
+        }
+
+        const summary = {};
+        for (const item of plan) {
+            summary[item.action] = (summary[item.action] || 0) + 1;
+        }
+        return { exportedAt: pack.exportedAt || null, summary, skins: plan };
+    }
+
+    // A plan without the image data and full entries, for the admin panel
+    describePlan(plan) {
+        return {
+            ...plan,
+            skins: plan.skins.map(({ entry, fileData, ...item }) => item)
+        };
+    }
+
+    /**
+     * Import a pack, or only plan it with dryRun. Added and updated skins are written,
+     * conflicting and invalid ones are left out
+     * @param {Buffer} buffer - Gzipped pack
+     * @param {Object} options - { overwrite, dryRun }
+     * @returns {Promise<Object>} The plan, with imported: [names] when it was applied
+     */
+    async importPack(buffer, { overwrite = false, dryRun = true } = {}) {
+        const plan = await this.planImport(buffer, { overwrite });
+        const apply = plan.skins.filter(item => item.action === 'add' || item.action === 'update');
+        if (dryRun || apply.length === 0) {
+            return { ...this.describePlan(plan), imported: [] };
+        }
+
+        // Images first, a config entry never points at a missing image
+        for (const item of apply) {
+            for (const { filename, data } of item.fileData) {
+                await fs.writeFile(path.join(this.skinsDir, filename), data);
+            }
+        }
+
+        const config = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+        for (const item of apply) {
+            const index = config.findIndex(skin => skin.name.toLowerCase() === item.name.toLowerCase());
+            if (index === -1) {
+                // New skins don't drop until an admin makes them unboxable, like approved submissions
+                config.push({ ...item.entry, canUnbox: false, unboxWeight: item.entry.unboxWeight || 0 });
+            } else {
+                const updated = { ...config[index] };
+                for (const field of PACK_FIELDS) {
+                    if (item.entry[field] === undefined) {
+                        delete updated[field];
+                    } else {
+                        updated[field] = item.entry[field];
+                    }
+                }
+                config[index] = updated;
+            }
+        }
+
+        // Same indentation as the checked in file
+        await fs.writeFile(this.configPath, JSON.stringify(config, null, 4));
+        await SkinService.loadSkinConfiguration();
+
+        if (SkinService.socketHandler && SkinService.socketHandler.io) {
+            SkinService.socketHandler.io.emit('skinRefresh');
+            SkinService.socketHandler.io.emit('unboxConfigRefresh');
+        }
+
+        const imported = apply.map(item => item.name);
+        logger.info(`Imported skin pack: ${imported.join(', ')}`);
+        return { ...this.describePlan(plan), imported };
+    }
+}
+
+// Create singleton instance
+const skinPackService = new SkinPackService();
+
+module.exports = skinPackService;
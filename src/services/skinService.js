@@ -1,9 +1,44 @@
 const DatabaseService = require('./databaseService');
 const XPService = require('./xpService');
+const ChannelService = require('./channelService');
+const PityService = require('./pityService');
+const UnboxLogService = require('./unboxLogService');
 const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
 const path = require('path');
 const fs = require('fs').promises;
 
+// Odds of each grade when unboxing, gold is a trail unbox instead of a skin
+const DEFAULT_TIER_ODDS = {
+    'gold': 2,          // 2% for gold (trail unbox ONLY)
+    'covert': 3.5,      // 3.5% for red (covert)
+    'classified': 10.5, // 10.5% for pink (classified)
+    'restricted': 27.5, // 27.5% for purple (restricted)
+    'mil-spec': 56.5    // 56.5% for blue (mil-spec)
+};
+
+// Lowest unbox weight of each grade, from the most common grade down. A skin is in the
+// first grade its weight reaches, weights under the covert threshold are gold
+const DEFAULT_TIER_THRESHOLDS = {
+    'mil-spec': 30,
+    'restricted': 15,
+    'classified': 9,
+    'covert': 5
+};
+
+// Box skin art and hitbox points are drawn in, the same as public/flip-physics.js
+const CONE_ART = { width: 488, height: 645 };
+const SKIN_SCALE_RANGE = { min: 0.5, max: 1.5 };
+const MAX_HITBOX_POINTS = 64;
+
+const RARITY_LABELS = {
+    'mil-spec': 'Mil-Spec',
+    'restricted': 'Restricted',
+    'classified': 'Classified',
+    'covert': 'Covert',
+    'gold': 'legendary'
+};
+
 class SkinService {
     constructor() {
         this.availableSkins = {};
@@ -12,20 +47,17 @@ class SkinService {
         this.socketHandler = null; // Add socket handler reference
         this.seasonalSkin = null; // Currently active seasonal skin (e.g., 'xmas' for Christmas)
 
-        // Fixed tier percentages
-        this.tierOdds = {
-            'gold': 2,          // 2% for gold (trail unbox ONLY)
-            'covert': 3.5,      // 3.5% for red (covert)
-            'classified': 10.5, // 10.5% for pink (classified)
-            'restricted': 27.5, // 27.5% for purple (restricted)
-            'mil-spec': 56.5    // 56.5% for blue (mil-spec)
-        };
+        // Tier percentages and weight thresholds, edited from the admin panel
+        this.tierOdds = { ...DEFAULT_TIER_ODDS };
+        this.tierThresholds = { ...DEFAULT_TIER_THRESHOLDS };
+        this.tiersPath = path.join(process.cwd(), 'data', 'tiers.json');
 
         this.trailService = null; // Injected later for trail unboxing
     }
 
     async initialize() {
         try {
+            await this.loadTierSettings();
             await this.loadSkinConfiguration();
             this.initialized = true;
             logger.info('SkinService initialized successfully');
@@ -40,6 +72,19 @@ class SkinService {
         logger.info('SkinService socket handler set');
     }
 
+    async loadTierSettings() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.tiersPath, 'utf8'));
+            const settings = this.validateTierSettings(data);
+            this.tierOdds = settings.tierOdds;
+            this.tierThresholds = settings.thresholds;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load tier settings, using the defaults:', error);
+            }
+        }
+    }
+
     async loadSkinConfiguration() {
         try {
             const configPath = path.join(__dirname, '../../public/skins/config.json');
@@ -67,11 +112,7 @@ class SkinService {
     }
 
     calculateRarity(weight) {
-        if (weight >= 30) return 'Mil-Spec';
-        if (weight >= 15) return 'Restricted';
-        if (weight >= 9) return 'Classified';
-        if (weight >= 5) return 'Covert';
-        return 'legendary';
+        return RARITY_LABELS[this.getTierForWeight(weight)];
     }
 
     calculateEffect(skinData) {
@@ -81,8 +122,7 @@ class SkinService {
         }
         
         // Check if it's a classified skin (animated)
-        const weight = skinData.unboxWeight || 0;
-        if (weight >= 9 && weight < 15) {
+        if (this.getSkinTier(skinData) === 'classified') {
             return 'Animated';
         }
         
@@ -90,8 +130,9 @@ class SkinService {
         return 'None';
     }
 
-    // Get skins grouped by tier for the new system
-    getSkinsByTier() {
+    // Get skins grouped by tier for the new system, thresholds other than the current ones
+    // are for previewing a change
+    getSkinsByTier(thresholds = this.tierThresholds) {
         const skinsByTier = {
             'covert': [],
             'classified': [],
@@ -102,7 +143,7 @@ class SkinService {
         for (const skin of this.skinConfig) {
             if (!skin.canUnbox) continue;
 
-            const tier = this.getSkinTier(skin);
+            const tier = this.getSkinTier(skin, thresholds);
             if (skinsByTier[tier]) {
                 skinsByTier[tier].push(skin);
             }
@@ -111,15 +152,216 @@ class SkinService {
         return skinsByTier;
     }
 
-    getSkinTier(skin) {
-        const weight = skin.unboxWeight || 0;
-        if (weight >= 30) return 'mil-spec';
-        if (weight >= 15) return 'restricted';
-        if (weight >= 9) return 'classified';
-        if (weight >= 5) return 'covert';
+    getSkinTier(skin, thresholds = this.tierThresholds) {
+        return this.getTierForWeight(skin.unboxWeight || 0, thresholds);
+    }
+
+    getTierForWeight(weight, thresholds = this.tierThresholds) {
+        for (const [tier, minimum] of Object.entries(thresholds)) {
+            if (weight >= minimum) return tier;
+        }
         return 'gold'; // For now, lowest weights go to gold tier
     }
 
+    // Current odds and thresholds with the defaults they can be reset to
+    getTierSettings() {
+        return {
+            tierOdds: { ...this.tierOdds },
+            thresholds: { ...this.tierThresholds },
+            defaults: { tierOdds: { ...DEFAULT_TIER_ODDS }, thresholds: { ...DEFAULT_TIER_THRESHOLDS } }
+        };
+    }
+
+    /**
+     * Check tier odds and thresholds, values left out keep their current setting
+     * @param {Object} input - { tierOdds: { gold, covert, ... }, thresholds: { 'mil-spec', restricted, ... } }
+     * @returns {Object} { tierOdds, thresholds }
+     */
+    validateTierSettings({ tierOdds = {}, thresholds = {} } = {}) {
+        for (const key of Object.keys(tierOdds)) {
+            if (!(key in DEFAULT_TIER_ODDS)) {
+                throw new ValidationError(`Unknown tier: ${key}`, 'tierOdds');
+            }
+        }
+        for (const key of Object.keys(thresholds)) {
+            if (!(key in DEFAULT_TIER_THRESHOLDS)) {
+                throw new ValidationError(`Unknown tier threshold: ${key}`, 'thresholds');
+            }
+        }
+
+        // Built in the default key order, the roll and the thresholds both depend on it
+        const odds = {};
+        for (const tier of Object.keys(DEFAULT_TIER_ODDS)) {
+            odds[tier] = Number(tier in tierOdds ? tierOdds[tier] : this.tierOdds[tier]);
+            if (!Number.isFinite(odds[tier]) || odds[tier] < 0) {
+                throw new ValidationError(`${tier} odds must be a number, 0 or more`, 'tierOdds');
+            }
+        }
+        const total = Object.values(odds).reduce((sum, value) => sum + value, 0);
+        if (Math.abs(total - 100) > 0.01) {
+            throw new ValidationError(`Tier odds add up to ${Math.round(total * 100) / 100}, not 100`, 'tierOdds');
+        }
+
+        const minimums = {};
+        let previous = Infinity;
+        for (const tier of Object.keys(DEFAULT_TIER_THRESHOLDS)) {
+            minimums[tier] = Number(tier in thresholds ? thresholds[tier] : this.tierThresholds[tier]);
+            if (!Number.isFinite(minimums[tier]) || minimums[tier] <= 0) {
+                throw new ValidationError(`${tier} threshold must be a number above 0`, 'thresholds');
+            }
+            if (minimums[tier] >= previous) {
+                throw new ValidationError(`${tier} threshold must be lower than the grade above it`, 'thresholds');
+            }
+            previous = minimums[tier];
+        }
+
+        return { tierOdds: odds, thresholds: minimums };
+    }
+
+    /**
+     * What the unbox odds of every skin would be with other settings, nothing is saved
+     * @param {Object} input - As for validateTierSettings()
+     * @returns {Object} { tierOdds, thresholds, odds, emptyTiers }, odds as from getSkinOdds()
+     */
+    previewTierSettings(input) {
+        const settings = this.validateTierSettings(input);
+        const skinsByTier = this.getSkinsByTier(settings.thresholds);
+
+        return {
+            ...settings,
+            odds: this.getSkinOdds(settings.tierOdds, skinsByTier),
+            // Grades that would be rolled without a skin to land on, those rolls fall back to mil-spec
+            emptyTiers: Object.keys(skinsByTier).filter(tier => settings.tierOdds[tier] > 0 && skinsByTier[tier].length === 0)
+        };
+    }
+
+    /**
+     * Save new tier odds and thresholds and refresh the unbox overlays
+     * @param {Object} input - As for validateTierSettings()
+     * @returns {Promise<Object>} getTierSettings()
+     */
+    async updateTierSettings(input) {
+        const settings = this.validateTierSettings(input);
+        this.tierOdds = settings.tierOdds;
+        this.tierThresholds = settings.thresholds;
+
+        // Grades moved, so the rarity and effect of skins did too
+        for (const skin of this.skinConfig) {
+            if (this.availableSkins[skin.name]) {
+                this.availableSkins[skin.name].rarity = this.calculateRarity(skin.unboxWeight || 0);
+                this.availableSkins[skin.name].effect = this.calculateEffect(skin);
+            }
+        }
+
+        await fs.writeFile(this.tiersPath, JSON.stringify({ tierOdds: this.tierOdds, thresholds: this.tierThresholds }, null, 2));
+        logger.info(`Tier settings updated: ${JSON.stringify(this.tierOdds)}, thresholds ${JSON.stringify(this.tierThresholds)}`);
+
+        if (this.socketHandler && this.socketHandler.io) {
+            this.socketHandler.io.emit('unboxConfigRefresh');
+        }
+        return this.getTierSettings();
+    }
+
+    /**
+     * Check a skin's hitbox polygon and cosmetic scale, null removes either
+     * @param {Object} input - { hitbox: [[x, y], ...] in the 488x645 art box, scale }
+     * @returns {Object} { hitbox, scale } with only the fields that were given
+     */
+    validateSkinShape({ hitbox, scale } = {}) {
+        const shape = {};
+
+        if (hitbox === null) {
+            shape.hitbox = null;
+        } else if (hitbox !== undefined) {
+            if (!Array.isArray(hitbox) || hitbox.length < 3 || hitbox.length > MAX_HITBOX_POINTS) {
+                throw new ValidationError(`Hitbox must be a list of 3 to ${MAX_HITBOX_POINTS} [x, y] points`, 'hitbox');
+            }
+            shape.hitbox = hitbox.map(point => {
+                const [x, y] = Array.isArray(point) ? point.map(Number) : [NaN, NaN];
+                if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || y < 0 || x > CONE_ART.width || y > CONE_ART.height) {
+                    throw new ValidationError(`Hitbox point ${JSON.stringify(point)} is outside the ${CONE_ART.width}x${CONE_ART.height} art`, 'hitbox');
+                }
+                return [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+            });
+
+            // Shoelace area, a sliver of a hitbox would fall through the floor
+            const area = Math.abs(shape.hitbox.reduce((sum, [x, y], i) => {
+                const [nextX, nextY] = shape.hitbox[(i + 1) % shape.hitbox.length];
+                return sum + (x * nextY - nextX * y);
+            }, 0)) / 2;
+            if (area < CONE_ART.width * CONE_ART.height * 0.1) {
+                throw new ValidationError('Hitbox must cover at least a tenth of the art', 'hitbox');
+            }
+            if (this.isSelfIntersecting(shape.hitbox)) {
+                throw new ValidationError('Hitbox edges must not cross each other', 'hitbox');
+            }
+        }
+
+        if (scale === null) {
+            shape.scale = null;
+        } else if (scale !== undefined) {
+            shape.scale = Number(scale);
+            if (!Number.isFinite(shape.scale) || shape.scale < SKIN_SCALE_RANGE.min || shape.scale > SKIN_SCALE_RANGE.max) {
+                throw new ValidationError(`Scale must be between ${SKIN_SCALE_RANGE.min} and ${SKIN_SCALE_RANGE.max}`, 'scale');
+            }
+        }
+
+        return shape;
+    }
+
+    isSelfIntersecting(points) {
+        const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+        const edges = points.map((point, i) => [point, points[(i + 1) % points.length]]);
+
+        for (let i = 0; i < edges.length; i++) {
+            for (let j = i + 1; j < edges.length; j++) {
+                // Neighbouring edges share a point
+                if (j === i + 1 || (i === 0 && j === edges.length - 1)) continue;
+                const [a, b] = edges[i];
+                const [c, d] = edges[j];
+                if (cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Give a skin its own hitbox and cosmetic scale in skins/config.json. The overlay keeps every
+     * cone's mass and launch the same, so only the shape the cone lands on changes
+     * @param {string} name - Skin name
+     * @param {Object} input - As for validateSkinShape()
+     * @returns {Promise<Object>} { name, hitbox, scale }
+     */
+    async updateSkinShape(name, input) {
+        const shape = this.validateSkinShape(input);
+        const configPath = path.join(__dirname, '../../public/skins/config.json');
+        const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+
+        const skin = config.find(entry => entry.name === name);
+        if (!skin) {
+            throw new NotFoundError(`Skin not found: ${name}`);
+        }
+        for (const [key, value] of Object.entries(shape)) {
+            if (value === null) {
+                delete skin[key];
+            } else {
+                skin[key] = value;
+            }
+        }
+
+        // Same indentation as the checked in file, so a hitbox change is a small diff
+        await fs.writeFile(configPath, JSON.stringify(config, null, 4));
+        await this.loadSkinConfiguration();
+        logger.info(`Skin ${name} shape updated: ${skin.hitbox ? `${skin.hitbox.length} point hitbox` : 'default hitbox'}, scale ${skin.scale || 1}`);
+
+        if (this.socketHandler && this.socketHandler.io) {
+            this.socketHandler.io.emit('skinRefresh');
+        }
+        return { name, hitbox: skin.hitbox || null, scale: skin.scale || 1 };
+    }
+
     async getUserSkins() {
         try {
             const result = await DatabaseService.getAllUserSkins();
@@ -184,14 +426,34 @@ class SkinService {
         }
     }
 
-    async setRandomSkin(name, twitchId = null) {
+    /**
+     * Unbox a random skin (or a trail on gold) for a player, the roll is logged and provably fair
+     * @param {string} name - Player name
+     * @param {string} twitchId - Player's Twitch id if known
+     * @param {string} clientSeed - Channel point redemption id, the player name is used without one
+     * @param {string} caseId - Case to open, the default case if empty
+     */
+    async setRandomSkin(name, twitchId = null, clientSeed = null, caseId = null) {
         name = name.toLowerCase();
         try {
-            const selectedSkin = this.selectRandomSkinWithTiers();
+            const CaseService = require('./caseService');
+            const unboxCase = CaseService.getCase(caseId);
+            if (!CaseService.isActive(unboxCase)) {
+                throw new Error(`${unboxCase.name} is not open`);
+            }
+
+            // Rolled with the player's bad-luck protection, then counted towards it
+            const tierOdds = await PityService.getTierOdds(name, CaseService.getTierOdds(unboxCase));
+            const roll = await UnboxLogService.startRoll(name, clientSeed);
+            const selectedSkin = this.selectRandomSkinWithTiers(tierOdds, roll.random, CaseService.getSkinsByTier(unboxCase));
+            await PityService.recordUnbox(name, selectedSkin.tier);
+            const logEntry = { player: name, caseId: unboxCase.id, tierOdds, tier: selectedSkin.tier };
 
             // Check if gold tier was rolled (trail unbox)
             if (selectedSkin.tier === 'gold' && this.trailService) {
-                return await this._handleTrailUnbox(name, twitchId);
+                const trailResult = await this._handleTrailUnbox(name, twitchId, roll.random);
+                const unboxId = await UnboxLogService.record(roll, { ...logEntry, reward: trailResult.trailName });
+                return { ...trailResult, unboxId, caseId: unboxCase.id };
             }
 
             // Set the skin as active (this will emit socket events)
@@ -206,7 +468,7 @@ class SkinService {
                 xpResult = await XPService.awardUnboxXP(name, selectedSkin.tier || 'mil-spec');
                 if (xpResult && this.socketHandler) {
                     // Emit XP popup event
-                    this.socketHandler.io.emit('xp_popup', {
+                    this.socketHandler.io.to(ChannelService.room()).emit('xp_popup', {
                         playerName: name,
                         xpAwarded: xpResult.xpAwarded,
                         baseXP: xpResult.xpAwarded,
@@ -219,7 +481,7 @@ class SkinService {
 
                     // Check for level up
                     if (xpResult.leveledUp) {
-                        this.socketHandler.io.emit('level_up', {
+                        this.socketHandler.io.to(ChannelService.room()).emit('level_up', {
                             playerName: name,
                             newLevel: xpResult.level,
                             previousLevel: xpResult.previousLevel
@@ -232,9 +494,12 @@ class SkinService {
 
             // Log the unbox event for debugging
             logger.info(`${name} unboxed ${selectedSkin.name} (${selectedSkin.rarity}, ${selectedSkin.tier}) via Twitch - events emitted`);
+            const unboxId = await UnboxLogService.record(roll, { ...logEntry, reward: selectedSkin.name });
 
             return {
                 ...result,
+                unboxId,
+                caseId: unboxCase.id,
                 message: `@${name} unboxed ${selectedSkin.name} skin! (${selectedSkin.rarity} Grade)`,
                 rarity: selectedSkin.rarity,
                 tier: selectedSkin.tier,
@@ -246,7 +511,7 @@ class SkinService {
         }
     }
 
-    async _handleTrailUnbox(name, twitchId) {
+    async _handleTrailUnbox(name, twitchId, random = Math.random) {
         // Get all available trails (excluding 'default')
         const allTrails = Object.keys(this.trailService.getAvailableTrails()).filter(t => t !== 'default');
 
@@ -263,7 +528,7 @@ class SkinService {
         if (unownedTrails.length === 0) {
             // Player owns all trails, give a random one anyway
             logger.info(`${name} owns all trails, giving random duplicate`);
-            const randomTrail = allTrails[Math.floor(Math.random() * allTrails.length)];
+            const randomTrail = allTrails[Math.floor(random() * allTrails.length)];
             await this.trailService.giveTrail(name, randomTrail, twitchId);
             await this.trailService.setTrail(name, randomTrail, twitchId);
 
@@ -279,7 +544,7 @@ class SkinService {
         }
 
         // Pick a random unowned trail
-        const randomTrail = unownedTrails[Math.floor(Math.random() * unownedTrails.length)];
+        const randomTrail = unownedTrails[Math.floor(random() * unownedTrails.length)];
         await this.trailService.giveTrail(name, randomTrail, twitchId);
         await this.trailService.setTrail(name, randomTrail, twitchId);
 
@@ -288,7 +553,7 @@ class SkinService {
         try {
             xpResult = await XPService.awardUnboxXP(name, 'gold');
             if (xpResult && this.socketHandler) {
-                this.socketHandler.io.emit('xp_popup', {
+                this.socketHandler.io.to(ChannelService.room()).emit('xp_popup', {
                     playerName: name,
                     xpAwarded: xpResult.xpAwarded,
                     baseXP: xpResult.xpAwarded,
@@ -300,7 +565,7 @@ class SkinService {
                 });
 
                 if (xpResult.leveledUp) {
-                    this.socketHandler.io.emit('level_up', {
+                    this.socketHandler.io.to(ChannelService.room()).emit('level_up', {
                         playerName: name,
                         newLevel: xpResult.level,
                         previousLevel: xpResult.previousLevel
@@ -330,6 +595,13 @@ class SkinService {
         return Object.keys(this.availableSkins).some(key => key.toLowerCase() === normalizedSkinName);
     }
 
+    // Only skins that drop from cases change hands. Default, gold, obsidian, subcone and the
+    // seasonal skins are handed out by the game, and the active seasonal skin never trades
+    isTradeable(skinName) {
+        const skin = this.availableSkins[skinName];
+        return !!skin && skin.canUnbox && skinName !== this.seasonalSkin;
+    }
+
     // Find the closest matching skin name (fuzzy match)
     // Returns { exact, match } where exact is true if it's a perfect match
     findClosestSkin(input, { buyableOnly = false } = {}) {
@@ -375,14 +647,15 @@ class SkinService {
         return this.skinConfig.filter(skin => skin.canUnbox);
     }
 
-    // New tier-based selection system
-    selectRandomSkinWithTiers() {
+    // New tier-based selection system, tierOdds can be a player's odds from PityService,
+    // random a seeded source from UnboxLogService and skinsByTier the contents of a case
+    selectRandomSkinWithTiers(tierOdds = this.tierOdds, random = Math.random, skinsByTier = this.getSkinsByTier()) {
         // Step 1: Roll for tier based on fixed percentages
-        const tierRoll = Math.random() * 100;
+        const tierRoll = random() * 100;
         let cumulativeOdds = 0;
         let selectedTier = null;
 
-        for (const [tier, percentage] of Object.entries(this.tierOdds)) {
+        for (const [tier, percentage] of Object.entries(tierOdds)) {
             cumulativeOdds += percentage;
             if (tierRoll <= cumulativeOdds) {
                 selectedTier = tier;
@@ -391,7 +664,6 @@ class SkinService {
         }
 
         // Step 2: Get skins in the selected tier
-        const skinsByTier = this.getSkinsByTier();
         const tierSkins = skinsByTier[selectedTier] || [];
 
         if (tierSkins.length === 0) {
@@ -410,16 +682,16 @@ class SkinService {
                     tier: 'mil-spec'
                 };
             }
-            const result = this.selectFromTierSkins(fallbackSkins);
+            const result = this.selectFromTierSkins(fallbackSkins, random);
             return { ...result, tier: 'mil-spec' };
         }
 
         // Step 3: Select specific skin within tier using weights
-        const result = this.selectFromTierSkins(tierSkins);
+        const result = this.selectFromTierSkins(tierSkins, random);
         return { ...result, tier: selectedTier };
     }
 
-    selectFromTierSkins(tierSkins) {
+    selectFromTierSkins(tierSkins, random = Math.random) {
         if (tierSkins.length === 1) {
             return {
                 ...tierSkins[0],
@@ -432,18 +704,18 @@ class SkinService {
         
         if (totalWeight === 0) {
             // If no weights, select randomly
-            const randomIndex = Math.floor(Math.random() * tierSkins.length);
+            const randomIndex = Math.floor(random() * tierSkins.length);
             return {
                 ...tierSkins[randomIndex],
                 rarity: this.calculateRarity(tierSkins[randomIndex].unboxWeight || 0)
             };
         }
 
-        let random = Math.random() * totalWeight;
+        let remaining = random() * totalWeight;
         
         for (const skin of tierSkins) {
-            random -= (skin.unboxWeight || 0);
-            if (random <= 0) {
+            remaining -= (skin.unboxWeight || 0);
+            if (remaining <= 0) {
                 return {
                     ...skin,
                     rarity: this.calculateRarity(skin.unboxWeight || 0)
@@ -463,11 +735,10 @@ class SkinService {
         return this.selectRandomSkinWithTiers();
     }
 
-    getSkinOdds() {
-        const skinsByTier = this.getSkinsByTier();
+    getSkinOdds(tierOdds = this.tierOdds, skinsByTier = this.getSkinsByTier()) {
         const odds = {};
 
-        for (const [tier, tierPercentage] of Object.entries(this.tierOdds)) {
+        for (const [tier, tierPercentage] of Object.entries(tierOdds)) {
             const tierSkins = skinsByTier[tier] || [];
             
             if (tierSkins.length === 0) continue;
@@ -490,9 +761,9 @@ class SkinService {
                 odds[skin.name] = {
                     weight: skin.unboxWeight,
                     probability: Math.round(skinProbability * 100) / 100,
-                    rarity: this.calculateRarity(skin.unboxWeight || 0),
+                    rarity: RARITY_LABELS[tier],
                     tier: tier,
-                    tierOdds: tierPercentage
+                    tierOdds: Math.round(tierPercentage * 100) / 100
                 };
             }
         }
@@ -667,12 +938,7 @@ class SkinService {
             const db = DatabaseService.getSkinsDb();
 
             // Find all users who have the seasonal skin selected
-            const usersWithSkin = await new Promise((resolve, reject) => {
-                db.all('SELECT name, twitchid FROM user_skins WHERE skin = ?', [skinName], (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows || []);
-                });
-            });
+            const usersWithSkin = await DatabaseService.execute(db, 'all', 'SELECT name, twitchid FROM user_skins WHERE skin = ?', [skinName]);
 
             if (usersWithSkin.length === 0) {
                 logger.info(`No users found with seasonal skin ${skinName} selected`);
@@ -792,18 +1058,18 @@ class SkinService {
         }
     }
 
-    getSkinStats() {
+    async getSkinStats() {
         try {
             const db = DatabaseService.getSkinsDb();
             
-            const userStats = db.prepare(`
+            const userStats = await DatabaseService.execute(db, 'get', `
                 SELECT 
                     COUNT(DISTINCT name) as total_users,
                     COUNT(*) as total_skin_assignments
                 FROM user_skins
-            `).get();
+            `);
 
-            const skinPopularity = db.prepare(`
+            const skinPopularity = await DatabaseService.execute(db, 'all', `
                 SELECT 
                     skin,
                     COUNT(*) as usage_count,
@@ -811,9 +1077,9 @@ class SkinService {
                 FROM user_skins 
                 GROUP BY skin 
                 ORDER BY usage_count DESC
-            `).all();
+            `);
 
-            const inventoryStats = db.prepare(`
+            const inventoryStats = await DatabaseService.execute(db, 'all', `
                 SELECT 
                     skin,
                     COUNT(DISTINCT name) as owners,
@@ -821,7 +1087,7 @@ class SkinService {
                 FROM skin_inventory 
                 GROUP BY skin 
                 ORDER BY total_owned DESC
-            `).all();
+            `);
 
             return {
                 userStats,
@@ -842,17 +1108,16 @@ class SkinService {
             
             // Update any old skin references that might not exist anymore
             const validSkinNames = Object.keys(this.availableSkins);
-            const invalidSkins = db.prepare(`
+            const invalidSkins = await DatabaseService.execute(db, 'all', `
                 SELECT DISTINCT skin FROM user_skins 
                 WHERE skin NOT IN (${validSkinNames.map(() => '?').join(',')})
-            `).all(...validSkinNames);
+            `, validSkinNames);
 
             if (invalidSkins.length > 0) {
                 logger.warn(`Found ${invalidSkins.length} invalid skin references, updating to default`);
-                const updateStmt = db.prepare('UPDATE user_skins SET skin = ? WHERE skin = ?');
                 
                 for (const invalidSkin of invalidSkins) {
-                    updateStmt.run('default', invalidSkin.skin);
+                    await DatabaseService.execute(db, 'run', 'UPDATE user_skins SET skin = ? WHERE skin = ?', ['default', invalidSkin.skin]);
                     logger.debug(`Updated invalid skin ${invalidSkin.skin} to default`);
                 }
             }
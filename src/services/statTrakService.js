@@ -0,0 +1,129 @@
+const DatabaseService = require('./databaseService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Columns the skin leaderboard can be sorted by
+const SORT_COLUMNS = {
+    wins: 'wins',
+    flips: 'flips',
+    upsideDowns: 'upside_downs',
+    winRate: 'win_rate',
+    players: 'players'
+};
+
+// Like StatTrak on a CS weapon, every game result is counted on the skin the player had
+// equipped: flips played, wins and upside-down wins per (player, skin). The counters live in
+// the skins database next to the inventory, so a channel sharing skins shares its counters too.
+class StatTrakService {
+    query(method, sql, params = []) {
+        return DatabaseService.execute(DatabaseService.getSkinsDb(), method, sql, params);
+    }
+
+    formatRow(row) {
+        return {
+            skin: row.skin,
+            flips: row.flips,
+            wins: row.wins,
+            upsideDowns: row.upside_downs,
+            winRate: row.flips > 0 ? Math.round((row.wins / row.flips) * 10000) / 100 : 0
+        };
+    }
+
+    /**
+     * Count a game result on the skin the player has equipped, never throws
+     * @param {string} player - Player name
+     * @param {Object} result - { outcome, upsideDown } as passed to MatchService.recordMatch
+     */
+    async record(player, { outcome, upsideDown = false }) {
+        try {
+            player = player.toLowerCase();
+            const skin = await DatabaseService.getPlayerSkin(player);
+            const win = outcome === 'win' ? 1 : 0;
+            // The loser of an upside-down duel is recorded with it too, only the winner landed it
+            const upsideDownWin = win && upsideDown ? 1 : 0;
+
+            await this.query('run', `
+                INSERT INTO skin_stattrak (player, skin, flips, wins, upside_downs) VALUES (?, ?, 1, ?, ?)
+                ON CONFLICT(player, skin) DO UPDATE SET
+                    flips = flips + 1,
+                    wins = wins + excluded.wins,
+                    upside_downs = upside_downs + excluded.upside_downs,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [player, skin, win, upsideDownWin]);
+        } catch (error) {
+            logger.error(`Failed to count StatTrak for ${player}:`, error);
+        }
+    }
+
+    /**
+     * Counters of every skin a player has played with, most wins first
+     * @param {string} player - Player name
+     * @returns {Promise<Object[]>} [{ skin, flips, wins, upsideDowns, winRate }]
+     */
+    async getPlayerStats(player) {
+        const rows = await this.query('all',
+            'SELECT * FROM skin_stattrak WHERE player = ? ORDER BY wins DESC, flips DESC',
+            [player.toLowerCase()]
+        );
+        return rows.map(row => this.formatRow(row));
+    }
+
+    // Counters of one skin for one player, zeros if it was never played
+    async getSkinStats(player, skin) {
+        const row = await this.query('get',
+            'SELECT * FROM skin_stattrak WHERE player = ? AND skin = ?',
+            [player.toLowerCase(), skin]
+        );
+        return this.formatRow(row || { skin, flips: 0, wins: 0, upside_downs: 0 });
+    }
+
+    /**
+     * Every skin's counters added up over all players, with the player who won most with it
+     * @param {Object} options - { sortBy, limit }
+     * @returns {Promise<Object[]>} [{ skin, flips, wins, upsideDowns, winRate, players, topPlayer: { name, wins } }]
+     */
+    async getLeaderboard({ sortBy = 'wins', limit = 50 } = {}) {
+        const column = SORT_COLUMNS[sortBy];
+        if (!column) {
+            throw new ValidationError(`sortBy must be one of ${Object.keys(SORT_COLUMNS).join(', ')}`, 'sortBy');
+        }
+        limit = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+        const [rows, leaders] = await Promise.all([
+            this.query('all', `
+                SELECT skin, SUM(flips) AS flips, SUM(wins) AS wins, SUM(upside_downs) AS upside_downs,
+                       COUNT(*) AS players, ROUND(SUM(wins) * 100.0 / SUM(flips), 2) AS win_rate
+                FROM skin_stattrak
+                GROUP BY skin
+                HAVING SUM(flips) > 0
+                ORDER BY ${column} DESC, wins DESC
+                LIMIT ?
+            `, [limit]),
+            this.query('all', `
+                SELECT skin, player, wins FROM skin_stattrak s
+                WHERE wins > 0 AND wins = (SELECT MAX(wins) FROM skin_stattrak WHERE skin = s.skin)
+                ORDER BY player
+            `)
+        ]);
+
+        // Ties are broken by name
+        const topPlayers = {};
+        for (const leader of leaders) {
+            if (!topPlayers[leader.skin]) {
+                topPlayers[leader.skin] = { name: leader.player, wins: leader.wins };
+            }
+        }
+
+        return rows.map(row => ({
+            ...this.formatRow(row),
+            winRate: row.win_rate,
+            players: row.players,
+            topPlayer: topPlayers[row.skin] || null
+        }));
+    }
+}
+
+// Create singleton instance
+const statTrakService = new StatTrakService();
+
+module.exports = statTrakService;
@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
 
 class SubmissionService {
     constructor() {
@@ -63,7 +64,7 @@ class SubmissionService {
         this.submissions.push(submission);
         await this.saveSubmissions();
         
-        logger.info('New skin submission added', {
+        logger.info(`New ${submission.kind || 'skin'} submission added`, {
             id: submission.id,
             name: submission.name,
             author: submission.author,
@@ -73,8 +74,9 @@ class SubmissionService {
         return submission;
     }
 
-    getSubmissions(status = 'pending') {
-        return this.submissions.filter(s => s.status === status);
+    // Skin submissions have no kind, they came before trail submissions
+    getSubmissions(status = 'pending', kind = 'skin') {
+        return this.submissions.filter(s => s.status === status && (s.kind || 'skin') === kind);
     }
 
     getSubmissionById(id) {
@@ -126,10 +128,12 @@ class SubmissionService {
 
         const submission = this.submissions[submissionIndex];
         
-        // Try to delete the file
+        // Try to delete the file, trail submissions may not have one
         try {
-            const filePath = path.join(__dirname, '../../uploads/submissions', submission.filename);
-            await fs.unlink(filePath);
+            if (submission.filename) {
+                const filePath = path.join(__dirname, '../../uploads/submissions', submission.filename);
+                await fs.unlink(filePath);
+            }
         } catch (error) {
             logger.warn('Failed to delete submission file', {
                 id,
@@ -152,7 +156,7 @@ class SubmissionService {
 
     async approveSubmission(id) {
         const submission = this.getSubmissionById(id);
-        if (!submission) {
+        if (!submission || submission.kind === 'trail') {
             return { success: false, message: 'Submission not found' };
         }
 
@@ -287,6 +291,80 @@ class SubmissionService {
         }
     }
 
+    /**
+     * Approve a trail submission: its texture goes to public/trails/content and the trail is
+     * written to public/trails, TrailService reloads and refreshes the overlays
+     * @param {string} id - Submission id
+     * @returns {Promise<Object>} { success, message, data: { trailName, submission } }
+     */
+    async approveTrailSubmission(id) {
+        const submission = this.getSubmissionById(id);
+        if (!submission || submission.kind !== 'trail') {
+            return { success: false, message: 'Trail submission not found' };
+        }
+
+        const TrailService = require('./trailService');
+        if (TrailService.isValidTrail(submission.trail.name)) {
+            return { success: false, message: `A trail named ${submission.trail.name} already exists` };
+        }
+
+        const trail = { ...submission.trail, visuals: { ...submission.trail.visuals } };
+        let texturePath = null;
+        try {
+            if (submission.filename) {
+                // Never replaces the image of another trail
+                const textureFile = `${trail.name}${path.extname(submission.filename)}`;
+                const target = path.join(__dirname, '../../public/trails/content', textureFile);
+                await fs.copyFile(path.join(__dirname, '../../uploads/submissions', submission.filename), target, fsConstants.COPYFILE_EXCL);
+                texturePath = target;
+                trail.visuals.image = `../trails/content/${textureFile}`;
+                trail.visuals.shape = 'image';
+            }
+
+            const { file } = await TrailService.saveTrail(trail);
+
+            await this.updateSubmissionStatus(id, 'approved');
+            submission.finalName = trail.name;
+            submission.finalFilename = file;
+            submission.approvedAt = new Date().toISOString();
+            await this.saveSubmissions();
+
+            if (submission.filename) {
+                await fs.unlink(path.join(__dirname, '../../uploads/submissions', submission.filename));
+            }
+
+            logger.info('Trail submission approved and trail added', {
+                id,
+                name: trail.name,
+                author: trail.author,
+                file
+            });
+
+            return {
+                success: true,
+                message: 'Submission approved and trail added to game',
+                data: {
+                    trailName: trail.name,
+                    submission
+                }
+            };
+        } catch (error) {
+            // Don't leave a texture behind for a trail that wasn't added
+            if (texturePath) {
+                await fs.unlink(texturePath).catch(() => {});
+            }
+            logger.error('Failed to approve trail submission', {
+                id,
+                error: error.message
+            });
+
+            return {
+                success: false,
+                message: 'Failed to process submission: ' + error.message
+            };
+        }
+    }
+
     async rejectSubmission(id, reason = 'No reason provided') {
         const submission = this.getSubmissionById(id);
         if (!submission) {
@@ -327,8 +405,9 @@ class SubmissionService {
         return stats;
     }
 
-    checkDuplicateName(name) {
+    checkDuplicateName(name, kind = 'skin') {
         return this.submissions.some(s => 
+            (s.kind || 'skin') === kind &&
             s.name.toLowerCase() === name.toLowerCase() && 
             (s.status === 'pending' || s.status === 'approved')
         );
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const ChannelService = require('./channelService');
+const { config } = require('../config/environment');
+
+class TicketService {
+    constructor() {
+        this.tickets = new Map(); // coneId -> ticket
+        this.secret = crypto.randomBytes(32); // per-process, tickets never outlive the server
+        this.ticketTTL = config.FLIP_TICKET_TTL;
+
+        // Sweep expired tickets so abandoned cones don't pile up
+        setInterval(() => this.sweepExpired(), 60 * 1000).unref();
+    }
+
+    sign(ticket) {
+        const payload = [
+            ticket.coneId,
+            ticket.gameType,
+            ticket.players.join(','),
+            ticket.seed,
+            ticket.expiresAt
+        ].join('|');
+
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+    }
+
+    /**
+     * Issue a single-use ticket for a cone or duel the server just queued
+     * @param {string} gameType - 'coneflip' or 'duel'
+     * @param {string[]} players - Player names taking part
+     * @returns {Object} Ticket { coneId, channel, gameType, players, seed, expiresAt, signature }
+     */
+    issueTicket(gameType, players) {
+        const prefix = gameType === 'duel' ? 'duel' : 'cone';
+        const ticket = {
+            coneId: `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            channel: ChannelService.current(),
+            gameType,
+            players: players.map(player => player.toLowerCase()),
+            seed: crypto.randomBytes(4).readUInt32BE(0),
+            expiresAt: Date.now() + this.ticketTTL
+        };
+        ticket.signature = this.sign(ticket);
+
+        this.tickets.set(ticket.coneId, ticket);
+        logger.debug(`Flip ticket issued: ${ticket.coneId} for ${ticket.players.join(' vs ')}`);
+
+        return ticket;
+    }
+
+    /**
+     * Check a ticket sent back by the overlay and consume it on success
+     * @param {Object} ticket - Ticket as echoed by the client
+     * @param {string} gameType - Game type the result claims to be for
+     * @param {string[]} players - Players named in the result
+     * @returns {Object} { valid, error, ticket }
+     */
+    redeemTicket(ticket, gameType, players) {
+        if (!ticket || typeof ticket !== 'object' || typeof ticket.coneId !== 'string') {
+            return { valid: false, error: 'Missing ticket' };
+        }
+
+        const issued = this.tickets.get(ticket.coneId);
+        if (!issued) {
+            return { valid: false, error: `Unknown or already used ticket ${ticket.coneId}` };
+        }
+
+        if (Date.now() > issued.expiresAt) {
+            this.tickets.delete(issued.coneId);
+            return { valid: false, error: `Ticket ${issued.coneId} expired` };
+        }
+
+        const signature = typeof ticket.signature === 'string' ? Buffer.from(ticket.signature) : Buffer.alloc(0);
+        const expected = Buffer.from(issued.signature);
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+            return { valid: false, error: `Bad signature for ticket ${issued.coneId}` };
+        }
+
+        // Results only count from an overlay of the channel the game was queued in
+        if (issued.channel !== ChannelService.current()) {
+            return { valid: false, error: `Ticket ${issued.coneId} belongs to channel ${issued.channel}` };
+        }
+
+        if (issued.gameType !== gameType) {
+            return { valid: false, error: `Ticket ${issued.coneId} is for a ${issued.gameType}, not a ${gameType}` };
+        }
+
+        // Every named player must be on the ticket, and a duel must name both sides
+        const named = players.filter(Boolean).map(player => player.toLowerCase());
+        const matches = named.length === issued.players.length &&
+            named.every(player => issued.players.includes(player)) &&
+            new Set(named).size === named.length;
+        if (!matches) {
+            return { valid: false, error: `Players ${named.join(', ')} do not match ticket ${issued.coneId}` };
+        }
+
+        this.tickets.delete(issued.coneId);
+        return { valid: true, ticket: issued };
+    }
+
+    // Drop a ticket without a result, e.g. when the server resolved the game itself
+    revokeTicket(coneId) {
+        return this.tickets.delete(coneId);
+    }
+
+    sweepExpired() {
+        const now = Date.now();
+        for (const [coneId, ticket] of this.tickets) {
+            if (now > ticket.expiresAt) {
+                this.tickets.delete(coneId);
+                logger.debug(`Flip ticket expired without a result: ${coneId}`);
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            pendingTickets: this.tickets.size,
+            ticketTTL: this.ticketTTL
+        };
+    }
+}
+
+// Create singleton instance
+const ticketService = new TicketService();
+
+module.exports = ticketService;
@@ -2,49 +2,57 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const ChannelService = require('./channelService');
 
 class TokenService {
     constructor() {
         this.activeTokens = new Map(); // token -> { socketId, createdAt, lastActivity }
         this.socketTokens = new Map(); // socketId -> token
-        this.currentToken = null;
+        this.currentToken = null; // primary channel
+        this.channelTokens = new Map(); // channel -> token, every other channel
+        this.tokenChannels = new Map(); // token -> channel
         this.tokenExpiryTime = 24 * 60 * 60 * 1000; // 24 hours (but we won't auto-expire unless manually revoked)
-        this.tokenFilePath = path.join(process.cwd(), 'data', 'auth_token.json');
+    }
+
+    getTokenFilePath(channel) {
+        return path.join(ChannelService.getDataDir(channel), 'auth_token.json');
     }
 
     generateToken() {
         return crypto.randomBytes(32).toString('hex');
     }
 
-    saveTokenToDisk() {
+    saveTokenToDisk(channel = ChannelService.current()) {
         try {
             // Ensure data directory exists
-            const dataDir = path.dirname(this.tokenFilePath);
+            const tokenFilePath = this.getTokenFilePath(channel);
+            const dataDir = path.dirname(tokenFilePath);
             if (!fs.existsSync(dataDir)) {
                 fs.mkdirSync(dataDir, { recursive: true });
             }
 
             const tokenData = {
-                token: this.currentToken,
+                token: this.getCurrentToken(channel),
                 createdAt: new Date().toISOString(),
                 version: 1
             };
 
-            fs.writeFileSync(this.tokenFilePath, JSON.stringify(tokenData, null, 2));
-            logger.info('Token saved to disk');
+            fs.writeFileSync(tokenFilePath, JSON.stringify(tokenData, null, 2));
+            logger.info(`Token saved to disk for ${channel}`);
         } catch (error) {
             logger.error('Failed to save token to disk:', error);
         }
     }
 
-    loadTokenFromDisk() {
+    loadTokenFromDisk(channel = ChannelService.current()) {
         try {
-            if (!fs.existsSync(this.tokenFilePath)) {
+            const tokenFilePath = this.getTokenFilePath(channel);
+            if (!fs.existsSync(tokenFilePath)) {
                 logger.info('No existing token file found, generating new token');
                 return null;
             }
 
-            const data = fs.readFileSync(this.tokenFilePath, 'utf8');
+            const data = fs.readFileSync(tokenFilePath, 'utf8');
             const tokenData = JSON.parse(data);
 
             if (tokenData.token && typeof tokenData.token === 'string') {
@@ -233,32 +241,50 @@ class TokenService {
             return tokenData.socketId;
         }
         this.activeTokens.delete(token);
+        this.tokenChannels.delete(token);
         return null;
     }
 
-    regenerateCurrentToken() {
+    regenerateCurrentToken(channel = ChannelService.current()) {
         // Revoke old token
-        this.revokeToken(this.currentToken);
+        this.revokeToken(this.getCurrentToken(channel));
         
         // Generate new token
-        this.currentToken = this.generateToken();
-        this.activeTokens.set(this.currentToken, {
+        const token = this.setCurrentToken(channel, this.generateToken());
+        
+        // Save new token to disk
+        this.saveTokenToDisk(channel);
+        
+        logger.info(`Current token regenerated and saved to disk for ${channel}`);
+        return token;
+    }
+
+    getCurrentToken(channel = ChannelService.current()) {
+        return ChannelService.isPrimary(channel) ? this.currentToken : (this.channelTokens.get(channel) || null);
+    }
+
+    setCurrentToken(channel, token) {
+        if (ChannelService.isPrimary(channel)) {
+            this.currentToken = token;
+        } else {
+            this.channelTokens.set(channel, token);
+        }
+
+        this.tokenChannels.set(token, ChannelService.isPrimary(channel) ? null : channel);
+        this.activeTokens.set(token, {
             socketId: null,
             createdAt: new Date(),
             lastActivity: new Date(),
             browserInfo: null,
             userAgent: null
         });
-        
-        // Save new token to disk
-        this.saveTokenToDisk();
-        
-        logger.info('Current token regenerated and saved to disk');
-        return this.currentToken;
+        return token;
     }
 
-    getCurrentToken() {
-        return this.currentToken;
+    // Channel an overlay token plays in, null for unknown tokens
+    getTokenChannel(token) {
+        if (!this.tokenChannels.has(token)) return null;
+        return this.tokenChannels.get(token) || ChannelService.getPrimary();
     }
 
     getTokenInfo(token) {
@@ -277,34 +303,39 @@ class TokenService {
         this.socketHandler = socketHandler;
     }
 
-    // Initialize the service
-    async initialize() {
-        // Try to load existing token from disk
-        const savedToken = this.loadTokenFromDisk();
+    // Load or issue the overlay token of one channel
+    initializeChannel(channel) {
+        const savedToken = this.loadTokenFromDisk(channel);
         
         if (savedToken) {
-            this.currentToken = savedToken;
-            logger.info(`Using existing token from disk: ${savedToken.substring(0, 8)}...`);
+            this.setCurrentToken(channel, savedToken);
+            logger.info(`Using existing token from disk for ${channel}: ${savedToken.substring(0, 8)}...`);
         } else {
             // Generate new token if none exists
-            this.currentToken = this.generateToken();
-            this.saveTokenToDisk();
-            logger.info(`Generated new token and saved to disk: ${this.currentToken.substring(0, 8)}...`);
+            const token = this.setCurrentToken(channel, this.generateToken());
+            this.saveTokenToDisk(channel);
+            logger.info(`Generated new token for ${channel} and saved to disk: ${token.substring(0, 8)}...`);
         }
+    }
 
-        // Set up the token in active tokens map
-        this.activeTokens.set(this.currentToken, {
-            socketId: null,
-            createdAt: new Date(),
-            lastActivity: new Date(),
-            browserInfo: null,
-            userAgent: null
-        });
+    removeChannel(channel) {
+        const token = this.channelTokens.get(channel);
+        if (token) {
+            this.revokeToken(token);
+            this.activeTokens.delete(token);
+            this.tokenChannels.delete(token);
+            this.channelTokens.delete(channel);
+        }
+    }
+
+    // Initialize the service
+    async initialize() {
+        // Every channel has its own overlay token, the primary one stays in data/auth_token.json
+        ChannelService.list().forEach(channel => this.initializeChannel(channel));
 
-        logger.info(`TokenService initialized with persistent token. Active tokens: ${this.activeTokens.size}`);
-        logger.info(`Current token: ${this.currentToken.substring(0, 8)}...${this.currentToken.substring(-8)}`);
+        logger.info(`TokenService initialized with persistent tokens. Active tokens: ${this.activeTokens.size}`);
     }
 }
 
 // Export singleton instance
-module.exports = new TokenService(); 
\ No newline at end of file
+module.exports = new TokenService();
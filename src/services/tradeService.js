@@ -0,0 +1,242 @@
+const DatabaseService = require('./databaseService');
+const SkinService = require('./skinService');
+const ChannelService = require('./channelService');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Offers nobody answered are closed after this long
+const TRADE_OFFER_TIMEOUT = 10 * 60 * 1000;
+
+// A trade swaps one skin for another between two viewers. The offer is stored as pending,
+// the other viewer accepts or declines it from chat or their profile, and the swap itself
+// happens in one transaction in DatabaseService.swapSkins. Trades live in the skins
+// database next to the inventories, so channels sharing skins share trades too.
+class TradeService {
+    constructor() {
+        this.offerTimeout = TRADE_OFFER_TIMEOUT;
+    }
+
+    query(method, sql, params = []) {
+        return DatabaseService.execute(DatabaseService.getSkinsDb(), method, sql, params);
+    }
+
+    // Exact skin name for any casing of it, null if there is no such skin
+    resolveSkin(input) {
+        const normalized = String(input || '').toLowerCase().trim();
+        return Object.keys(SkinService.availableSkins).find(name => name.toLowerCase() === normalized) || null;
+    }
+
+    async owns(player, skin) {
+        const row = await this.query('get',
+            'SELECT quantity FROM skin_inventory WHERE name = ? AND skin = ?',
+            [player, skin]
+        );
+        return !!row && row.quantity > 0;
+    }
+
+    /**
+     * Why an offer can't be made, checked again when it is accepted
+     * @returns {Promise<Object|null>} { reason, skin, player }, null if the offer is fine
+     */
+    async checkOffer(from, to, offerSkin, requestSkin, { isNew = true } = {}) {
+        if (from === to) {
+            return { reason: 'self' };
+        }
+
+        for (const [input, skin] of [[offerSkin.input, offerSkin.name], [requestSkin.input, requestSkin.name]]) {
+            if (!skin) return { reason: 'unknown_skin', skin: input };
+            if (!SkinService.isTradeable(skin)) return { reason: 'not_tradeable', skin };
+        }
+
+        if (!await this.owns(from, offerSkin.name)) {
+            return { reason: 'not_owned', player: from, skin: offerSkin.name };
+        }
+        if (!await this.owns(to, requestSkin.name)) {
+            return { reason: 'target_not_owned', player: to, skin: requestSkin.name };
+        }
+
+        if (isNew) {
+            const open = await this.query('get',
+                `SELECT to_player FROM skin_trades WHERE from_player = ? AND status = 'pending'`,
+                [from]
+            );
+            if (open) {
+                return { reason: 'already_offering', player: open.to_player };
+            }
+        }
+        return null;
+    }
+
+    describeProblem(problem) {
+        switch (problem.reason) {
+            case 'self': return "You can't trade with yourself";
+            case 'unknown_skin': return `There is no skin called "${problem.skin}"`;
+            case 'not_tradeable': return `${problem.skin} can't be traded`;
+            case 'not_owned': return `${problem.player} doesn't have ${problem.skin}`;
+            case 'target_not_owned': return `${problem.player} doesn't have ${problem.skin}`;
+            case 'already_offering': return `You already have an open trade offer to ${problem.player}`;
+            default: return 'This trade is not possible';
+        }
+    }
+
+    /**
+     * Offer one of your skins for one of another viewer's
+     * @param {string} from - Viewer making the offer
+     * @param {string} to - Viewer the offer goes to
+     * @param {string} offerInput - Skin the offer gives away
+     * @param {string} requestInput - Skin it asks for in return
+     * @returns {Promise<Object>} The pending trade
+     */
+    async propose(from, to, offerInput, requestInput) {
+        from = from.toLowerCase();
+        to = String(to || '').replace(/^@/, '').trim().toLowerCase();
+        if (!to) {
+            throw new ValidationError('Pick who to trade with', 'to');
+        }
+
+        const offerSkin = { input: offerInput, name: this.resolveSkin(offerInput) };
+        const requestSkin = { input: requestInput, name: this.resolveSkin(requestInput) };
+
+        await this.expireStale();
+        const problem = await this.checkOffer(from, to, offerSkin, requestSkin);
+        if (problem) {
+            throw new ValidationError(this.describeProblem(problem), problem.reason);
+        }
+
+        const result = await this.query('run', `
+            INSERT INTO skin_trades (from_player, to_player, offer_skin, request_skin, channel, expires_at)
+            VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+        `, [from, to, offerSkin.name, requestSkin.name, ChannelService.current(), `+${Math.floor(this.offerTimeout / 1000)} seconds`]);
+
+        logger.info(`Trade #${result.lastID}: ${from} offers ${offerSkin.name} to ${to} for ${requestSkin.name}`);
+        return this.getTrade(result.lastID);
+    }
+
+    async getTrade(id) {
+        return this.query('get', 'SELECT * FROM skin_trades WHERE id = ?', [id]);
+    }
+
+    async getOpenTrade(id) {
+        await this.expireStale();
+        const trade = await this.query('get', `SELECT * FROM skin_trades WHERE id = ? AND status = 'pending'`, [id]);
+        if (!trade) {
+            throw new NotFoundError('This trade offer is no longer open');
+        }
+        return trade;
+    }
+
+    // Close offers that ran out of time, checked whenever trades are read
+    async expireStale() {
+        await this.query('run', `
+            UPDATE skin_trades SET status = 'expired', resolved_at = CURRENT_TIMESTAMP
+            WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP
+        `);
+    }
+
+    /**
+     * Open offers made to and by a viewer
+     * @param {string} player - Viewer name
+     * @returns {Promise<Object>} { incoming, outgoing }
+     */
+    async getOpenTrades(player) {
+        player = player.toLowerCase();
+        await this.expireStale();
+        const [incoming, outgoing] = await Promise.all([
+            this.query('all', `SELECT * FROM skin_trades WHERE to_player = ? AND status = 'pending' ORDER BY id ASC`, [player]),
+            this.query('all', `SELECT * FROM skin_trades WHERE from_player = ? AND status = 'pending' ORDER BY id ASC`, [player])
+        ]);
+        return { incoming, outgoing };
+    }
+
+    async getHistory(player, limit = 20) {
+        player = player.toLowerCase();
+        return this.query('all', `
+            SELECT * FROM skin_trades
+            WHERE (from_player = ? OR to_player = ?) AND status != 'pending'
+            ORDER BY id DESC LIMIT ?
+        `, [player, player, limit]);
+    }
+
+    // Skins a viewer owns that they could offer
+    async getTradeableSkins(player) {
+        const inventory = await DatabaseService.getPlayerInventory(player.toLowerCase());
+        return inventory
+            .filter(item => item.quantity > 0 && SkinService.isTradeable(item.skin))
+            .map(item => ({ skin: item.skin, quantity: item.quantity }));
+    }
+
+    async setStatus(trade, status) {
+        const result = await this.query('run',
+            `UPDATE skin_trades SET status = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'`,
+            [status, trade.id]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Accept an offer made to you, both skins change hands at once
+     * @param {string} player - Viewer the offer was made to
+     * @param {number} tradeId - skin_trades id
+     * @returns {Promise<Object>} The completed trade
+     */
+    async accept(player, tradeId) {
+        player = player.toLowerCase();
+        const trade = await this.getOpenTrade(tradeId);
+        if (trade.to_player !== player) {
+            throw new NotFoundError('This trade offer is no longer open');
+        }
+
+        const problem = await this.checkOffer(
+            trade.from_player,
+            trade.to_player,
+            { input: trade.offer_skin, name: trade.offer_skin },
+            { input: trade.request_skin, name: trade.request_skin },
+            { isNew: false }
+        );
+        if (problem) {
+            await this.setStatus(trade, 'failed');
+            throw new ValidationError(this.describeProblem(problem), problem.reason);
+        }
+
+        try {
+            await DatabaseService.swapSkins(trade);
+        } catch (error) {
+            logger.warn(`Trade #${trade.id} failed: ${error.message}`);
+            await this.setStatus(trade, 'failed');
+            throw new ValidationError('The trade could not be completed, one of the skins is gone');
+        }
+
+        // Someone who gave away the skin they had on goes back to the default cone
+        for (const [owner, skin] of [[trade.from_player, trade.offer_skin], [trade.to_player, trade.request_skin]]) {
+            if (await SkinService.getUserSkin(owner) === skin && !await this.owns(owner, skin)) {
+                await SkinService.setSkin(owner, 'default');
+            }
+        }
+
+        logger.info(`Trade #${trade.id} completed: ${trade.from_player} got ${trade.request_skin}, ${trade.to_player} got ${trade.offer_skin}`);
+        return this.getTrade(trade.id);
+    }
+
+    async decline(player, tradeId) {
+        return this.close(player.toLowerCase(), tradeId, 'to_player', 'declined');
+    }
+
+    async cancel(player, tradeId) {
+        return this.close(player.toLowerCase(), tradeId, 'from_player', 'cancelled');
+    }
+
+    async close(player, tradeId, side, status) {
+        const trade = await this.getOpenTrade(tradeId);
+        if (trade[side] !== player || !await this.setStatus(trade, status)) {
+            throw new NotFoundError('This trade offer is no longer open');
+        }
+
+        logger.info(`Trade #${trade.id} ${status} by ${player}`);
+        return this.getTrade(trade.id);
+    }
+}
+
+// Create singleton instance
+const tradeService = new TradeService();
+
+module.exports = tradeService;
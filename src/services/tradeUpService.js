@@ -0,0 +1,167 @@
+const DatabaseService = require('./databaseService');
+const SkinService = require('./skinService');
+const MessageService = require('./messageService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Skins of one grade turned in per contract
+const TRADE_UP_SIZE = 10;
+
+// Grades from common to rare, a contract pays out one grade up. Covert is the top,
+// gold only drops trails from unboxes
+const TIER_ORDER = ['mil-spec', 'restricted', 'classified', 'covert'];
+
+// A trade-up turns spare copies of skins into one skin of the next grade, like a CS
+// trade-up contract. Only duplicates count, so every skin a player has stays in their
+// collection. The reward is rolled with the same weights unboxing uses inside a grade.
+class TradeUpService {
+    constructor() {
+        this.size = TRADE_UP_SIZE;
+    }
+
+    // 'Mil-Spec', 'milspec' and 'mil_spec' all mean the same grade
+    normalizeTier(input) {
+        const key = String(input || '').toLowerCase().replace(/[^a-z]/g, '');
+        return TIER_ORDER.find(tier => tier.replace(/[^a-z]/g, '') === key) || null;
+    }
+
+    nextTier(tier) {
+        const index = TIER_ORDER.indexOf(tier);
+        return index >= 0 && index < TIER_ORDER.length - 1 ? TIER_ORDER[index + 1] : null;
+    }
+
+    /**
+     * What each contract can pay out and how likely every skin is
+     * @returns {Object[]} [{ tier, nextTier, required, outcomes: [{ skin, probability }] }]
+     */
+    getOdds() {
+        const skinsByTier = SkinService.getSkinsByTier();
+
+        return TIER_ORDER.filter(tier => this.nextTier(tier)).map(tier => {
+            const nextTier = this.nextTier(tier);
+            const rewards = skinsByTier[nextTier] || [];
+            const totalWeight = rewards.reduce((sum, skin) => sum + (skin.unboxWeight || 0), 0);
+
+            const outcomes = rewards.map(skin => {
+                const share = totalWeight === 0 ? 1 / rewards.length : (skin.unboxWeight || 0) / totalWeight;
+                return { skin: skin.name, probability: Math.round(share * 10000) / 100 };
+            });
+
+            return { tier, nextTier, required: this.size, outcomes };
+        });
+    }
+
+    /**
+     * Duplicate skins a player could turn in, per grade
+     * @param {string} player - Player name
+     * @returns {Promise<Object[]>} [{ tier, nextTier, required, spares, skins: [{ skin, spare }] }]
+     */
+    async getSpares(player) {
+        const inventory = await DatabaseService.getPlayerInventory(player.toLowerCase());
+        const byTier = Object.fromEntries(TIER_ORDER.map(tier => [tier, []]));
+
+        for (const item of inventory) {
+            const skin = SkinService.availableSkins[item.skin];
+            if (!skin || item.quantity < 2 || !SkinService.isTradeable(item.skin)) continue;
+
+            const tier = SkinService.getSkinTier(skin);
+            if (byTier[tier]) {
+                byTier[tier].push({ skin: item.skin, spare: item.quantity - 1 });
+            }
+        }
+
+        return TIER_ORDER.filter(tier => this.nextTier(tier)).map(tier => {
+            // Biggest piles first, that is also the order they are turned in
+            const skins = byTier[tier].sort((a, b) => b.spare - a.spare);
+            return {
+                tier,
+                nextTier: this.nextTier(tier),
+                required: this.size,
+                spares: skins.reduce((sum, item) => sum + item.spare, 0),
+                skins
+            };
+        });
+    }
+
+    /**
+     * Turn in spare skins of one grade for a random skin of the next grade, which is equipped
+     * @param {string} player - Player name
+     * @param {string} tierInput - Grade to turn in
+     * @param {string} twitchId - Player's Twitch id if known
+     * @returns {Promise<Object>} { tier, nextTier, skin, rarity, turnedIn }
+     */
+    async tradeUp(player, tierInput, twitchId = null) {
+        player = player.toLowerCase();
+        const tier = this.normalizeTier(tierInput);
+        if (!tier) {
+            throw new ValidationError(`Unknown grade "${tierInput}", pick one of ${TIER_ORDER.join(', ')}`, 'tier');
+        }
+        const nextTier = this.nextTier(tier);
+        if (!nextTier) {
+            throw new ValidationError(`${tier} is the top grade and can't be traded up`, 'tier');
+        }
+
+        const contract = (await this.getSpares(player)).find(item => item.tier === tier);
+        if (contract.spares < this.size) {
+            throw new ValidationError(`A trade-up needs ${this.size} spare ${tier} skins, ${player} has ${contract.spares}`, 'tier');
+        }
+
+        const rewards = SkinService.getSkinsByTier()[nextTier] || [];
+        if (rewards.length === 0) {
+            throw new ValidationError(`There are no ${nextTier} skins to trade up to`, 'tier');
+        }
+
+        let remaining = this.size;
+        const turnIn = [];
+        for (const { skin, spare } of contract.skins) {
+            if (remaining === 0) break;
+            const quantity = Math.min(spare, remaining);
+            turnIn.push({ skin, quantity });
+            remaining -= quantity;
+        }
+
+        const reward = SkinService.selectFromTierSkins(rewards);
+        try {
+            await DatabaseService.tradeUpSkins(player, turnIn, reward.name);
+        } catch (error) {
+            logger.warn(`Trade-up for ${player} failed: ${error.message}`);
+            throw new ValidationError('The trade-up could not be completed, some of the skins are gone', 'tier');
+        }
+        // The contract is done once the skins are swapped, a failed equip only leaves the old skin on
+        try {
+            await SkinService.setSkin(player, reward.name, twitchId);
+        } catch (error) {
+            logger.error(`Failed to equip trade-up reward ${reward.name} for ${player}:`, error);
+        }
+
+        logger.gameEvent('trade_up', { player, tier, nextTier, skin: reward.name, turnedIn: turnIn });
+        await this.playAnimation(player, reward, tier);
+
+        return { tier, nextTier, skin: reward.name, rarity: reward.rarity, turnedIn: turnIn };
+    }
+
+    // The reward is revealed like an unbox, chat hears about it when the animation is done
+    async playAnimation(player, reward, tier) {
+        const message = MessageService.format('tradeup.result', {
+            user: player,
+            count: this.size,
+            tier,
+            skin: reward.name,
+            rarity: reward.rarity
+        });
+
+        try {
+            const GameService = require('./gameService');
+            await GameService.triggerUnboxAnimation(player, reward.name, message);
+        } catch (error) {
+            logger.warn(`Trade-up animation for ${player} could not be shown: ${error.message}`);
+            const TwitchService = require('./twitchService');
+            await TwitchService.sendChatMessage(message);
+        }
+    }
+}
+
+// Create singleton instance
+const tradeUpService = new TradeUpService();
+
+module.exports = tradeUpService;
@@ -2,11 +2,16 @@ const DatabaseService = require('./databaseService');
 const logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs').promises;
+const { validateTrail } = require('../config/trailSchema');
+const { ValidationError } = require('../middleware/errorHandler');
 
 class TrailService {
     constructor() {
         this.availableTrails = {};
         this.trailConfig = [];
+        this.trailFiles = {}; // trail name -> file in public/trails
+        this.invalidTrails = []; // [{ file, errors }] of files that failed the schema
+        this.trailsDir = path.join(__dirname, '../../public/trails');
         this.initialized = false;
         this.socketHandler = null; // Add socket handler reference
         
@@ -37,7 +42,7 @@ class TrailService {
     }
 
     async loadTrailConfig() {
-        const trailsDir = path.join(__dirname, '../../public/trails');
+        const trailsDir = this.trailsDir;
         
         try {
             // Read all .json files from trails directory
@@ -47,6 +52,8 @@ class TrailService {
             // Reset available trails
             this.trailConfig = [];
             this.availableTrails = {};
+            this.trailFiles = {};
+            this.invalidTrails = [];
             
             // Load each trail file
             for (const file of trailFiles) {
@@ -55,12 +62,23 @@ class TrailService {
                     const trailData = await fs.readFile(filePath, 'utf8');
                     const trail = JSON.parse(trailData);
                     
-                    if (trail && trail.name) {
-                        this.trailConfig.push(trail);
-                        this.availableTrails[trail.name] = trail;
-                        logger.debug(`Loaded trail: ${trail.name} from ${file}`);
+                    // A trail the overlay can't draw is left out rather than breaking every cone
+                    const errors = await this.validateTrail(trail);
+                    if (!errors.length && this.trailFiles[trail.name]) {
+                        errors.push(`trail.name: ${trail.name} is already used by ${this.trailFiles[trail.name]}`);
                     }
+                    if (errors.length > 0) {
+                        this.invalidTrails.push({ file, errors });
+                        logger.warn(`Skipped trail file ${file}: ${errors.join('; ')}`);
+                        continue;
+                    }
+
+                    this.trailConfig.push(trail);
+                    this.availableTrails[trail.name] = trail;
+                    this.trailFiles[trail.name] = file;
+                    logger.debug(`Loaded trail: ${trail.name} from ${file}`);
                 } catch (fileError) {
+                    this.invalidTrails.push({ file, errors: [`not valid JSON: ${fileError.message}`] });
                     logger.warn(`Failed to load trail file ${file}:`, fileError.message);
                 }
             }
@@ -101,6 +119,59 @@ class TrailService {
         }
     }
 
+    /**
+     * Check a trail against the trail schema and that its images exist
+     * @param {Object} trail - Parsed trail file
+     * @returns {Promise<string[]>} Errors as "path: message", empty if the trail is valid
+     */
+    async validateTrail(trail) {
+        const errors = validateTrail(trail);
+        if (errors.length > 0 || !trail.visuals.image) return errors;
+
+        const images = Array.isArray(trail.visuals.image) ? trail.visuals.image : [trail.visuals.image];
+        for (const image of images.filter(image => !image.startsWith('data:'))) {
+            try {
+                await fs.access(path.join(this.trailsDir, 'content', path.basename(image)));
+            } catch (error) {
+                errors.push(`trail.visuals.image: ${image} is not in public/trails/content`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Add or replace a trail file, the overlays reload their trails after
+     * @param {Object} trail - Trail as it is stored in public/trails
+     * @returns {Promise<Object>} { trail, file, created }
+     */
+    async saveTrail(trail) {
+        const errors = await this.validateTrail(trail);
+        if (errors.length > 0) {
+            throw new ValidationError(errors.join('\n'), 'trail');
+        }
+        if (trail.name === 'default') {
+            throw new ValidationError('The default trail can\'t be edited', 'name');
+        }
+
+        // Edits go back to the file the trail came from
+        const created = !this.trailFiles[trail.name];
+        const file = this.trailFiles[trail.name] || `${trail.name}.json`;
+        if (created) {
+            try {
+                await fs.access(path.join(this.trailsDir, file));
+                throw new ValidationError(`${file} already exists but could not be loaded, fix or remove it first`, 'name');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        await fs.writeFile(path.join(this.trailsDir, file), JSON.stringify(trail, null, 2) + '\n');
+        await this.refreshTrailConfig();
+
+        logger.info(`Trail ${trail.name} ${created ? 'created' : 'updated'} in ${file}`);
+        return { trail, file, created };
+    }
+
     async refreshTrailConfig() {
         await this.loadTrailConfig();
         if (this.socketHandler && this.socketHandler.io) {
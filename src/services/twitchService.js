@@ -5,12 +5,26 @@ const { ApiClient } = require('@twurple/api');
 const { StaticAuthProvider } = require('@twurple/auth');
 const { config } = require('../config/environment');
 const logger = require('../utils/logger');
+const RedemptionService = require('./redemptionService');
+const CommandService = require('./commandService');
+const MessageService = require('./messageService');
+const ChannelService = require('./channelService');
+const CoinService = require('./coinService');
+const WagerService = require('./wagerService');
+const TradeService = require('./tradeService');
+const TradeUpService = require('./tradeUpService');
+const PityService = require('./pityService');
+const RatingService = require('./ratingService');
+const CaseService = require('./caseService');
+const StatTrakService = require('./statTrakService');
+
+// How long a challenged viewer has to !accept or !decline a duel
+const DUEL_CHALLENGE_TIMEOUT = 60 * 1000;
 
 class TwitchService {
     constructor() {
         this.chatClient = null;
-        this.eventSubClient = null;
-        this.apiClient = null;
+        this.eventSubClients = new Map(); // channel -> EventSub listener for its redemptions and follows
         this.initialized = false;
         this.isConnected = false;
         
@@ -27,19 +41,15 @@ class TwitchService {
         };
         this.cacheDuration = 5 * 60 * 1000; // 5 minutes
         
-        // Per-user cooldowns (2 seconds per user for regular commands)
-        this.userCooldowns = new Map(); // Map<username, lastCommandTime>
-        this.userCooldownDuration = 2000; // 2 seconds
-
-        // Global cooldowns for specific commands (shared across ALL users)
-        this.globalCommandCooldowns = new Map(); // Map<command, lastUsedTime>
-        this.globalCooldownCommands = {
-            '!bombdrippycat': 5000 // 5 seconds global
-        };
+        // Chat commands live in CommandService so names, permissions and cooldowns can be changed from the admin panel
+        this.registerChatCommands();
 
-        // Pending buy cone confirmations: Map<username, { skin, timestamp }>
+        // Pending buy cone confirmations: Map<`${channel}:${username}`, { skin, timestamp }>
         this.pendingBuyCone = new Map();
 
+        // Duel challenges waiting for an answer: Map<`${channel}:${target}`, { challenger, target, wager, timestamp, timer }>
+        this.pendingDuels = new Map();
+
         // Periodic cleanup of caches and cooldowns every 15 minutes
         this._cleanupInterval = setInterval(() => {
             this._cleanupExpiredEntries();
@@ -50,13 +60,6 @@ class TwitchService {
     _cleanupExpiredEntries() {
         const now = Date.now();
 
-        // Clean expired user cooldowns (older than cooldown window)
-        for (const [username, lastTime] of this.userCooldowns) {
-            if (now - lastTime > this.userCooldownDuration * 10) {
-                this.userCooldowns.delete(username);
-            }
-        }
-
         // Clean expired cached user IDs
         for (const [username, cached] of this.cache.userIds) {
             if (now - cached.timestamp > this.cacheDuration) {
@@ -72,6 +75,53 @@ class TwitchService {
         }
     }
 
+    // Built-in chat commands with their default settings, admins can override them from the panel
+    registerChatCommands() {
+        const commands = [
+            { id: 'coneflip', name: '!coneflip', description: 'Flip a cone or duel someone', handler: ({ username, args }) => this.handleConeFlipCommand(username, args) },
+            { id: 'leaderboard', name: '!leaderboard', description: 'Show leaderboard position', handler: ({ username, args }) => this.handleLeaderboardCommand(username, args) },
+            { id: 'conestats', name: '!conestats', description: 'Show your flip stats', handler: ({ username }) => this.handleConeStatsCommand(username) },
+            { id: 'myskins', name: '!myskins', description: 'List owned skins', handler: ({ username, args }) => this.handleMySkinsCommand(username, args) },
+            { id: 'setskin', name: '!setskin', description: 'Equip an owned skin', handler: ({ username, args }) => this.handleSetSkinCommand(username, args) },
+            { id: 'settrail', name: '!settrail', description: 'Equip an owned trail', handler: ({ username, args }) => this.handleSetTrailCommand(username, args) },
+            { id: 'coneskins', name: '!coneskins', description: 'Link to the skin list', handler: ({ username }) => this.handleConeSkinsCommand(username) },
+            { id: 'coneshuffle', name: '!coneshuffle', description: 'Toggle random skin each flip', handler: ({ username, userId }) => this.handleConeShuffleCommand(username, userId) },
+            { id: 'contest', name: '!contest', description: 'Show the current contest', handler: ({ username }) => this.handleContestCommand(username) },
+            { id: 'coins', name: '!coins', description: 'Show a cone coin balance', handler: ({ username, args }) => this.handleCoinsCommand(username, args) },
+            { id: 'buy', name: '!buy', description: 'Buy a skin with cone coins', handler: ({ username, userId, args }) => this.handleBuyCommand(username, userId, args) },
+            { id: 'trade', name: '!trade', description: 'Trade skins with another viewer', handler: ({ username, args }) => this.handleTradeCommand(username, args) },
+            { id: 'tradeup', name: '!tradeup', description: 'Turn in duplicate skins for a rarer one', handler: ({ username, userId, args }) => this.handleTradeUpCommand(username, userId, args) },
+            { id: 'duel', name: '!duel', description: 'Challenge someone to a duel', handler: ({ username, args }) => this.handleDuelCommand(username, args) },
+            { id: 'accept', name: '!accept', description: 'Accept a duel challenge', handler: ({ username }) => this.handleAcceptDuelCommand(username) },
+            { id: 'decline', name: '!decline', description: 'Decline a duel challenge', handler: ({ username }) => this.handleDeclineDuelCommand(username) },
+            { id: 'giveskin', name: '!giveskin', permission: 'moderator', description: 'Give a skin to a user', handler: ({ username, args }) => this.handleGiveSkinCommand(username, args) },
+            { id: 'givetrail', name: '!givetrail', permission: 'moderator', description: 'Give a trail to a user', handler: ({ username, args }) => this.handleGiveTrailCommand(username, args) },
+            { id: 'simcone', name: '!simcone', permission: 'moderator', description: 'Simulate a cone flip', handler: ({ username, args }) => this.handleSimConeCommand(username, args) },
+            { id: 'simduel', name: '!simduel', permission: 'moderator', description: 'Simulate a duel', handler: ({ username, args }) => this.handleSimDuelCommand(username, args) },
+            { id: 'refreshcones', name: '!refreshcones', permission: 'moderator', description: 'Reload the overlay', handler: ({ username }) => this.handleRefreshConesCommand(username) },
+            { id: 'conestuck', name: '!conestuck', permission: 'moderator', description: 'Clear stuck cones', handler: ({ username }) => this.handleConeStuckCommand(username) },
+            // Shared 5 second cooldown across all users instead of a per-user one
+            { id: 'bombdrippycat', name: '!bombdrippycat', userCooldown: 0, globalCooldown: 5000, description: 'Bomb drippycat', handler: ({ username, channel }) => this.handleBombDrippycatCommand(username, channel) }
+        ];
+
+        commands.forEach(command => CommandService.register(command));
+    }
+
+    /**
+     * Highest permission level a chatter has, based on their IRC tags
+     * @param {Object} tags - tmi.js message tags
+     * @returns {string} One of CommandService.PERMISSION_LEVELS
+     */
+    getPermissionLevel(tags) {
+        const badges = tags.badges || {};
+
+        if (badges.broadcaster === '1') return 'broadcaster';
+        if (tags.mod || tags['user-type'] === 'mod' || tags.username === 'drippycatcs') return 'moderator';
+        if (badges.vip || tags.vip) return 'vip';
+        if (tags.subscriber || badges.subscriber || badges.founder) return 'subscriber';
+        return 'everyone';
+    }
+
     // Inject services after they're initialized
     setServices(gameService, leaderboardService, skinService, trailService) {
         this.gameService = gameService;
@@ -89,11 +139,9 @@ class TwitchService {
                 logger.warn('Twitch bot credentials not provided, chat features will be disabled');
             }
 
-            // Initialize EventSub client if we have streamer credentials
-            if (config.TWITCH.STREAMER_ACCESS_TOKEN && config.TWITCH.CLIENT_ID && config.TWITCH.USER_ID) {
-                await this.initializeEventSubClient();
-            } else {
-                logger.warn('Twitch EventSub credentials not provided, channel point redemptions will be disabled');
+            // Initialize an EventSub client for every channel we have streamer credentials for
+            for (const channel of ChannelService.list()) {
+                await this.connectEventSub(channel);
             }
 
             this.initialized = true;
@@ -112,7 +160,7 @@ class TwitchService {
                     username: config.TWITCH.BOT_NAME,
                     password: `oauth:${config.TWITCH.BOT_ACCESS_TOKEN}`
                 },
-                channels: [config.TWITCH.CHANNEL]
+                channels: ChannelService.list()
             });
 
             // Set up event handlers
@@ -130,10 +178,12 @@ class TwitchService {
                 logger.info('Twitch chat reconnecting...');
             });
 
-            // Handle chat messages for commands
+            // Handle chat messages for commands, scoped to the channel they were sent in
             this.chatClient.on('message', (channel, tags, message, self) => {
                 if (self) return; // Ignore bot's own messages
-                this.handleChatMessage(channel, tags, message);
+                const name = ChannelService.normalize(channel);
+                if (!ChannelService.has(name)) return;
+                ChannelService.run(name, () => this.handleChatMessage(channel, tags, message));
             });
 
             await this.chatClient.connect();
@@ -143,28 +193,54 @@ class TwitchService {
         }
     }
 
-    async initializeEventSubClient() {
+    // Start listening for a channel's redemptions and follows if we have its streamer credentials
+    async connectEventSub(channel) {
+        await this.disconnectEventSub(channel);
+
+        const twitch = ChannelService.getTwitchConfig(channel);
+        if (!(twitch.STREAMER_ACCESS_TOKEN && twitch.CLIENT_ID && twitch.USER_ID)) {
+            logger.warn(`Twitch EventSub credentials not provided for ${channel}, channel point redemptions will be disabled`);
+            return;
+        }
+
+        try {
+            await this.initializeEventSubClient(channel, twitch);
+        } catch (error) {
+            // One channel with a bad token shouldn't keep the others from connecting
+            logger.error(`EventSub unavailable for ${channel}:`, error.message);
+        }
+    }
+
+    async disconnectEventSub(channel) {
+        const eventSubClient = this.eventSubClients.get(channel);
+        if (eventSubClient) {
+            this.eventSubClients.delete(channel);
+            await eventSubClient.stop();
+        }
+    }
+
+    async initializeEventSubClient(channel, twitch) {
         try {
             // Create auth provider for API client
-            const authProvider = new StaticAuthProvider(config.TWITCH.CLIENT_ID, config.TWITCH.STREAMER_ACCESS_TOKEN);
+            const authProvider = new StaticAuthProvider(twitch.CLIENT_ID, twitch.STREAMER_ACCESS_TOKEN);
             
             // Create API client
-            this.apiClient = new ApiClient({ authProvider });
+            const apiClient = new ApiClient({ authProvider });
             
             // Create EventSub WebSocket listener
-            this.eventSubClient = new EventSubWsListener({ apiClient: this.apiClient });
+            const eventSubClient = new EventSubWsListener({ apiClient });
             
             // Subscribe to channel point redemptions
-            await this.eventSubClient.onChannelRedemptionAdd(config.TWITCH.USER_ID, (event) => {
-                this.handleChannelPointRedemption(event);
+            await eventSubClient.onChannelRedemptionAdd(twitch.USER_ID, (event) => {
+                ChannelService.run(channel, () => this.handleChannelPointRedemption(event));
             });
 
             // Subscribe to channel follow events (for follow rewards)
-            logger.info(`[FOLLOW] Subscribing to follow events for broadcaster ID: ${config.TWITCH.USER_ID}`);
+            logger.info(`[FOLLOW] Subscribing to follow events for broadcaster ID: ${twitch.USER_ID} (${channel})`);
             try {
-                await this.eventSubClient.onChannelFollow(config.TWITCH.USER_ID, config.TWITCH.USER_ID, (event) => {
+                await eventSubClient.onChannelFollow(twitch.USER_ID, twitch.USER_ID, (event) => {
                     logger.info(`[FOLLOW] Raw follow event received:`, JSON.stringify(event, null, 2));
-                    this.handleChannelFollowEvent(event);
+                    ChannelService.run(channel, () => this.handleChannelFollowEvent(event));
                 });
                 logger.info('[FOLLOW] Successfully subscribed to follow events');
             } catch (followError) {
@@ -172,22 +248,77 @@ class TwitchService {
             }
 
             // Start the EventSub listener
-            await this.eventSubClient.start();
+            await eventSubClient.start();
+            this.eventSubClients.set(channel, eventSubClient);
 
-            logger.info('Twitch EventSub client initialized and listening for channel point redemptions and follows');
-            logger.info(`[FOLLOW] Follow reward config at startup: ENABLED=${config.FOLLOW_REWARD?.ENABLED}, CHAT_ENABLED=${config.FOLLOW_REWARD?.CHAT_MESSAGE_ENABLED}`);
+            const followReward = ChannelService.getSettings(channel).FOLLOW_REWARD;
+            logger.info(`Twitch EventSub client initialized for ${channel} and listening for channel point redemptions and follows`);
+            logger.info(`[FOLLOW] Follow reward config at startup: ENABLED=${followReward?.ENABLED}, CHAT_ENABLED=${followReward?.CHAT_MESSAGE_ENABLED}`);
         } catch (error) {
             logger.error('Failed to initialize Twitch EventSub client:', error);
             throw error;
         }
     }
 
+    /**
+     * Start playing in a channel added at runtime, or pick up its new credentials
+     * @param {string} channel - Channel name
+     */
+    async joinChannel(channel) {
+        if (this.chatClient && this.isConnected && !this.chatClient.getChannels().includes(`#${channel}`)) {
+            try {
+                await this.chatClient.join(channel);
+            } catch (error) {
+                logger.error(`Failed to join chat of ${channel}:`, error);
+            }
+        }
+        await this.connectEventSub(channel);
+    }
+
+    async partChannel(channel) {
+        if (this.chatClient && this.isConnected) {
+            try {
+                await this.chatClient.part(channel);
+            } catch (error) {
+                logger.error(`Failed to leave chat of ${channel}:`, error);
+            }
+        }
+        await this.disconnectEventSub(channel);
+
+        for (const key of this.pendingBuyCone.keys()) {
+            if (key.startsWith(`${channel}:`)) {
+                this.pendingBuyCone.delete(key);
+            }
+        }
+        for (const [key, challenge] of this.pendingDuels) {
+            if (key.startsWith(`${channel}:`)) {
+                clearTimeout(challenge.timer);
+                this.pendingDuels.delete(key);
+            }
+        }
+    }
+
+    // Links to pages with per-channel data carry ?channel= outside the primary channel, ahead of any #section
+    pageUrl(pagePath) {
+        const [page, hash] = pagePath.split('#');
+        let url = `${config.BASE_URL}${page}`;
+        if (!ChannelService.isPrimary()) {
+            url += `?channel=${ChannelService.current()}`;
+        }
+        return hash ? `${url}#${hash}` : url;
+    }
+
+    // Buy cone confirmations are per channel, the same viewer can redeem in two channels at once
+    pendingKey(username) {
+        return `${ChannelService.current()}:${username}`;
+    }
+
     async handleChatMessage(channel, tags, message) {
         try {
             const username = tags.username || 'unknown';
 
             // Check for pending buy cone confirmation before filtering on !
-            if (this.pendingBuyCone.has(username)) {
+            if (this.pendingBuyCone.has(this.pendingKey(username))) {
                 await this._handleBuyConeResponse(username, tags, message.trim());
                 return;
             }
@@ -201,95 +332,21 @@ class TwitchService {
             
             // Use ONLY login name (username) - never use display name
             const userId = tags['user-id'];
-            const isMod = tags.mod || tags['user-type'] === 'mod' || tags.username === 'drippycatcs';
-            const isBroadcaster = tags.badges?.broadcaster === '1';
-            const isAdmin = isMod || isBroadcaster;
-            
-            const now = Date.now();
 
             // Parse command and arguments
             const parts = message.trim().split(' ');
             const command = parts[0].toLowerCase();
             const args = parts.slice(1);
 
-            // Check if this command has a global cooldown (shared across all users)
-            if (this.globalCooldownCommands[command]) {
-                const lastUsed = this.globalCommandCooldowns.get(command) || 0;
-                if (now - lastUsed < this.globalCooldownCommands[command]) {
-                    return; // Command is on global cooldown, ignore silently
-                }
-            } else {
-                // Regular command: check per-user cooldown
-                const lastUserCommand = this.userCooldowns.get(username) || 0;
-                if (now - lastUserCommand < this.userCooldownDuration) {
-                    return; // User is on cooldown, ignore silently
-                }
-            }
-            
-            logger.info(`Chat command: ${command} from ${username}`, { args, isAdmin });
-            
-            // Handle commands
-            switch (command) {
-                case '!coneflip':
-                    await this.handleConeFlipCommand(username, args);
-                    break;
-                case '!leaderboard':
-                    await this.handleLeaderboardCommand(username, args);
-                    break;
-                case '!conestats':
-                    await this.handleConeStatsCommand(username);
-                    break;
-                case '!myskins':
-                    await this.handleMySkinsCommand(username, args);
-                    break;
-                case '!setskin':
-                    await this.handleSetSkinCommand(username, args);
-                    break;
-                case '!settrail':
-                    await this.handleSetTrailCommand(username, args);
-                    break;
-                case '!coneskins':
-                    await this.handleConeSkinsCommand(username);
-                    break;
-                case '!coneshuffle':
-                    await this.handleConeShuffleCommand(username, userId);
-                    break;
-                case '!contest':
-                    await this.handleContestCommand(username);
-                    break;
-                // Admin commands
-                case '!giveskin':
-                    if (isAdmin) await this.handleGiveSkinCommand(username, args);
-                    break;
-                case '!givetrail':
-                    if (isAdmin) await this.handleGiveTrailCommand(username, args);
-                    break;
-                case '!simcone':
-                    if (isAdmin) await this.handleSimConeCommand(username, args);
-                    break;
-                case '!simduel':
-                    if (isAdmin) await this.handleSimDuelCommand(username, args);
-                    break;
-                case '!refreshcones':
-                    if (isAdmin) await this.handleRefreshConesCommand(username);
-                    break;
-                case '!conestuck':
-                    if (isAdmin) await this.handleConeStuckCommand(username);
-                    break;
-                case '!bombdrippycat':
-                    await this.handleBombDrippycatCommand(username, channel);
-                    break;
-                default:
-                    // Unknown command, ignore silently
-                    return;
-            }
-
-            // Update cooldown after successful command execution
-            if (this.globalCooldownCommands[command]) {
-                this.globalCommandCooldowns.set(command, now);
-            } else {
-                this.userCooldowns.set(username, now);
-            }
+            // Unknown or disabled commands, missing permissions and cooldowns are ignored silently
+            await CommandService.execute(command, {
+                username,
+                userId,
+                args,
+                channel,
+                tags,
+                permission: this.getPermissionLevel(tags)
+            });
             
         } catch (error) {
             logger.error('Error handling chat message:', error);
@@ -309,13 +366,20 @@ class TwitchService {
                 cost: event.rewardCost 
             });
 
-            // Handle different reward types
-            if (rewardId === config.TWITCH.CONE_REWARD) {
+            // Handle different reward types, each channel has its own reward ids
+            const twitch = ChannelService.getTwitchConfig();
+            if (rewardId === twitch.CONE_REWARD) {
                 // Cone flip redemption
-                await this.gameService.addCone(username);
+                try {
+                    const result = await this.gameService.addCone(username);
+                    await this.trackGameRedemption(event, username, 'coneflip', result.queueId);
+                } catch (error) {
+                    await this.refundGameRedemption(event, username, 'coneflip', `failed to queue cone: ${error.message}`);
+                    throw error;
+                }
                 logger.info(`Cone flip triggered for ${username} via channel points`);
                 
-            } else if (rewardId === config.TWITCH.DUEL_REWARD) {
+            } else if (rewardId === twitch.DUEL_REWARD) {
                 // Duel redemption - parse target from user input
                 let targetUser = 'random_opponent';
                 if (userInput && userInput.trim()) {
@@ -323,28 +387,48 @@ class TwitchService {
 
                     // Validate target name length (Twitch usernames are max 25 chars)
                     if (targetUser.length > 25) {
-                        await this.sendChatMessage(`@${username} Duel target name is too long! Twitch usernames can only be up to 25 characters.`);
+                        await this.sendMessage('duel.target_too_long', { user: username });
                         logger.info(`Duel rejected for ${username}: target name "${targetUser}" exceeds 25 characters`);
+                        await this.refundGameRedemption(event, username, 'duel', 'target name too long');
                         return;
                     }
 
                     // Prevent self-dueling
                     if (targetUser.toLowerCase() === username.toLowerCase()) {
-                        await this.sendChatMessage(`@${username} You can't duel yourself!`);
+                        await this.sendMessage('duel.self', { user: username });
                         logger.info(`Duel rejected for ${username}: attempted to duel themselves`);
+                        await this.refundGameRedemption(event, username, 'duel', 'tried to duel themselves');
                         return;
                     }
+                } else {
+                    // With matchmaking on, the opponent is someone close to the challenger's rating
+                    targetUser = await RatingService.findOpponent(username) || targetUser;
+                }
+                try {
+                    const result = await this.gameService.addDuel(username, targetUser);
+                    await this.trackGameRedemption(event, username, 'duel', result.queueId);
+                } catch (error) {
+                    await this.refundGameRedemption(event, username, 'duel', `failed to queue duel: ${error.message}`);
+                    throw error;
                 }
-                await this.gameService.addDuel(username, targetUser);
                 logger.info(`Duel triggered: ${username} vs ${targetUser} via channel points`);
                 
-            } else if (rewardId === config.TWITCH.UNBOX_CONE) {
-                // Unbox cone redemption
+            } else if (rewardId === twitch.UNBOX_CONE || CaseService.getCaseForReward(rewardId)) {
+                // Unbox cone redemption, a case's own reward opens that case
                 if (this.skinService && this.skinService.setRandomSkin) {
-                    const result = await this.skinService.setRandomSkin(username);
-                    const chatMessage = result.message || (result.isTrailUnbox
-                        ? `@${username} unboxed a trail: ${result.trailName}!`
-                        : `@${username} unboxed ${result.skin} skin! (${result.rarity} Grade)`);
+                    const unboxCase = CaseService.getCaseForReward(rewardId) || CaseService.getCase();
+                    if (!CaseService.isActive(unboxCase)) {
+                        await this.sendMessage('unbox.case_closed', { user: username, case: unboxCase.name });
+                        logger.info(`Unbox rejected for ${username}: the ${unboxCase.id} case is not open`);
+                        await this.refundGameRedemption(event, username, 'unbox', `${unboxCase.id} case is not open`);
+                        return;
+                    }
+
+                    const result = await this.skinService.setRandomSkin(username, null, event.id, unboxCase.id);
+                    const chatMessage = result.isTrailUnbox
+                        ? MessageService.format('unbox.trail', { user: username, trail: result.trailName })
+                        : MessageService.format('unbox.skin', { user: username, skin: result.skin, rarity: result.rarity });
+                    await CoinService.award(username, 'unbox', result.isTrailUnbox ? result.trailName : result.skin);
 
                     if (result.isTrailUnbox) {
                         // Trail unbox - use special animation skin name
@@ -353,7 +437,8 @@ class TwitchService {
                             await this.gameService.triggerUnboxAnimation(
                                 username,
                                 '__trail__',
-                                chatMessage
+                                chatMessage,
+                                result.caseId
                             );
                         }
                     } else {
@@ -363,7 +448,8 @@ class TwitchService {
                             await this.gameService.triggerUnboxAnimation(
                                 username,
                                 result.skin,
-                                chatMessage
+                                chatMessage,
+                                result.caseId
                             );
                         }
                     }
@@ -372,7 +458,7 @@ class TwitchService {
                     logger.warn('Skin service not available for unbox redemption');
                 }
                 
-            } else if (rewardId === config.TWITCH.BUY_CONE) {
+            } else if (rewardId === twitch.BUY_CONE) {
                 // Buy cone redemption - purchase specific skin from user input
                 if (!this.skinService) {
                     logger.warn('Skin service not available for buy cone redemption');
@@ -380,19 +466,20 @@ class TwitchService {
                 }
 
                 if (!userInput || !userInput.trim()) {
-                    const skinsUrl = `${config.BASE_URL}/skins-all`;
-                    await this.sendChatMessage(`@${username} Please type the name of the cone you want in chat! Browse all cones here: ${skinsUrl}`);
+                    const skinsUrl = this.pageUrl('/skins-all');
+                    await this.sendMessage('buycone.prompt', { user: username, url: skinsUrl });
                 }
 
                 // Set pending state - one purchase allowed per redeem, auto-expire after 60s
-                this.pendingBuyCone.set(username, { skin: null, timestamp: Date.now() });
-                setTimeout(() => this.pendingBuyCone.delete(username), 60000);
+                const pendingKey = this.pendingKey(username);
+                this.pendingBuyCone.set(pendingKey, { skin: null, timestamp: Date.now() });
+                setTimeout(() => this.pendingBuyCone.delete(pendingKey), 60000);
 
                 if (userInput && userInput.trim()) {
                     await this._processBuyConeInput(username, userInput.trim());
                 }
                 
-            } else if (rewardId === config.TWITCH.BUY_TRAIL_REWARD) {
+            } else if (rewardId === twitch.BUY_TRAIL_REWARD) {
                 // Buy trail redemption - purchase specific trail from user input
                 if (!this.trailService) {
                     logger.warn('Trail service not available for buy trail redemption');
@@ -400,7 +487,7 @@ class TwitchService {
                 }
 
                 if (!userInput || !userInput.trim()) {
-                    await this.sendChatMessage(`@${username} Please specify which trail you want to buy! Example: "fire" or "rainbow"`);
+                    await this.sendMessage('buytrail.prompt', { user: username });
                     logger.info(`Buy trail redemption failed for ${username}: No trail specified`);
                     return;
                 }
@@ -412,11 +499,11 @@ class TwitchService {
                 if (!this.trailService.isValidTrail(requestedTrail)) {
                     const availableTrails = Object.keys(this.trailService.getAvailableTrails()).filter(trail => trail !== 'default');
                     const trailList = availableTrails.slice(0, 5).join(', '); // Show first 5 trails
-                    const message = availableTrails.length > 5 
-                        ? `@${username} Sorry! "${requestedTrail}" is not a valid trail. Available trails: ${trailList}... (and more)`
-                        : `@${username} Sorry! "${requestedTrail}" is not a valid trail. Available trails: ${trailList}`;
-                    
-                    await this.sendChatMessage(message);
+                    await this.sendMessage(availableTrails.length > 5 ? 'buytrail.invalid_more' : 'buytrail.invalid', {
+                        user: username,
+                        trail: requestedTrail,
+                        trails: trailList
+                    });
                     logger.info(`Buy trail redemption failed for ${username}: Invalid trail "${requestedTrail}"`);
                     return;
                 }
@@ -427,10 +514,10 @@ class TwitchService {
                     await this.trailService.setTrail(username, requestedTrail, twitchId);
                     await this.trailService.giveTrail(username, requestedTrail, twitchId);
                     
-                    await this.sendChatMessage(`@${username} Successfully bought the "${requestedTrail}" trail! 🎉`);
+                    await this.sendMessage('buytrail.success', { user: username, trail: requestedTrail });
                     logger.info(`Buy trail redemption successful for ${username}: ${requestedTrail}`);
                 } catch (error) {
-                    await this.sendChatMessage(`@${username} Error processing your trail purchase. Please try again.`);
+                    await this.sendMessage('buytrail.error', { user: username });
                     logger.error(`Buy trail redemption error for ${username}:`, error);
                 }
                 
@@ -443,14 +530,50 @@ class TwitchService {
         }
     }
 
+    // Only redemptions still waiting in the reward queue can be fulfilled or refunded later
+    isRefundableRedemption(event) {
+        return Boolean(event.id) && String(event.status || '').toLowerCase() === 'unfulfilled';
+    }
+
+    async trackGameRedemption(event, username, gameType, queueId) {
+        if (!this.isRefundableRedemption(event)) return;
+
+        try {
+            await RedemptionService.track({
+                redemptionId: event.id,
+                rewardId: event.rewardId,
+                player: username,
+                gameType,
+                queueId
+            });
+        } catch (error) {
+            logger.error(`Failed to track redemption ${event.id} for ${username}:`, error);
+        }
+    }
+
+    async refundGameRedemption(event, username, gameType, reason) {
+        if (!this.isRefundableRedemption(event)) return;
+
+        try {
+            await RedemptionService.track({ redemptionId: event.id, rewardId: event.rewardId, player: username, gameType });
+            const row = await RedemptionService.getRedemption(event.id);
+            if (row) {
+                await RedemptionService.refund(row, reason);
+            }
+        } catch (error) {
+            logger.error(`Failed to refund redemption ${event.id} for ${username}:`, error);
+        }
+    }
+
     async handleChannelFollowEvent(event) {
         try {
             logger.info(`[FOLLOW] ========== FOLLOW EVENT RECEIVED ==========`);
             logger.info(`[FOLLOW] Event data: ${JSON.stringify(event, null, 2)}`);
 
-            // Check if follow reward is enabled
-            logger.info(`[FOLLOW] FOLLOW_REWARD config: ${JSON.stringify(config.FOLLOW_REWARD)}`);
-            if (!config.FOLLOW_REWARD || !config.FOLLOW_REWARD.ENABLED) {
+            // Check if follow reward is enabled for this channel
+            const followReward = ChannelService.getSettings().FOLLOW_REWARD;
+            logger.info(`[FOLLOW] FOLLOW_REWARD config for ${ChannelService.current()}: ${JSON.stringify(followReward)}`);
+            if (!followReward || !followReward.ENABLED) {
                 logger.info('[FOLLOW] Follow reward is disabled in config, skipping reward but logging follow');
             }
 
@@ -460,7 +583,7 @@ class TwitchService {
             logger.info(`[FOLLOW] New follower: ${username} (ID: ${userId})`);
 
             // Always log the follow, even if rewards are disabled
-            if (!config.FOLLOW_REWARD || !config.FOLLOW_REWARD.ENABLED) {
+            if (!followReward || !followReward.ENABLED) {
                 return;
             }
 
@@ -476,10 +599,11 @@ class TwitchService {
             // Give them a free coneflip
             await this.gameService.addCone(username);
             logger.info(`[FOLLOW] Free coneflip given to new follower: ${username}`);
+            await CoinService.award(username, 'follow');
 
             // Send customizable chat message if enabled
-            if (config.FOLLOW_REWARD.CHAT_MESSAGE_ENABLED && config.FOLLOW_REWARD.CHAT_MESSAGE) {
-                const message = config.FOLLOW_REWARD.CHAT_MESSAGE.replace(/{user}/g, username);
+            if (followReward.CHAT_MESSAGE_ENABLED && followReward.CHAT_MESSAGE) {
+                const message = MessageService.render(followReward.CHAT_MESSAGE, { user: username });
                 await this.sendChatMessage(message);
                 logger.info(`[FOLLOW] Chat message sent for ${username}`);
             }
@@ -496,17 +620,24 @@ class TwitchService {
             const stats = await this.leaderboardService.getPlayer(targetUser);
             
             if (!stats || !stats.hasPlayed) {
-                await this.sendChatMessage(`@${username} ${targetUser} hasn't played any cone flips yet!`);
+                await this.sendMessage('stats.not_played', { user: username, target: targetUser });
                 return;
             }
             
             const winRate = Math.round(stats.winrate || 0);
-            await this.sendChatMessage(
-                `@${username} ${targetUser}'s cone stats: ${stats.wins} wins, ${stats.fails} fails, ${winRate}% win rate (Rank #${stats.rank} | ${stats.points} points) | View them here: ${config.BASE_URL}/u/${targetUser}`
-            );
+            await this.sendMessage('stats.player', {
+                user: username,
+                target: targetUser,
+                wins: stats.wins,
+                fails: stats.fails,
+                winrate: winRate,
+                rank: stats.rank,
+                points: stats.points,
+                url: this.pageUrl(`/u/${targetUser}`)
+            });
         } catch (error) {
             logger.error('Error in coneflip command:', error);
-            await this.sendChatMessage(`@${username} Error getting cone flip stats!`);
+            await this.sendMessage('stats.error', { user: username });
         }
     }
 
@@ -521,7 +652,7 @@ class TwitchService {
             logger.info(`Leaderboard displayed on stream triggered by ${username}`);
         } catch (error) {
             logger.error('Error in leaderboard command:', error);
-            await this.sendChatMessage(`@${username} Error showing leaderboard!`);
+            await this.sendMessage('leaderboard.error', { user: username });
         }
     }
 
@@ -529,13 +660,25 @@ class TwitchService {
         try {
             const stats = await this.leaderboardService.getStats();
             const avgWinRate = Math.round(stats.averageWinRate || 0);
+            const pity = await PityService.getPity(username);
+            const rating = await RatingService.getRating(username);
             
-            await this.sendChatMessage(
-                `@${username} Cone stats: ${stats.playerCount} players, ${stats.totalGamesPlayed} games played, ${avgWinRate}% average win rate | View them here: ${config.BASE_URL}/leaderboard-public`
-            );
+            await this.sendMessage('conestats.summary', {
+                user: username,
+                players: stats.playerCount,
+                games: stats.totalGamesPlayed,
+                winrate: avgWinRate,
+                covert: pity.tiers.covert.since,
+                covert_limit: (pity.enabled && pity.tiers.covert.hardLimit) || '-',
+                gold: pity.tiers.gold.since,
+                gold_limit: (pity.enabled && pity.tiers.gold.hardLimit) || '-',
+                rating: rating.rating,
+                rating_rank: rating.rank || '-',
+                url: this.pageUrl('/leaderboard-public')
+            });
         } catch (error) {
             logger.error('Error in conestats command:', error);
-            await this.sendChatMessage(`@${username} Error getting cone stats!`);
+            await this.sendMessage('conestats.error', { user: username });
         }
     }
 
@@ -546,24 +689,31 @@ class TwitchService {
             const inventory = await this.skinService.getUserInventory(targetUser);
             
             if (!currentSkin) {
-                await this.sendChatMessage(`@${username} ${targetUser} doesn't have any skins yet! `);
+                await this.sendMessage('myskins.none', { user: username, target: targetUser });
                 return;
             }
             
             const inventoryCount = inventory ? inventory.length : 0;
-            await this.sendChatMessage(
-                `@${username} ${targetUser}'s current skin: ${currentSkin} | View your inventory here: ${config.BASE_URL}/u/${targetUser}`
-            );
+            const statTrak = await StatTrakService.getSkinStats(targetUser, currentSkin);
+            await this.sendMessage('myskins.current', {
+                user: username,
+                target: targetUser,
+                skin: currentSkin,
+                wins: statTrak.wins,
+                flips: statTrak.flips,
+                upside_downs: statTrak.upsideDowns,
+                url: this.pageUrl(`/u/${targetUser}`)
+            });
         } catch (error) {
             logger.error('Error in myskins command:', error);
-            await this.sendChatMessage(`@${username} Error getting skin info!`);
+            await this.sendMessage('skininfo.error', { user: username });
         }
     }
 
     async handleSetSkinCommand(username, args) {
         try {
             if (args.length === 0) {
-                await this.sendChatMessage(`@${username} Usage: !setskin <skin_name>`);
+                await this.sendMessage('setskin.usage', { user: username });
                 return;
             }
             
@@ -573,7 +723,7 @@ class TwitchService {
             if (skinName === 'subcone') {
                 const subscriptionTier = await this.isSubscriber(username);
                 if (subscriptionTier === 0) {
-                    await this.sendChatMessage(`@${username} You need to be subscribed to use the subcone skin!`);
+                    await this.sendMessage('setskin.sub_only', { user: username });
                     return;
                 }
             }
@@ -588,26 +738,24 @@ class TwitchService {
             });
             
             if (!hasSkin && skinName !== 'default') {
-                await this.sendChatMessage(`@${username} You don't own the "${skinName}" skin!`);
+                await this.sendMessage('setskin.not_owned', { user: username, skin: skinName });
                 return;
             }
             
             await this.skinService.setSkin(username, skinName);
-            await this.sendChatMessage(`@${username} Skin changed to "${skinName}"!`);
+            await this.sendMessage('setskin.changed', { user: username, skin: skinName });
         } catch (error) {
             logger.error('Error in setskin command:', error);
-            await this.sendChatMessage(`@${username} Error setting skin!`);
+            await this.sendMessage('setskin.error', { user: username });
         }
     }
 
     async handleConeSkinsCommand(username) {
         try {
-            await this.sendChatMessage(
-                `@${username} View all available skins and drop rates: ${config.BASE_URL}/skins`
-            );
+            await this.sendMessage('coneskins.link', { user: username, url: this.pageUrl('/skins') });
         } catch (error) {
             logger.error('Error in coneskins command:', error);
-            await this.sendChatMessage(`@${username} Error getting skin info!`);
+            await this.sendMessage('skininfo.error', { user: username });
         }
     }
 
@@ -616,12 +764,10 @@ class TwitchService {
             const currentState = await this.skinService.getShuffleEnabled(username);
             const newState = !currentState;
             await this.skinService.setShuffleEnabled(username, newState);
-            await this.sendChatMessage(
-                `@${username} Skin shuffle ${newState ? 'enabled' : 'disabled'}!`
-            );
+            await this.sendMessage(newState ? 'coneshuffle.enabled' : 'coneshuffle.disabled', { user: username });
         } catch (error) {
             logger.error('Error in coneshuffle command:', error);
-            await this.sendChatMessage(`@${username} Error toggling skin shuffle!`);
+            await this.sendMessage('coneshuffle.error', { user: username });
         }
     }
 
@@ -638,29 +784,392 @@ class TwitchService {
             }
             
             if (!contestData.enabled) {
-                await this.sendChatMessage(`@${username} No contest is currently active. Check back later!`);
+                await this.sendMessage('contest.inactive', { user: username });
                 return;
             }
             
-            const prizeText = contestData.prize ? ` | Prize: ${contestData.prize}` : '';
-            await this.sendChatMessage(
-                `@${username} Contest is LIVE! Submit your cone skins and vote for winners: ${config.BASE_URL}/contest${prizeText}`
-            );
+            await this.sendMessage(contestData.prize ? 'contest.live_prize' : 'contest.live', {
+                user: username,
+                url: this.pageUrl('/contest'),
+                prize: contestData.prize
+            });
         } catch (error) {
             logger.error('Error in contest command:', error);
-            await this.sendChatMessage(`@${username} Error getting contest info!`);
+            await this.sendMessage('contest.error', { user: username });
+        }
+    }
+
+    async handleCoinsCommand(username, args) {
+        try {
+            const target = args.length > 0 ? this.parseUsername(args[0]) : username;
+            const coins = await CoinService.getBalance(target);
+            await this.sendMessage('coins.balance', { user: username, target, coins });
+        } catch (error) {
+            logger.error('Error in coins command:', error);
+            await this.sendMessage('coins.error', { user: username });
+        }
+    }
+
+    /**
+     * Buy a skin with cone coins, a close but inexact name only gets a suggestion
+     * @param {string} username - Buyer
+     * @param {string} userId - Buyer's Twitch id
+     * @param {string[]} args - Skin name words
+     */
+    async handleBuyCommand(username, userId, args) {
+        try {
+            if (args.length === 0) {
+                await this.sendMessage('buy.usage', { user: username });
+                return;
+            }
+
+            const input = args.join(' ');
+            const result = this.skinService.findClosestSkin(input, { buyableOnly: true });
+            if (!result) {
+                await this.sendMessage('buy.not_found', { user: username, input, url: this.pageUrl('/skins-all') });
+                return;
+            }
+
+            const skin = result.match;
+            const price = CoinService.getPrice(skin);
+            if (price <= 0) {
+                await this.sendMessage('buy.not_for_sale', { user: username, skin });
+                return;
+            }
+            if (!result.exact) {
+                await this.sendMessage('buy.suggest', { user: username, skin, price });
+                return;
+            }
+
+            const coins = await CoinService.getBalance(username);
+            if (coins < price) {
+                await this.sendMessage('buy.too_poor', { user: username, skin, price, coins });
+                return;
+            }
+
+            const purchase = await CoinService.buySkin(username, skin, userId || null);
+            await this.sendMessage('buy.success', { user: username, skin, price, coins: purchase.balance });
+        } catch (error) {
+            logger.error('Error in buy command:', error);
+            await this.sendMessage('buy.error', { user: username });
+        }
+    }
+
+    /**
+     * Offer a skin swap, or answer one: !trade @user <your skin> for <their skin>,
+     * !trade accept [@user], !trade decline [@user], !trade cancel
+     * @param {string} username - Viewer typing the command
+     * @param {string[]} args - Command arguments
+     */
+    async handleTradeCommand(username, args) {
+        try {
+            const action = (args[0] || '').toLowerCase();
+            if (action === 'accept' || action === 'decline') {
+                await this.answerTrade(username, action, args[1]);
+                return;
+            }
+            if (action === 'cancel') {
+                await this.cancelTrade(username);
+                return;
+            }
+
+            if (args.length !== 4 || args[2].toLowerCase() !== 'for') {
+                await this.sendMessage('trade.usage', { user: username });
+                return;
+            }
+
+            const from = username.toLowerCase();
+            const target = this.parseUsername(args[0]);
+            const offer = { input: args[1], name: TradeService.resolveSkin(args[1]) };
+            const request = { input: args[3], name: TradeService.resolveSkin(args[3]) };
+
+            await TradeService.expireStale();
+            const problem = await TradeService.checkOffer(from, target, offer, request);
+            if (problem) {
+                await this.sendMessage(`trade.${problem.reason}`, { user: username, target, ...problem });
+                return;
+            }
+
+            const trade = await TradeService.propose(from, target, offer.name, request.name);
+            await this.sendMessage('trade.offer', {
+                user: username,
+                target,
+                offer: trade.offer_skin,
+                request: trade.request_skin,
+                minutes: Math.round(TradeService.offerTimeout / 60000)
+            });
+        } catch (error) {
+            logger.error('Error in trade command:', error);
+            await this.sendMessage('trade.error', { user: username });
         }
     }
 
+    async answerTrade(username, action, fromInput) {
+        const { incoming } = await TradeService.getOpenTrades(username);
+        const from = fromInput ? this.parseUsername(fromInput) : null;
+        const offers = from ? incoming.filter(trade => trade.from_player === from) : incoming;
+
+        if (offers.length === 0) {
+            await this.sendMessage('trade.no_offer', { user: username });
+            return;
+        }
+        if (offers.length > 1) {
+            await this.sendMessage('trade.pick', { user: username, players: offers.map(trade => trade.from_player).join(', ') });
+            return;
+        }
+
+        const offer = offers[0];
+        if (action === 'decline') {
+            await TradeService.decline(username, offer.id);
+            await this.sendMessage('trade.declined', { user: offer.from_player, target: username });
+            return;
+        }
+
+        try {
+            const trade = await TradeService.accept(username, offer.id);
+            await this.sendMessage('trade.completed', {
+                user: trade.from_player,
+                target: trade.to_player,
+                offer: trade.offer_skin,
+                request: trade.request_skin
+            });
+        } catch (error) {
+            if (error.statusCode !== 400) throw error;
+            await this.sendMessage('trade.failed', { user: username, target: offer.from_player });
+        }
+    }
+
+    async cancelTrade(username) {
+        const { outgoing } = await TradeService.getOpenTrades(username);
+        if (outgoing.length === 0) {
+            await this.sendMessage('trade.no_offer', { user: username });
+            return;
+        }
+
+        const trade = await TradeService.cancel(username, outgoing[0].id);
+        await this.sendMessage('trade.cancelled', { user: username, target: trade.to_player });
+    }
+
+    /**
+     * Trade-up contract: !tradeup lists spare duplicates per grade, !tradeup <grade> turns them in.
+     * The reward is announced by the unbox animation, not here
+     * @param {string} username - Viewer typing the command
+     * @param {string} userId - Viewer's Twitch id
+     * @param {string[]} args - [grade]
+     */
+    async handleTradeUpCommand(username, userId, args) {
+        try {
+            const url = this.pageUrl('/skins-all#tradeup');
+            if (args.length === 0) {
+                const contracts = await TradeUpService.getSpares(username);
+                await this.sendMessage('tradeup.status', {
+                    user: username,
+                    spares: contracts.map(contract => `${contract.tier} ${contract.spares}/${contract.required}`).join(', '),
+                    count: TradeUpService.size,
+                    url
+                });
+                return;
+            }
+
+            const tier = TradeUpService.normalizeTier(args.join(' '));
+            if (!tier) {
+                await this.sendMessage('tradeup.usage', { user: username, count: TradeUpService.size, url });
+                return;
+            }
+            if (!TradeUpService.nextTier(tier)) {
+                await this.sendMessage('tradeup.top_tier', { user: username, tier });
+                return;
+            }
+
+            const contract = (await TradeUpService.getSpares(username)).find(item => item.tier === tier);
+            if (contract.spares < contract.required) {
+                await this.sendMessage('tradeup.not_enough', { user: username, tier, count: contract.required, spares: contract.spares });
+                return;
+            }
+
+            await TradeUpService.tradeUp(username, tier, userId);
+        } catch (error) {
+            logger.error('Error in tradeup command:', error);
+            await this.sendMessage('tradeup.error', { user: username });
+        }
+    }
+
+    /**
+     * Challenge another viewer to a duel, it starts once they !accept
+     * @param {string} username - Challenger
+     * @param {string[]} args - [@target, wager, points|coins]
+     */
+    async handleDuelCommand(username, args) {
+        try {
+            if (args.length < 1) {
+                await this.sendMessage('duel.usage', { user: username });
+                return;
+            }
+
+            const target = this.parseUsername(args[0]);
+            if (target.length > 25) {
+                await this.sendMessage('duel.target_too_long', { user: username });
+                return;
+            }
+            if (target === username.toLowerCase()) {
+                await this.sendMessage('duel.self', { user: username });
+                return;
+            }
+
+            let wager = null;
+            if (args.length > 1) {
+                try {
+                    wager = WagerService.validate(args[1], args[2]);
+                } catch (error) {
+                    await this.sendMessage('duel.invalid_wager', { user: username });
+                    return;
+                }
+            }
+
+            // One open challenge per viewer in each direction keeps !accept unambiguous
+            const targetKey = this.pendingKey(target);
+            if (this.pendingDuels.has(targetKey)) {
+                await this.sendMessage('duel.target_busy', { user: username, target });
+                return;
+            }
+            const outgoing = this.findChallengeBy(username);
+            if (outgoing) {
+                await this.sendMessage('duel.already_challenging', { user: username, target: outgoing.target });
+                return;
+            }
+
+            if (wager && !await this.checkWagerFunds(username, [username, target], wager)) {
+                return;
+            }
+
+            const challenge = { challenger: username, target, wager, timestamp: Date.now() };
+            challenge.timer = setTimeout(async () => {
+                if (this.pendingDuels.get(targetKey) !== challenge) return;
+                this.pendingDuels.delete(targetKey);
+                logger.info(`Duel challenge from ${username} to ${target} expired`);
+                await this.sendMessage('duel.challenge_expired', { user: username, target });
+            }, DUEL_CHALLENGE_TIMEOUT);
+            this.pendingDuels.set(targetKey, challenge);
+
+            logger.info(`Duel challenge: ${username} challenged ${target}`, { wager });
+            await this.sendMessage(wager ? 'duel.challenge_wager' : 'duel.challenge', {
+                user: username,
+                target,
+                wager: wager ? wager.amount : 0,
+                currency: wager ? this.currencyName(wager.currency) : '',
+                seconds: DUEL_CHALLENGE_TIMEOUT / 1000
+            });
+        } catch (error) {
+            logger.error('Error in duel command:', error);
+            await this.sendMessage('duel.error', { user: username });
+        }
+    }
+
+    findChallengeBy(username) {
+        const prefix = `${ChannelService.current()}:`;
+        for (const [key, challenge] of this.pendingDuels) {
+            if (key.startsWith(prefix) && challenge.challenger === username) {
+                return challenge;
+            }
+        }
+        return null;
+    }
+
+    // Remove and return the challenge waiting on this viewer, if any
+    takeChallenge(username) {
+        const key = this.pendingKey(username);
+        const challenge = this.pendingDuels.get(key);
+        if (!challenge) return null;
+
+        clearTimeout(challenge.timer);
+        this.pendingDuels.delete(key);
+        return challenge;
+    }
+
+    async handleAcceptDuelCommand(username) {
+        const challenge = this.takeChallenge(username);
+        if (!challenge) {
+            await this.sendMessage('duel.no_challenge', { user: username });
+            return;
+        }
+
+        try {
+            const { challenger, target, wager } = challenge;
+            // Balances may have changed since the challenge, escrow still rejects a stake that can't be paid
+            if (wager && !await this.checkWagerFunds(username, [challenger, target], wager)) {
+                return;
+            }
+
+            await this.gameService.addDuel(challenger, target, wager);
+            logger.info(`Duel accepted: ${challenger} vs ${target}`, { wager });
+            if (wager) {
+                await this.sendMessage('duel.accepted_wager', {
+                    user: challenger,
+                    target,
+                    wager: wager.amount,
+                    currency: this.currencyName(wager.currency)
+                });
+            } else {
+                await this.sendMessage('duel.accepted', { user: challenger, target });
+            }
+        } catch (error) {
+            logger.error('Error starting accepted duel:', error);
+            await this.sendMessage('duel.error', { user: username });
+        }
+    }
+
+    // Tell chat who can't cover a wager, returns true when both players can
+    async checkWagerFunds(username, players, wager) {
+        const shortfall = await WagerService.findShortfall(players, wager);
+        if (!shortfall) return true;
+
+        await this.sendMessage('duel.cant_afford', {
+            user: username,
+            player: shortfall.player,
+            balance: shortfall.balance,
+            wager: wager.amount,
+            currency: this.currencyName(wager.currency)
+        });
+        return false;
+    }
+
+    currencyName(currency) {
+        return MessageService.format(`duel.currency_${currency}`);
+    }
+
+    /**
+     * Announce the pot a duel winner took home
+     * @param {Object} payout - { winner, loser, pot, currency } from WagerService.settle
+     */
+    async announceWagerPayout(payout) {
+        await this.sendMessage('duel.wager_won', {
+            winner: payout.winner,
+            loser: payout.loser,
+            pot: payout.pot,
+            currency: this.currencyName(payout.currency)
+        });
+    }
+
+    async handleDeclineDuelCommand(username) {
+        const challenge = this.takeChallenge(username);
+        if (!challenge) {
+            await this.sendMessage('duel.no_challenge', { user: username });
+            return;
+        }
+
+        logger.info(`Duel declined: ${challenge.target} declined ${challenge.challenger}`);
+        await this.sendMessage('duel.declined', { user: challenge.challenger, target: challenge.target });
+    }
+
     async handleSetTrailCommand(username, args) {
         try {
             if (!this.trailService) {
-                await this.sendChatMessage(`@${username} Trail system is not available!`);
+                await this.sendMessage('trail.unavailable', { user: username });
                 return;
             }
 
             if (args.length === 0) {
-                await this.sendChatMessage(`@${username} Usage: !settrail <trail_name>`);
+                await this.sendMessage('settrail.usage', { user: username });
                 return;
             }
             
@@ -668,14 +1177,14 @@ class TwitchService {
             
             // Validate trail exists
             if (!this.trailService.isValidTrail(trailName)) {
-                await this.sendChatMessage(`@${username} Invalid trail: ${trailName}`);
+                await this.sendMessage('trail.invalid', { user: username, trail: trailName });
                 return;
             }
             
             // Default trail is always available
             if (trailName === 'default') {
                 await this.trailService.setTrail(username, trailName);
-                await this.sendChatMessage(`@${username} Trail changed to "${trailName}"!`);
+                await this.sendMessage('settrail.changed', { user: username, trail: trailName });
                 return;
             }
             
@@ -690,27 +1199,27 @@ class TwitchService {
             });
             
             if (!hasTrail) {
-                await this.sendChatMessage(`@${username} You don't own the "${trailName}" trail! Use !givetrail to get trails.`);
+                await this.sendMessage('settrail.not_owned', { user: username, trail: trailName });
                 return;
             }
             
             await this.trailService.setTrail(username, trailName);
-            await this.sendChatMessage(`@${username} Trail changed to "${trailName}"!`);
+            await this.sendMessage('settrail.changed', { user: username, trail: trailName });
         } catch (error) {
             logger.error('Error in settrail command:', error);
-            await this.sendChatMessage(`@${username} Error setting trail!`);
+            await this.sendMessage('settrail.error', { user: username });
         }
     }
 
     async handleGiveTrailCommand(username, args) {
         try {
             if (!this.trailService) {
-                await this.sendChatMessage(`@${username} Trail system is not available!`);
+                await this.sendMessage('trail.unavailable', { user: username });
                 return;
             }
 
             if (args.length < 2) {
-                await this.sendChatMessage(`@${username} Usage: !givetrail <player> <trail_name>`);
+                await this.sendMessage('givetrail.usage', { user: username });
                 return;
             }
             
@@ -721,15 +1230,15 @@ class TwitchService {
 
             if (!this.trailService.isValidTrail(trailName)) {
                 logger.debug(`Invalid trail requested: "${trailName}"`);
-                await this.sendChatMessage(`@${username} Invalid trail: ${trailName}`);
+                await this.sendMessage('trail.invalid', { user: username, trail: trailName });
                 return;
             }
             
             await this.trailService.giveTrail(targetPlayer, trailName);
-            await this.sendChatMessage(`@${username} Gave ${trailName} trail to ${targetPlayer}!`);
+            await this.sendMessage('givetrail.success', { user: username, trail: trailName, target: targetPlayer });
         } catch (error) {
             logger.error('Error in givetrail command:', error);
-            await this.sendChatMessage(`@${username} Error giving trail!`);
+            await this.sendMessage('givetrail.error', { user: username });
         }
     }
 
@@ -737,7 +1246,7 @@ class TwitchService {
     async handleGiveSkinCommand(username, args) {
         try {
             if (args.length < 2) {
-                await this.sendChatMessage(`@${username} Usage: !giveskin <username> <skin_name>`);
+                await this.sendMessage('giveskin.usage', { user: username });
                 return;
             }
             
@@ -748,33 +1257,33 @@ class TwitchService {
             await this.skinService.setSkin(targetUser, skinName, twitchId);
             await this.skinService.addSkinToInventory(targetUser, skinName, twitchId, 1);
             
-            await this.sendChatMessage(`@${username} Gave ${skinName} skin to ${targetUser}!`);
+            await this.sendMessage('giveskin.success', { user: username, skin: skinName, target: targetUser });
         } catch (error) {
             logger.error('Error in giveskin command:', error);
-            await this.sendChatMessage(`@${username} Error giving skin!`);
+            await this.sendMessage('giveskin.error', { user: username });
         }
     }
 
     async handleSimConeCommand(username, args) {
         try {
             if (args.length === 0) {
-                await this.sendChatMessage(`@${username} Usage: !simcone <username>`);
+                await this.sendMessage('simcone.usage', { user: username });
                 return;
             }
             
             const targetUser = this.parseUsername(args[0]);
             await this.gameService.addCone(targetUser);
-            await this.sendChatMessage(`@${username} Simulated cone flip for ${targetUser}!`);
+            await this.sendMessage('simcone.success', { user: username, target: targetUser });
         } catch (error) {
             logger.error('Error in simcone command:', error);
-            await this.sendChatMessage(`@${username} Error simulating cone!`);
+            await this.sendMessage('simcone.error', { user: username });
         }
     }
 
     async handleSimDuelCommand(username, args) {
         try {
             if (args.length < 1) {
-                await this.sendChatMessage(`@${username} Usage: !simduel <username> [target]`);
+                await this.sendMessage('simduel.usage', { user: username });
                 return;
             }
 
@@ -783,29 +1292,29 @@ class TwitchService {
 
             // Validate name lengths (Twitch usernames are max 25 chars)
             if (player1.length > 25) {
-                await this.sendChatMessage(`@${username} Player name is too long! Twitch usernames can only be up to 25 characters.`);
+                await this.sendMessage('simduel.player_too_long', { user: username });
                 return;
             }
             if (player2.length > 25) {
-                await this.sendChatMessage(`@${username} Target name is too long! Twitch usernames can only be up to 25 characters.`);
+                await this.sendMessage('simduel.target_too_long', { user: username });
                 return;
             }
 
             await this.gameService.addDuel(player1, player2);
-            await this.sendChatMessage(`@${username} Simulated duel: ${player1} vs ${player2}!`);
+            await this.sendMessage('simduel.success', { user: username, player1, player2 });
         } catch (error) {
             logger.error('Error in simduel command:', error);
-            await this.sendChatMessage(`@${username} Error simulating duel!`);
+            await this.sendMessage('simduel.error', { user: username });
         }
     }
 
     async handleRefreshConesCommand(username) {
         try {
             await this.gameService.restart();
-            await this.sendChatMessage(`@${username} Cones refreshed! All ongoing games stopped.`);
+            await this.sendMessage('refreshcones.success', { user: username });
         } catch (error) {
             logger.error('Error in refreshcones command:', error);
-            await this.sendChatMessage(`@${username} Error refreshing cones!`);
+            await this.sendMessage('refreshcones.error', { user: username });
         }
     }
 
@@ -817,17 +1326,17 @@ class TwitchService {
                     this.gameService.addCone(`ConestuckUser${i + 1}`);
                 }, i * 500);
             }
-            await this.sendChatMessage(`@${username} CONESTUCK EVENT ACTIVATED! 🌪️`);
+            await this.sendMessage('conestuck.success', { user: username });
         } catch (error) {
             logger.error('Error in conestuck command:', error);
-            await this.sendChatMessage(`@${username} Error triggering conestuck!`);
+            await this.sendMessage('conestuck.error', { user: username });
         }
     }
 
     async handleBombDrippycatCommand(username, channel) {
         try {
             logger.info(`Executing !bombdrippycat command for ${username} in ${channel}`);
-            await this.sendChatMessageToChannel(channel, `Drippycat has been notified.`);
+            await this.sendChatMessageToChannel(channel, MessageService.format('bombdrippycat.notified', {}, channel));
         } catch (error) {
             logger.error('Error in bombdrippycat command:', error);
         }
@@ -844,10 +1353,10 @@ class TwitchService {
 
         if (!result) {
             // No match at all - send link to skins page and ask to try again
-            const skinsUrl = `${config.BASE_URL}skins`;
-            await this.sendChatMessage(`@${username} Couldn't find a buyable cone matching "${input}". Browse all cones here: ${skinsUrl} - then type the name in chat!`);
+            const skinsUrl = this.pageUrl('/skins');
+            await this.sendMessage('buycone.not_found', { user: username, input, url: skinsUrl });
             // Keep pending open for retry but don't reset (preserves single-purchase limit)
-            const pending = this.pendingBuyCone.get(username);
+            const pending = this.pendingBuyCone.get(this.pendingKey(username));
             if (pending) {
                 pending.skin = null;
                 pending.timestamp = Date.now();
@@ -857,12 +1366,12 @@ class TwitchService {
 
         if (result.exact) {
             // Exact match - give it directly and clear pending (one purchase per redeem)
-            this.pendingBuyCone.delete(username);
+            this.pendingBuyCone.delete(this.pendingKey(username));
             await this._giveBuyConeSkin(username, result.match);
         } else {
             // Partial match - ask for confirmation
-            await this.sendChatMessage(`@${username} Did you mean "${result.match}"? Type yes or no in chat!`);
-            const pending = this.pendingBuyCone.get(username);
+            await this.sendMessage('buycone.confirm', { user: username, skin: result.match });
+            const pending = this.pendingBuyCone.get(this.pendingKey(username));
             if (pending) {
                 pending.skin = result.match;
                 pending.timestamp = Date.now();
@@ -871,12 +1380,12 @@ class TwitchService {
     }
 
     async _handleBuyConeResponse(username, tags, message) {
-        const pending = this.pendingBuyCone.get(username);
+        const pending = this.pendingBuyCone.get(this.pendingKey(username));
         if (!pending) return;
 
         // Check if expired (60 seconds)
         if (Date.now() - pending.timestamp > 60000) {
-            this.pendingBuyCone.delete(username);
+            this.pendingBuyCone.delete(this.pendingKey(username));
             return;
         }
 
@@ -886,11 +1395,11 @@ class TwitchService {
             // We asked "did you mean X?" - waiting for yes/no
             if (lower === 'yes' || lower === 'y') {
                 // Clear pending BEFORE giving skin (one purchase per redeem)
-                this.pendingBuyCone.delete(username);
+                this.pendingBuyCone.delete(this.pendingKey(username));
                 await this._giveBuyConeSkin(username, pending.skin);
             } else if (lower === 'no' || lower === 'n') {
-                const skinsUrl = `${config.BASE_URL}/skins-all`;
-                await this.sendChatMessage(`@${username} No problem! Browse all cones here: ${skinsUrl} - then type the name in chat!`);
+                const skinsUrl = this.pageUrl('/skins-all');
+                await this.sendMessage('buycone.declined', { user: username, url: skinsUrl });
                 pending.skin = null;
                 pending.timestamp = Date.now();
             }
@@ -906,10 +1415,10 @@ class TwitchService {
             const twitchId = await this.getTwitchId(username);
             await this.skinService.setSkin(username, skinName, twitchId);
             await this.skinService.addSkinToInventory(username, skinName, twitchId, 1);
-            await this.sendChatMessage(`@${username} Successfully bought the "${skinName}" cone skin!`);
+            await this.sendMessage('buycone.success', { user: username, skin: skinName });
             logger.info(`Buy cone redemption successful for ${username}: ${skinName}`);
         } catch (error) {
-            await this.sendChatMessage(`@${username} Error processing your cone purchase. Please try again.`);
+            await this.sendMessage('buycone.error', { user: username });
             logger.error(`Buy cone redemption error for ${username}:`, error);
         }
     }
@@ -921,8 +1430,10 @@ class TwitchService {
                 return false;
             }
 
-            logger.info(`Sending chat message to ${config.TWITCH.CHANNEL}: ${message.substring(0, 50)}...`);
-            await this.chatClient.say(config.TWITCH.CHANNEL, message);
+            // Replies go to the channel the command, redemption or game came from
+            const channel = ChannelService.current();
+            logger.info(`Sending chat message to ${channel}: ${message.substring(0, 50)}...`);
+            await this.chatClient.say(channel, message);
             logger.info(`Chat message sent successfully`);
             return true;
         } catch (error) {
@@ -931,6 +1442,15 @@ class TwitchService {
         }
     }
 
+    /**
+     * Send a message from the chat message catalog, in the channel's locale
+     * @param {string} key - Catalog key, e.g. 'setskin.changed'
+     * @param {Object} params - Placeholder values, e.g. { user, skin }
+     */
+    async sendMessage(key, params = {}) {
+        return this.sendChatMessage(MessageService.format(key, params));
+    }
+
     async sendChatMessageToChannel(channel, message) {
         try {
             if (!this.isConnected || !this.chatClient) {
@@ -997,7 +1517,8 @@ class TwitchService {
      */
     async isSubscriber(username) {
         try {
-            if (!config.TWITCH.CLIENT_ID || !config.TWITCH.STREAMER_ACCESS_TOKEN || !config.TWITCH.USER_ID) {
+            const twitch = ChannelService.getTwitchConfig();
+            if (!twitch.CLIENT_ID || !twitch.STREAMER_ACCESS_TOKEN || !twitch.USER_ID) {
                 logger.debug('Twitch API credentials not available for subscription check');
                 return 0;
             }
@@ -1010,12 +1531,12 @@ class TwitchService {
 
             const response = await axios.get('https://api.twitch.tv/helix/subscriptions', {
                 headers: {
-                    'Client-ID': config.TWITCH.CLIENT_ID,
-                    'Authorization': `Bearer ${config.TWITCH.STREAMER_ACCESS_TOKEN}`,
+                    'Client-ID': twitch.CLIENT_ID,
+                    'Authorization': `Bearer ${twitch.STREAMER_ACCESS_TOKEN}`,
                     'Accept': 'application/json'
                 },
                 params: {
-                    broadcaster_id: config.TWITCH.USER_ID,
+                    broadcaster_id: twitch.USER_ID,
                     user_id: userId,
                 },
             });
@@ -1384,12 +1905,10 @@ class TwitchService {
                 this.chatClient = null;
             }
             
-            if (this.eventSubClient) {
-                await this.eventSubClient.stop();
-                this.eventSubClient = null;
+            for (const channel of Array.from(this.eventSubClients.keys())) {
+                await this.disconnectEventSub(channel);
             }
             
-            this.apiClient = null;
             this.isConnected = false;
             this.initialized = false;
             
@@ -1408,7 +1927,8 @@ class TwitchService {
         return {
             initialized: this.initialized,
             chatConnected: this.isConnected,
-            eventSubConnected: !!(this.eventSubClient),
+            eventSubConnected: this.eventSubClients.size > 0,
+            eventSubChannels: Array.from(this.eventSubClients.keys()),
             hasServices: !!(this.gameService && this.leaderboardService && this.skinService)
         };
     }
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const DatabaseService = require('./databaseService');
+const ChannelService = require('./channelService');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Every unbox is rolled from a secret server seed whose SHA-256 hash is public before any roll
+// uses it. Roll n of a seed takes its numbers from HMAC-SHA256(seed, "<clientSeed>:<nonce>:<n>"),
+// the client seed being the channel point redemption id (or the player name). Once the seed is
+// rotated it is revealed, and anyone can redo the rolls to check they match the log.
+class UnboxLogService {
+    async initialize() {
+        for (const channel of ChannelService.list()) {
+            await ChannelService.run(channel, () => this.getActiveSeed());
+        }
+
+        logger.info('UnboxLogService initialized');
+    }
+
+    query(method, sql, params = []) {
+        return DatabaseService.execute(DatabaseService.getSkinsDb(), method, sql, params);
+    }
+
+    hashSeed(seed) {
+        return crypto.createHash('sha256').update(seed).digest('hex');
+    }
+
+    // The seed rolls are drawn from, a new one is made if there is none
+    async getActiveSeed() {
+        const seed = await this.query('get', 'SELECT * FROM unbox_seeds WHERE revealed_at IS NULL ORDER BY id DESC LIMIT 1');
+        if (seed) return seed;
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        const result = await this.query('run', 'INSERT INTO unbox_seeds (seed, seed_hash) VALUES (?, ?)', [secret, this.hashSeed(secret)]);
+        logger.info(`New unbox server seed #${result.lastID} for ${ChannelService.current()}`);
+        return this.query('get', 'SELECT * FROM unbox_seeds WHERE id = ?', [result.lastID]);
+    }
+
+    /**
+     * Number n of a roll, between 0 and 1
+     * @param {string} seed - Server seed
+     * @param {string} clientSeed - Redemption id or player name
+     * @param {number} nonce - Roll number on this server seed
+     * @param {number} index - Which number of the roll
+     */
+    rollNumber(seed, clientSeed, nonce, index) {
+        const hmac = crypto.createHmac('sha256', seed).update(`${clientSeed}:${nonce}:${index}`).digest();
+        return hmac.readUInt32BE(0) / 0x100000000;
+    }
+
+    /**
+     * Start a roll, its random() hands out the numbers for SkinService to use in place of Math.random
+     * @param {string} player - Player unboxing
+     * @param {string} clientSeed - Redemption id, the player name if there is none
+     * @returns {Promise<Object>} { seedId, seedHash, clientSeed, nonce, numbers, random }
+     */
+    async startRoll(player, clientSeed = null) {
+        const seed = await this.getActiveSeed();
+        // One statement, so two unboxes at once never share a nonce
+        const { rolls: nonce } = await this.query('get',
+            'UPDATE unbox_seeds SET rolls = rolls + 1 WHERE id = ? RETURNING rolls',
+            [seed.id]
+        );
+
+        const roll = {
+            seedId: seed.id,
+            seedHash: seed.seed_hash,
+            clientSeed: String(clientSeed || player.toLowerCase()),
+            nonce,
+            numbers: []
+        };
+        roll.random = () => {
+            const number = this.rollNumber(seed.seed, roll.clientSeed, roll.nonce, roll.numbers.length);
+            roll.numbers.push(number);
+            return number;
+        };
+        return roll;
+    }
+
+    /**
+     * Store a finished roll
+     * @param {Object} roll - From startRoll()
+     * @param {Object} result - { player, caseId, tierOdds, tier, reward }, reward is the skin or trail won
+     */
+    async record(roll, { player, caseId = null, tierOdds, tier, reward }) {
+        try {
+            const result = await this.query('run', `
+                INSERT INTO unbox_log (player, channel, case_id, seed_id, client_seed, nonce, rolls, tier_odds, tier, reward)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                player.toLowerCase(),
+                ChannelService.current(),
+                caseId,
+                roll.seedId,
+                roll.clientSeed,
+                roll.nonce,
+                JSON.stringify(roll.numbers),
+                JSON.stringify(tierOdds),
+                tier,
+                reward
+            ]);
+            return result.lastID;
+        } catch (error) {
+            // A lost log line must not take the viewer's skin with it
+            logger.error(`Failed to log unbox for ${player}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Logged unboxes, newest first, with the server seed once it is revealed
+     * @param {Object} options - { player, page, limit }
+     * @returns {Promise<Object>} { entries, pagination }
+     */
+    async getHistory({ player = null, page = 1, limit = 20 } = {}) {
+        page = Math.max(parseInt(page) || 1, 1);
+        limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const where = player ? 'WHERE l.player = ?' : '';
+        const params = player ? [player.toLowerCase()] : [];
+        const rows = await this.query('all', `
+            SELECT l.*, s.seed_hash, s.seed, s.revealed_at FROM unbox_log l
+            JOIN unbox_seeds s ON s.id = l.seed_id
+            ${where}
+            ORDER BY l.id DESC LIMIT ? OFFSET ?
+        `, [...params, limit + 1, (page - 1) * limit]);
+
+        return {
+            entries: rows.slice(0, limit).map(row => this.formatEntry(row)),
+            pagination: { page, limit, hasNext: rows.length > limit }
+        };
+    }
+
+    formatEntry(row) {
+        return {
+            id: row.id,
+            player: row.player,
+            caseId: row.case_id || 'default',
+            tier: row.tier,
+            reward: row.reward,
+            clientSeed: row.client_seed,
+            nonce: row.nonce,
+            rolls: JSON.parse(row.rolls),
+            tierOdds: JSON.parse(row.tier_odds),
+            serverSeedId: row.seed_id,
+            serverSeedHash: row.seed_hash,
+            serverSeed: row.revealed_at ? row.seed : null,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Redo a logged roll from its revealed seed
+     * @param {number} id - unbox_log id
+     * @returns {Promise<Object>} { entry, verifiable, hashMatches, rollsMatch, tier, tierMatches }
+     */
+    async verify(id) {
+        const row = await this.query('get', `
+            SELECT l.*, s.seed_hash, s.seed, s.revealed_at FROM unbox_log l
+            JOIN unbox_seeds s ON s.id = l.seed_id
+            WHERE l.id = ?
+        `, [id]);
+        if (!row) {
+            throw new NotFoundError(`Unbox #${id} not found`);
+        }
+
+        const entry = this.formatEntry(row);
+        if (!entry.serverSeed) {
+            return { entry, verifiable: false };
+        }
+
+        const rolls = entry.rolls.map((_, index) => this.rollNumber(entry.serverSeed, entry.clientSeed, entry.nonce, index));
+        // The first number picks the tier, the same way SkinService.selectRandomSkinWithTiers does
+        const tierRoll = rolls[0] * 100;
+        let cumulative = 0;
+        let tier = null;
+        for (const [name, odds] of Object.entries(entry.tierOdds)) {
+            cumulative += odds;
+            if (tierRoll <= cumulative) {
+                tier = name;
+                break;
+            }
+        }
+
+        return {
+            entry,
+            verifiable: true,
+            hashMatches: this.hashSeed(entry.serverSeed) === entry.serverSeedHash,
+            rollsMatch: rolls.every((number, index) => number === entry.rolls[index]),
+            tier,
+            tierMatches: tier === entry.tier
+        };
+    }
+
+    // Current seed hash and the seeds already revealed
+    async getSeeds() {
+        const [active, revealed] = await Promise.all([
+            this.getActiveSeed(),
+            this.query('all', 'SELECT id, seed, seed_hash, rolls, created_at, revealed_at FROM unbox_seeds WHERE revealed_at IS NOT NULL ORDER BY id DESC LIMIT 20')
+        ]);
+
+        return {
+            active: { id: active.id, seedHash: active.seed_hash, rolls: active.rolls, createdAt: active.created_at },
+            revealed: revealed.map(seed => ({
+                id: seed.id,
+                seed: seed.seed,
+                seedHash: seed.seed_hash,
+                rolls: seed.rolls,
+                createdAt: seed.created_at,
+                revealedAt: seed.revealed_at
+            }))
+        };
+    }
+
+    /**
+     * Start a new server seed and reveal the current one, so its rolls can be checked
+     * @returns {Promise<Object>} getSeeds() after the rotation
+     */
+    async rotateSeed() {
+        const current = await this.getActiveSeed();
+        await this.query('run', 'UPDATE unbox_seeds SET revealed_at = CURRENT_TIMESTAMP WHERE id = ?', [current.id]);
+        await this.getActiveSeed();
+
+        logger.info(`Unbox server seed #${current.id} revealed after ${current.rolls} rolls`);
+        return this.getSeeds();
+    }
+}
+
+// Create singleton instance
+const unboxLogService = new UnboxLogService();
+
+module.exports = unboxLogService;
@@ -0,0 +1,250 @@
+const DatabaseService = require('./databaseService');
+const CoinService = require('./coinService');
+const LeaderboardService = require('./leaderboardService');
+const ChannelService = require('./channelService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const CURRENCIES = ['points', 'coins'];
+
+// A duel wager is taken from both players when the duel is queued and held in duel_wagers.
+// The winner gets the whole pot once the overlay reports the result; a duel that fails,
+// is cancelled or is lost to a restart gives each player their stake back, and so does a
+// season ending while stakes in points are still held.
+class WagerService {
+    async initialize() {
+        for (const channel of ChannelService.list()) {
+            await ChannelService.run(channel, () => this.returnAbandoned());
+        }
+
+        logger.info('WagerService initialized');
+    }
+
+    normalizeCurrency(currency) {
+        const value = String(currency || 'points').toLowerCase();
+        if (value === 'point' || value === 'pts') return 'points';
+        if (value === 'coin') return 'coins';
+        return value;
+    }
+
+    /**
+     * Parse and check a wager
+     * @param {number|string} amount - Stake each player puts in
+     * @param {string} currency - 'points' or 'coins', defaults to points
+     * @returns {Object} { amount, currency }
+     */
+    validate(amount, currency) {
+        const value = Number(amount);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new ValidationError('The wager has to be a whole number above 0', 'wager');
+        }
+
+        const normalized = this.normalizeCurrency(currency);
+        if (!CURRENCIES.includes(normalized)) {
+            throw new ValidationError(`Wagers are in ${CURRENCIES.join(' or ')}`, 'currency');
+        }
+        return { amount: value, currency: normalized };
+    }
+
+    async getFunds(player, currency) {
+        if (currency === 'coins') {
+            return CoinService.getBalance(player);
+        }
+        const row = await DatabaseService.get('SELECT points FROM leaderboard WHERE name = ?', [player.toLowerCase()]);
+        return row ? row.points : 0;
+    }
+
+    /**
+     * First player who can't cover a wager
+     * @param {string[]} players - Player names
+     * @param {Object} wager - { amount, currency }
+     * @returns {Promise<Object|null>} { player, balance }, null if everyone can pay
+     */
+    async findShortfall(players, { amount, currency }) {
+        for (const player of players) {
+            const balance = await this.getFunds(player, currency);
+            if (balance < amount) {
+                return { player, balance };
+            }
+        }
+        return null;
+    }
+
+    // Move points in or out of a player's total, only called inside a transaction
+    async changePoints(player, amount) {
+        const result = await DatabaseService.run(
+            'UPDATE leaderboard SET points = points + ? WHERE name = ? AND points + ? >= 0',
+            [amount, player, amount]
+        );
+        if (result.changes === 0) {
+            const balance = await this.getFunds(player, 'points');
+            throw new ValidationError(`${player} only has ${balance} points`, 'wager');
+        }
+    }
+
+    async changeFunds(player, amount, currency, reason, reference) {
+        if (currency === 'coins') {
+            await CoinService.applyChange(player, amount, reason, reference);
+        } else {
+            await this.changePoints(player, amount);
+        }
+    }
+
+    /**
+     * Take the stake from both players in one transaction
+     * @param {string} challenger - Player who challenged
+     * @param {string} target - Player who accepted
+     * @param {Object} wager - { amount, currency }
+     * @returns {Promise<number>} Wager id, linked to its duel by QueueService.enqueue()
+     */
+    async escrow(challenger, target, wager) {
+        const { amount, currency } = this.validate(wager.amount, wager.currency);
+        const players = [challenger.toLowerCase(), target.toLowerCase()];
+
+        const id = await DatabaseService.transaction(async () => {
+            const result = await DatabaseService.run(
+                'INSERT INTO duel_wagers (challenger, target, currency, amount) VALUES (?, ?, ?, ?)',
+                [players[0], players[1], currency, amount]
+            );
+            for (const player of players) {
+                await this.changeFunds(player, -amount, currency, 'duel_wager', `wager #${result.lastID}`);
+            }
+            return result.lastID;
+        });
+
+        this.clearLeaderboardCache(currency);
+        logger.info(`Duel wager #${id}: ${amount} ${currency} each from ${players.join(' and ')} held in escrow`);
+        return id;
+    }
+
+    // Only called inside the transaction that queues the duel
+    async attachQueueItem(wagerId, queueId) {
+        await DatabaseService.run('UPDATE duel_wagers SET queue_id = ? WHERE id = ?', [queueId, wagerId]);
+    }
+
+    /**
+     * Pay the pot of a finished duel to its winner
+     * @param {string} coneId - coneId of the duel's redeemed ticket
+     * @param {string} winner - Winning player
+     * @returns {Promise<Object|null>} { winner, loser, pot, currency }, null if the duel had no wager
+     */
+    async settle(coneId, winner) {
+        const wager = await DatabaseService.get(`
+            SELECT w.* FROM duel_wagers w
+            JOIN game_queue q ON q.id = w.queue_id
+            WHERE q.cone_id = ? AND w.status = 'escrowed'
+        `, [coneId]);
+        if (!wager) return null;
+
+        winner = winner.toLowerCase();
+        if (winner !== wager.challenger && winner !== wager.target) {
+            logger.warn(`Duel wager #${wager.id} reported winner ${winner} is not one of its players, returning stakes`);
+            await this.returnWager(wager, 'unknown winner');
+            return null;
+        }
+
+        const pot = wager.amount * 2;
+        const paid = await DatabaseService.transaction(async () => {
+            if (!await this.claim(wager, 'paid', winner)) return false;
+            await this.changeFunds(winner, pot, wager.currency, 'duel_wager_win', `wager #${wager.id}`);
+            return true;
+        });
+        if (!paid) return null;
+
+        this.clearLeaderboardCache(wager.currency);
+        const loser = winner === wager.challenger ? wager.target : wager.challenger;
+        logger.gameEvent('duel_wager_paid', { wagerId: wager.id, winner, loser, pot, currency: wager.currency });
+        return { winner, loser, pot, currency: wager.currency };
+    }
+
+    // Give both players their stake back
+    async returnWager(wager, reason) {
+        const returned = await DatabaseService.transaction(() => this.refund(wager));
+        if (!returned) return false;
+
+        this.clearLeaderboardCache(wager.currency);
+        logger.info(`Duel wager #${wager.id} returned to ${wager.challenger} and ${wager.target}: ${reason}`);
+        return true;
+    }
+
+    // Only called inside a transaction
+    async refund(wager) {
+        if (!await this.claim(wager, 'returned')) return false;
+        for (const player of [wager.challenger, wager.target]) {
+            await this.changeFunds(player, wager.amount, wager.currency, 'duel_wager_return', `wager #${wager.id}`);
+        }
+        return true;
+    }
+
+    /**
+     * Return every stake in points still held, inside the transaction that ends a season, so the
+     * points count for the season they were staked in and don't carry over to the next one
+     * @returns {Promise<Object[]>} The returned wagers
+     */
+    async refundEscrowedPoints() {
+        const rows = await DatabaseService.all(`SELECT * FROM duel_wagers WHERE status = 'escrowed' AND currency = 'points'`);
+        for (const row of rows) {
+            await this.refund(row);
+        }
+        return rows;
+    }
+
+    async cancel(wagerId, reason) {
+        const wager = await DatabaseService.get(`SELECT * FROM duel_wagers WHERE id = ? AND status = 'escrowed'`, [wagerId]);
+        return wager ? this.returnWager(wager, reason) : false;
+    }
+
+    // Marks the wager resolved inside the running transaction, so it is never paid out twice
+    async claim(wager, status, winner = null) {
+        const result = await DatabaseService.run(`
+            UPDATE duel_wagers SET status = ?, winner = ?, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'escrowed'
+        `, [status, winner, wager.id]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Return the wager of a duel that left the queue without a result
+     * @param {number} queueId - game_queue id
+     * @param {string} queueStatus - 'done' is paid out by settle(), anything else returns the stakes
+     */
+    async resolveQueueItem(queueId, queueStatus) {
+        if (queueStatus === 'done') return;
+
+        const wager = await DatabaseService.get(
+            `SELECT * FROM duel_wagers WHERE queue_id = ? AND status = 'escrowed'`,
+            [queueId]
+        );
+        if (wager) {
+            await this.returnWager(wager, `duel ${queueStatus}`);
+        }
+    }
+
+    // Wagers whose duel is no longer waiting to be played were cut off by a restart
+    async returnAbandoned() {
+        try {
+            const rows = await DatabaseService.all(`
+                SELECT w.* FROM duel_wagers w
+                LEFT JOIN game_queue q ON q.id = w.queue_id
+                WHERE w.status = 'escrowed' AND (q.id IS NULL OR q.status NOT IN ('queued', 'dispatched'))
+            `);
+
+            for (const row of rows) {
+                await this.returnWager(row, 'duel never resolved');
+            }
+        } catch (error) {
+            logger.error(`Failed to return abandoned duel wagers for ${ChannelService.current()}:`, error);
+        }
+    }
+
+    clearLeaderboardCache(currency) {
+        if (currency === 'points') {
+            LeaderboardService.clearCache();
+        }
+    }
+}
+
+// Create singleton instance
+const wagerService = new WagerService();
+
+module.exports = wagerService;
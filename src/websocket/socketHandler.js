@@ -1,24 +1,39 @@
 const logger = require('../utils/logger');
+const ChannelService = require('../services/channelService');
 
 class SocketHandler {
     constructor(io) {
         this.io = io;
         this.connectedClients = new Map();
         this.adminClients = new Set(); // track admin connections
-        this.processedCones = new Set(); // Track cone IDs that have already been processed
     }
 
-    // Check if cone result was already processed (deduplication)
-    isConeAlreadyProcessed(coneId) {
-        if (!coneId) return false;
-        if (this.processedCones.has(coneId)) {
-            logger.warn(`Duplicate cone result ignored: ${coneId}`);
-            return true;
+    // Results are only accepted against a ticket the server issued, and each ticket counts once
+    // Returns the server's copy of the ticket, or null if the result must be ignored
+    redeemResultTicket(socket, ticket, gameType, players) {
+        const TicketService = require('../services/ticketService');
+        const result = TicketService.redeemTicket(ticket, gameType, players);
+        if (!result.valid) {
+            logger.warn(`Rejected ${gameType} result from ${socket.id}: ${result.error}`);
+            return null;
+        }
+
+        // The result is in, so the queue can move on to the next game
+        const QueueService = require('../services/queueService');
+        QueueService.acknowledge(result.ticket.coneId);
+
+        return result.ticket;
+    }
+
+    // Pay a duel's wager to its winner, the result itself is already recorded either way
+    async settleDuelWager(redeemed, winner) {
+        try {
+            const WagerService = require('../services/wagerService');
+            return await WagerService.settle(redeemed.coneId, winner);
+        } catch (error) {
+            logger.error(`Failed to pay out duel wager for ${redeemed.coneId}:`, error);
+            return null;
         }
-        this.processedCones.add(coneId);
-        // Clean up old entries after 60 seconds
-        setTimeout(() => this.processedCones.delete(coneId), 60000);
-        return false;
     }
 
     async initialize() {
@@ -56,6 +71,9 @@ class SocketHandler {
             clientIp = clientIp.substring(7);
         }
 
+        // Pages pick their channel with ?channel= on the socket URL, overlays get it from their token
+        const requestedChannel = ChannelService.normalize(socket.handshake.query.channel);
+
         const clientInfo = {
             id: socket.id,
             connectedAt: new Date(),
@@ -63,14 +81,20 @@ class SocketHandler {
             userAgent: socket.handshake.headers['user-agent'],
             isAdmin: false,
             token: null,
-            tokenAssociated: false
+            tokenAssociated: false,
+            channel: ChannelService.has(requestedChannel) ? requestedChannel : ChannelService.getPrimary()
         };
 
         this.connectedClients.set(socket.id, clientInfo);
+        socket.join(ChannelService.room(clientInfo.channel));
+
+        // Every event from this socket runs scoped to its channel
+        socket.use((packet, next) => ChannelService.run(clientInfo.channel, next));
         
         logger.info(`Client connected: ${socket.id}`, {
             ip: clientInfo.ip,
-            userAgent: clientInfo.userAgent
+            userAgent: clientInfo.userAgent,
+            channel: clientInfo.channel
         });
 
         // Token association for game clients
@@ -94,15 +118,27 @@ class SocketHandler {
                 logger.info(`Token association result for ${socket.id}:`, result);
                 
                 if (result.success) {
+                    // The token decides which channel's games this overlay plays
+                    const tokenChannel = TokenService.getTokenChannel(token);
+                    if (tokenChannel !== clientInfo.channel) {
+                        socket.leave(ChannelService.room(clientInfo.channel));
+                        socket.join(ChannelService.room(tokenChannel));
+                        clientInfo.channel = tokenChannel;
+                    }
+
                     clientInfo.token = token;
                     clientInfo.tokenAssociated = true;
                     this.connectedClients.set(socket.id, clientInfo);
                     
-                    socket.emit('token_associated', { success: true });
-                    logger.info(`✅ Token associated with socket: ${socket.id}`);
+                    socket.emit('token_associated', { success: true, channel: tokenChannel });
+                    logger.info(`✅ Token associated with socket: ${socket.id} (${tokenChannel})`);
                     
                     // Notify admins of token status change
-                    this.broadcastTokenStatusUpdate();
+                    this.broadcastTokenStatusUpdate(tokenChannel);
+
+                    // Send queued games, including any the overlay lost by reloading
+                    const QueueService = require('../services/queueService');
+                    ChannelService.run(tokenChannel, () => QueueService.onOverlayConnected());
                 } else {
                     socket.emit('token_associated', { success: false, error: result.error });
                     logger.warn(`❌ Token association failed for ${socket.id}: ${result.error}`);
@@ -172,25 +208,34 @@ class SocketHandler {
 
         // Handle cone win/fail results from authenticated clients
         socket.on('win', async (data) => {
-            // Support both old format (string) and new format (object with coneId)
-            const playerName = typeof data === 'string' ? data : data.playerName;
-            const coneId = typeof data === 'object' ? data.coneId : null;
+            const { playerName, coneId, ticket, replay } = data || {};
 
             if (!clientInfo.tokenAssociated) {
                 logger.warn(`Unauthorized win event from ${socket.id} for player ${playerName}`);
                 return;
             }
 
-            // Deduplicate by coneId if provided
-            if (coneId && this.isConeAlreadyProcessed(coneId)) {
+            const redeemed = this.redeemResultTicket(socket, ticket, 'coneflip', [playerName]);
+            if (!redeemed) {
                 return;
             }
 
-            logger.info(`Processing win for ${playerName} from socket ${socket.id}${coneId ? ` (cone: ${coneId})` : ''}`);
+            logger.info(`Processing win for ${playerName} from socket ${socket.id} (cone: ${coneId})`);
 
             try {
                 const GameService = require('../services/gameService');
-                await GameService.handleWin(playerName, 'coneflip');
+                const MatchService = require('../services/matchService');
+                const result = await GameService.handleWin(playerName, 'coneflip');
+                await MatchService.recordMatch({
+                    gameId: redeemed.coneId,
+                    gameType: 'coneflip',
+                    player: playerName,
+                    outcome: 'win',
+                    pointsDelta: result.pointsChange,
+                    xpDelta: result.xpResult ? result.xpResult.xpAwarded : 0,
+                    seed: redeemed.seed,
+                    replay: MatchService.buildReplayData(redeemed, replay)
+                });
                 logger.info(`✅ Win processed successfully for ${playerName}`);
             } catch (error) {
                 logger.error(`Failed to process win for ${playerName}:`, error);
@@ -204,28 +249,58 @@ class SocketHandler {
                 return;
             }
 
-            const { winner, loser, duelId } = data;
+            const { winner, loser, duelId, ticket, replay } = data || {};
 
-            // Deduplicate by duelId if provided
-            if (duelId && this.isConeAlreadyProcessed(duelId)) {
+            const redeemed = this.redeemResultTicket(socket, ticket, 'duel', [winner, loser]);
+            if (!redeemed) {
                 return;
             }
 
-            logger.info(`Processing duel win: ${winner} defeated ${loser} from socket ${socket.id}${duelId ? ` (duel: ${duelId})` : ''}`);
+            logger.info(`Processing duel win: ${winner} defeated ${loser} from socket ${socket.id} (duel: ${duelId})`);
             
             try {
                 // Process the duel win/loss stats (all duels go through frontend physics now)
                 const GameService = require('../services/gameService');
-                await GameService.handleWin(winner, 'duel');
-                await GameService.handleLoss(loser, 'duel');
+                const MatchService = require('../services/matchService');
+                const winResult = await GameService.handleWin(winner, 'duel');
+                const lossResult = await GameService.handleLoss(loser, 'duel');
+                const replayData = MatchService.buildReplayData(redeemed, replay);
+                await MatchService.recordMatch({
+                    gameId: redeemed.coneId,
+                    gameType: 'duel',
+                    player: winner,
+                    opponent: loser,
+                    outcome: 'win',
+                    pointsDelta: winResult.pointsChange,
+                    xpDelta: winResult.xpResult ? winResult.xpResult.xpAwarded : 0,
+                    seed: redeemed.seed,
+                    replay: replayData
+                });
+                await MatchService.recordMatch({
+                    gameId: redeemed.coneId,
+                    gameType: 'duel',
+                    player: loser,
+                    opponent: winner,
+                    outcome: 'loss',
+                    pointsDelta: lossResult.pointsChange,
+                    xpDelta: lossResult.xpResult ? lossResult.xpResult.xpAwarded : 0,
+                    seed: redeemed.seed,
+                    replay: replayData
+                });
+                const RatingService = require('../services/ratingService');
+                await RatingService.recordDuel(winner, loser);
                 logger.info(`✅ Duel stats processed: ${winner} won, ${loser} lost`);
+
+                const payout = await this.settleDuelWager(redeemed, winner);
                 
                 // Send chat announcement
                 const TwitchService = require('../services/twitchService');
-                if (TwitchService && TwitchService.sendChatMessage) {
-                    const message = `maxwin ${winner} defeated ${loser} in a cone duel`;
-                    await TwitchService.sendChatMessage(message);
-                    logger.info(`✅ Duel winner announced in chat: ${message}`);
+                if (TwitchService && TwitchService.sendMessage) {
+                    await TwitchService.sendMessage('duel.won', { winner, loser });
+                    logger.info(`✅ Duel winner announced in chat: ${winner} defeated ${loser}`);
+                    if (payout) {
+                        await TwitchService.announceWagerPayout(payout);
+                    }
                 } else {
                     logger.warn('TwitchService not available for duel announcement');
                 }
@@ -235,25 +310,34 @@ class SocketHandler {
         });
 
         socket.on('fail', async (data) => {
-            // Support both old format (string) and new format (object with coneId)
-            const playerName = typeof data === 'string' ? data : data.playerName;
-            const coneId = typeof data === 'object' ? data.coneId : null;
+            const { playerName, coneId, ticket, replay } = data || {};
 
             if (!clientInfo.tokenAssociated) {
                 logger.warn(`Unauthorized fail event from ${socket.id} for player ${playerName}`);
                 return;
             }
 
-            // Deduplicate by coneId if provided
-            if (coneId && this.isConeAlreadyProcessed(coneId)) {
+            const redeemed = this.redeemResultTicket(socket, ticket, 'coneflip', [playerName]);
+            if (!redeemed) {
                 return;
             }
 
-            logger.info(`Processing fail for ${playerName} from socket ${socket.id}${coneId ? ` (cone: ${coneId})` : ''}`);
+            logger.info(`Processing fail for ${playerName} from socket ${socket.id} (cone: ${coneId})`);
 
             try {
                 const GameService = require('../services/gameService');
-                await GameService.handleLoss(playerName, 'coneflip');
+                const MatchService = require('../services/matchService');
+                const result = await GameService.handleLoss(playerName, 'coneflip');
+                await MatchService.recordMatch({
+                    gameId: redeemed.coneId,
+                    gameType: 'coneflip',
+                    player: playerName,
+                    outcome: 'loss',
+                    pointsDelta: result.pointsChange,
+                    xpDelta: result.xpResult ? result.xpResult.xpAwarded : 0,
+                    seed: redeemed.seed,
+                    replay: MatchService.buildReplayData(redeemed, replay)
+                });
                 logger.info(`✅ Fail processed successfully for ${playerName}`);
             } catch (error) {
                 logger.error(`Failed to process fail for ${playerName}:`, error);
@@ -261,28 +345,55 @@ class SocketHandler {
         });
 
         socket.on('upside_down', async (data) => {
+            const { playerName, gameType = 'coneflip', loserName, coneId, ticket, replay } = data || {};
+
             if (!clientInfo.tokenAssociated) {
-                logger.warn(`Unauthorized upside down event from ${socket.id} for player ${data.playerName}`);
+                logger.warn(`Unauthorized upside down event from ${socket.id} for player ${playerName}`);
                 return;
             }
 
-            const { playerName, gameType = 'coneflip', loserName, coneId } = data;
-
-            // Deduplicate by coneId if provided
-            if (coneId && this.isConeAlreadyProcessed(coneId)) {
+            const redeemed = this.redeemResultTicket(socket, ticket, gameType, [playerName, loserName]);
+            if (!redeemed) {
                 return;
             }
 
-            logger.info(`Processing upside down ${gameType} win for ${playerName}${loserName ? ` vs ${loserName}` : ''} from socket ${socket.id}${coneId ? ` (cone: ${coneId})` : ''}`);
+            logger.info(`Processing upside down ${gameType} win for ${playerName}${loserName ? ` vs ${loserName}` : ''} from socket ${socket.id} (cone: ${coneId})`);
             
             try {
                 const GameService = require('../services/gameService');
+                const MatchService = require('../services/matchService');
                 const result = await GameService.handleUpsideDown(playerName, gameType, loserName);
                 
                 const winPoints = gameType === 'duel' ? 10 : 5;
+                const replayData = MatchService.buildReplayData(redeemed, replay);
+
+                await MatchService.recordMatch({
+                    gameId: redeemed.coneId,
+                    gameType,
+                    player: playerName,
+                    opponent: loserName,
+                    outcome: 'win',
+                    upsideDown: true,
+                    pointsDelta: result.winner.pointsChange,
+                    seed: redeemed.seed,
+                    replay: replayData
+                });
+                if (loserName) {
+                    await MatchService.recordMatch({
+                        gameId: redeemed.coneId,
+                        gameType,
+                        player: loserName,
+                        opponent: playerName,
+                        outcome: 'loss',
+                        upsideDown: true,
+                        pointsDelta: result.loser.pointsChange,
+                        seed: redeemed.seed,
+                        replay: replayData
+                    });
+                }
                 
-                // Emit to all clients for celebration
-                this.io.emit('upside_down', { 
+                // Emit to the channel's clients for celebration
+                this.io.to(ChannelService.room()).emit('upside_down', { 
                     winner: playerName,
                     loser: loserName,
                     gameType,
@@ -293,6 +404,17 @@ class SocketHandler {
                 });
                 
                 logger.info(`✅ Upside down processed: ${playerName} +${winPoints}${loserName ? `, ${loserName} -10` : ''}`);
+
+                if (gameType === 'duel') {
+                    const RatingService = require('../services/ratingService');
+                    await RatingService.recordDuel(playerName, loserName);
+
+                    const payout = await this.settleDuelWager(redeemed, playerName);
+                    if (payout) {
+                        const TwitchService = require('../services/twitchService');
+                        await TwitchService.announceWagerPayout(payout);
+                    }
+                }
             } catch (error) {
                 logger.error(`Failed to process upside down for ${playerName}:`, error);
             }
@@ -348,7 +470,7 @@ class SocketHandler {
                 logger.info(`Token ${clientInfo.token.substring(0, 8)}... released from socket ${socket.id}`);
                 
                 // Notify admins of token status change
-                this.broadcastTokenStatusUpdate();
+                this.broadcastTokenStatusUpdate(clientInfo.channel);
             }
             
             this.connectedClients.delete(socket.id);
@@ -364,13 +486,14 @@ class SocketHandler {
         this.io.to(room).emit(event, data);
     }
 
-    broadcastTokenStatusUpdate() {
+    broadcastTokenStatusUpdate(channel = ChannelService.current()) {
         const TokenService = require('../services/tokenService');
-        const currentToken = TokenService.getCurrentToken();
+        const currentToken = TokenService.getCurrentToken(channel);
         const tokenInfo = TokenService.getTokenInfo(currentToken);
         const isInUse = TokenService.isTokenInUse(currentToken);
 
         this.io.to('admin_room').emit('tokenStatusUpdate', {
+            channel,
             token: currentToken,
             inUse: isInUse,
             info: tokenInfo
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read by the config and logger when they are first required, so this module is required first
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.HELIX_MOCK = 'true';
+
+/**
+ * Run the test file in a fresh working directory, services keep their data files and databases
+ * under ./data. node --test runs every file in its own process, so each file gets its own
+ * @returns {string} The directory
+ */
+function useTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coneflip-test-'));
+    fs.mkdirSync(path.join(dir, 'data'));
+    process.chdir(dir);
+    return dir;
+}
+
+/**
+ * Open fresh databases in a temporary directory
+ * @returns {Promise<string>} The directory, for teardownDatabase()
+ */
+async function setupDatabase() {
+    const dir = useTempDir();
+    await require('../src/services/databaseService').initialize();
+    return dir;
+}
+
+async function teardownDatabase(dir) {
+    await require('../src/services/databaseService').shutdown();
+    process.chdir(os.tmpdir());
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Let fire-and-forget database writes land before checking them
+function flush(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    useTempDir,
+    setupDatabase,
+    teardownDatabase,
+    flush
+};
@@ -0,0 +1,105 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+
+const PityService = require('../src/services/pityService');
+
+const BASE_ODDS = { 'mil-spec': 80, restricted: 15, classified: 3, covert: 1.5, gold: 0.5 };
+
+function assertOdds(actual, expected) {
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+    for (const [tier, percent] of Object.entries(expected)) {
+        assert.ok(Math.abs(actual[tier] - percent) < 1e-9, `${tier}: expected ${percent}, got ${actual[tier]}`);
+    }
+}
+
+function total(odds) {
+    return Object.values(odds).reduce((sum, percent) => sum + percent, 0);
+}
+
+describe('PityService', () => {
+    let dir;
+
+    before(async () => {
+        dir = await setupDatabase();
+    });
+
+    after(async () => {
+        await teardownDatabase(dir);
+    });
+
+    afterEach(() => {
+        PityService.settings = PityService.copySettings({
+            enabled: true,
+            tiers: {
+                gold: { softStart: 75, hardLimit: 150, step: 1 },
+                covert: { softStart: 40, hardLimit: 80, step: 1 }
+            }
+        });
+    });
+
+    it('keeps the base odds until the soft start', () => {
+        assertOdds(PityService.getEffectiveTierOdds(BASE_ODDS, { covert: 39, gold: 74 }), BASE_ODDS);
+    });
+
+    it('raises the odds past the soft start and takes it from the common grades', () => {
+        // Unbox 50 since the last covert is 10 past the soft start
+        const odds = PityService.getEffectiveTierOdds(BASE_ODDS, { covert: 49, gold: 0 });
+
+        const rest = 100 - 11.5 - 0.5;
+        assertOdds(odds, {
+            gold: 0.5,
+            covert: 11.5,
+            'mil-spec': 80 * rest / 98,
+            restricted: 15 * rest / 98,
+            classified: 3 * rest / 98
+        });
+        assert.ok(Math.abs(total(odds) - 100) < 1e-9);
+    });
+
+    it('guarantees the grade at the hard limit, a rarer grade keeps its share', () => {
+        assertOdds(PityService.getEffectiveTierOdds(BASE_ODDS, { covert: 79, gold: 0 }), {
+            gold: 0.5, covert: 99.5, 'mil-spec': 0, restricted: 0, classified: 0
+        });
+        assertOdds(PityService.getEffectiveTierOdds(BASE_ODDS, { covert: 79, gold: 149 }), {
+            gold: 100, covert: 0, 'mil-spec': 0, restricted: 0, classified: 0
+        });
+    });
+
+    it("doesn't add a grade to a case that can't drop it", () => {
+        const caseOdds = { 'mil-spec': 80, restricted: 17, classified: 3 };
+        const odds = PityService.getEffectiveTierOdds(caseOdds, { covert: 200, gold: 200 });
+
+        assertOdds(odds, { ...caseOdds, covert: 0, gold: 0 });
+    });
+
+    it('leaves the odds alone when pity is turned off', () => {
+        PityService.settings.enabled = false;
+
+        assert.deepEqual(PityService.getEffectiveTierOdds(BASE_ODDS, { covert: 200, gold: 200 }), BASE_ODDS);
+    });
+
+    it('counts unboxes since the last covert and gold', async () => {
+        for (const tier of ['mil-spec', 'restricted', 'mil-spec']) {
+            await PityService.recordUnbox('Alice', tier);
+        }
+        assert.deepEqual(await PityService.getCounters('alice'), { covert: 3, gold: 3, total: 3 });
+
+        await PityService.recordUnbox('alice', 'covert');
+        assert.deepEqual(await PityService.getCounters('alice'), { covert: 0, gold: 4, total: 4 });
+
+        await PityService.recordUnbox('alice', 'mil-spec');
+        await PityService.recordUnbox('alice', 'gold');
+        assert.deepEqual(await PityService.getCounters('alice'), { covert: 0, gold: 0, total: 6 });
+
+        const pity = await PityService.getPity('alice');
+        assert.equal(pity.tiers.covert.guaranteedIn, 80);
+    });
+
+    it('rejects settings that make no sense', async () => {
+        await assert.rejects(PityService.updateSettings({ tiers: { classified: { softStart: 5 } } }), /Unknown pity tier/);
+        await assert.rejects(PityService.updateSettings({ tiers: { covert: { softStart: 90 } } }), /start rising before the guarantee/);
+        await assert.rejects(PityService.updateSettings({ tiers: { gold: { hardLimit: 1.5 } } }), /must be a number/);
+        assert.equal(PityService.getSettings().tiers.covert.softStart, 40);
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, teardownDatabase, flush } = require('./helpers');
+
+const DatabaseService = require('../src/services/databaseService');
+const QueueService = require('../src/services/queueService');
+const TicketService = require('../src/services/ticketService');
+const ChannelService = require('../src/services/channelService');
+
+describe('QueueService', () => {
+    let dir;
+    let sent;
+    let clients;
+
+    before(async () => {
+        dir = await setupDatabase();
+        // Timeouts are run by hand, the timer itself never fires during a test
+        QueueService.ackTimeout = 60 * 1000;
+        QueueService.maxAttempts = 2;
+    });
+
+    after(async () => {
+        await QueueService.cancelAll();
+        await teardownDatabase(dir);
+    });
+
+    beforeEach(async () => {
+        await QueueService.cancelAll();
+        sent = [];
+        clients = new Map();
+        QueueService.setSocketHandler({
+            io: { to: room => ({ emit: (event, ...args) => sent.push({ room, event, args }) }) },
+            connectedClients: clients
+        });
+    });
+
+    function connectOverlay() {
+        clients.set('overlay', { tokenAssociated: true, channel: ChannelService.current() });
+        QueueService.onOverlayConnected();
+    }
+
+    function timeOut(gameType = 'coneflip') {
+        const item = QueueService.getLanes()[gameType].inFlight;
+        return QueueService.handleAckTimeout(item);
+    }
+
+    function queueStatus(id) {
+        return DatabaseService.get('SELECT status, attempts FROM game_queue WHERE id = ?', [id]);
+    }
+
+    it('holds games until an overlay connects, then sends one per lane', async () => {
+        const first = await QueueService.enqueue('coneflip', ['alice']);
+        const second = await QueueService.enqueue('coneflip', ['bob']);
+        const duel = await QueueService.enqueue('duel', ['carol', 'dave']);
+        assert.deepEqual([first.position, second.position, duel.position], [0, 1, 0]);
+        await flush();
+        assert.equal(sent.length, 0);
+
+        connectOverlay();
+        await flush();
+
+        assert.deepEqual(sent.map(({ event, args }) => [event, args[0]]), [['addCone', 'alice'], ['addConeDuel', 'carol']]);
+        assert.equal(sent[0].room, ChannelService.room());
+        assert.equal((await queueStatus(first.id)).status, 'dispatched');
+        assert.equal((await queueStatus(second.id)).status, 'queued');
+    });
+
+    it('moves the lane along when the result is acknowledged', async () => {
+        const first = await QueueService.enqueue('coneflip', ['alice']);
+        const second = await QueueService.enqueue('coneflip', ['bob']);
+        connectOverlay();
+        await flush();
+
+        const ticket = sent[0].args[1];
+        assert.equal(TicketService.redeemTicket(ticket, 'coneflip', ['alice']).valid, true);
+        assert.equal(QueueService.acknowledge(ticket.coneId), true);
+        assert.equal(QueueService.acknowledge(ticket.coneId), false);
+        await flush();
+
+        assert.equal((await queueStatus(first.id)).status, 'done');
+        assert.deepEqual(sent.map(({ args }) => args[0]), ['alice', 'bob']);
+        assert.equal((await queueStatus(second.id)).status, 'dispatched');
+    });
+
+    it('re-sends with a fresh ticket when no result arrives, then gives up', async () => {
+        const queued = await QueueService.enqueue('coneflip', ['alice']);
+        connectOverlay();
+        await flush();
+        timeOut();
+        await flush();
+
+        assert.equal(sent.length, 2);
+        const [firstTicket, secondTicket] = sent.map(({ args }) => args[1]);
+        assert.notEqual(firstTicket.coneId, secondTicket.coneId);
+        assert.equal(TicketService.redeemTicket(firstTicket, 'coneflip', ['alice']).valid, false);
+
+        timeOut();
+        await flush();
+        const row = await queueStatus(queued.id);
+        assert.equal(row.status, 'failed');
+        assert.equal(row.attempts, 2);
+        assert.equal(TicketService.redeemTicket(secondTicket, 'coneflip', ['alice']).valid, false);
+    });
+
+    it('waits for a reconnect instead of re-sending when the overlay is gone', async () => {
+        const queued = await QueueService.enqueue('coneflip', ['alice']);
+        connectOverlay();
+        await flush();
+        clients.clear();
+        timeOut();
+        await flush();
+
+        assert.equal(sent.length, 1);
+        assert.equal((await queueStatus(queued.id)).status, 'dispatched');
+
+        connectOverlay();
+        await flush();
+        assert.equal(sent.length, 2);
+    });
+
+    it('puts queued and dispatched games back in line after a restart', async () => {
+        const first = await QueueService.enqueue('coneflip', ['alice']);
+        const second = await QueueService.enqueue('duel', ['bob', 'carol']);
+        connectOverlay();
+        await flush();
+
+        const restarted = new QueueService.constructor();
+        await restarted.restore();
+
+        const lanes = restarted.getLanes();
+        assert.deepEqual(lanes.coneflip.pending.map(item => [item.id, item.players]), [[first.id, ['alice']]]);
+        assert.deepEqual(lanes.duel.pending.map(item => [item.id, item.players]), [[second.id, ['bob', 'carol']]]);
+        assert.equal((await queueStatus(first.id)).status, 'queued');
+    });
+
+    it('cancels a single game whether it is waiting or in flight', async () => {
+        const first = await QueueService.enqueue('coneflip', ['alice']);
+        const second = await QueueService.enqueue('coneflip', ['bob']);
+        connectOverlay();
+        await flush();
+
+        assert.equal(await QueueService.cancelItem(second.id), true);
+        assert.equal(await QueueService.cancelItem(first.id), true);
+        assert.equal(await QueueService.cancelItem(first.id), false);
+        await flush();
+
+        assert.equal((await queueStatus(first.id)).status, 'cancelled');
+        assert.equal((await queueStatus(second.id)).status, 'cancelled');
+        assert.equal(TicketService.redeemTicket(sent[0].args[1], 'coneflip', ['alice']).valid, false);
+    });
+});
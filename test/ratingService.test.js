@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+
+const DatabaseService = require('../src/services/databaseService');
+const LeaderboardService = require('../src/services/leaderboardService');
+const RatingService = require('../src/services/ratingService');
+
+describe('RatingService', () => {
+    let dir;
+
+    before(async () => {
+        dir = await setupDatabase();
+    });
+
+    after(async () => {
+        await teardownDatabase(dir);
+    });
+
+    beforeEach(async () => {
+        RatingService.settings = { ...RatingService.getSettings(), matchmaking: false, kFactor: 32, provisionalKFactor: 64, provisionalDuels: 10 };
+        await DatabaseService.run('DELETE FROM leaderboard');
+        LeaderboardService.clearCache();
+    });
+
+    // A player with a rating and a number of duels already behind them
+    async function seed(name, rating, duels) {
+        await LeaderboardService.addPlayer(name);
+        await DatabaseService.run(
+            'UPDATE leaderboard SET rating = ?, duel_wins = ?, last_played = CURRENT_TIMESTAMP WHERE name = ?',
+            [rating, duels, name]
+        );
+    }
+
+    // A duel counted on the leaderboard first, the way GameService does it
+    async function duel(winner, loser) {
+        await LeaderboardService.updatePlayer(winner, true, 'duel');
+        await LeaderboardService.updatePlayer(loser, false, 'duel');
+        return RatingService.recordDuel(winner, loser);
+    }
+
+    it('expects the higher rated player to win more often', () => {
+        assert.equal(RatingService.expectedScore(1000, 1000), 0.5);
+        assert.ok(Math.abs(RatingService.expectedScore(1400, 1000) - 10 / 11) < 1e-12);
+        assert.ok(Math.abs(RatingService.expectedScore(1000, 1200) + RatingService.expectedScore(1200, 1000) - 1) < 1e-12);
+    });
+
+    it('moves ratings faster while a player is provisional', () => {
+        assert.equal(RatingService.getKFactor(0), 64);
+        assert.equal(RatingService.getKFactor(10), 64);
+        assert.equal(RatingService.getKFactor(11), 32);
+    });
+
+    it('splits the change evenly between two new players', async () => {
+        const result = await duel('Alice', 'Bob');
+
+        assert.deepEqual(result, {
+            winner: { name: 'alice', rating: 1032, change: 32 },
+            loser: { name: 'bob', rating: 968, change: -32 }
+        });
+    });
+
+    it('pays more for beating a higher rated player', async () => {
+        await seed('alice', 1000, 20);
+        await seed('bob', 1200, 20);
+
+        const upset = await RatingService.recordDuel('alice', 'bob');
+        // 32 * (1 - 1 / (1 + 10^0.5)) = 24.3
+        assert.deepEqual(upset.winner, { name: 'alice', rating: 1024, change: 24 });
+        assert.deepEqual(upset.loser, { name: 'bob', rating: 1176, change: -24 });
+
+        await seed('carol', 1200, 20);
+        await seed('dave', 1000, 20);
+        const expected = await RatingService.recordDuel('carol', 'dave');
+        assert.equal(expected.winner.change, 8);
+    });
+
+    it('counts an upside down duel as a duel for the rating', async () => {
+        await LeaderboardService.updatePlayerPoints('alice', 3, 'duel');
+        await LeaderboardService.updatePlayerPoints('bob', -1, 'duel');
+
+        assert.deepEqual(await RatingService.getRating('alice'), { rating: 1000, duels: 1, rank: 1, provisional: true });
+        assert.equal((await RatingService.getRating('bob')).duels, 1);
+        assert.equal((await RatingService.getRating('carol')).rank, null);
+    });
+
+    it('leaves placeholder opponents out of ranks and matchmaking', async () => {
+        await seed('alice', 1000, 5);
+        await seed('bob', 1010, 5);
+        for (const placeholder of RatingService.PLACEHOLDER_PLAYERS) {
+            await seed(placeholder, 1500, 50);
+        }
+
+        assert.equal((await RatingService.getRating('bob')).rank, 1);
+        const board = await LeaderboardService.getLeaderboard(1, 50, 'rating');
+        assert.deepEqual(board.data.map(player => player.name), ['bob', 'alice']);
+
+        assert.equal(await RatingService.findOpponent('alice'), null);
+        RatingService.settings.matchmaking = true;
+        for (let i = 0; i < 5; i++) {
+            assert.equal(await RatingService.findOpponent('Alice'), 'bob');
+        }
+    });
+});
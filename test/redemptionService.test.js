@@ -0,0 +1,132 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+
+const DatabaseService = require('../src/services/databaseService');
+const RedemptionService = require('../src/services/redemptionService');
+const QueueService = require('../src/services/queueService');
+const HelixClient = require('../src/services/helixClient');
+
+describe('RedemptionService', () => {
+    let dir;
+
+    before(async () => {
+        dir = await setupDatabase();
+    });
+
+    after(async () => {
+        await teardownDatabase(dir);
+    });
+
+    beforeEach(async () => {
+        await DatabaseService.run('DELETE FROM redemptions');
+        await QueueService.cancelAll();
+        HelixClient.calls = [];
+        HelixClient.failNext = null;
+    });
+
+    async function trackQueued(redemptionId, player = 'alice') {
+        const queued = await QueueService.enqueue('coneflip', [player]);
+        await RedemptionService.track({ redemptionId, rewardId: 'reward_cone', player, gameType: 'coneflip', queueId: queued.id });
+        return queued;
+    }
+
+    function helixCalls(redemptionId) {
+        return HelixClient.calls.filter(call => call.method === 'updateRedemptionStatus' && call.redemptionId === redemptionId);
+    }
+
+    async function expire(redemptionId) {
+        await DatabaseService.run(
+            `UPDATE redemptions SET created_at = datetime('now', '-1 day') WHERE redemption_id = ?`,
+            [redemptionId]
+        );
+    }
+
+    it('refunds a redemption whose game never produced a result', async () => {
+        const queued = await trackQueued('r1');
+        await expire('r1');
+
+        await RedemptionService.refundExpired();
+
+        const row = await RedemptionService.getRedemption('r1');
+        assert.equal(row.status, 'canceled');
+        assert.deepEqual(helixCalls('r1').map(call => call.status), ['CANCELED']);
+
+        // The refunded game is taken out of the queue so it can't count later
+        const game = await DatabaseService.get('SELECT status FROM game_queue WHERE id = ?', [queued.id]);
+        assert.equal(game.status, 'cancelled');
+    });
+
+    it('leaves redemptions alone until the timeout has passed', async () => {
+        await trackQueued('r2');
+
+        await RedemptionService.refundExpired();
+
+        assert.equal((await RedemptionService.getRedemption('r2')).status, 'pending');
+        assert.equal(helixCalls('r2').length, 0);
+    });
+
+    it('fulfills an expired redemption whose game finished before a restart', async () => {
+        const queued = await trackQueued('r3');
+        await DatabaseService.run(`UPDATE game_queue SET status = 'done' WHERE id = ?`, [queued.id]);
+        await expire('r3');
+
+        await RedemptionService.refundExpired();
+
+        assert.equal((await RedemptionService.getRedemption('r3')).status, 'fulfilled');
+        assert.deepEqual(helixCalls('r3').map(call => call.status), ['FULFILLED']);
+    });
+
+    it('settles a redemption once when the queue item is resolved twice at the same time', async () => {
+        const queued = await trackQueued('r4');
+
+        await Promise.all([
+            RedemptionService.resolveQueueItem(queued.id, 'done'),
+            RedemptionService.resolveQueueItem(queued.id, 'done')
+        ]);
+
+        assert.equal((await RedemptionService.getRedemption('r4')).status, 'fulfilled');
+        assert.equal(helixCalls('r4').length, 1);
+    });
+
+    it('claims the row before calling Twitch, a refund racing a fulfill loses', async () => {
+        const queued = await trackQueued('r5');
+        const row = await RedemptionService.getRedemption('r5');
+
+        const [fulfilled, refunded] = await Promise.all([
+            RedemptionService.fulfill(row),
+            RedemptionService.refund(row, 'test')
+        ]);
+
+        assert.equal(fulfilled, true);
+        assert.equal(refunded, false);
+        assert.deepEqual(helixCalls('r5').map(call => call.status), ['FULFILLED']);
+        const game = await DatabaseService.get('SELECT status FROM game_queue WHERE id = ?', [queued.id]);
+        assert.equal(game.status, 'queued');
+    });
+
+    it('marks the redemption as an error when Twitch rejects it and does not retry', async () => {
+        await trackQueued('r6');
+        await expire('r6');
+        HelixClient.failNext = new Error('Helix is down');
+
+        await RedemptionService.refundExpired();
+        await RedemptionService.refundExpired();
+
+        const row = await RedemptionService.getRedemption('r6');
+        assert.equal(row.status, 'error');
+        assert.equal(row.error, 'Helix is down');
+        assert.equal(helixCalls('r6').length, 1);
+    });
+
+    it('settles right away when the game finished before the redemption was tracked', async () => {
+        const queued = await QueueService.enqueue('coneflip', ['bob']);
+        await QueueService.cancelItem(queued.id);
+
+        await RedemptionService.track({ redemptionId: 'r7', rewardId: 'reward_cone', player: 'Bob', gameType: 'coneflip', queueId: queued.id });
+
+        const row = await RedemptionService.getRedemption('r7');
+        assert.equal(row.player, 'bob');
+        assert.equal(row.status, 'canceled');
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const TicketService = require('../src/services/ticketService');
+const ChannelService = require('../src/services/channelService');
+
+describe('TicketService', () => {
+    it('redeems a ticket once for the players it was issued to', () => {
+        const ticket = TicketService.issueTicket('duel', ['Alice', 'Bob']);
+
+        const result = TicketService.redeemTicket({ ...ticket }, 'duel', ['bob', 'ALICE']);
+        assert.equal(result.valid, true);
+        assert.equal(result.ticket.coneId, ticket.coneId);
+
+        const again = TicketService.redeemTicket({ ...ticket }, 'duel', ['alice', 'bob']);
+        assert.equal(again.valid, false);
+        assert.match(again.error, /already used/);
+    });
+
+    it('rejects a ticket whose fields were changed by the client', () => {
+        const ticket = TicketService.issueTicket('coneflip', ['alice']);
+
+        const forged = TicketService.redeemTicket({ ...ticket, signature: 'f'.repeat(64) }, 'coneflip', ['alice']);
+        assert.equal(forged.valid, false);
+        assert.match(forged.error, /Bad signature/);
+
+        const missing = TicketService.redeemTicket({ coneId: ticket.coneId }, 'coneflip', ['alice']);
+        assert.equal(missing.valid, false);
+
+        // A failed attempt doesn't use the ticket up
+        assert.equal(TicketService.redeemTicket({ ...ticket }, 'coneflip', ['alice']).valid, true);
+    });
+
+    it('rejects a ticket for other players or another game type', () => {
+        const ticket = TicketService.issueTicket('duel', ['alice', 'bob']);
+
+        assert.match(TicketService.redeemTicket({ ...ticket }, 'coneflip', ['alice']).error, /is for a duel/);
+        assert.match(TicketService.redeemTicket({ ...ticket }, 'duel', ['alice', 'carol']).error, /do not match/);
+        assert.match(TicketService.redeemTicket({ ...ticket }, 'duel', ['alice']).error, /do not match/);
+        assert.match(TicketService.redeemTicket({ ...ticket }, 'duel', ['alice', 'alice']).error, /do not match/);
+    });
+
+    it('only accepts a ticket from the channel it was issued in', () => {
+        const ticket = ChannelService.run('otherchannel', () => TicketService.issueTicket('coneflip', ['alice']));
+        assert.equal(ticket.channel, 'otherchannel');
+
+        const elsewhere = TicketService.redeemTicket({ ...ticket }, 'coneflip', ['alice']);
+        assert.equal(elsewhere.valid, false);
+        assert.match(elsewhere.error, /belongs to channel otherchannel/);
+
+        const result = ChannelService.run('otherchannel', () => TicketService.redeemTicket({ ...ticket }, 'coneflip', ['alice']));
+        assert.equal(result.valid, true);
+    });
+
+    it('rejects expired and revoked tickets', () => {
+        const expired = TicketService.issueTicket('coneflip', ['alice']);
+        TicketService.tickets.get(expired.coneId).expiresAt = Date.now() - 1;
+        assert.match(TicketService.redeemTicket({ ...expired }, 'coneflip', ['alice']).error, /expired/);
+
+        const revoked = TicketService.issueTicket('coneflip', ['alice']);
+        assert.equal(TicketService.revokeTicket(revoked.coneId), true);
+        assert.equal(TicketService.redeemTicket({ ...revoked }, 'coneflip', ['alice']).valid, false);
+    });
+
+    it('rejects a result without a ticket', () => {
+        assert.equal(TicketService.redeemTicket(null, 'coneflip', ['alice']).error, 'Missing ticket');
+        assert.equal(TicketService.redeemTicket({ coneId: 42 }, 'coneflip', ['alice']).error, 'Missing ticket');
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+
+const DatabaseService = require('../src/services/databaseService');
+const SkinService = require('../src/services/skinService');
+const TradeService = require('../src/services/tradeService');
+
+describe('TradeService', () => {
+    let dir;
+    let offer;
+    let request;
+
+    before(async () => {
+        dir = await setupDatabase();
+        await SkinService.loadSkinConfiguration();
+        [offer, request] = Object.keys(SkinService.availableSkins).filter(skin => SkinService.isTradeable(skin));
+    });
+
+    after(async () => {
+        await teardownDatabase(dir);
+    });
+
+    beforeEach(async () => {
+        const db = DatabaseService.getSkinsDb();
+        for (const table of ['skin_inventory', 'skin_trades', 'user_skins']) {
+            await DatabaseService.execute(db, 'run', `DELETE FROM ${table}`);
+        }
+        await DatabaseService.addSkinToInventory('alice', offer);
+        await DatabaseService.addSkinToInventory('bob', request);
+    });
+
+    async function inventory(player) {
+        const items = await DatabaseService.getPlayerInventory(player);
+        return Object.fromEntries(items.map(item => [item.skin, item.quantity]));
+    }
+
+    it('swaps both skins when the offer is accepted', async () => {
+        const trade = await TradeService.propose('Alice', '@Bob', offer.toUpperCase(), request);
+        assert.deepEqual([trade.offer_skin, trade.request_skin, trade.status], [offer, request, 'pending']);
+
+        const completed = await TradeService.accept('bob', trade.id);
+
+        assert.equal(completed.status, 'completed');
+        assert.deepEqual(await inventory('alice'), { [request]: 1 });
+        assert.deepEqual(await inventory('bob'), { [offer]: 1 });
+    });
+
+    it('fails the trade and changes nothing when a skin is gone by the time it is accepted', async () => {
+        const trade = await TradeService.propose('alice', 'bob', offer, request);
+        await DatabaseService.execute(DatabaseService.getSkinsDb(), 'run', 'DELETE FROM skin_inventory WHERE name = ?', ['bob']);
+
+        await assert.rejects(TradeService.accept('bob', trade.id), /bob doesn't have/);
+
+        assert.equal((await TradeService.getTrade(trade.id)).status, 'failed');
+        assert.deepEqual(await inventory('alice'), { [offer]: 1 });
+    });
+
+    it('rolls the whole swap back when the second skin can no longer be taken', async () => {
+        const trade = await TradeService.propose('alice', 'bob', offer, request);
+        await DatabaseService.execute(DatabaseService.getSkinsDb(), 'run', 'DELETE FROM skin_inventory WHERE name = ?', ['bob']);
+
+        await assert.rejects(DatabaseService.swapSkins(trade), /bob no longer has/);
+
+        assert.deepEqual(await inventory('alice'), { [offer]: 1 });
+        assert.deepEqual(await inventory('bob'), {});
+        assert.equal((await TradeService.getTrade(trade.id)).status, 'pending');
+    });
+
+    it('completes a trade only once when it is accepted twice at the same time', async () => {
+        const trade = await TradeService.propose('alice', 'bob', offer, request);
+
+        const results = await Promise.allSettled([
+            TradeService.accept('bob', trade.id),
+            TradeService.accept('bob', trade.id)
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal((await TradeService.getTrade(trade.id)).status, 'completed');
+        assert.deepEqual(await inventory('alice'), { [request]: 1 });
+        assert.deepEqual(await inventory('bob'), { [offer]: 1 });
+    });
+
+    it('turns down offers that are not possible', async () => {
+        await assert.rejects(TradeService.propose('alice', 'alice', offer, offer), /trade with yourself/);
+        await assert.rejects(TradeService.propose('alice', 'bob', 'no such skin', request), /no skin called/);
+        await assert.rejects(TradeService.propose('alice', 'bob', request, offer), /alice doesn't have/);
+
+        await DatabaseService.addSkinToInventory('carol', request);
+        await TradeService.propose('alice', 'bob', offer, request);
+        await assert.rejects(TradeService.propose('alice', 'carol', offer, request), /already have an open trade offer to bob/);
+    });
+});
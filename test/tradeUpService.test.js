@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+
+const DatabaseService = require('../src/services/databaseService');
+const SkinService = require('../src/services/skinService');
+const TradeUpService = require('../src/services/tradeUpService');
+
+describe('TradeUpService', () => {
+    let dir;
+    let milSpec;
+    let restricted;
+
+    before(async () => {
+        dir = await setupDatabase();
+        await SkinService.loadSkinConfiguration();
+        const skinsByTier = SkinService.getSkinsByTier();
+        const tradeable = tier => skinsByTier[tier].map(skin => skin.name).filter(name => SkinService.isTradeable(name));
+        milSpec = tradeable('mil-spec');
+        restricted = skinsByTier.restricted.map(skin => skin.name);
+    });
+
+    after(async () => {
+        await teardownDatabase(dir);
+    });
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        // No overlay or chat in tests
+        mock.method(TradeUpService, 'playAnimation', async () => {});
+        const db = DatabaseService.getSkinsDb();
+        for (const table of ['skin_inventory', 'user_skins']) {
+            await DatabaseService.execute(db, 'run', `DELETE FROM ${table}`);
+        }
+    });
+
+    async function inventory(player) {
+        const items = await DatabaseService.getPlayerInventory(player);
+        return Object.fromEntries(items.map(item => [item.skin, item.quantity]));
+    }
+
+    it('turns in ten spares for a skin of the next grade and equips it', async () => {
+        await DatabaseService.addSkinToInventory('alice', milSpec[0], null, 8);
+        await DatabaseService.addSkinToInventory('alice', milSpec[1], null, 5);
+
+        const result = await TradeUpService.tradeUp('Alice', 'Mil-Spec');
+
+        assert.equal(result.nextTier, 'restricted');
+        assert.ok(restricted.includes(result.skin));
+        assert.deepEqual(result.turnedIn, [{ skin: milSpec[0], quantity: 7 }, { skin: milSpec[1], quantity: 3 }]);
+
+        const items = await inventory('alice');
+        assert.equal(items[milSpec[0]], 1);
+        assert.equal(items[milSpec[1]], 2);
+        assert.equal(items[result.skin], 1);
+        assert.equal(await SkinService.getUserSkin('alice'), result.skin);
+    });
+
+    it('needs ten spares, the last copy of a skin is never counted', async () => {
+        await DatabaseService.addSkinToInventory('alice', milSpec[0], null, 10);
+
+        await assert.rejects(TradeUpService.tradeUp('alice', 'milspec'), /needs 10 spare mil-spec skins, alice has 9/);
+        await assert.rejects(TradeUpService.tradeUp('alice', 'covert'), /top grade/);
+        await assert.rejects(TradeUpService.tradeUp('alice', 'gold'), /Unknown grade/);
+        assert.deepEqual(await inventory('alice'), { [milSpec[0]]: 10 });
+    });
+
+    it('rolls the contract back when one of the skins is short', async () => {
+        await DatabaseService.addSkinToInventory('alice', milSpec[0], null, 8);
+        await DatabaseService.addSkinToInventory('alice', milSpec[1], null, 2);
+
+        await assert.rejects(
+            DatabaseService.tradeUpSkins('alice', [{ skin: milSpec[0], quantity: 7 }, { skin: milSpec[1], quantity: 3 }], restricted[0]),
+            /no longer has 3 spare/
+        );
+
+        assert.deepEqual(await inventory('alice'), { [milSpec[0]]: 8, [milSpec[1]]: 2 });
+    });
+
+    it('keeps the reward when equipping it fails', async () => {
+        await DatabaseService.addSkinToInventory('alice', milSpec[0], null, 11);
+        mock.method(SkinService, 'setSkin', async () => {
+            throw new Error('skins database is busy');
+        });
+
+        const result = await TradeUpService.tradeUp('alice', 'mil-spec');
+
+        const items = await inventory('alice');
+        assert.equal(items[milSpec[0]], 1);
+        assert.equal(items[result.skin], 1);
+        assert.equal(TradeUpService.playAnimation.mock.calls.length, 1);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+
+const DatabaseService = require('../src/services/databaseService');
+const SkinService = require('../src/services/skinService');
+const UnboxLogService = require('../src/services/unboxLogService');
+
+describe('UnboxLogService', () => {
+    let dir;
+
+    before(async () => {
+        dir = await setupDatabase();
+        await SkinService.loadSkinConfiguration();
+        await UnboxLogService.initialize();
+    });
+
+    after(async () => {
+        await teardownDatabase(dir);
+    });
+
+    // An unbox the way SkinService rolls one, logged with the numbers it used
+    async function unbox(player, clientSeed) {
+        const roll = await UnboxLogService.startRoll(player, clientSeed);
+        const tierOdds = { ...SkinService.tierOdds };
+        const skin = SkinService.selectRandomSkinWithTiers(tierOdds, roll.random);
+        const id = await UnboxLogService.record(roll, { player, tierOdds, tier: skin.tier, reward: skin.name });
+        return { id, roll, skin };
+    }
+
+    it('draws the same numbers for the same seed, client seed and nonce', () => {
+        const number = UnboxLogService.rollNumber('secret', 'redemption-1', 1, 0);
+
+        assert.ok(number >= 0 && number < 1);
+        assert.equal(UnboxLogService.rollNumber('secret', 'redemption-1', 1, 0), number);
+        assert.notEqual(UnboxLogService.rollNumber('secret', 'redemption-1', 2, 0), number);
+        assert.notEqual(UnboxLogService.rollNumber('other', 'redemption-1', 1, 0), number);
+    });
+
+    it('gives every roll on a seed its own nonce, even at the same time', async () => {
+        const rolls = await Promise.all([1, 2, 3].map(() => UnboxLogService.startRoll('Alice')));
+
+        assert.equal(new Set(rolls.map(roll => roll.nonce)).size, 3);
+        assert.equal(new Set(rolls.map(roll => roll.seedId)).size, 1);
+        assert.equal(rolls[0].clientSeed, 'alice');
+    });
+
+    it("keeps the server seed secret until it is rotated, then the roll checks out", async () => {
+        const { id, roll, skin } = await unbox('alice', 'redemption-2');
+
+        const hidden = await UnboxLogService.verify(id);
+        assert.equal(hidden.verifiable, false);
+        assert.equal(hidden.entry.serverSeed, null);
+        assert.equal(hidden.entry.serverSeedHash, roll.seedHash);
+
+        await UnboxLogService.rotateSeed();
+        const result = await UnboxLogService.verify(id);
+
+        assert.equal(result.verifiable, true);
+        assert.equal(result.hashMatches, true);
+        assert.equal(result.rollsMatch, true);
+        assert.equal(result.tier, skin.tier);
+        assert.equal(result.tierMatches, true);
+        assert.notEqual((await UnboxLogService.getActiveSeed()).id, roll.seedId);
+    });
+
+    it('shows when a logged roll was changed afterwards', async () => {
+        const { id } = await unbox('bob', 'redemption-3');
+        await UnboxLogService.rotateSeed();
+
+        const db = DatabaseService.getSkinsDb();
+        await DatabaseService.execute(db, 'run', `UPDATE unbox_log SET rolls = '[0.999]' WHERE id = ?`, [id]);
+        assert.equal((await UnboxLogService.verify(id)).rollsMatch, false);
+
+        await DatabaseService.execute(db, 'run', `UPDATE unbox_log SET tier = 'jackpot' WHERE id = ?`, [id]);
+        assert.equal((await UnboxLogService.verify(id)).tierMatches, false);
+    });
+
+    it('reports an unbox that was never logged', async () => {
+        await assert.rejects(UnboxLogService.verify(9999), /Unbox #9999 not found/);
+    });
+});
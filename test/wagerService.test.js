@@ -0,0 +1,149 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, teardownDatabase, flush } = require('./helpers');
+
+const DatabaseService = require('../src/services/databaseService');
+const WagerService = require('../src/services/wagerService');
+const QueueService = require('../src/services/queueService');
+const CoinService = require('../src/services/coinService');
+const LeaderboardService = require('../src/services/leaderboardService');
+const ChannelService = require('../src/services/channelService');
+
+describe('WagerService', () => {
+    let dir;
+    let sent;
+
+    before(async () => {
+        dir = await setupDatabase();
+        await CoinService.initialize();
+        QueueService.ackTimeout = 60 * 1000;
+    });
+
+    after(async () => {
+        await QueueService.cancelAll();
+        await teardownDatabase(dir);
+    });
+
+    beforeEach(async () => {
+        await QueueService.cancelAll();
+        for (const table of ['duel_wagers', 'coin_balances', 'coin_ledger', 'leaderboard']) {
+            await DatabaseService.run(`DELETE FROM ${table}`);
+        }
+        for (const player of ['alice', 'bob']) {
+            await LeaderboardService.addPlayer(player);
+            await CoinService.change(player, 50, 'admin');
+        }
+        await DatabaseService.run(`UPDATE leaderboard SET points = 30`);
+
+        // No overlay until a test connects one, so queued duels stay put
+        sent = [];
+        QueueService.setSocketHandler({ io: { to: () => ({ emit: (...args) => sent.push(args) }) }, connectedClients: new Map() });
+    });
+
+    function connectOverlay() {
+        QueueService.socketHandler.connectedClients.set('overlay', { tokenAssociated: true, channel: ChannelService.current() });
+        QueueService.onOverlayConnected();
+    }
+
+    async function funds() {
+        return {
+            points: [await WagerService.getFunds('alice', 'points'), await WagerService.getFunds('bob', 'points')],
+            coins: [await CoinService.getBalance('alice'), await CoinService.getBalance('bob')]
+        };
+    }
+
+    async function queueDuel(wager) {
+        const wagerId = await WagerService.escrow('alice', 'bob', wager);
+        const queued = await QueueService.enqueue('duel', ['alice', 'bob'], { wagerId });
+        return { wagerId, queueId: queued.id };
+    }
+
+    it('checks the amount and currency of a wager', () => {
+        assert.deepEqual(WagerService.validate('5', 'pts'), { amount: 5, currency: 'points' });
+        assert.deepEqual(WagerService.validate(3, 'Coin'), { amount: 3, currency: 'coins' });
+        assert.throws(() => WagerService.validate(0), /whole number above 0/);
+        assert.throws(() => WagerService.validate(1.5), /whole number above 0/);
+        assert.throws(() => WagerService.validate(5, 'gold'), /points or coins/);
+    });
+
+    it('takes the stake from both players, or from neither', async () => {
+        await CoinService.change('bob', -45, 'admin');
+        assert.deepEqual(await WagerService.findShortfall(['alice', 'bob'], { amount: 10, currency: 'coins' }), { player: 'bob', balance: 5 });
+
+        await assert.rejects(WagerService.escrow('alice', 'bob', { amount: 10, currency: 'coins' }), /bob only has 5/);
+        assert.deepEqual((await funds()).coins, [50, 5]);
+        assert.equal((await DatabaseService.all('SELECT id FROM duel_wagers')).length, 0);
+
+        await WagerService.escrow('alice', 'bob', { amount: 10, currency: 'points' });
+        assert.deepEqual((await funds()).points, [20, 20]);
+    });
+
+    it('links the wager to its duel when the duel is queued', async () => {
+        const { wagerId, queueId } = await queueDuel({ amount: 10, currency: 'points' });
+
+        const row = await DatabaseService.get('SELECT queue_id, status FROM duel_wagers WHERE id = ?', [wagerId]);
+        assert.deepEqual(row, { queue_id: queueId, status: 'escrowed' });
+    });
+
+    it('pays the pot to the winner once, even when the result arrives right as the duel is sent', async () => {
+        await queueDuel({ amount: 10, currency: 'points' });
+        let payout = null;
+        QueueService.io = {
+            to: () => ({
+                emit: (event, challenger, target, ticket) => {
+                    payout = WagerService.settle(ticket.coneId, 'BOB');
+                }
+            })
+        };
+
+        connectOverlay();
+        await flush();
+
+        assert.deepEqual(await payout, { winner: 'bob', loser: 'alice', pot: 20, currency: 'points' });
+        const coneId = QueueService.getLanes().duel.inFlight.coneId;
+        assert.equal(await WagerService.settle(coneId, 'bob'), null);
+        assert.deepEqual((await funds()).points, [20, 40]);
+    });
+
+    it('returns the stakes when the reported winner is not in the duel', async () => {
+        await queueDuel({ amount: 5, currency: 'coins' });
+        connectOverlay();
+        await flush();
+        const coneId = sent[0][3].coneId;
+
+        assert.equal(await WagerService.settle(coneId, 'carol'), null);
+        assert.deepEqual((await funds()).coins, [50, 50]);
+    });
+
+    it('returns the stakes when the duel is cancelled or fails', async () => {
+        const { queueId } = await queueDuel({ amount: 5, currency: 'coins' });
+        assert.deepEqual((await funds()).coins, [45, 45]);
+
+        await QueueService.cancelItem(queueId);
+
+        assert.deepEqual((await funds()).coins, [50, 50]);
+        const row = await DatabaseService.get('SELECT status FROM duel_wagers WHERE queue_id = ?', [queueId]);
+        assert.equal(row.status, 'returned');
+    });
+
+    it('returns wagers cut off by a restart, but not those whose duel is still queued', async () => {
+        await queueDuel({ amount: 4, currency: 'points' });
+        const orphan = await WagerService.escrow('alice', 'bob', { amount: 3, currency: 'points' });
+
+        await WagerService.returnAbandoned();
+
+        assert.deepEqual((await funds()).points, [26, 26]);
+        const row = await DatabaseService.get('SELECT status FROM duel_wagers WHERE id = ?', [orphan]);
+        assert.equal(row.status, 'returned');
+    });
+
+    it('hands back every stake in points still held when a season ends', async () => {
+        await queueDuel({ amount: 4, currency: 'points' });
+        await queueDuel({ amount: 2, currency: 'coins' });
+
+        const refunded = await DatabaseService.transaction(() => WagerService.refundEscrowedPoints());
+
+        assert.equal(refunded.length, 1);
+        assert.deepEqual(await funds(), { points: [30, 30], coins: [48, 48] });
+    });
+});